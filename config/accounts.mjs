@@ -0,0 +1,7 @@
+// config/accounts.mjs
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// How many accounts (checking and savings together) one customer may hold
+export const MAX_ACCOUNTS_PER_CUSTOMER = Number(process.env.MAX_ACCOUNTS_PER_CUSTOMER || 5);
@@ -0,0 +1,17 @@
+// config/approvals.mjs
+import dotenv from 'dotenv';
+import { toMinorUnits, toDecimalString } from '../utils/money.mjs';
+
+dotenv.config();
+
+// Transfers and withdrawals above this amount (in the account's currency)
+// are held as pending until an admin approves them. Set to "off" to disable.
+export const APPROVAL_THRESHOLD = process.env.APPROVAL_THRESHOLD === 'off'
+  ? null
+  : toDecimalString(toMinorUnits(process.env.APPROVAL_THRESHOLD || '10000.00'));
+
+// Hold the first transfer to a recipient the sender has never paid before
+export const REVIEW_NEW_PAYEES = process.env.REVIEW_NEW_PAYEES !== 'false';
+
+// transaction_type values that the approval threshold applies to
+export const APPROVAL_TRANSACTION_TYPES = ['transfer', 'withdrawal'];
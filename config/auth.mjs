@@ -0,0 +1,24 @@
+// config/auth.mjs
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+// Access tokens are short-lived JWTs; clients renew them with a refresh token
+export const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_MINUTES || 15) * 60;
+
+// A refresh token is good for one use, and unused ones lapse after this long
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Staff tokens for the admin API, issued by POST /admin/auth/login
+export const ADMIN_TOKEN_TTL_SECONDS = Number(process.env.ADMIN_TOKEN_TTL_MINUTES || 60) * 60;
+
+// Two-factor authentication
+export const MFA_ISSUER = process.env.MFA_ISSUER || 'Ron Stone Bank';
+export const MFA_CHALLENGE_TTL_SECONDS = 5 * 60;
+export const MFA_MAX_ATTEMPTS = 5;
+export const MFA_RECOVERY_CODE_COUNT = 10;
+
+// Key for encrypting TOTP secrets at rest; falls back to one derived from JWT_SECRET
+export const MFA_ENCRYPTION_KEY = process.env.MFA_ENCRYPTION_KEY || JWT_SECRET;
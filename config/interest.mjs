@@ -0,0 +1,7 @@
+// config/interest.mjs
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Day-count convention for interest products created without one
+export const DEFAULT_DAY_COUNT = process.env.INTEREST_DAY_COUNT || 'ACT/365';
@@ -0,0 +1,31 @@
+// config/loginProtection.mjs
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Where failed-login counters live: "database" (shared by every server
+// instance) or "memory" (one process only; for tests and local runs)
+export const LOGIN_ATTEMPT_STORE = process.env.LOGIN_ATTEMPT_STORE || 'database';
+
+// Failures per email within windowMinutes before the account is locked
+export const ACCOUNT_LOCKOUT = {
+  maxFailures: Number(process.env.ACCOUNT_LOCKOUT_MAX_FAILURES || 5),
+  windowMinutes: 15,
+  lockMinutes: Number(process.env.ACCOUNT_LOCKOUT_MINUTES || 15)
+};
+
+// Failures from one IP across any accounts before the IP is blocked from
+// logging in, which catches credential stuffing spread over many emails
+export const IP_LOCKOUT = {
+  maxFailures: Number(process.env.IP_LOCKOUT_MAX_FAILURES || 20),
+  windowMinutes: 15,
+  lockMinutes: Number(process.env.IP_LOCKOUT_MINUTES || 15)
+};
+
+// After freeAttempts failures each further attempt waits baseMs, doubling
+// per failure up to maxMs
+export const LOGIN_DELAY = {
+  freeAttempts: 2,
+  baseMs: 500,
+  maxMs: 8000
+};
@@ -0,0 +1,15 @@
+// config/mail.mjs
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// "console" prints outgoing mail; "file" writes each message as JSON to MAIL_DIR
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+export const MAIL_FROM = process.env.MAIL_FROM || 'Ron Stone Bank <no-reply@ronstonebank.com>';
+export const MAIL_DIR = process.env.MAIL_DIR || 'tmp/mail';
+
+// Links in emails point at the frontend
+export const APP_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+export const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 30);
+export const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48);
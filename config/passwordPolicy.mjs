@@ -0,0 +1,23 @@
+// config/passwordPolicy.mjs
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const flag = (value, fallback) => (value === undefined ? fallback : value === 'true');
+
+// Rules for new passwords at signup, reset and change. Existing passwords
+// are not re-checked at login.
+export const PASSWORD_POLICY = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH || 10),
+  maxLength: Number(process.env.PASSWORD_MAX_LENGTH || 128),
+  requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireDigit: flag(process.env.PASSWORD_REQUIRE_DIGIT, true),
+  requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  // Reject passwords containing the user's name or the local part of their email
+  forbidPersonalInfo: flag(process.env.PASSWORD_FORBID_PERSONAL_INFO, true),
+  // Reject passwords on the breached/common list, one password per line.
+  // A relative path is resolved from the project root.
+  checkBreached: flag(process.env.PASSWORD_CHECK_BREACHED, true),
+  breachedListPath: process.env.PASSWORD_BREACHED_LIST || 'data/common-passwords.txt'
+};
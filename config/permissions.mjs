@@ -0,0 +1,51 @@
+// config/permissions.mjs
+// What each staff role (admin_users.role) may do in the admin API
+
+export const ADMIN_ROLES = {
+  ADMIN: 'admin',
+  SUPPORT: 'support',
+  BOT: 'bot'
+};
+
+export const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_ACTIVATE: 'users:activate',
+  USERS_SECURITY: 'users:security',
+  KYC_REVIEW: 'kyc:review',
+  BALANCES_ADJUST: 'balances:adjust',
+  TRANSACTIONS_REVIEW: 'transactions:review',
+  TRANSACTIONS_REFUND: 'transactions:refund',
+  FX_MANAGE: 'fx:manage',
+  INTEREST_MANAGE: 'interest:manage',
+  FEES_MANAGE: 'fees:manage',
+  LIMITS_MANAGE: 'limits:manage',
+  RECONCILIATION_RUN: 'reconciliation:run',
+  RECONCILIATION_FIX: 'reconciliation:fix',
+  CHAT_READ: 'chat:read',
+  CHAT_REPLY: 'chat:reply',
+  STATS_READ: 'stats:read',
+  AUDIT_READ: 'audit:read'
+};
+
+export const ROLE_PERMISSIONS = {
+  [ADMIN_ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ADMIN_ROLES.SUPPORT]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_ACTIVATE,
+    PERMISSIONS.USERS_SECURITY,
+    PERMISSIONS.KYC_REVIEW,
+    PERMISSIONS.TRANSACTIONS_REVIEW,
+    PERMISSIONS.RECONCILIATION_RUN,
+    PERMISSIONS.CHAT_READ,
+    PERMISSIONS.CHAT_REPLY,
+    PERMISSIONS.STATS_READ
+  ],
+  [ADMIN_ROLES.BOT]: [
+    PERMISSIONS.CHAT_READ,
+    PERMISSIONS.CHAT_REPLY
+  ]
+};
+
+export const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
@@ -0,0 +1,18 @@
+// config/scheduledTransfers.mjs
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// A scheduled transfer that fails for insufficient funds is retried up to
+// maxRetries times, retryDelayMinutes apart, before that occurrence is
+// recorded as failed and the schedule moves on to its next date.
+export const RETRY_POLICY = {
+  maxRetries: Number(process.env.SCHEDULED_TRANSFER_MAX_RETRIES || 3),
+  retryDelayMinutes: Number(process.env.SCHEDULED_TRANSFER_RETRY_MINUTES || 240)
+};
+
+// How often the worker looks for due transfers
+export const WORKER_INTERVAL_MS = Number(process.env.SCHEDULED_TRANSFER_INTERVAL_MS || 60 * 1000);
+
+// How long a worker may hold an item before another worker can pick it up
+export const RUN_LOCK_MS = 5 * 60 * 1000;
@@ -0,0 +1,22 @@
+// config/stepUp.mjs
+import dotenv from 'dotenv';
+import { toMinorUnits, toDecimalString } from '../utils/money.mjs';
+
+dotenv.config();
+
+// How long a password or 2FA re-authentication counts as recent
+export const STEP_UP_MAX_AGE_SECONDS = Number(process.env.STEP_UP_MAX_AGE_MINUTES || 5) * 60;
+
+const threshold = (value, fallback) => {
+  const setting = value || fallback;
+  return setting === 'off' ? null : toDecimalString(toMinorUnits(setting));
+};
+
+// Money movements above these amounts (in the account's currency) need a
+// recent re-authentication, by transaction_type. "off" disables a rule.
+export const STEP_UP_AMOUNT_RULES = {
+  transfer: threshold(process.env.STEP_UP_TRANSFER_THRESHOLD, '1000.00'),
+  withdrawal: threshold(process.env.STEP_UP_WITHDRAWAL_THRESHOLD, '1000.00'),
+  payment: threshold(process.env.STEP_UP_PAYMENT_THRESHOLD, '1000.00'),
+  deposit: threshold(process.env.STEP_UP_DEPOSIT_THRESHOLD, 'off')
+};
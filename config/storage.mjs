@@ -0,0 +1,13 @@
+// config/storage.mjs
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Where uploaded files go. Only "local" (files under STORAGE_DIR) ships
+// here; other drivers plug in through setStorageDriver in utils/storage.mjs.
+export const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+export const STORAGE_DIR = process.env.STORAGE_DIR || 'uploads';
+
+// KYC document uploads
+export const KYC_MAX_DOCUMENT_BYTES = Number(process.env.KYC_MAX_DOCUMENT_MB || 5) * 1024 * 1024;
+export const KYC_ALLOWED_CONTENT_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
@@ -1,25 +1,109 @@
 // controllers/accountController.mjs
 import supabase from '../config/supabase.mjs';
-import { ACCOUNT_STATUS, ERROR_CODES, SUCCESS_MESSAGES } from '../utils/constants.mjs';
+import { DEFAULT_CURRENCY, ERROR_CODES, SUCCESS_MESSAGES, TRANSACTION_STATUS } from '../utils/constants.mjs';
+import { AppError, fromRpcError } from '../utils/errors.mjs';
+import { accountStatusBlock, MOVEMENTS } from '../utils/accountStatus.mjs';
+import { accountResponse, findAccount, listAccounts, withPrimaryAccount } from '../utils/accounts.mjs';
+import { generateAccountNumber, generateReference } from '../utils/helpers.mjs';
+import { toPositiveMinorUnits, toDecimalString } from '../utils/money.mjs';
+import { executeTransfer } from '../utils/transfers.mjs';
+import { feeTotal } from '../utils/fees.mjs';
+import { getAccountLimits } from '../utils/limits.mjs';
+import { resolveRecipient } from '../utils/payees.mjs';
+import { MAX_ACCOUNTS_PER_CUSTOMER } from '../config/accounts.mjs';
 
-export const getBalance = async (req, res) => {
+const accountNotFound = (res) => {
+  return res.status(404).json({
+    error: 'Account not found',
+    code: ERROR_CODES.ACCOUNT_NOT_FOUND
+  });
+};
+
+export const getAccounts = async (req, res) => {
   try {
-    const { data: profile, error } = await supabase
-      .from('profiles')
-      .select('balance, account_number')
-      .eq('id', req.user.id)
-      .single();
+    const accounts = await listAccounts(req.user.id);
+
+    res.json({ accounts: accounts.map(accountResponse) });
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch accounts',
+      code: 'ACCOUNTS_FETCH_FAILED'
+    });
+  }
+};
+
+export const getAccountById = async (req, res) => {
+  try {
+    const account = await findAccount(req.user.id, req.params.accountId);
+    if (!account) return accountNotFound(res);
+
+    res.json({ account: accountResponse(account) });
+  } catch (error) {
+    console.error('Get account error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch account',
+      code: 'ACCOUNT_FETCH_FAILED'
+    });
+  }
+};
+
+// Open another checking or savings account. open_account enforces the
+// per-customer limit under the profile lock.
+export const openAccount = async (req, res) => {
+  try {
+    const { account_type, currency = DEFAULT_CURRENCY, nickname } = req.body;
+
+    const { data: account, error } = await supabase.rpc('open_account', {
+      p_user_id: req.user.id,
+      p_account_number: generateAccountNumber(),
+      p_account_type: account_type,
+      p_currency: currency,
+      p_nickname: nickname || null,
+      p_max_accounts: MAX_ACCOUNTS_PER_CUSTOMER
+    });
 
     if (error) {
-      return res.status(404).json({ 
-        error: 'Account not found',
-        code: ERROR_CODES.ACCOUNT_NOT_FOUND
-      });
+      const openError = fromRpcError(error, 'Failed to open account');
+      if (openError.code === ERROR_CODES.TRANSACTION_FAILED) {
+        console.error('Open account RPC error:', error);
+        return res.status(500).json({
+          error: 'Failed to open account',
+          code: 'ACCOUNT_OPEN_FAILED'
+        });
+      }
+      return res.status(openError.statusCode).json(openError);
     }
 
+    res.status(201).json({
+      message: 'Account opened successfully',
+      account: accountResponse(account)
+    });
+  } catch (error) {
+    console.error('Open account error:', error);
+    res.status(500).json({
+      error: 'Failed to open account',
+      code: 'ACCOUNT_OPEN_FAILED'
+    });
+  }
+};
+
+// Balance of the account in ?account_id, or of the primary account
+export const getBalance = async (req, res) => {
+  try {
+    const account = await findAccount(req.user.id, req.query.account_id);
+    if (!account) return accountNotFound(res);
+
+    const { id, balance, held_balance, available_balance, currency, account_number, account_type } = accountResponse(account);
+
     res.json({
-      balance: profile.balance,
-      account_number: profile.account_number
+      account_id: id,
+      balance,
+      held_balance,
+      available_balance,
+      currency,
+      account_number,
+      account_type
     });
   } catch (error) {
     console.error('Get balance error:', error);
@@ -30,167 +114,133 @@ export const getBalance = async (req, res) => {
   }
 };
 
-export const transfer = async (req, res) => {
-  const client = supabase;
-  
+// What is left of the outgoing limits on the account in ?account_id, or on
+// the primary account, and when each resets
+export const getLimits = async (req, res) => {
   try {
-    // Check if account is active
-    if (!req.user.is_active) {
-      return res.status(403).json({ 
-        error: 'Account is not active. Please wait for activation to perform transfers.',
-        code: 'ACCOUNT_INACTIVE'
-      });
-    }
-
-    const { to_account_number, amount, description } = req.body;
+    const account = await findAccount(req.user.id, req.query.account_id);
+    if (!account) return accountNotFound(res);
 
-    // Validate amount
-    if (amount <= 0) {
-      return res.status(400).json({ 
-        error: 'Amount must be positive',
-        code: 'INVALID_AMOUNT'
-      });
-    }
+    const limits = await getAccountLimits(account.id);
 
-    // Check if recipient exists and is active
-    const { data: recipient, error: recipientError } = await client
-      .from('profiles')
-      .select('id, name, balance, is_active')
-      .eq('account_number', to_account_number)
-      .single();
+    res.json({
+      account_id: limits.account_id,
+      tier: limits.tier,
+      currency: limits.currency,
+      limits: limits.limits
+    });
+  } catch (error) {
+    console.error('Get limits error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch limits',
+      code: 'LIMITS_FETCH_FAILED'
+    });
+  }
+};
 
-    if (recipientError || !recipient) {
-      return res.status(400).json({ 
-        error: 'Recipient account not found',
-        code: ERROR_CODES.ACCOUNT_NOT_FOUND
-      });
+export const transfer = async (req, res) => {
+  try {
+    // Only active accounts can send; transfer_funds checks again under the lock
+    const blocked = accountStatusBlock(req.user.status, MOVEMENTS.DEBIT);
+    if (blocked) {
+      return res.status(blocked.statusCode).json(blocked);
     }
 
-    if (!recipient.is_active) {
-      return res.status(400).json({ 
-        error: 'Recipient account is not active',
-        code: 'RECIPIENT_INACTIVE'
-      });
-    }
+    const { amount, description, from_account_id } = req.body;
 
-    if (recipient.id === req.user.id) {
-      return res.status(400).json({ 
-        error: 'Cannot transfer to your own account',
-        code: 'SELF_TRANSFER'
-      });
+    // Validate amount
+    let amountCents;
+    try {
+      amountCents = toPositiveMinorUnits(amount);
+    } catch (amountError) {
+      return res.status(amountError.statusCode).json(amountError);
     }
 
-    // Get sender's current balance
-    const { data: senderProfile, error: senderError } = await client
-      .from('profiles')
-      .select('balance, account_number')
-      .eq('id', req.user.id)
-      .single();
-
-    if (senderError) {
-      return res.status(400).json({ 
-        error: 'Failed to fetch sender account',
-        code: ERROR_CODES.ACCOUNT_NOT_FOUND
-      });
+    // Without from_account_id the transfer is paid from the primary account
+    const fromAccount = await findAccount(req.user.id, from_account_id);
+    if (!fromAccount) {
+      const accountError = fromRpcError({ message: 'SOURCE_ACCOUNT_NOT_FOUND' });
+      return res.status(accountError.statusCode).json(accountError);
     }
 
-    if (senderProfile.balance < amount) {
-      return res.status(400).json({ 
-        error: 'Insufficient funds',
-        code: ERROR_CODES.INSUFFICIENT_FUNDS
+    let result;
+    try {
+      const { toAccountNumber } = await resolveRecipient(req.user.id, req.body);
+      result = await executeTransfer({
+        senderId: req.user.id,
+        fromAccountId: fromAccount.id,
+        toAccountNumber,
+        amountCents,
+        description
       });
+    } catch (transferError) {
+      if (!(transferError instanceof AppError)) throw transferError;
+      return res.status(transferError.statusCode).json(transferError);
     }
 
-    // Perform transfer within a transaction
-    const { data: debitTransaction, error: debitError } = await client
-      .from('transactions')
-      .insert([
-        {
-          user_id: req.user.id,
-          type: 'debit',
-          amount: amount,
-          description: description || `Transfer to ${to_account_number}`,
-          to_account_number: to_account_number,
-          status: 'completed'
-        }
-      ])
-      .select()
-      .single();
-
-    if (debitError) {
-      return res.status(400).json({ 
-        error: 'Failed to create debit transaction',
-        code: ERROR_CODES.TRANSACTION_FAILED
-      });
-    }
+    const pending = result.transaction.status === TRANSACTION_STATUS.PENDING;
 
-    // Create credit transaction for recipient
-    const { data: creditTransaction, error: creditError } = await client
-      .from('transactions')
-      .insert([
-        {
-          user_id: recipient.id,
-          type: 'credit',
-          amount: amount,
-          description: description || `Transfer from ${senderProfile.account_number}`,
-          to_account_number: senderProfile.account_number,
-          status: 'completed'
-        }
-      ])
-      .select()
-      .single();
+    res.status(pending ? 202 : 200).json({
+      message: pending ? SUCCESS_MESSAGES.TRANSFER_PENDING : SUCCESS_MESSAGES.TRANSFER_SUCCESS,
+      transaction: result.transaction,
+      fees: result.fees,
+      total_fees: feeTotal(result.fees),
+      new_balance: result.new_balance,
+      available_balance: result.available_balance
+    });
+  } catch (error) {
+    console.error('Transfer error:', error);
+    res.status(500).json({ 
+      error: 'Transfer failed',
+      code: ERROR_CODES.TRANSACTION_FAILED
+    });
+  }
+};
 
-    if (creditError) {
-      // Rollback debit transaction
-      await client.from('transactions').delete().eq('id', debitTransaction.id);
-      return res.status(400).json({ 
-        error: 'Failed to create credit transaction',
-        code: ERROR_CODES.TRANSACTION_FAILED
-      });
+// Move money between two of the customer's own accounts. Not subject to
+// approval; internal_transfer converts between currencies when they differ.
+export const internalTransfer = async (req, res) => {
+  try {
+    const blocked = accountStatusBlock(req.user.status, MOVEMENTS.DEBIT);
+    if (blocked) {
+      return res.status(blocked.statusCode).json(blocked);
     }
 
-    // Update sender balance
-    const { error: updateSenderError } = await client
-      .from('profiles')
-      .update({ balance: senderProfile.balance - amount })
-      .eq('id', req.user.id);
+    const { from_account_id, to_account_id, amount, description } = req.body;
 
-    if (updateSenderError) {
-      // Rollback both transactions
-      await client.from('transactions').delete().eq('id', debitTransaction.id);
-      await client.from('transactions').delete().eq('id', creditTransaction.id);
-      return res.status(400).json({ 
-        error: 'Failed to update sender balance',
-        code: ERROR_CODES.TRANSACTION_FAILED
-      });
+    let amountCents;
+    try {
+      amountCents = toPositiveMinorUnits(amount);
+    } catch (amountError) {
+      return res.status(amountError.statusCode).json(amountError);
     }
 
-    // Update recipient balance
-    const { error: updateRecipientError } = await client
-      .from('profiles')
-      .update({ balance: recipient.balance + amount })
-      .eq('id', recipient.id);
-
-    if (updateRecipientError) {
-      // Rollback everything
-      await client.from('transactions').delete().eq('id', debitTransaction.id);
-      await client.from('transactions').delete().eq('id', creditTransaction.id);
-      await client.from('profiles')
-        .update({ balance: senderProfile.balance })
-        .eq('id', req.user.id);
-      return res.status(400).json({ 
-        error: 'Failed to update recipient balance',
-        code: ERROR_CODES.TRANSACTION_FAILED
-      });
+    const { data: result, error } = await supabase.rpc('internal_transfer', {
+      p_user_id: req.user.id,
+      p_from_account_id: from_account_id,
+      p_to_account_id: to_account_id,
+      p_amount: toDecimalString(amountCents),
+      p_description: description || null,
+      p_reference: generateReference('internal_transfer')
+    });
+
+    if (error) {
+      const transferError = fromRpcError(error, 'Transfer failed');
+      if (transferError.code === ERROR_CODES.TRANSACTION_FAILED) {
+        console.error('Internal transfer RPC error:', error);
+      }
+      return res.status(transferError.statusCode).json(transferError);
     }
 
     res.json({
       message: SUCCESS_MESSAGES.TRANSFER_SUCCESS,
-      transaction: debitTransaction,
-      new_balance: senderProfile.balance - amount
+      transaction: result.transaction,
+      new_balance: result.new_balance,
+      available_balance: result.available_balance,
+      destination_balance: result.destination_balance
     });
   } catch (error) {
-    console.error('Transfer error:', error);
+    console.error('Internal transfer error:', error);
     res.status(500).json({ 
       error: 'Transfer failed',
       code: ERROR_CODES.TRANSACTION_FAILED
@@ -198,20 +248,19 @@ export const transfer = async (req, res) => {
   }
 };
 
+// Profile with its accounts. The top-level balance fields describe the
+// primary account.
 export const getAccountInfo = async (req, res) => {
   try {
-    const { data: profile, error } = await supabase
+    const { data: row, error } = await supabase
       .from('profiles')
-      .select('*')
+      .select('*, accounts (*)')
       .eq('id', req.user.id)
       .single();
 
-    if (error) {
-      return res.status(404).json({ 
-        error: 'Account not found',
-        code: ERROR_CODES.ACCOUNT_NOT_FOUND
-      });
-    }
+    if (error) return accountNotFound(res);
+
+    const profile = withPrimaryAccount(row);
 
     res.json({
       account: {
@@ -220,10 +269,14 @@ export const getAccountInfo = async (req, res) => {
         email: profile.email,
         account_number: profile.account_number,
         balance: profile.balance,
+        held_balance: profile.held_balance,
+        currency: profile.currency,
         is_active: profile.is_active,
+        status: profile.status,
         created_at: profile.created_at,
         updated_at: profile.updated_at
-      }
+      },
+      accounts: row.accounts.map(accountResponse)
     });
   } catch (error) {
     console.error('Get account info error:', error);
@@ -232,4 +285,57 @@ export const getAccountInfo = async (req, res) => {
       code: 'ACCOUNT_INFO_FETCH_FAILED'
     });
   }
-};
\ No newline at end of file
+};
+
+// Current exchange rates, so customers can preview a cross-currency transfer
+export const getFxRates = async (req, res) => {
+  try {
+    const { data: rates, error } = await supabase
+      .from('fx_rates')
+      .select('base_currency, quote_currency, rate, spread, updated_at')
+      .order('base_currency')
+      .order('quote_currency');
+
+    if (error) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'FX_RATES_FETCH_FAILED'
+      });
+    }
+
+    res.json({ rates: rates || [] });
+  } catch (error) {
+    console.error('Get FX rates error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch exchange rates',
+      code: 'FX_RATES_FETCH_FAILED'
+    });
+  }
+};
+
+// The fee schedule: every fee rule currently charged
+export const getFeeSchedule = async (req, res) => {
+  try {
+    const { data: fees, error } = await supabase
+      .from('fee_rules')
+      .select('code, name, event, transaction_type, account_type, currency, flat_amount, percentage, applies_above, max_amount, waive_min_balance')
+      .eq('active', true)
+      .order('event')
+      .order('code');
+
+    if (error) {
+      return res.status(400).json({
+        error: error.message,
+        code: 'FEES_FETCH_FAILED'
+      });
+    }
+
+    res.json({ fees: fees || [] });
+  } catch (error) {
+    console.error('Get fee schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch fee schedule',
+      code: 'FEES_FETCH_FAILED'
+    });
+  }
+};
@@ -0,0 +1,103 @@
+// controllers/adminAuthController.mjs
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import supabase from '../config/supabase.mjs';
+import { ADMIN_TOKEN_TTL_SECONDS, JWT_SECRET } from '../config/auth.mjs';
+import { ROLE_PERMISSIONS } from '../config/permissions.mjs';
+import { ADMIN_TOKEN_TYPE } from '../middleware/adminAuth.mjs';
+import { recordAuditEvent } from '../utils/audit.mjs';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../utils/loginProtection.mjs';
+
+// Staff logins share the lockout counters, under their own key space
+const lockoutEmail = (email) => `admin:${String(email).toLowerCase()}`;
+
+const adminSummary = (admin) => ({
+  id: admin.id,
+  email: admin.email,
+  name: admin.name,
+  role: admin.role,
+  permissions: ROLE_PERMISSIONS[admin.role] || []
+});
+
+export const adminLogin = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    const { blocked } = await checkLoginAllowed({ email: lockoutEmail(email), ip: req.ip });
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retry_after));
+      return res.status(blocked.status).json({
+        success: false,
+        error: blocked.error,
+        code: blocked.code
+      });
+    }
+
+    const { data: admin } = await supabase
+      .from('admin_users')
+      .select('*')
+      .eq('email', String(email).toLowerCase())
+      .maybeSingle();
+
+    const valid = admin?.is_active && admin.password_hash && await bcrypt.compare(password, admin.password_hash);
+
+    if (!valid) {
+      console.log('❌ Admin login failed for:', email);
+      await recordLoginFailure({ email: lockoutEmail(email), ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    await recordLoginSuccess({ email: lockoutEmail(email) });
+
+    await supabase
+      .from('admin_users')
+      .update({ last_login_at: new Date().toISOString() })
+      .eq('id', admin.id);
+
+    await recordAuditEvent({
+      actorType: 'admin',
+      actorId: admin.id,
+      action: 'admin.login',
+      req
+    });
+
+    console.log(`✅ Admin login: ${admin.email} (${admin.role})`);
+
+    res.json({
+      success: true,
+      data: {
+        access_token: jwt.sign(
+          { adminId: admin.id, role: admin.role, typ: ADMIN_TOKEN_TYPE },
+          JWT_SECRET,
+          { expiresIn: ADMIN_TOKEN_TTL_SECONDS }
+        ),
+        token_type: 'Bearer',
+        expires_in: ADMIN_TOKEN_TTL_SECONDS,
+        admin: adminSummary(admin)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Admin login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Admin login failed'
+    });
+  }
+};
+
+export const getCurrentAdmin = (req, res) => {
+  res.json({
+    success: true,
+    data: adminSummary(req.admin)
+  });
+};
@@ -3,29 +3,85 @@ import supabase from '../config/supabase.mjs';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { generateAccountNumber } from '../utils/helpers.mjs';
-import { ACCOUNT_STATUS, SUCCESS_MESSAGES } from '../utils/constants.mjs';
+import { ACCOUNT_STATUS, ACCOUNT_TYPES, DEFAULT_CURRENCY, SUCCESS_MESSAGES } from '../utils/constants.mjs';
+import { AppError } from '../utils/errors.mjs';
+import {
+  createSession,
+  listActiveSessions,
+  markReauthenticated,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken
+} from '../utils/sessions.mjs';
+import { notifyUser } from '../utils/notifications.mjs';
+import { completeChallenge, createChallenge, isMfaEnabled, readChallengeToken, verifySecondFactor } from '../utils/mfa.mjs';
+import { recordAuditEvent } from '../utils/audit.mjs';
+import { withPrimaryAccount } from '../utils/accounts.mjs';
+import { sendMail } from '../utils/mailer.mjs';
+import { consumeAccountToken, findAccountToken, issueAccountToken, TOKEN_PURPOSES } from '../utils/accountTokens.mjs';
+import { passwordViolations } from '../utils/passwordPolicy.mjs';
+import { sendValidationErrors } from '../middleware/validation.mjs';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../utils/loginProtection.mjs';
+import { ACCESS_TOKEN_TTL_SECONDS, JWT_SECRET } from '../config/auth.mjs';
+import { APP_URL, EMAIL_VERIFICATION_TTL_HOURS, PASSWORD_RESET_TTL_MINUTES } from '../config/mail.mjs';
 
-// JWT secret
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
-const JWT_EXPIRES_IN = '7d';
+// Credited to every new account at signup
+const OPENING_BALANCE = 92453.00;
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+const SALT_ROUNDS = 12;
+
+// Email a verification link for the user's current address
+const sendVerificationEmail = async (user) => {
+  const token = await issueAccountToken(user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION, {
+    ttlMs: EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+    email: user.email
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${APP_URL}/verify-email?token=${token}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  });
 };
 
-// Verify JWT token
+// Short-lived access token bound to a login session (sid). auth_time and
+// amr say when and how the user last authenticated, for step-up checks.
+const generateToken = (session) => {
+  return jwt.sign(
+    {
+      userId: session.user_id,
+      sid: session.id,
+      auth_time: Math.floor(Date.parse(session.authenticated_at) / 1000),
+      amr: session.auth_methods
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+};
+
+// Access token for a session, plus the refresh token that renews it
+const tokenResponse = (session, refreshToken) => ({
+  access_token: generateToken(session),
+  refresh_token: refreshToken,
+  token_type: 'Bearer',
+  expires_in: ACCESS_TOKEN_TTL_SECONDS
+});
+
+// Verify JWT token. Expiry gets its own code so clients know to refresh.
 export const verifyToken = (token) => {
   try {
     return jwt.verify(token, JWT_SECRET);
   } catch (error) {
-    throw new Error('Invalid token');
+    if (error.name === 'TokenExpiredError') {
+      throw new AppError('Access token expired', 'TOKEN_EXPIRED', 401);
+    }
+    throw new AppError('Invalid or expired token', 'INVALID_TOKEN', 403);
   }
 };
 
 export const signup = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, currency = DEFAULT_CURRENCY } = req.body;
     console.log('Signup request received for email:', email);
 
     // Check if user already exists
@@ -43,11 +99,7 @@ export const signup = async (req, res) => {
     }
 
     // Hash password
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
-
-    // Generate account number
-    const accountNumber = generateAccountNumber();
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
     // Create user in profiles table
     const { data: newUser, error: userError } = await supabase
@@ -57,9 +109,7 @@ export const signup = async (req, res) => {
           name: name,
           email: email,
           password_hash: passwordHash,
-          account_number: accountNumber,
-          balance:92453.00,
-          is_active: ACCOUNT_STATUS.INACTIVE
+          status: ACCOUNT_STATUS.PENDING
         }
       ])
       .select()
@@ -73,19 +123,67 @@ export const signup = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(newUser.id);
+    // Every customer starts with a primary checking account
+    const { data: account, error: accountError } = await supabase
+      .from('accounts')
+      .insert([
+        {
+          user_id: newUser.id,
+          account_number: generateAccountNumber(),
+          account_type: ACCOUNT_TYPES.CHECKING,
+          currency,
+          is_primary: true
+        }
+      ])
+      .select()
+      .single();
+
+    if (accountError) {
+      console.error('Account creation error:', accountError);
+      await supabase.from('profiles').delete().eq('id', newUser.id);
+      return res.status(400).json({ 
+        error: 'Failed to create user account',
+        code: 'USER_CREATION_FAILED'
+      });
+    }
+
+    // Opening balance is posted through the ledger like any other movement
+    const { data: opening, error: openingError } = await supabase.rpc('adjust_balance', {
+      p_account_id: account.id,
+      p_operation: 'add',
+      p_amount: OPENING_BALANCE,
+      p_description: 'Opening balance',
+      p_created_by: 'system',
+      p_ledger_account_code: 'OPENING_BALANCES'
+    });
+
+    if (openingError) {
+      console.error('Opening balance error:', openingError);
+      await supabase.from('profiles').delete().eq('id', newUser.id);
+      return res.status(400).json({ 
+        error: 'Failed to create user account',
+        code: 'USER_CREATION_FAILED'
+      });
+    }
+
+    account.balance = opening.new_balance;
+
+    const { session, refreshToken } = await createSession(newUser.id, req);
+    await sendVerificationEmail(newUser);
 
     res.status(201).json({
       message: SUCCESS_MESSAGES.SIGNUP_SUCCESS,
-      access_token: token,
+      ...tokenResponse(session, refreshToken),
       user: {
         id: newUser.id,
         name: newUser.name,
         email: newUser.email,
-        account_number: newUser.account_number,
-        balance: newUser.balance,
-        is_active: newUser.is_active
+        account_number: account.account_number,
+        balance: account.balance,
+        currency: account.currency,
+        is_active: newUser.is_active,
+        status: newUser.status,
+        email_verified: false
       }
     });
   } catch (error) {
@@ -97,53 +195,188 @@ export const signup = async (req, res) => {
   }
 };
 
+// Open a session for an authenticated user and send the tokens
+const completeLogin = async (req, res, profile, methods = ['pwd']) => {
+  const user = withPrimaryAccount(profile);
+  const { session, refreshToken, newDevice } = await createSession(user.id, req, { methods });
+
+  if (newDevice) {
+    await notifyUser(user.id, {
+      subject: 'New sign-in to your account',
+      message: `Your account was signed in to from a new device: ${session.device_label}, IP ${session.ip_address || 'unknown'}, at ${new Date(session.created_at).toUTCString()}. If this was not you, sign out of all devices and change your password now.`
+    });
+  }
+
+  res.json({
+    message: user.status === ACCOUNT_STATUS.PENDING
+      ? 'Login successful. Account pending activation.'
+      : SUCCESS_MESSAGES.LOGIN_SUCCESS,
+    ...tokenResponse(session, refreshToken),
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      account_number: user.account_number,
+      balance: user.balance,
+      currency: user.currency,
+      is_active: user.is_active,
+      status: user.status,
+      email_verified: Boolean(user.email_verified_at)
+    }
+  });
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Send the 423/429 reply for a locked account or blocked IP
+export const sendLoginBlocked = (res, blocked) => {
+  const { status, ...body } = blocked;
+  res.set('Retry-After', String(body.retry_after));
+  return res.status(status).json(body);
+};
+
+// Count a failed password or second-factor code against the account and IP,
+// and tell the owner if it locked their account
+export const countLoginFailure = async (req, email, user) => {
+  const { accountLocked } = await recordLoginFailure({ email, ip: req.ip });
+
+  if (accountLocked && user) {
+    await recordAuditEvent({
+      actorType: 'system',
+      action: 'login.locked',
+      targetType: 'user',
+      targetId: user.id,
+      req
+    });
+
+    await notifyUser(user.id, {
+      subject: 'Account temporarily locked',
+      message: `Your account was locked for a short time after several failed login attempts, the last from IP ${req.ip || 'unknown'}. If this was not you, reset your password once the lock ends.`
+    });
+  }
+};
+
+// Count a failed password and send the generic credentials error
+const failLogin = async (req, res, email, user) => {
+  await countLoginFailure(req, email, user);
+
+  return res.status(400).json({ 
+    error: 'Invalid email or password',
+    code: 'INVALID_CREDENTIALS'
+  });
+};
+
 export const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    const { blocked, delayMs } = await checkLoginAllowed({ email, ip: req.ip });
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
+    // Slow down guessing once an account or IP has a few failures
+    if (delayMs) {
+      await sleep(delayMs);
+    }
+
     // Find user by email
     const { data: user, error: userError } = await supabase
       .from('profiles')
-      .select('*')
+      .select('*, accounts (*)')
       .eq('email', email)
       .single();
 
     if (userError || !user) {
       console.log('User not found for email:', email);
-      return res.status(400).json({ 
-        error: 'Invalid email or password',
-        code: 'INVALID_CREDENTIALS'
-      });
+      return failLogin(req, res, email, null);
     }
 
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     if (!isPasswordValid) {
       console.log('Invalid password for email:', email);
+      return failLogin(req, res, email, user);
+    }
+
+    // With 2FA on, the password only earns a challenge for the second step.
+    // The failure counter is cleared once that step succeeds.
+    if (await isMfaEnabled(user.id)) {
+      const challenge = await createChallenge(user.id);
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfa_required: true,
+        ...challenge
+      });
+    }
+
+    console.log('Login successful for email:', email);
+    await recordLoginSuccess({ email });
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      error: 'Login failed. Please try again.',
+      code: 'LOGIN_FAILED'
+    });
+  }
+};
+
+// Second login step: exchange the challenge token and a TOTP or recovery
+// code for the session tokens. Wrong codes count toward the same lockout as
+// wrong passwords, so new challenges do not buy more guesses.
+export const loginTwoFactor = async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    const { userId } = readChallengeToken(challenge_token);
+
+    const { data: user, error } = await supabase
+      .from('profiles')
+      .select('*, accounts (*)')
+      .eq('id', userId)
+      .single();
+
+    if (error || !user) {
       return res.status(400).json({ 
         error: 'Invalid email or password',
         code: 'INVALID_CREDENTIALS'
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    const { blocked } = await checkLoginAllowed({ email: user.email, ip: req.ip });
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
 
-    console.log('Login successful for email:', email);
-    res.json({
-      message: user.is_active ? SUCCESS_MESSAGES.LOGIN_SUCCESS : 'Login successful. Account pending activation.',
-      access_token: token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        account_number: user.account_number,
-        balance: user.balance,
-        is_active: user.is_active
+    try {
+      await completeChallenge(challenge_token, { code, recoveryCode: recovery_code });
+    } catch (challengeError) {
+      if (challengeError.code === 'INVALID_MFA_CODE') {
+        await countLoginFailure(req, user.email, user);
       }
-    });
+      throw challengeError;
+    }
+
+    if (recovery_code) {
+      await recordAuditEvent({
+        actorType: 'user',
+        actorId: user.id,
+        action: 'mfa.recovery_code_used',
+        targetType: 'user',
+        targetId: user.id,
+        req
+      });
+    }
+
+    console.log('Two-factor login successful for email:', user.email);
+    await recordLoginSuccess({ email: user.email });
+    await completeLogin(req, res, user, ['pwd', recovery_code ? 'recovery' : 'otp']);
   } catch (error) {
-    console.error('Login error:', error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error);
+    }
+    console.error('Two-factor login error:', error);
     res.status(500).json({ 
       error: 'Login failed. Please try again.',
       code: 'LOGIN_FAILED'
@@ -153,19 +386,21 @@ export const login = async (req, res) => {
 
 export const getProfile = async (req, res) => {
   try {
-    const { data: user, error } = await supabase
+    const { data: profile, error } = await supabase
       .from('profiles')
-      .select('id, name, email, account_number, balance, is_active, created_at')
+      .select('id, name, email, status, is_active, email_verified_at, created_at, accounts (*)')
       .eq('id', req.user.id)
       .single();
 
-    if (error || !user) {
+    if (error || !profile) {
       return res.status(404).json({ 
         error: 'User not found',
         code: 'USER_NOT_FOUND'
       });
     }
 
+    const user = withPrimaryAccount(profile);
+
     res.json({
       user: {
         id: user.id,
@@ -173,7 +408,10 @@ export const getProfile = async (req, res) => {
         email: user.email,
         account_number: user.account_number,
         balance: user.balance,
+        currency: user.currency,
         is_active: user.is_active,
+        status: user.status,
+        email_verified: Boolean(user.email_verified_at),
         created_at: user.created_at
       }
     });
@@ -186,69 +424,516 @@ export const getProfile = async (req, res) => {
   }
 };
 
+// Trade a refresh token for a new access token and the next refresh token
 export const refreshToken = async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const { refresh_token } = req.body;
 
-    if (!token) {
-      return res.status(401).json({ 
-        error: 'Access token required',
-        code: 'MISSING_TOKEN'
+    if (!refresh_token) {
+      return res.status(400).json({ 
+        error: 'Refresh token required',
+        code: 'MISSING_REFRESH_TOKEN'
       });
     }
 
-    // Verify current token
-    const decoded = verifyToken(token);
-    
-    // Generate new token
-    const newToken = generateToken(decoded.userId);
+    const { session, refreshToken: nextRefreshToken } = await rotateRefreshToken(refresh_token);
+
+    res.json(tokenResponse(session, nextRefreshToken));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error);
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      error: 'Failed to refresh token',
+      code: 'REFRESH_FAILED'
+    });
+  }
+};
+
+// End the session the access token belongs to
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      error: 'Logout failed',
+      code: 'LOGOUT_FAILED'
+    });
+  }
+};
+
+// End every session of the user, on all devices
+export const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'logout_all');
 
     res.json({
-      access_token: newToken
+      message: 'Logged out of all devices',
+      sessions_revoked: revoked
     });
   } catch (error) {
-    console.error('Refresh token error:', error);
-    res.status(403).json({ 
-      error: 'Invalid or expired token',
-      code: 'INVALID_TOKEN'
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      error: 'Logout failed',
+      code: 'LOGOUT_FAILED'
+    });
+  }
+};
+
+// Open sessions of the user, marking the one making this request
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch sessions',
+      code: 'SESSIONS_FETCH_FAILED'
+    });
+  }
+};
+
+export const revokeSessionById = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, 'revoked_by_user', { userId: req.user.id });
+
+    if (!revoked) {
+      return res.status(404).json({ 
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke session',
+      code: 'SESSION_REVOKE_FAILED'
+    });
+  }
+};
+
+// Sign out every other device, keeping the current session
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'revoked_by_user', { exceptSessionId: req.sessionId });
+
+    res.json({
+      message: 'Other sessions revoked successfully',
+      sessions_revoked: revoked
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke sessions',
+      code: 'SESSION_REVOKE_FAILED'
     });
   }
 };
 
-// Admin function to activate user account
-export const activateAccount = async (req, res) => {
+// Re-authenticate inside the current session before a high-risk action.
+// Users with 2FA confirm with a code; everyone else with their password.
+// Failures count toward the login lockout.
+export const stepUp = async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { password, code, recovery_code } = req.body;
+    let methods;
+
+    const { blocked } = await checkLoginAllowed({ email: req.user.email, ip: req.ip });
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
+    if (await isMfaEnabled(req.user.id)) {
+      if (!code && !recovery_code) {
+        return res.status(400).json({ 
+          error: 'Enter a code from your authenticator app or a recovery code',
+          code: 'MFA_CODE_REQUIRED'
+        });
+      }
+
+      try {
+        await verifySecondFactor(req.user.id, { code, recoveryCode: recovery_code });
+      } catch (error) {
+        if (error.code === 'INVALID_MFA_CODE') {
+          await countLoginFailure(req, req.user.email, req.user);
+        }
+        throw error;
+      }
+      methods = [recovery_code ? 'recovery' : 'otp'];
+    } else {
+      if (!password) {
+        return res.status(400).json({ 
+          error: 'Password is required',
+          code: 'PASSWORD_REQUIRED'
+        });
+      }
+
+      const { data: user } = await supabase
+        .from('profiles')
+        .select('password_hash')
+        .eq('id', req.user.id)
+        .single();
+
+      if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+        await countLoginFailure(req, req.user.email, req.user);
+        return res.status(401).json({ 
+          error: 'Incorrect password',
+          code: 'INVALID_CREDENTIALS'
+        });
+      }
+      methods = ['pwd'];
+    }
+
+    const session = await markReauthenticated(req.sessionId, methods);
+
+    res.json({
+      message: 'Identity confirmed',
+      access_token: generateToken(session),
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error);
+    }
+    console.error('Step-up error:', error);
+    res.status(500).json({ 
+      error: 'Failed to confirm identity',
+      code: 'STEP_UP_FAILED'
+    });
+  }
+};
+
+// Change the sign-in email. Routed behind a step-up check.
+export const changeEmail = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const previousEmail = req.user.email;
+
+    if (email === previousEmail) {
+      return res.status(400).json({ 
+        error: 'This is already your email address',
+        code: 'EMAIL_UNCHANGED'
+      });
+    }
+
+    const { data: existingUser } = await supabase
+      .from('profiles')
+      .select('id')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (existingUser) {
+      return res.status(400).json({ 
+        error: 'Email already exists',
+        code: 'EMAIL_EXISTS'
+      });
+    }
 
     const { data: user, error } = await supabase
       .from('profiles')
-      .update({ is_active: true })
-      .eq('id', userId)
-      .select()
+      .update({ email, email_verified_at: null })
+      .eq('id', req.user.id)
+      .select('id, name, email')
       .single();
 
     if (error) {
-      return res.status(404).json({ 
-        error: 'User not found',
-        code: 'USER_NOT_FOUND'
+      console.error('Change email error:', error);
+      return res.status(400).json({ 
+        error: 'Failed to change email',
+        code: 'EMAIL_CHANGE_FAILED'
       });
     }
 
+    await recordAuditEvent({
+      actorType: 'user',
+      actorId: req.user.id,
+      action: 'email.changed',
+      targetType: 'user',
+      targetId: req.user.id,
+      details: { from: previousEmail, to: email },
+      req
+    });
+
+    const notice = `The email address on your account was changed from ${previousEmail} to ${email}. If you did not make this change, contact us immediately.`;
+
+    await notifyUser(req.user.id, { subject: 'Your email address was changed', message: notice });
+    await sendMail({ to: previousEmail, subject: 'Your email address was changed', text: notice });
+    await sendVerificationEmail(user);
+
     res.json({
-      message: 'Account activated successfully',
+      message: 'Email changed successfully. Check your inbox to verify the new address.',
+      user: { ...user, email_verified: false }
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ 
+      error: 'Failed to change email',
+      code: 'EMAIL_CHANGE_FAILED'
+    });
+  }
+};
+
+// Email a password reset link. The response is the same whether or not the
+// address has an account, so it cannot be used to discover customers.
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const { data: user } = await supabase
+      .from('profiles')
+      .select('id, name, email')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (user) {
+      const token = await issueAccountToken(user.id, TOKEN_PURPOSES.PASSWORD_RESET, {
+        ttlMs: PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+      });
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${APP_URL}/reset-password?token=${token}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once. If you did not ask for this, you can ignore this email.`
+      });
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start password reset',
+      code: 'PASSWORD_RESET_FAILED'
+    });
+  }
+};
+
+// Set a new password with a reset token and sign out every session
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // The request validator has no user to compare against, so the name and
+    // email rules are checked here, before the token is spent
+    const pending = await findAccountToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+    if (pending) {
+      const { data: owner } = await supabase
+        .from('profiles')
+        .select('name, email')
+        .eq('id', pending.user_id)
+        .single();
+
+      const violations = passwordViolations(password, owner || {});
+      if (violations.length) {
+        return sendValidationErrors(res, violations.map(({ message }) => ({ field: 'password', message, value: password })));
+      }
+    }
+
+    const resetToken = await consumeAccountToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+
+    const { data: user, error } = await supabase
+      .from('profiles')
+      .update({ password_hash: await bcrypt.hash(password, SALT_ROUNDS) })
+      .eq('id', resetToken.user_id)
+      .select('id, email')
+      .single();
+
+    if (error || !user) {
+      console.error('Reset password error:', error);
+      return res.status(400).json({ 
+        error: 'Failed to reset password',
+        code: 'PASSWORD_RESET_FAILED'
+      });
+    }
+
+    const revoked = await revokeAllSessions(user.id, 'password_reset');
+    await recordLoginSuccess({ email: user.email });
+
+    await recordAuditEvent({
+      actorType: 'user',
+      actorId: user.id,
+      action: 'password.reset',
+      targetType: 'user',
+      targetId: user.id,
+      details: { sessions_revoked: revoked },
+      req
+    });
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your password was reset',
+      text: 'Your password was just reset and all devices were signed out. If you did not do this, contact us immediately.'
+    });
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error);
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      error: 'Failed to reset password',
+      code: 'PASSWORD_RESET_FAILED'
+    });
+  }
+};
+
+// Change the password with the current one, keeping this session and
+// signing out all the others. A wrong current password counts toward the
+// login lockout.
+export const changePassword = async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    const { blocked } = await checkLoginAllowed({ email: req.user.email, ip: req.ip });
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
+    const { data: user } = await supabase
+      .from('profiles')
+      .select('id, email, password_hash')
+      .eq('id', req.user.id)
+      .single();
+
+    if (!user || !(await bcrypt.compare(current_password, user.password_hash))) {
+      await countLoginFailure(req, req.user.email, req.user);
+      return res.status(401).json({ 
+        error: 'Current password is incorrect',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    if (current_password === new_password) {
+      return res.status(400).json({ 
+        error: 'New password must be different from the current one',
+        code: 'PASSWORD_UNCHANGED'
+      });
+    }
+
+    const { error } = await supabase
+      .from('profiles')
+      .update({ password_hash: await bcrypt.hash(new_password, SALT_ROUNDS) })
+      .eq('id', user.id);
+
+    if (error) {
+      console.error('Change password error:', error);
+      return res.status(400).json({ 
+        error: 'Failed to change password',
+        code: 'PASSWORD_CHANGE_FAILED'
+      });
+    }
+
+    const revoked = await revokeAllSessions(user.id, 'password_changed', { exceptSessionId: req.sessionId });
+
+    await recordAuditEvent({
+      actorType: 'user',
+      actorId: user.id,
+      action: 'password.changed',
+      targetType: 'user',
+      targetId: user.id,
+      details: { sessions_revoked: revoked },
+      req
+    });
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: 'Your password was just changed and your other devices were signed out. If you did not do this, reset your password and contact us immediately.'
+    });
+
+    res.json({
+      message: 'Password changed successfully',
+      sessions_revoked: revoked
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ 
+      error: 'Failed to change password',
+      code: 'PASSWORD_CHANGE_FAILED'
+    });
+  }
+};
+
+// Confirm the address a verification link was sent to. A link for an
+// address the user has since changed away from is rejected.
+export const verifyEmail = async (req, res) => {
+  try {
+    const verification = await consumeAccountToken(req.body.token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+    const { data: user, error } = await supabase
+      .from('profiles')
+      .update({ email_verified_at: new Date().toISOString() })
+      .eq('id', verification.user_id)
+      .eq('email', verification.email)
+      .select('id, email, email_verified_at')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!user) {
+      return res.status(400).json({ 
+        error: 'This link is invalid or has expired',
+        code: 'INVALID_OR_EXPIRED_TOKEN'
+      });
+    }
+
+    res.json({
+      message: 'Email verified successfully',
       user: {
         id: user.id,
-        name: user.name,
         email: user.email,
-        is_active: user.is_active
+        email_verified: true
       }
     });
   } catch (error) {
-    console.error('Activate account error:', error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error);
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      error: 'Failed to verify email',
+      code: 'EMAIL_VERIFICATION_FAILED'
+    });
+  }
+};
+
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const { data: user } = await supabase
+      .from('profiles')
+      .select('id, name, email, email_verified_at')
+      .eq('id', req.user.id)
+      .single();
+
+    if (user.email_verified_at) {
+      return res.status(409).json({ 
+        error: 'Email is already verified',
+        code: 'EMAIL_ALREADY_VERIFIED'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
     res.status(500).json({ 
-      error: 'Failed to activate account',
-      code: 'ACTIVATION_FAILED'
+      error: 'Failed to send verification email',
+      code: 'EMAIL_VERIFICATION_FAILED'
     });
   }
 };
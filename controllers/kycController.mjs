@@ -0,0 +1,164 @@
+// controllers/kycController.mjs
+import supabase from '../config/supabase.mjs';
+import { AppError } from '../utils/errors.mjs';
+import { KYC_STATUS } from '../utils/constants.mjs';
+import {
+  addKycDocuments,
+  findLatestSubmission,
+  KYC_DETAIL_FIELDS,
+  KYC_EDITABLE_STATUSES,
+  listKycDocuments
+} from '../utils/kyc.mjs';
+
+const pickDetails = (body) => {
+  return Object.fromEntries(
+    KYC_DETAIL_FIELDS
+      .filter(field => body[field] !== undefined)
+      .map(field => [field, body[field] === '' ? null : body[field]])
+  );
+};
+
+// Review internals (reviewer, notes) are not shown to the customer
+const customerView = (submission) => {
+  const { reviewed_by, ...visible } = submission;
+  return visible;
+};
+
+export const getKycStatus = async (req, res) => {
+  try {
+    const submission = await findLatestSubmission(req.user.id);
+
+    if (!submission) {
+      return res.json({ submission: null, documents: [] });
+    }
+
+    res.json({
+      submission: customerView(submission),
+      documents: await listKycDocuments(submission.id)
+    });
+  } catch (error) {
+    console.error('Get KYC status error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch verification status',
+      code: 'KYC_FETCH_FAILED'
+    });
+  }
+};
+
+// Submit identity details and documents for review
+export const submitKyc = async (req, res) => {
+  try {
+    const latest = await findLatestSubmission(req.user.id);
+
+    if (latest && latest.status !== KYC_STATUS.REJECTED) {
+      return res.status(409).json({ 
+        error: latest.status === KYC_STATUS.APPROVED
+          ? 'Your identity is already verified'
+          : 'You already have a verification in progress',
+        code: 'KYC_ALREADY_SUBMITTED'
+      });
+    }
+
+    const { data: submission, error } = await supabase
+      .from('kyc_submissions')
+      .insert([{ user_id: req.user.id, ...pickDetails(req.body) }])
+      .select()
+      .single();
+
+    if (error) {
+      // Unique open-submission index: a parallel request got there first
+      if (error.code === '23505') {
+        return res.status(409).json({ 
+          error: 'You already have a verification in progress',
+          code: 'KYC_ALREADY_SUBMITTED'
+        });
+      }
+      throw error;
+    }
+
+    let documents;
+    try {
+      documents = await addKycDocuments(submission, req.body.documents);
+    } catch (documentError) {
+      await supabase.from('kyc_submissions').delete().eq('id', submission.id);
+      throw documentError;
+    }
+
+    res.status(201).json({
+      message: 'Verification submitted. We will let you know once it has been reviewed.',
+      submission: customerView(submission),
+      documents
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error);
+    }
+    console.error('Submit KYC error:', error);
+    res.status(500).json({ 
+      error: 'Failed to submit verification',
+      code: 'KYC_SUBMIT_FAILED'
+    });
+  }
+};
+
+// Correct details or add documents before review, or answer a request for
+// more information, which puts the submission back in the review queue
+export const updateKyc = async (req, res) => {
+  try {
+    const submission = await findLatestSubmission(req.user.id);
+
+    if (!submission) {
+      return res.status(404).json({ 
+        error: 'No verification has been submitted',
+        code: 'KYC_NOT_FOUND'
+      });
+    }
+
+    if (!KYC_EDITABLE_STATUSES.includes(submission.status)) {
+      return res.status(409).json({ 
+        error: `Verification is ${submission.status.replace(/_/g, ' ')} and can no longer be changed`,
+        code: 'KYC_LOCKED'
+      });
+    }
+
+    const documents = req.body.documents?.length
+      ? await addKycDocuments(submission, req.body.documents)
+      : [];
+
+    const { data: updated, error } = await supabase
+      .from('kyc_submissions')
+      .update({
+        ...pickDetails(req.body),
+        status: KYC_STATUS.SUBMITTED,
+        submitted_at: new Date().toISOString()
+      })
+      .eq('id', submission.id)
+      .in('status', KYC_EDITABLE_STATUSES)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!updated) {
+      return res.status(409).json({ 
+        error: 'Verification is being reviewed and can no longer be changed',
+        code: 'KYC_LOCKED'
+      });
+    }
+
+    res.json({
+      message: 'Verification updated',
+      submission: customerView(updated),
+      documents_added: documents
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error);
+    }
+    console.error('Update KYC error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update verification',
+      code: 'KYC_UPDATE_FAILED'
+    });
+  }
+};
@@ -0,0 +1,112 @@
+// controllers/mfaController.mjs
+import { AppError } from '../utils/errors.mjs';
+import { enableMfa, isMfaEnabled, removeMfa, startEnrollment, verifySecondFactor } from '../utils/mfa.mjs';
+import { recordAuditEvent } from '../utils/audit.mjs';
+import { checkLoginAllowed } from '../utils/loginProtection.mjs';
+import { countLoginFailure, sendLoginBlocked } from './authController.mjs';
+
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    res.json({ enabled: await isMfaEnabled(req.user.id) });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch two-factor status',
+      code: 'MFA_STATUS_FAILED'
+    });
+  }
+};
+
+// Step 1: a new secret and the otpauth:// URI to show as a QR code
+export const enrollTwoFactor = async (req, res) => {
+  try {
+    const enrollment = await startEnrollment(req.user);
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code from it',
+      ...enrollment
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error);
+    }
+    console.error('2FA enrollment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start two-factor enrollment',
+      code: 'MFA_ENROLL_FAILED'
+    });
+  }
+};
+
+// Step 2: confirm a code to switch 2FA on and receive recovery codes
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const recoveryCodes = await enableMfa(req.user.id, req.body.code);
+
+    await recordAuditEvent({
+      actorType: 'user',
+      actorId: req.user.id,
+      action: 'mfa.enabled',
+      targetType: 'user',
+      targetId: req.user.id,
+      req
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error);
+    }
+    console.error('2FA enable error:', error);
+    res.status(500).json({ 
+      error: 'Failed to enable two-factor authentication',
+      code: 'MFA_ENABLE_FAILED'
+    });
+  }
+};
+
+// Routed behind a step-up check. Wrong codes count toward the login lockout.
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { code, recovery_code } = req.body;
+
+    const { blocked } = await checkLoginAllowed({ email: req.user.email, ip: req.ip });
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
+    try {
+      await verifySecondFactor(req.user.id, { code, recoveryCode: recovery_code });
+    } catch (error) {
+      if (error.code === 'INVALID_MFA_CODE') {
+        await countLoginFailure(req, req.user.email, req.user);
+      }
+      throw error;
+    }
+
+    await removeMfa(req.user.id);
+
+    await recordAuditEvent({
+      actorType: 'user',
+      actorId: req.user.id,
+      action: 'mfa.disabled',
+      targetType: 'user',
+      targetId: req.user.id,
+      req
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error);
+    }
+    console.error('2FA disable error:', error);
+    res.status(500).json({ 
+      error: 'Failed to disable two-factor authentication',
+      code: 'MFA_DISABLE_FAILED'
+    });
+  }
+};
@@ -0,0 +1,185 @@
+// controllers/payeeController.mjs
+import supabase from '../config/supabase.mjs';
+import { ERROR_CODES } from '../utils/constants.mjs';
+import { maskName } from '../utils/helpers.mjs';
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+const PAYEE_FIELDS = `
+  id,
+  nickname,
+  account_number,
+  created_at,
+  updated_at,
+  holder:profiles!payees_payee_profile_id_fkey (
+    name,
+    is_active
+  ),
+  account:accounts!payees_payee_account_id_fkey (
+    currency
+  )
+`;
+
+// Only the masked holder name leaves the API
+const formatPayee = (payee) => ({
+  id: payee.id,
+  nickname: payee.nickname,
+  account_number: payee.account_number,
+  holder_name: maskName(payee.holder?.name),
+  currency: payee.account?.currency,
+  is_active: payee.holder?.is_active ?? false,
+  created_at: payee.created_at,
+  updated_at: payee.updated_at
+});
+
+export const getPayees = async (req, res) => {
+  try {
+    const { data: payees, error } = await supabase
+      .from('payees')
+      .select(PAYEE_FIELDS)
+      .eq('user_id', req.user.id)
+      .order('nickname', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Failed to fetch payees',
+        code: 'PAYEES_FETCH_FAILED'
+      });
+    }
+
+    res.json({ payees: (payees || []).map(formatPayee) });
+  } catch (error) {
+    console.error('Get payees error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch payees',
+      code: 'PAYEES_FETCH_FAILED'
+    });
+  }
+};
+
+// Save a recipient after confirming the account exists. The response carries
+// the holder's masked name so the customer can check it is the right person.
+export const addPayee = async (req, res) => {
+  try {
+    const { account_number, nickname } = req.body;
+
+    const { data: account } = await supabase
+      .from('accounts')
+      .select('id, user_id, holder:profiles (name)')
+      .eq('account_number', account_number)
+      .single();
+
+    if (!account) {
+      return res.status(404).json({
+        error: 'Recipient account not found',
+        code: ERROR_CODES.ACCOUNT_NOT_FOUND
+      });
+    }
+
+    if (account.user_id === req.user.id) {
+      return res.status(400).json({
+        error: 'You cannot add your own account as a payee',
+        code: 'SELF_PAYEE'
+      });
+    }
+
+    const { data: payee, error } = await supabase
+      .from('payees')
+      .insert([
+        {
+          user_id: req.user.id,
+          payee_profile_id: account.user_id,
+          payee_account_id: account.id,
+          account_number,
+          nickname: nickname?.trim() || maskName(account.holder?.name)
+        }
+      ])
+      .select(PAYEE_FIELDS)
+      .single();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          error: 'This account is already a saved payee',
+          code: 'PAYEE_EXISTS'
+        });
+      }
+
+      console.error('Add payee error:', error);
+      return res.status(400).json({
+        error: 'Failed to add payee',
+        code: 'PAYEE_CREATE_FAILED'
+      });
+    }
+
+    res.status(201).json({
+      message: 'Payee added successfully',
+      payee: formatPayee(payee)
+    });
+  } catch (error) {
+    console.error('Add payee error:', error);
+    res.status(500).json({
+      error: 'Failed to add payee',
+      code: 'PAYEE_CREATE_FAILED'
+    });
+  }
+};
+
+export const renamePayee = async (req, res) => {
+  try {
+    const { data: payee, error } = await supabase
+      .from('payees')
+      .update({ nickname: req.body.nickname.trim() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select(PAYEE_FIELDS)
+      .single();
+
+    if (error || !payee) {
+      return res.status(404).json({
+        error: 'Payee not found',
+        code: 'PAYEE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Payee renamed successfully',
+      payee: formatPayee(payee)
+    });
+  } catch (error) {
+    console.error('Rename payee error:', error);
+    res.status(500).json({
+      error: 'Failed to rename payee',
+      code: 'PAYEE_UPDATE_FAILED'
+    });
+  }
+};
+
+export const removePayee = async (req, res) => {
+  try {
+    const { data: removed, error } = await supabase
+      .from('payees')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+
+    if (!removed.length) {
+      return res.status(404).json({
+        error: 'Payee not found',
+        code: 'PAYEE_NOT_FOUND'
+      });
+    }
+
+    res.json({ message: 'Payee removed successfully' });
+  } catch (error) {
+    console.error('Remove payee error:', error);
+    res.status(500).json({
+      error: 'Failed to remove payee',
+      code: 'PAYEE_DELETE_FAILED'
+    });
+  }
+};
@@ -0,0 +1,346 @@
+// controllers/scheduledTransferController.mjs
+import supabase from '../config/supabase.mjs';
+import { ERROR_CODES, SCHEDULE_FREQUENCIES, SCHEDULE_STATUS } from '../utils/constants.mjs';
+import { toPositiveMinorUnits, toDecimalString } from '../utils/money.mjs';
+import { firstRunDate, rollForward, toDateString } from '../utils/scheduledTransfers.mjs';
+import { resolveRecipient } from '../utils/payees.mjs';
+import { findAccount } from '../utils/accounts.mjs';
+
+const RECENT_RUNS = 20;
+
+const findSchedule = async (id, userId) => {
+  const { data, error } = await supabase
+    .from('scheduled_transfers')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single();
+
+  return error ? null : data;
+};
+
+const scheduleNotFound = (res) => {
+  return res.status(404).json({
+    error: 'Scheduled transfer not found',
+    code: 'SCHEDULE_NOT_FOUND'
+  });
+};
+
+const isClosed = (schedule) => {
+  return schedule.status === SCHEDULE_STATUS.COMPLETED || schedule.status === SCHEDULE_STATUS.CANCELLED;
+};
+
+export const getScheduledTransfers = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = supabase
+      .from('scheduled_transfers')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (status && status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data: schedules, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Failed to fetch scheduled transfers',
+        code: 'SCHEDULE_FETCH_FAILED'
+      });
+    }
+
+    res.json({ scheduled_transfers: schedules || [] });
+  } catch (error) {
+    console.error('Get scheduled transfers error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scheduled transfers',
+      code: 'SCHEDULE_FETCH_FAILED'
+    });
+  }
+};
+
+export const getScheduledTransferById = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req.params.id, req.user.id);
+    if (!schedule) return scheduleNotFound(res);
+
+    const { data: runs, error } = await supabase
+      .from('scheduled_transfer_runs')
+      .select('*')
+      .eq('scheduled_transfer_id', schedule.id)
+      .order('ran_at', { ascending: false })
+      .limit(RECENT_RUNS);
+
+    if (error) throw error;
+
+    res.json({
+      scheduled_transfer: schedule,
+      runs: runs || []
+    });
+  } catch (error) {
+    console.error('Get scheduled transfer error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scheduled transfer',
+      code: 'SCHEDULE_FETCH_FAILED'
+    });
+  }
+};
+
+export const createScheduledTransfer = async (req, res) => {
+  try {
+    const {
+      amount,
+      description,
+      frequency,
+      start_date,
+      day_of_month,
+      end_date,
+      from_account_id
+    } = req.body;
+
+    const amountCents = toPositiveMinorUnits(amount);
+    const today = toDateString(new Date());
+
+    let toAccountNumber;
+    try {
+      ({ toAccountNumber } = await resolveRecipient(req.user.id, req.body));
+    } catch (payeeError) {
+      return res.status(payeeError.statusCode).json(payeeError);
+    }
+
+    if (start_date < today) {
+      return res.status(400).json({
+        error: 'Start date cannot be in the past',
+        code: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    // Paid from the primary account unless from_account_id says otherwise
+    const fromAccount = await findAccount(req.user.id, from_account_id);
+    if (!fromAccount) {
+      return res.status(404).json({
+        error: 'Source account not found',
+        code: 'SOURCE_ACCOUNT_NOT_FOUND'
+      });
+    }
+
+    const { data: recipient } = await supabase
+      .from('accounts')
+      .select('user_id')
+      .eq('account_number', toAccountNumber)
+      .single();
+
+    if (!recipient) {
+      return res.status(404).json({
+        error: 'Recipient account not found',
+        code: ERROR_CODES.ACCOUNT_NOT_FOUND
+      });
+    }
+
+    if (recipient.user_id === req.user.id) {
+      return res.status(400).json({
+        error: 'Cannot schedule a transfer to your own account',
+        code: 'SELF_TRANSFER'
+      });
+    }
+
+    const recurring = frequency !== SCHEDULE_FREQUENCIES.ONCE;
+    const dayOfMonth = frequency === SCHEDULE_FREQUENCIES.MONTHLY
+      ? Number(day_of_month || start_date.slice(8, 10))
+      : null;
+    const nextRun = firstRunDate({ startDate: start_date, frequency, dayOfMonth });
+
+    if (recurring && end_date && end_date < nextRun) {
+      return res.status(400).json({
+        error: 'End date must be on or after the first run date',
+        code: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    const { data: schedule, error } = await supabase
+      .from('scheduled_transfers')
+      .insert([
+        {
+          user_id: req.user.id,
+          from_account_id: fromAccount.id,
+          to_account_number: toAccountNumber,
+          amount: toDecimalString(amountCents),
+          description: description || null,
+          frequency,
+          day_of_month: dayOfMonth,
+          start_date,
+          end_date: recurring ? end_date || null : null,
+          next_run_date: nextRun
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Create scheduled transfer error:', error);
+      return res.status(400).json({
+        error: 'Failed to create scheduled transfer',
+        code: 'SCHEDULE_CREATE_FAILED'
+      });
+    }
+
+    res.status(201).json({
+      message: 'Scheduled transfer created successfully',
+      scheduled_transfer: schedule
+    });
+  } catch (error) {
+    console.error('Create scheduled transfer error:', error);
+    res.status(500).json({
+      error: 'Failed to create scheduled transfer',
+      code: 'SCHEDULE_CREATE_FAILED'
+    });
+  }
+};
+
+// Change the amount, description, day of month or end date, or pause and
+// resume the schedule. Resuming skips the runs that fell due while paused.
+export const updateScheduledTransfer = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req.params.id, req.user.id);
+    if (!schedule) return scheduleNotFound(res);
+
+    if (isClosed(schedule)) {
+      return res.status(409).json({
+        error: `Scheduled transfer is already ${schedule.status}`,
+        code: 'SCHEDULE_CLOSED'
+      });
+    }
+
+    const { amount, description, day_of_month, end_date, status } = req.body;
+    const updates = {};
+    const today = toDateString(new Date());
+
+    if (amount !== undefined) {
+      updates.amount = toDecimalString(toPositiveMinorUnits(amount));
+    }
+
+    if (description !== undefined) {
+      updates.description = description || null;
+    }
+
+    if (day_of_month !== undefined) {
+      if (schedule.frequency !== SCHEDULE_FREQUENCIES.MONTHLY) {
+        return res.status(400).json({
+          error: 'Day of month only applies to monthly transfers',
+          code: ERROR_CODES.VALIDATION_ERROR
+        });
+      }
+
+      // Stay within the month of the next unpaid run so no month is paid twice
+      const monthStart = `${schedule.next_run_date.slice(0, 7)}-01`;
+      const from = [today, monthStart, schedule.start_date].sort().pop();
+
+      updates.day_of_month = Number(day_of_month);
+      updates.next_run_date = firstRunDate({
+        startDate: from,
+        frequency: schedule.frequency,
+        dayOfMonth: updates.day_of_month
+      });
+      updates.attempts = 0;
+      updates.retry_at = null;
+    }
+
+    if (end_date !== undefined) {
+      if (schedule.frequency === SCHEDULE_FREQUENCIES.ONCE) {
+        return res.status(400).json({
+          error: 'End date only applies to recurring transfers',
+          code: ERROR_CODES.VALIDATION_ERROR
+        });
+      }
+      updates.end_date = end_date || null;
+    }
+
+    if (status !== undefined && status !== schedule.status) {
+      updates.status = status;
+
+      if (status === SCHEDULE_STATUS.ACTIVE) {
+        updates.next_run_date = rollForward({ ...schedule, ...updates }, today);
+        updates.attempts = 0;
+        updates.retry_at = null;
+      }
+    }
+
+    const merged = { ...schedule, ...updates };
+
+    if (merged.end_date && merged.next_run_date && merged.next_run_date > merged.end_date) {
+      return res.status(400).json({
+        error: 'End date must be on or after the next run date',
+        code: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    if (!merged.next_run_date) {
+      updates.status = SCHEDULE_STATUS.COMPLETED;
+    }
+
+    const { data: updated, error } = await supabase
+      .from('scheduled_transfers')
+      .update(updates)
+      .eq('id', schedule.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Update scheduled transfer error:', error);
+      return res.status(400).json({
+        error: 'Failed to update scheduled transfer',
+        code: 'SCHEDULE_UPDATE_FAILED'
+      });
+    }
+
+    res.json({
+      message: 'Scheduled transfer updated successfully',
+      scheduled_transfer: updated
+    });
+  } catch (error) {
+    console.error('Update scheduled transfer error:', error);
+    res.status(500).json({
+      error: 'Failed to update scheduled transfer',
+      code: 'SCHEDULE_UPDATE_FAILED'
+    });
+  }
+};
+
+// Cancel rather than delete, so the run history stays visible
+export const cancelScheduledTransfer = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req.params.id, req.user.id);
+    if (!schedule) return scheduleNotFound(res);
+
+    if (isClosed(schedule)) {
+      return res.status(409).json({
+        error: `Scheduled transfer is already ${schedule.status}`,
+        code: 'SCHEDULE_CLOSED'
+      });
+    }
+
+    const { data: cancelled, error } = await supabase
+      .from('scheduled_transfers')
+      .update({ status: SCHEDULE_STATUS.CANCELLED, retry_at: null })
+      .eq('id', schedule.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({
+      message: 'Scheduled transfer cancelled successfully',
+      scheduled_transfer: cancelled
+    });
+  } catch (error) {
+    console.error('Cancel scheduled transfer error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel scheduled transfer',
+      code: 'SCHEDULE_CANCEL_FAILED'
+    });
+  }
+};
@@ -1,11 +1,23 @@
 // controllers/transactionController.mjs
 import supabase from '../config/supabase.mjs';
-import { calculateNewBalance, generateReference } from '../utils/helpers.mjs';
-import { ERROR_CODES, SUCCESS_MESSAGES } from '../utils/constants.mjs';
+import { generateReference } from '../utils/helpers.mjs';
+import { ERROR_CODES, SUCCESS_MESSAGES, TRANSACTION_STATUS } from '../utils/constants.mjs';
+import { fromRpcError } from '../utils/errors.mjs';
+import { accountStatusBlock } from '../utils/accountStatus.mjs';
+import { findAccount } from '../utils/accounts.mjs';
+import { feeTotal, quoteFees } from '../utils/fees.mjs';
+import {
+  toMinorUnits,
+  toPositiveMinorUnits,
+  fromMinorUnits,
+  toDecimalString,
+  sumMinorUnits
+} from '../utils/money.mjs';
+import { APPROVAL_THRESHOLD, APPROVAL_TRANSACTION_TYPES } from '../config/approvals.mjs';
 
 export const getTransactions = async (req, res) => {
   try {
-    const { page = 1, limit = 10, type, status, transaction_type } = req.query;
+    const { page = 1, limit = 10, type, status, transaction_type, account_id } = req.query;
     const offset = (page - 1) * limit;
 
     let query = supabase
@@ -16,6 +28,10 @@ export const getTransactions = async (req, res) => {
       .range(offset, offset + limit - 1);
 
     // Apply filters
+    if (account_id) {
+      query = query.eq('account_id', account_id);
+    }
+
     if (type && type !== 'all') {
       query = query.eq('type', type);
     }
@@ -57,15 +73,7 @@ export const getTransactions = async (req, res) => {
 
 export const createTransaction = async (req, res) => {
   try {
-    const { type, amount, description, to_account_number, transaction_type = 'transfer' } = req.body;
-
-    // Check if account is active
-    if (!req.user.is_active) {
-      return res.status(403).json({ 
-        error: 'Account is not active. Please wait for activation to perform transactions.',
-        code: 'ACCOUNT_INACTIVE'
-      });
-    }
+    const { type, amount, description, to_account_number, account_id, transaction_type = 'transfer' } = req.body;
 
     // Validate transaction type
     if (!['credit', 'debit'].includes(type)) {
@@ -75,15 +83,23 @@ export const createTransaction = async (req, res) => {
       });
     }
 
-    if (amount <= 0) {
-      return res.status(400).json({ 
-        error: 'Amount must be positive',
-        code: 'INVALID_AMOUNT'
-      });
+    // Frozen, dormant and closed accounts cannot transact; debit-blocked ones
+    // can still deposit. apply_transaction checks again under the lock.
+    const blocked = accountStatusBlock(req.user.status, type);
+    if (blocked) {
+      return res.status(blocked.statusCode).json(blocked);
+    }
+
+    let amountCents;
+    try {
+      amountCents = toPositiveMinorUnits(amount);
+    } catch (amountError) {
+      return res.status(amountError.statusCode).json(amountError);
     }
 
     // Validate transaction_type
-    const validTransactionTypes = ['transfer', 'withdrawal', 'deposit', 'payment', 'refund'];
+    // Refunds are issued by staff against the original transaction
+    const validTransactionTypes = ['transfer', 'withdrawal', 'deposit', 'payment'];
     if (!validTransactionTypes.includes(transaction_type)) {
       return res.status(400).json({ 
         error: 'Invalid transaction type',
@@ -91,78 +107,47 @@ export const createTransaction = async (req, res) => {
       });
     }
 
-    // Get user's current balance
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('balance')
-      .eq('id', req.user.id)
-      .single();
-
-    if (profileError) {
-      return res.status(400).json({ 
-        error: 'Failed to fetch account balance',
-        code: ERROR_CODES.ACCOUNT_NOT_FOUND
-      });
-    }
-
-    // Check for sufficient funds for debit transactions
-    if (type === 'debit' && profile.balance < amount) {
-      return res.status(400).json({ 
-        error: 'Insufficient funds',
-        code: ERROR_CODES.INSUFFICIENT_FUNDS
-      });
+    // Without an account_id the primary account is used
+    const account = await findAccount(req.user.id, account_id);
+    if (!account) {
+      const accountError = fromRpcError({ message: 'SOURCE_ACCOUNT_NOT_FOUND' });
+      return res.status(accountError.statusCode).json(accountError);
     }
 
-    // Generate unique reference
-    const reference = generateReference(transaction_type);
-
-    // Create transaction
-    const { data: transaction, error: transactionError } = await supabase
-      .from('transactions')
-      .insert([
-        {
-          user_id: req.user.id,
-          type,
-          amount,
-          description,
-          to_account_number,
-          transaction_type,
-          reference,
-          status: 'completed'
-        }
-      ])
-      .select()
-      .single();
+    // Limit and funds checks, the transactions row and its ledger postings
+    // are written in one locked database transaction (apply_transaction in
+    // schema.sql)
+    const { data: result, error } = await supabase.rpc('apply_transaction', {
+      p_user_id: req.user.id,
+      p_account_id: account.id,
+      p_type: type,
+      p_amount: toDecimalString(amountCents),
+      p_transaction_type: transaction_type,
+      p_description: description || null,
+      p_to_account_number: to_account_number || null,
+      p_reference: generateReference(transaction_type),
+      p_approval_threshold: APPROVAL_TRANSACTION_TYPES.includes(transaction_type) ? APPROVAL_THRESHOLD : null
+    });
 
-    if (transactionError) {
-      return res.status(400).json({ 
-        error: transactionError.message,
-        code: ERROR_CODES.TRANSACTION_FAILED
-      });
+    if (error) {
+      const transactionError = fromRpcError(error);
+      if (transactionError.code === ERROR_CODES.TRANSACTION_FAILED) {
+        console.error('Create transaction RPC error:', error);
+      }
+      return res.status(transactionError.statusCode).json(transactionError);
     }
 
-    // Update user balance
-    const newBalance = calculateNewBalance(profile.balance, amount, type);
-    const { error: updateError } = await supabase
-      .from('profiles')
-      .update({ balance: newBalance })
-      .eq('id', req.user.id);
+    const pending = result.transaction.status === TRANSACTION_STATUS.PENDING;
 
-    if (updateError) {
-      // Rollback transaction if balance update fails
-      await supabase.from('transactions').delete().eq('id', transaction.id);
-      return res.status(400).json({ 
-        error: 'Transaction failed',
-        code: ERROR_CODES.TRANSACTION_FAILED
-      });
-    }
-
-    res.status(201).json({
-      message: SUCCESS_MESSAGES.TRANSACTION_SUCCESS,
+    res.status(pending ? 202 : 201).json({
+      message: pending ? SUCCESS_MESSAGES.TRANSACTION_PENDING : SUCCESS_MESSAGES.TRANSACTION_SUCCESS,
       transaction: {
-        ...transaction,
-        new_balance: newBalance
-      }
+        ...result.transaction,
+        new_balance: result.new_balance,
+        available_balance: result.available_balance
+      },
+      fees: result.fees,
+      total_fees: feeTotal(result.fees)
     });
   } catch (error) {
     console.error('Create transaction error:', error);
@@ -173,6 +158,30 @@ export const createTransaction = async (req, res) => {
   }
 };
 
+// The fees a withdrawal, transfer or payment would be charged, so the customer
+// can see them before confirming. Nothing is held or charged.
+export const quoteTransaction = async (req, res) => {
+  try {
+    const { amount, account_id, transaction_type } = req.body;
+
+    const account = await findAccount(req.user.id, account_id);
+    if (!account) {
+      const accountError = fromRpcError({ message: 'SOURCE_ACCOUNT_NOT_FOUND' });
+      return res.status(accountError.statusCode).json(accountError);
+    }
+
+    const quote = await quoteFees(account, transaction_type, toPositiveMinorUnits(amount));
+
+    res.json({ quote });
+  } catch (error) {
+    console.error('Quote transaction error:', error);
+    res.status(500).json({
+      error: 'Failed to quote fees',
+      code: 'FEE_QUOTE_FAILED'
+    });
+  }
+};
+
 // New endpoint for specific transaction types
 export const createWithdrawal = async (req, res) => {
   try {
@@ -207,6 +216,7 @@ export const createTransfer = async (req, res) => {
     // Use the main createTransaction logic but with transfer type
     req.body.type = 'debit';
     req.body.transaction_type = 'transfer';
+    req.body.account_id = req.body.from_account_id;
     req.body.description = description || `Transfer to ${to_account_number}`;
     
     return createTransaction(req, res);
@@ -256,7 +266,41 @@ export const getTransactionById = async (req, res) => {
       });
     }
 
-    res.json({ transaction });
+    // Reversal chain: what this row offsets, and the refunds issued against it
+    let originalTransaction = null;
+    if (transaction.original_transaction_id) {
+      const { data } = await supabase
+        .from('transactions')
+        .select('*')
+        .eq('id', transaction.original_transaction_id)
+        .eq('user_id', req.user.id)
+        .single();
+      originalTransaction = data || null;
+    }
+
+    const { data: refunds, error: refundsError } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('original_transaction_id', transaction.id)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: true });
+
+    if (refundsError) throw refundsError;
+
+    const refundable = transaction.status === TRANSACTION_STATUS.COMPLETED
+      && !transaction.original_transaction_id
+      && !['adjustment', 'fee', 'interest', 'opening_balance'].includes(transaction.transaction_type);
+
+    res.json({
+      transaction: {
+        ...transaction,
+        refundable_amount: refundable
+          ? fromMinorUnits(toMinorUnits(transaction.amount) - toMinorUnits(transaction.refunded_amount ?? 0))
+          : 0
+      },
+      original_transaction: originalTransaction,
+      refunds: refunds || []
+    });
   } catch (error) {
     console.error('Get transaction error:', error);
     res.status(500).json({ 
@@ -268,12 +312,18 @@ export const getTransactionById = async (req, res) => {
 
 export const getTransactionStats = async (req, res) => {
   try {
-    const { data: stats, error } = await supabase
+    let query = supabase
       .from('transactions')
       .select('type, amount, transaction_type')
       .eq('user_id', req.user.id)
       .eq('status', 'completed');
 
+    if (req.query.account_id) {
+      query = query.eq('account_id', req.query.account_id);
+    }
+
+    const { data: stats, error } = await query;
+
     if (error) {
       return res.status(400).json({ 
         error: 'Failed to fetch transaction stats',
@@ -281,13 +331,14 @@ export const getTransactionStats = async (req, res) => {
       });
     }
 
-    const totalCredits = stats
+    // Sums are kept in cents; amounts may come back as strings
+    const totalCredits = sumMinorUnits(stats
       .filter(t => t.type === 'credit')
-      .reduce((sum, t) => sum + t.amount, 0);
+      .map(t => t.amount));
 
-    const totalDebits = stats
+    const totalDebits = sumMinorUnits(stats
       .filter(t => t.type === 'debit')
-      .reduce((sum, t) => sum + t.amount, 0);
+      .map(t => t.amount));
 
     // Breakdown by transaction type
     const typeBreakdown = stats.reduce((acc, transaction) => {
@@ -296,15 +347,19 @@ export const getTransactionStats = async (req, res) => {
         acc[type] = { count: 0, amount: 0 };
       }
       acc[type].count += 1;
-      acc[type].amount += transaction.amount;
+      acc[type].amount += toMinorUnits(transaction.amount);
       return acc;
     }, {});
 
+    for (const breakdown of Object.values(typeBreakdown)) {
+      breakdown.amount = fromMinorUnits(breakdown.amount);
+    }
+
     res.json({
       total_transactions: stats.length,
-      total_credits: totalCredits,
-      total_debits: totalDebits,
-      net_flow: totalCredits - totalDebits,
+      total_credits: fromMinorUnits(totalCredits),
+      total_debits: fromMinorUnits(totalDebits),
+      net_flow: fromMinorUnits(totalCredits - totalDebits),
       type_breakdown: typeBreakdown
     });
   } catch (error) {
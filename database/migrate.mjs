@@ -29,12 +29,9 @@ async function runMigrations() {
     const sql = readFileSync(schemaPath, 'utf8');
 
     // Split SQL by statements and filter out empty statements
-    const statements = sql
-      .split(';')
-      .map(statement => statement.trim())
+    const statements = splitStatements(sql)
       .filter(statement => 
         statement && 
-        !statement.startsWith('--') && 
         !statement.startsWith('/*') &&
         statement.length > 10
       );
@@ -88,6 +85,55 @@ async function runMigrations() {
   }
 }
 
+// Split a SQL script on top-level semicolons. Semicolons inside quoted
+// strings and dollar-quoted function bodies ($$ ... $$) are kept, and
+// line comments are dropped.
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const rest = sql.slice(i);
+
+    if (rest.startsWith('--')) {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+      continue;
+    }
+
+    const dollarTag = rest.match(/^\$[A-Za-z_]*\$/);
+    if (dollarTag) {
+      const close = sql.indexOf(dollarTag[0], i + dollarTag[0].length);
+      const end = close === -1 ? sql.length : close + dollarTag[0].length;
+      current += sql.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    if (sql[i] === "'") {
+      let end = i + 1;
+      while (end < sql.length && !(sql[end] === "'" && sql[end + 1] !== "'")) {
+        end += sql[end] === "'" ? 2 : 1;
+      }
+      current += sql.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    if (sql[i] === ';') {
+      statements.push(current.trim());
+      current = '';
+    } else {
+      current += sql[i];
+    }
+    i++;
+  }
+
+  statements.push(current.trim());
+  return statements;
+}
+
 // Create the exec_sql function if it doesn't exist
 async function createExecSqlFunction() {
   const createFunctionSQL = `
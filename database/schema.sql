@@ -6,9 +6,54 @@ CREATE TABLE profiles (
     id UUID REFERENCES auth.users(id) ON DELETE CASCADE PRIMARY KEY,
     name TEXT NOT NULL,
     email TEXT UNIQUE NOT NULL,
+    -- Lifecycle status, changed only through change_account_status.
+    -- is_active is kept for readers that only ask "fully usable?"
+    status TEXT DEFAULT 'pending' NOT NULL
+        CHECK (status IN ('pending', 'active', 'frozen', 'debit_blocked', 'dormant', 'closed')),
+    status_reason TEXT,
+    status_changed_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN GENERATED ALWAYS AS (status = 'active') STORED,
+    -- Set when the user follows the link sent to their current email
+    email_verified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Outgoing limits, by tier. Every account is on a tier; staff can change an
+-- account's limits further with account_limit_overrides. Amounts are in the
+-- account's currency, and a NULL limit is not enforced.
+CREATE TABLE limit_tiers (
+    code TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    single_transaction_max DECIMAL(15,2) CHECK (single_transaction_max > 0),
+    daily_outgoing_max DECIMAL(15,2) CHECK (daily_outgoing_max > 0),
+    monthly_outgoing_max DECIMAL(15,2) CHECK (monthly_outgoing_max > 0),
+    hourly_count_max INTEGER CHECK (hourly_count_max > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+INSERT INTO limit_tiers (code, name, single_transaction_max, daily_outgoing_max, monthly_outgoing_max, hourly_count_max) VALUES
+    ('standard', 'Standard', 10000.00, 20000.00, 100000.00, 20),
+    ('premium', 'Premium', 50000.00, 100000.00, 500000.00, 60);
+
+-- Bank accounts. Every customer gets a primary checking account at signup
+-- and can open more (see open_account). The customer's lifecycle status on
+-- profiles applies to all of their accounts.
+CREATE TABLE accounts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
     account_number TEXT UNIQUE NOT NULL,
-    balance DECIMAL(15,2) DEFAULT 0.00,
-    is_active BOOLEAN DEFAULT false,
+    account_type TEXT DEFAULT 'checking' NOT NULL CHECK (account_type IN ('checking', 'savings')),
+    nickname TEXT,
+    -- Used when a request names no account, and as the customer's account
+    -- number in profile responses
+    is_primary BOOLEAN DEFAULT false NOT NULL,
+    balance DECIMAL(15,2) DEFAULT 0.00 NOT NULL,
+    -- Funds reserved by pending debits; available = balance - held_balance
+    held_balance DECIMAL(15,2) DEFAULT 0.00 NOT NULL CHECK (held_balance >= 0),
+    currency TEXT DEFAULT 'USD' NOT NULL CHECK (currency IN ('USD', 'EUR', 'GBP')),
+    limit_tier TEXT DEFAULT 'standard' NOT NULL REFERENCES limit_tiers(code),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
 );
@@ -17,11 +62,39 @@ CREATE TABLE profiles (
 CREATE TABLE transactions (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
     user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    -- Account the movement is on; user_id is its owner
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE NOT NULL,
     type TEXT NOT NULL CHECK (type IN ('credit', 'debit')),
     amount DECIMAL(15,2) NOT NULL,
     description TEXT,
     to_account_number TEXT,
+    transaction_type TEXT DEFAULT 'transfer',
+    reference TEXT,
+    currency TEXT DEFAULT 'USD' NOT NULL,
+    -- Cross-currency transfers record both sides and the rate on each leg
+    original_amount DECIMAL(15,2),
+    original_currency TEXT,
+    converted_amount DECIMAL(15,2),
+    converted_currency TEXT,
+    fx_rate DECIMAL(18,8),
+    fx_spread DECIMAL(9,6),
+    -- Other side of a transfer between two accounts at the bank
+    counterparty_id UUID REFERENCES profiles(id),
+    counterparty_account_id UUID REFERENCES accounts(id),
+    -- Refunds and reversals point at the transaction they offset, which
+    -- keeps a running total of what has been refunded against it
+    original_transaction_id UUID REFERENCES transactions(id),
+    refunded_amount DECIMAL(15,2) DEFAULT 0.00 NOT NULL CHECK (refunded_amount >= 0 AND refunded_amount <= amount),
+    -- Fee rows: the rule that charged them and, for transaction fees, the
+    -- transaction they were charged on
+    fee_code TEXT,
+    fee_for_transaction_id UUID REFERENCES transactions(id),
     status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+    -- Why a transaction was held for approval, and how it was decided
+    review_reason TEXT,
+    failure_reason TEXT,
+    reviewed_by TEXT,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
 );
 
@@ -53,12 +126,140 @@ CREATE TABLE admin_users (
     email TEXT UNIQUE NOT NULL,
     name TEXT NOT NULL,
     role TEXT DEFAULT 'support' CHECK (role IN ('admin', 'support', 'bot')),
+    -- bcrypt hash; staff without one cannot sign in to the admin API
+    password_hash TEXT,
     is_active BOOLEAN DEFAULT true,
+    last_login_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
 );
 
+-- Upgrades for databases created by earlier versions of this file. The
+-- CREATE TABLE statements above are skipped for tables that already exist,
+-- so columns added to them since are added here. Every step checks what is
+-- already there, so running this file again changes nothing.
+
+-- Transaction types and references
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS transaction_type TEXT DEFAULT 'transfer';
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reference TEXT;
+
+-- Currencies and FX conversion. Everything before them was in USD.
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS currency TEXT DEFAULT 'USD' NOT NULL;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS original_amount DECIMAL(15,2);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS original_currency TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS converted_amount DECIMAL(15,2);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS converted_currency TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(18,8);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fx_spread DECIMAL(9,6);
+
+-- Counterparties and the approval review of held transactions
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS counterparty_id UUID REFERENCES profiles(id);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS review_reason TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+-- Refunds and reversals
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS original_transaction_id UUID REFERENCES transactions(id);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(15,2) DEFAULT 0.00 NOT NULL
+    CHECK (refunded_amount >= 0 AND refunded_amount <= amount);
+
+-- Email verification
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- Staff logins
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS password_hash TEXT;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP WITH TIME ZONE;
+
+-- Lifecycle status replaced the is_active flag. Active profiles stay
+-- active. Inactive ones that have transactions were in use and are frozen;
+-- the rest never got past activation and are pending.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'pending' NOT NULL
+    CHECK (status IN ('pending', 'active', 'frozen', 'debit_blocked', 'dormant', 'closed'));
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS status_reason TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE;
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'profiles'
+            AND column_name = 'is_active' AND is_generated = 'NEVER') THEN
+        UPDATE profiles p
+        SET status = CASE
+                WHEN p.is_active THEN 'active'
+                WHEN EXISTS (SELECT 1 FROM transactions t WHERE t.user_id = p.id) THEN 'frozen'
+                ELSE 'pending'
+            END,
+            status_reason = CASE
+                WHEN NOT COALESCE(p.is_active, false) AND EXISTS (SELECT 1 FROM transactions t WHERE t.user_id = p.id)
+                    THEN 'staff_decision'
+            END,
+            status_changed_at = p.updated_at;
+
+        ALTER TABLE profiles DROP COLUMN is_active;
+        ALTER TABLE profiles ADD COLUMN is_active BOOLEAN GENERATED ALWAYS AS (status = 'active') STORED;
+    END IF;
+END;
+$$;
+
+-- Balances, account numbers and currencies moved from profiles to accounts.
+-- Each profile's becomes its owner's primary account, which then carries
+-- the profile's existing transactions. Views that read the old columns are
+-- dropped here and created again further down.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'profiles' AND column_name = 'account_number') THEN
+        ALTER TABLE profiles ADD COLUMN IF NOT EXISTS held_balance DECIMAL(15,2) DEFAULT 0.00 NOT NULL;
+        ALTER TABLE profiles ADD COLUMN IF NOT EXISTS currency TEXT DEFAULT 'USD' NOT NULL;
+
+        INSERT INTO accounts (user_id, account_number, is_primary, balance, held_balance, currency)
+        SELECT id, account_number, true, COALESCE(balance, 0), held_balance, currency
+        FROM profiles
+        ON CONFLICT (account_number) DO NOTHING;
+
+        DROP VIEW IF EXISTS ledger_balance_mismatches;
+        DROP VIEW IF EXISTS ledger_balances;
+        DROP TRIGGER IF EXISTS guard_profiles_balance ON profiles;
+        DROP FUNCTION IF EXISTS guard_profile_balance();
+
+        ALTER TABLE profiles
+            DROP COLUMN account_number,
+            DROP COLUMN balance,
+            DROP COLUMN held_balance,
+            DROP COLUMN currency;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'transactions' AND column_name = 'account_id') THEN
+        ALTER TABLE transactions ADD COLUMN account_id UUID REFERENCES accounts(id) ON DELETE CASCADE;
+        ALTER TABLE transactions ADD COLUMN counterparty_account_id UUID REFERENCES accounts(id);
+
+        UPDATE transactions t
+        SET account_id = ac.id
+        FROM accounts ac
+        WHERE ac.user_id = t.user_id AND ac.is_primary;
+
+        UPDATE transactions t
+        SET counterparty_account_id = ac.id
+        FROM accounts ac
+        WHERE ac.user_id = t.counterparty_id AND ac.is_primary;
+
+        ALTER TABLE transactions ALTER COLUMN account_id SET NOT NULL;
+    END IF;
+END;
+$$;
+
+-- Fee rows
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fee_code TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fee_for_transaction_id UUID REFERENCES transactions(id);
+
+-- Limit tiers
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS limit_tier TEXT DEFAULT 'standard' NOT NULL REFERENCES limit_tiers(code);
+
 -- Enable Row Level Security
 ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE limit_tiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE accounts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE transactions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE chat_conversations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE chat_messages ENABLE ROW LEVEL SECURITY;
@@ -71,6 +272,10 @@ CREATE POLICY "Users can view own profile" ON profiles
 CREATE POLICY "Users can update own profile" ON profiles
     FOR UPDATE USING (auth.uid() = id);
 
+-- Accounts policies
+CREATE POLICY "Users can view own accounts" ON accounts
+    FOR SELECT USING (auth.uid() = user_id);
+
 -- Transactions policies
 CREATE POLICY "Users can view own transactions" ON transactions
     FOR SELECT USING (auth.uid() = user_id);
@@ -134,12 +339,17 @@ CREATE POLICY "Only admins can access admin_users" ON admin_users
 
 -- Indexes for better performance
 CREATE INDEX idx_profiles_email ON profiles(email);
-CREATE INDEX idx_profiles_account_number ON profiles(account_number);
+CREATE INDEX idx_accounts_user_id ON accounts(user_id);
+CREATE UNIQUE INDEX idx_accounts_one_primary ON accounts(user_id) WHERE is_primary;
 CREATE INDEX idx_profiles_is_active ON profiles(is_active);
+CREATE INDEX idx_profiles_status ON profiles(status);
 CREATE INDEX idx_transactions_user_id ON transactions(user_id);
+CREATE INDEX idx_transactions_account_id ON transactions(account_id);
 CREATE INDEX idx_transactions_created_at ON transactions(created_at);
 CREATE INDEX idx_transactions_type ON transactions(type);
 CREATE INDEX idx_transactions_status ON transactions(status);
+CREATE INDEX idx_transactions_counterparty_id ON transactions(counterparty_id);
+CREATE INDEX idx_transactions_original_transaction_id ON transactions(original_transaction_id);
 CREATE INDEX idx_chat_conversations_user_id ON chat_conversations(user_id);
 CREATE INDEX idx_chat_conversations_status ON chat_conversations(status);
 CREATE INDEX idx_chat_conversations_last_message_at ON chat_conversations(last_message_at);
@@ -160,6 +370,12 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_profiles_updated_at BEFORE UPDATE ON profiles
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_limit_tiers_updated_at BEFORE UPDATE ON limit_tiers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_accounts_updated_at BEFORE UPDATE ON accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_chat_conversations_updated_at BEFORE UPDATE ON chat_conversations
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -172,14 +388,2660 @@ ON CONFLICT (id) DO NOTHING;
 CREATE OR REPLACE FUNCTION handle_new_user()
 RETURNS TRIGGER AS $$
 BEGIN
-    INSERT INTO public.profiles (id, name, email, account_number, is_active)
+    INSERT INTO public.profiles (id, name, email)
     VALUES (
         NEW.id,
         NEW.raw_user_meta_data->>'name',
-        NEW.email,
-        NEW.raw_user_meta_data->>'account_number',
-        false
+        NEW.email
+    );
+
+    INSERT INTO public.accounts (user_id, account_number, is_primary)
+    VALUES (NEW.id, NEW.raw_user_meta_data->>'account_number', true);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Exchange rates maintained by admins. rate converts one unit of
+-- base_currency into quote_currency; spread is the fraction kept by the
+-- bank on conversion (0.005 = 0.5%).
+CREATE TABLE fx_rates (
+    base_currency TEXT NOT NULL CHECK (base_currency IN ('USD', 'EUR', 'GBP')),
+    quote_currency TEXT NOT NULL CHECK (quote_currency IN ('USD', 'EUR', 'GBP')),
+    rate DECIMAL(18,8) NOT NULL CHECK (rate > 0),
+    spread DECIMAL(9,6) DEFAULT 0 NOT NULL CHECK (spread >= 0 AND spread < 1),
+    updated_by TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    PRIMARY KEY (base_currency, quote_currency),
+    CHECK (base_currency <> quote_currency)
+);
+
+ALTER TABLE fx_rates ENABLE ROW LEVEL SECURITY;
+
+-- Converted amount of a transfer between currencies, at the admin-maintained
+-- rate less its spread. Same currency passes the amount through with no rate.
+CREATE OR REPLACE FUNCTION convert_transfer_amount(
+    p_amount DECIMAL(15,2),
+    p_from_currency TEXT,
+    p_to_currency TEXT,
+    OUT converted_amount DECIMAL(15,2),
+    OUT fx_rate DECIMAL(18,8),
+    OUT fx_spread DECIMAL(9,6)
+) AS $$
+DECLARE
+    v_rate fx_rates%ROWTYPE;
+BEGIN
+    converted_amount := p_amount;
+
+    IF p_from_currency = p_to_currency THEN
+        RETURN;
+    END IF;
+
+    SELECT * INTO v_rate FROM fx_rates
+    WHERE base_currency = p_from_currency AND quote_currency = p_to_currency;
+
+    IF v_rate.rate IS NULL THEN
+        RAISE EXCEPTION 'FX_RATE_UNAVAILABLE';
+    END IF;
+
+    converted_amount := ROUND(p_amount * v_rate.rate * (1 - v_rate.spread), 2);
+    fx_rate := v_rate.rate;
+    fx_spread := v_rate.spread;
+
+    IF converted_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT';
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Credit leg and journal entry of a transfer between two accounts whose
+-- debit leg is already written. Callers must hold the locks on both accounts.
+CREATE OR REPLACE FUNCTION post_transfer(p_debit_id UUID)
+RETURNS transactions AS $$
+DECLARE
+    v_debit transactions%ROWTYPE;
+    v_from accounts%ROWTYPE;
+    v_to accounts%ROWTYPE;
+    v_credit transactions%ROWTYPE;
+BEGIN
+    SELECT * INTO v_debit FROM transactions WHERE id = p_debit_id;
+    SELECT * INTO v_from FROM accounts WHERE id = v_debit.account_id;
+    SELECT * INTO v_to FROM accounts WHERE id = v_debit.counterparty_account_id;
+
+    INSERT INTO transactions (
+        user_id, account_id, type, amount, currency, description, to_account_number, transaction_type, reference, status,
+        original_amount, original_currency, converted_amount, converted_currency, fx_rate, fx_spread,
+        counterparty_id, counterparty_account_id
+    )
+    VALUES (
+        v_to.user_id, v_to.id, 'credit', v_debit.converted_amount, v_to.currency,
+        CASE WHEN v_debit.description = 'Transfer to ' || v_to.account_number
+            THEN 'Transfer from ' || v_from.account_number ELSE v_debit.description END,
+        v_from.account_number, v_debit.transaction_type, v_debit.reference, 'completed',
+        v_debit.original_amount, v_debit.original_currency, v_debit.converted_amount, v_debit.converted_currency,
+        v_debit.fx_rate, v_debit.fx_spread, v_from.user_id, v_from.id
+    )
+    RETURNING * INTO v_credit;
+
+    -- Each currency balances on its own: a cross-currency transfer passes
+    -- through the bank's FX position in both currencies
+    IF v_from.currency = v_to.currency THEN
+        PERFORM post_journal(v_debit.transaction_type, v_debit.description, v_debit.reference, jsonb_build_array(
+            jsonb_build_object('ledger_account_id', ledger_account_for_account(v_from.id),
+                'direction', 'debit', 'amount', v_debit.amount, 'transaction_id', v_debit.id),
+            jsonb_build_object('ledger_account_id', ledger_account_for_account(v_to.id),
+                'direction', 'credit', 'amount', v_credit.amount, 'transaction_id', v_credit.id)
+        ));
+    ELSE
+        PERFORM post_journal(v_debit.transaction_type, v_debit.description, v_debit.reference, jsonb_build_array(
+            jsonb_build_object('ledger_account_id', ledger_account_for_account(v_from.id),
+                'direction', 'debit', 'amount', v_debit.amount, 'transaction_id', v_debit.id),
+            jsonb_build_object('ledger_account_id', system_ledger_account('FX_POSITION'),
+                'direction', 'credit', 'amount', v_debit.amount, 'currency', v_from.currency),
+            jsonb_build_object('ledger_account_id', system_ledger_account('FX_POSITION'),
+                'direction', 'debit', 'amount', v_credit.amount, 'currency', v_to.currency),
+            jsonb_build_object('ledger_account_id', ledger_account_for_account(v_to.id),
+                'direction', 'credit', 'amount', v_credit.amount, 'transaction_id', v_credit.id)
+        ));
+    END IF;
+
+    RETURN v_credit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Atomic transfer from one customer's account to another customer's. Every
+-- money function locks the owners' profiles first (FOR SHARE, so status
+-- changes wait) and then the accounts, each in id order, so concurrent
+-- transfers on the same accounts serialize instead of racing the balance
+-- check. Moves between a customer's own accounts use internal_transfer.
+-- Failures are raised with the error code as the message and roll back
+-- every write made so far.
+--
+-- Transfers above p_approval_threshold, or to an account the sender has
+-- never paid before when p_review_new_payees is set, are written as a
+-- pending debit with the funds held; settle_pending_transaction completes
+-- them after admin approval.
+DROP FUNCTION IF EXISTS transfer_funds(UUID, TEXT, DECIMAL, TEXT, TEXT);
+DROP FUNCTION IF EXISTS transfer_funds(UUID, TEXT, DECIMAL, TEXT, TEXT, DECIMAL, BOOLEAN);
+CREATE OR REPLACE FUNCTION transfer_funds(
+    p_sender_id UUID,
+    p_from_account_id UUID,
+    p_to_account_number TEXT,
+    p_amount DECIMAL(15,2),
+    p_description TEXT DEFAULT NULL,
+    p_reference TEXT DEFAULT NULL,
+    p_approval_threshold DECIMAL(15,2) DEFAULT NULL,
+    p_review_new_payees BOOLEAN DEFAULT false
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_from accounts%ROWTYPE;
+    v_to accounts%ROWTYPE;
+    v_debit transactions%ROWTYPE;
+    v_fx RECORD;
+    v_review_reason TEXT;
+    v_blocked TEXT;
+    v_fees JSONB;
+    v_fee_total DECIMAL(15,2);
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT';
+    END IF;
+
+    SELECT * INTO v_to FROM accounts WHERE account_number = p_to_account_number;
+
+    IF v_to.id IS NULL THEN
+        RAISE EXCEPTION 'RECIPIENT_NOT_FOUND';
+    END IF;
+
+    IF v_to.user_id = p_sender_id THEN
+        RAISE EXCEPTION 'SELF_TRANSFER';
+    END IF;
+
+    PERFORM 1 FROM profiles
+    WHERE id IN (p_sender_id, v_to.user_id)
+    ORDER BY id
+    FOR SHARE;
+
+    PERFORM 1 FROM accounts
+    WHERE id IN (p_from_account_id, v_to.id)
+    ORDER BY id
+    FOR UPDATE;
+
+    SELECT * INTO v_from FROM accounts WHERE id = p_from_account_id AND user_id = p_sender_id;
+    SELECT * INTO v_to FROM accounts WHERE id = v_to.id;
+
+    IF v_from.id IS NULL THEN
+        RAISE EXCEPTION 'SOURCE_ACCOUNT_NOT_FOUND';
+    END IF;
+
+    v_blocked := account_status_block((SELECT status FROM profiles WHERE id = p_sender_id), 'debit');
+    IF v_blocked IS NOT NULL THEN
+        RAISE EXCEPTION '%', v_blocked;
+    END IF;
+
+    IF account_status_block((SELECT status FROM profiles WHERE id = v_to.user_id), 'incoming') IS NOT NULL THEN
+        RAISE EXCEPTION 'RECIPIENT_INACTIVE';
+    END IF;
+
+    PERFORM enforce_transaction_limits(v_from.id, p_amount);
+
+    -- Fees are charged in the sender's currency and must be covered as well
+    v_fees := quote_fees(v_from.id, 'transfer', p_amount);
+    v_fee_total := fee_total(v_fees);
+
+    IF v_from.balance - v_from.held_balance < p_amount + v_fee_total THEN
+        RAISE EXCEPTION 'INSUFFICIENT_FUNDS';
+    END IF;
+
+    -- p_amount is in the sender's currency; the recipient is credited the
+    -- converted amount
+    v_fx := convert_transfer_amount(p_amount, v_from.currency, v_to.currency);
+
+    IF p_approval_threshold IS NOT NULL AND p_amount > p_approval_threshold THEN
+        v_review_reason := 'amount_threshold';
+    ELSIF p_review_new_payees AND NOT EXISTS (
+        SELECT 1 FROM transactions
+        WHERE user_id = p_sender_id AND counterparty_id = v_to.user_id
+            AND type = 'debit' AND status = 'completed'
+    ) THEN
+        v_review_reason := 'first_time_payee';
+    END IF;
+
+    INSERT INTO transactions (
+        user_id, account_id, type, amount, currency, description, to_account_number, transaction_type, reference, status,
+        original_amount, original_currency, converted_amount, converted_currency, fx_rate, fx_spread,
+        counterparty_id, counterparty_account_id, review_reason
+    )
+    VALUES (
+        p_sender_id, v_from.id, 'debit', p_amount, v_from.currency,
+        COALESCE(p_description, 'Transfer to ' || v_to.account_number),
+        v_to.account_number, 'transfer', p_reference,
+        CASE WHEN v_review_reason IS NULL THEN 'completed' ELSE 'pending' END,
+        p_amount, v_from.currency, v_fx.converted_amount, v_to.currency, v_fx.fx_rate, v_fx.fx_spread,
+        v_to.user_id, v_to.id, v_review_reason
+    )
+    RETURNING * INTO v_debit;
+
+    IF v_review_reason IS NOT NULL THEN
+        UPDATE accounts SET held_balance = held_balance + p_amount WHERE id = v_from.id;
+
+        RETURN jsonb_build_object(
+            'transaction', to_jsonb(v_debit),
+            'fees', charge_transaction_fees(v_debit, v_fees),
+            'new_balance', v_from.balance,
+            'available_balance', v_from.balance - v_from.held_balance - p_amount - v_fee_total
+        );
+    END IF;
+
+    PERFORM post_transfer(v_debit.id);
+
+    RETURN jsonb_build_object(
+        'transaction', to_jsonb(v_debit),
+        'fees', charge_transaction_fees(v_debit, v_fees),
+        'new_balance', v_from.balance - p_amount - v_fee_total,
+        'available_balance', v_from.balance - v_from.held_balance - p_amount - v_fee_total
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Move money between two accounts of the same customer. Never held for
+-- approval: the money stays with the customer. Cross-currency moves convert
+-- at the same rates as transfers.
+CREATE OR REPLACE FUNCTION internal_transfer(
+    p_user_id UUID,
+    p_from_account_id UUID,
+    p_to_account_id UUID,
+    p_amount DECIMAL(15,2),
+    p_description TEXT DEFAULT NULL,
+    p_reference TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_from accounts%ROWTYPE;
+    v_to accounts%ROWTYPE;
+    v_debit transactions%ROWTYPE;
+    v_credit transactions%ROWTYPE;
+    v_fx RECORD;
+    v_blocked TEXT;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT';
+    END IF;
+
+    IF p_from_account_id = p_to_account_id THEN
+        RAISE EXCEPTION 'SAME_ACCOUNT';
+    END IF;
+
+    PERFORM 1 FROM profiles WHERE id = p_user_id FOR SHARE;
+
+    PERFORM 1 FROM accounts
+    WHERE id IN (p_from_account_id, p_to_account_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    SELECT * INTO v_from FROM accounts WHERE id = p_from_account_id AND user_id = p_user_id;
+    SELECT * INTO v_to FROM accounts WHERE id = p_to_account_id AND user_id = p_user_id;
+
+    IF v_from.id IS NULL THEN
+        RAISE EXCEPTION 'SOURCE_ACCOUNT_NOT_FOUND';
+    END IF;
+
+    IF v_to.id IS NULL THEN
+        RAISE EXCEPTION 'DESTINATION_ACCOUNT_NOT_FOUND';
+    END IF;
+
+    v_blocked := account_status_block((SELECT status FROM profiles WHERE id = p_user_id), 'debit');
+    IF v_blocked IS NOT NULL THEN
+        RAISE EXCEPTION '%', v_blocked;
+    END IF;
+
+    IF v_from.balance - v_from.held_balance < p_amount THEN
+        RAISE EXCEPTION 'INSUFFICIENT_FUNDS';
+    END IF;
+
+    v_fx := convert_transfer_amount(p_amount, v_from.currency, v_to.currency);
+
+    INSERT INTO transactions (
+        user_id, account_id, type, amount, currency, description, to_account_number, transaction_type, reference, status,
+        original_amount, original_currency, converted_amount, converted_currency, fx_rate, fx_spread,
+        counterparty_id, counterparty_account_id
+    )
+    VALUES (
+        p_user_id, v_from.id, 'debit', p_amount, v_from.currency,
+        COALESCE(p_description, 'Transfer to ' || v_to.account_number),
+        v_to.account_number, 'internal_transfer', p_reference, 'completed',
+        p_amount, v_from.currency, v_fx.converted_amount, v_to.currency, v_fx.fx_rate, v_fx.fx_spread,
+        p_user_id, v_to.id
+    )
+    RETURNING * INTO v_debit;
+
+    v_credit := post_transfer(v_debit.id);
+
+    RETURN jsonb_build_object(
+        'transaction', to_jsonb(v_debit),
+        'credit', to_jsonb(v_credit),
+        'new_balance', v_from.balance - p_amount,
+        'available_balance', v_from.balance - v_from.held_balance - p_amount,
+        'destination_balance', v_to.balance + v_credit.amount
     );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Money-moving functions are only callable with the service role key
+REVOKE EXECUTE ON FUNCTION transfer_funds(UUID, UUID, TEXT, DECIMAL, TEXT, TEXT, DECIMAL, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION internal_transfer(UUID, UUID, UUID, DECIMAL, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION post_transfer(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Idempotency keys for money-moving endpoints. A key is scoped to the user
+-- and remembers the request fingerprint and the response that was sent.
+-- While the request runs it holds the key until locked_until.
+CREATE TABLE idempotency_keys (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    request_method TEXT NOT NULL,
+    request_path TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    response_status INTEGER,
+    response_body JSONB,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE (user_id, idempotency_key)
+);
+
+-- Keys claimed before claims expired have no locked_until and can be taken
+-- over by the next request that uses them
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- Double-entry ledger. Every movement of money is a journal entry made of
+-- postings that balance (total debits = total credits, per currency). Customer accounts
+-- are liabilities of the bank, so a credit posting raises the customer's
+-- balance and a debit lowers it. accounts.balance is a cached copy of the
+-- account's ledger balance and is only written by post_journal.
+CREATE TABLE ledger_accounts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    code TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('asset', 'liability', 'equity', 'income', 'expense')),
+    account_id UUID UNIQUE REFERENCES accounts(id) ON DELETE RESTRICT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE TABLE journal_entries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    entry_type TEXT NOT NULL,
+    description TEXT,
+    reference TEXT,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE TABLE postings (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE RESTRICT NOT NULL,
+    ledger_account_id UUID REFERENCES ledger_accounts(id) ON DELETE RESTRICT NOT NULL,
+    direction TEXT NOT NULL CHECK (direction IN ('debit', 'credit')),
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+    currency TEXT NOT NULL,
+    -- The customer-facing transactions row this posting is shown as
+    transaction_id UUID REFERENCES transactions(id) ON DELETE RESTRICT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Postings made before currencies existed were in USD
+ALTER TABLE postings ADD COLUMN IF NOT EXISTS currency TEXT DEFAULT 'USD' NOT NULL;
+ALTER TABLE postings ALTER COLUMN currency DROP DEFAULT;
+
+-- Customer ledger accounts belonged to a profile; each now belongs to that
+-- profile's primary account
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'ledger_accounts' AND column_name = 'profile_id') THEN
+        ALTER TABLE ledger_accounts ADD COLUMN account_id UUID UNIQUE REFERENCES accounts(id) ON DELETE RESTRICT;
+
+        UPDATE ledger_accounts la
+        SET account_id = ac.id,
+            code = 'ACCOUNT:' || ac.id,
+            name = 'Customer account ' || ac.id
+        FROM accounts ac
+        WHERE ac.user_id = la.profile_id AND ac.is_primary;
+
+        DROP VIEW IF EXISTS ledger_balance_mismatches;
+        DROP VIEW IF EXISTS ledger_balances;
+        ALTER TABLE ledger_accounts DROP COLUMN profile_id;
+        DROP FUNCTION IF EXISTS ledger_account_for_profile(UUID);
+    END IF;
+END;
+$$;
+
+ALTER TABLE ledger_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE journal_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE postings ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_postings_journal_entry_id ON postings(journal_entry_id);
+CREATE INDEX idx_postings_ledger_account_id ON postings(ledger_account_id);
+CREATE INDEX idx_postings_transaction_id ON postings(transaction_id);
+
+-- Bank-side accounts that customer movements post against
+INSERT INTO ledger_accounts (code, name, kind) VALUES
+('BANK_CASH', 'Bank cash', 'asset'),
+('SUSPENSE', 'Suspense', 'liability'),
+('FEES', 'Fee income', 'income'),
+('ADJUSTMENTS', 'Manual balance adjustments', 'expense'),
+('OPENING_BALANCES', 'Opening balances', 'equity'),
+('FX_POSITION', 'Foreign exchange position', 'asset'),
+('INTEREST_EXPENSE', 'Interest paid to customers', 'expense')
+ON CONFLICT (code) DO NOTHING;
+
+-- Journal entries and postings are append-only; corrections are new entries
+CREATE OR REPLACE FUNCTION prevent_ledger_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'LEDGER_IMMUTABLE';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER journal_entries_immutable BEFORE UPDATE OR DELETE ON journal_entries
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_changes();
+
+CREATE TRIGGER postings_immutable BEFORE UPDATE OR DELETE ON postings
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_changes();
+
+-- Checked at commit so all postings of an entry are in place
+CREATE OR REPLACE FUNCTION check_journal_balanced()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM postings
+        WHERE journal_entry_id = NEW.journal_entry_id
+        GROUP BY currency
+        HAVING SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END) <> 0
+    ) THEN
+        RAISE EXCEPTION 'UNBALANCED_JOURNAL';
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER postings_balanced AFTER INSERT ON postings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_journal_balanced();
+
+-- accounts.balance may only change through post_journal, which sets
+-- app.ledger_posting for the duration of its own update
+CREATE OR REPLACE FUNCTION guard_account_balance()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' AND COALESCE(NEW.balance, 0) <> 0 THEN
+        RAISE EXCEPTION 'BALANCE_NOT_LEDGERED';
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND NEW.balance IS DISTINCT FROM OLD.balance
+        AND COALESCE(current_setting('app.ledger_posting', true), 'off') <> 'on' THEN
+        RAISE EXCEPTION 'BALANCE_NOT_LEDGERED';
+    END IF;
+
     RETURN NEW;
 END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
\ No newline at end of file
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER guard_accounts_balance BEFORE INSERT OR UPDATE ON accounts
+    FOR EACH ROW EXECUTE FUNCTION guard_account_balance();
+
+-- Ledger account of a customer's bank account, opened on first use
+CREATE OR REPLACE FUNCTION ledger_account_for_account(p_account_id UUID)
+RETURNS UUID AS $$
+DECLARE
+    v_id UUID;
+BEGIN
+    INSERT INTO ledger_accounts (code, name, kind, account_id)
+    VALUES ('ACCOUNT:' || p_account_id, 'Customer account ' || p_account_id, 'liability', p_account_id)
+    ON CONFLICT (account_id) DO NOTHING;
+
+    SELECT id INTO v_id FROM ledger_accounts WHERE account_id = p_account_id;
+    RETURN v_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION system_ledger_account(p_code TEXT)
+RETURNS UUID AS $$
+DECLARE
+    v_id UUID;
+BEGIN
+    SELECT id INTO v_id FROM ledger_accounts WHERE code = p_code AND account_id IS NULL;
+
+    IF v_id IS NULL THEN
+        RAISE EXCEPTION 'LEDGER_ACCOUNT_NOT_FOUND';
+    END IF;
+
+    RETURN v_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Write a balanced journal entry and apply it to the cached balance of every
+-- customer account it touches. Callers must already hold the accounts locks.
+-- p_postings: [{ ledger_account_id, direction, amount, currency, transaction_id }]
+-- currency may be left out on customer postings, which use the account's.
+CREATE OR REPLACE FUNCTION post_journal(
+    p_entry_type TEXT,
+    p_description TEXT,
+    p_reference TEXT,
+    p_postings JSONB,
+    p_created_by TEXT DEFAULT 'system'
+)
+RETURNS UUID AS $$
+DECLARE
+    v_journal_id UUID;
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM jsonb_array_elements(p_postings) AS posting
+        JOIN ledger_accounts la ON la.id = (posting->>'ledger_account_id')::UUID
+        JOIN accounts ac ON ac.id = la.account_id
+        WHERE posting->>'currency' IS NOT NULL AND posting->>'currency' <> ac.currency
+    ) THEN
+        RAISE EXCEPTION 'CURRENCY_MISMATCH';
+    END IF;
+
+    IF jsonb_array_length(p_postings) < 2 OR EXISTS (
+        SELECT 1
+        FROM jsonb_array_elements(p_postings) AS posting
+        JOIN ledger_accounts la ON la.id = (posting->>'ledger_account_id')::UUID
+        LEFT JOIN accounts ac ON ac.id = la.account_id
+        GROUP BY COALESCE(posting->>'currency', ac.currency)
+        HAVING COALESCE(posting->>'currency', ac.currency) IS NULL
+            OR SUM(CASE WHEN posting->>'direction' = 'debit'
+                THEN (posting->>'amount')::DECIMAL(15,2)
+                ELSE -(posting->>'amount')::DECIMAL(15,2) END) <> 0
+    ) THEN
+        RAISE EXCEPTION 'UNBALANCED_JOURNAL';
+    END IF;
+
+    INSERT INTO journal_entries (entry_type, description, reference, created_by)
+    VALUES (p_entry_type, p_description, p_reference, p_created_by)
+    RETURNING id INTO v_journal_id;
+
+    INSERT INTO postings (journal_entry_id, ledger_account_id, direction, amount, currency, transaction_id)
+    SELECT v_journal_id,
+        la.id,
+        posting->>'direction',
+        (posting->>'amount')::DECIMAL(15,2),
+        COALESCE(posting->>'currency', ac.currency),
+        (posting->>'transaction_id')::UUID
+    FROM jsonb_array_elements(p_postings) AS posting
+    JOIN ledger_accounts la ON la.id = (posting->>'ledger_account_id')::UUID
+    LEFT JOIN accounts ac ON ac.id = la.account_id;
+
+    PERFORM set_config('app.ledger_posting', 'on', true);
+
+    UPDATE accounts a
+    SET balance = a.balance + delta.amount
+    FROM (
+        SELECT la.account_id,
+            SUM(CASE WHEN posting->>'direction' = 'credit'
+                THEN (posting->>'amount')::DECIMAL(15,2)
+                ELSE -(posting->>'amount')::DECIMAL(15,2) END) AS amount
+        FROM jsonb_array_elements(p_postings) AS posting
+        JOIN ledger_accounts la ON la.id = (posting->>'ledger_account_id')::UUID
+        WHERE la.account_id IS NOT NULL
+        GROUP BY la.account_id
+    ) AS delta
+    WHERE a.id = delta.account_id;
+
+    PERFORM set_config('app.ledger_posting', 'off', true);
+
+    RETURN v_journal_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Journal entry for a single-account movement against the bank
+CREATE OR REPLACE FUNCTION post_bank_movement(p_transaction_id UUID)
+RETURNS UUID AS $$
+DECLARE
+    v_transaction transactions%ROWTYPE;
+BEGIN
+    SELECT * INTO v_transaction FROM transactions WHERE id = p_transaction_id;
+
+    RETURN post_journal(v_transaction.transaction_type, v_transaction.description, v_transaction.reference, jsonb_build_array(
+        jsonb_build_object('ledger_account_id', ledger_account_for_account(v_transaction.account_id),
+            'direction', v_transaction.type, 'amount', v_transaction.amount, 'transaction_id', v_transaction.id),
+        jsonb_build_object('ledger_account_id', system_ledger_account('BANK_CASH'),
+            'direction', CASE WHEN v_transaction.type = 'credit' THEN 'debit' ELSE 'credit' END,
+            'amount', v_transaction.amount, 'currency', v_transaction.currency)
+    ));
+END;
+$$ LANGUAGE plpgsql;
+
+-- Single-account movement against the bank (deposit, withdrawal, payment,
+-- refund, outgoing transfer). Locks the account, checks available funds for
+-- debits, writes the transactions row and posts it against BANK_CASH.
+-- Debits above p_approval_threshold are held as pending instead.
+DROP FUNCTION IF EXISTS apply_transaction(UUID, TEXT, DECIMAL, TEXT, TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS apply_transaction(UUID, TEXT, DECIMAL, TEXT, TEXT, TEXT, TEXT, DECIMAL);
+CREATE OR REPLACE FUNCTION apply_transaction(
+    p_user_id UUID,
+    p_account_id UUID,
+    p_type TEXT,
+    p_amount DECIMAL(15,2),
+    p_transaction_type TEXT,
+    p_description TEXT DEFAULT NULL,
+    p_to_account_number TEXT DEFAULT NULL,
+    p_reference TEXT DEFAULT NULL,
+    p_approval_threshold DECIMAL(15,2) DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_account accounts%ROWTYPE;
+    v_transaction transactions%ROWTYPE;
+    v_pending BOOLEAN;
+    v_blocked TEXT;
+    v_fees JSONB := '[]'::jsonb;
+    v_fee_total DECIMAL(15,2) := 0;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT';
+    END IF;
+
+    IF p_type NOT IN ('credit', 'debit') THEN
+        RAISE EXCEPTION 'INVALID_TRANSACTION_TYPE';
+    END IF;
+
+    PERFORM 1 FROM profiles WHERE id = p_user_id FOR SHARE;
+    SELECT * INTO v_account FROM accounts WHERE id = p_account_id AND user_id = p_user_id FOR UPDATE;
+
+    IF v_account.id IS NULL THEN
+        RAISE EXCEPTION 'SOURCE_ACCOUNT_NOT_FOUND';
+    END IF;
+
+    v_blocked := account_status_block((SELECT status FROM profiles WHERE id = p_user_id), p_type);
+    IF v_blocked IS NOT NULL THEN
+        RAISE EXCEPTION '%', v_blocked;
+    END IF;
+
+    IF p_type = 'debit' AND p_transaction_type IN ('transfer', 'withdrawal', 'payment') THEN
+        PERFORM enforce_transaction_limits(v_account.id, p_amount);
+    END IF;
+
+    -- Only debits incur fees, and the funds check covers them too
+    IF p_type = 'debit' THEN
+        v_fees := quote_fees(v_account.id, p_transaction_type, p_amount);
+        v_fee_total := fee_total(v_fees);
+    END IF;
+
+    IF p_type = 'debit' AND v_account.balance - v_account.held_balance < p_amount + v_fee_total THEN
+        RAISE EXCEPTION 'INSUFFICIENT_FUNDS';
+    END IF;
+
+    v_pending := p_type = 'debit' AND p_approval_threshold IS NOT NULL AND p_amount > p_approval_threshold;
+
+    INSERT INTO transactions (
+        user_id, account_id, type, amount, currency, description, to_account_number, transaction_type, reference,
+        status, review_reason
+    )
+    VALUES (
+        p_user_id, v_account.id, p_type, p_amount, v_account.currency, p_description, p_to_account_number,
+        p_transaction_type, p_reference,
+        CASE WHEN v_pending THEN 'pending' ELSE 'completed' END,
+        CASE WHEN v_pending THEN 'amount_threshold' END
+    )
+    RETURNING * INTO v_transaction;
+
+    IF v_pending THEN
+        UPDATE accounts SET held_balance = held_balance + p_amount WHERE id = v_account.id;
+
+        RETURN jsonb_build_object(
+            'transaction', to_jsonb(v_transaction),
+            'fees', charge_transaction_fees(v_transaction, v_fees),
+            'new_balance', v_account.balance,
+            'available_balance', v_account.balance - v_account.held_balance - p_amount - v_fee_total
+        );
+    END IF;
+
+    PERFORM post_bank_movement(v_transaction.id);
+
+    RETURN jsonb_build_object(
+        'transaction', to_jsonb(v_transaction),
+        'fees', charge_transaction_fees(v_transaction, v_fees),
+        'new_balance', v_account.balance - v_fee_total
+            + CASE WHEN p_type = 'credit' THEN p_amount ELSE -p_amount END,
+        'available_balance', v_account.balance - v_account.held_balance - v_fee_total
+            + CASE WHEN p_type = 'credit' THEN p_amount ELSE -p_amount END
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Approve a pending debit: release its hold and post it, along with the
+-- fees charged on it. Internal transfers get their credit leg now, at the
+-- amount and rate fixed when requested.
+CREATE OR REPLACE FUNCTION settle_pending_transaction(
+    p_transaction_id UUID,
+    p_reviewed_by TEXT DEFAULT 'admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_transaction transactions%ROWTYPE;
+    v_blocked TEXT;
+BEGIN
+    SELECT * INTO v_transaction FROM transactions WHERE id = p_transaction_id;
+
+    IF v_transaction.id IS NULL THEN
+        RAISE EXCEPTION 'TRANSACTION_NOT_FOUND';
+    END IF;
+
+    PERFORM 1 FROM profiles
+    WHERE id IN (v_transaction.user_id, v_transaction.counterparty_id)
+    ORDER BY id
+    FOR SHARE;
+
+    PERFORM 1 FROM accounts
+    WHERE id IN (v_transaction.account_id, v_transaction.counterparty_account_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    -- Re-read under the locks so a concurrent decision is seen
+    SELECT * INTO v_transaction FROM transactions WHERE id = p_transaction_id FOR UPDATE;
+
+    IF v_transaction.status <> 'pending' THEN
+        RAISE EXCEPTION 'TRANSACTION_NOT_PENDING';
+    END IF;
+
+    IF v_transaction.fee_for_transaction_id IS NOT NULL THEN
+        RAISE EXCEPTION 'FEE_FOLLOWS_TRANSACTION';
+    END IF;
+
+    -- The sender may have been frozen or blocked while the debit waited
+    v_blocked := account_status_block((SELECT status FROM profiles WHERE id = v_transaction.user_id), 'debit');
+    IF v_blocked IS NOT NULL THEN
+        RAISE EXCEPTION '%', v_blocked;
+    END IF;
+
+    IF v_transaction.counterparty_id IS NOT NULL
+        AND account_status_block((SELECT status FROM profiles WHERE id = v_transaction.counterparty_id), 'incoming') IS NOT NULL THEN
+        RAISE EXCEPTION 'RECIPIENT_INACTIVE';
+    END IF;
+
+    UPDATE accounts SET held_balance = held_balance - v_transaction.amount WHERE id = v_transaction.account_id;
+
+    UPDATE transactions
+    SET status = 'completed', reviewed_by = p_reviewed_by, reviewed_at = TIMEZONE('utc'::text, NOW())
+    WHERE id = p_transaction_id
+    RETURNING * INTO v_transaction;
+
+    IF v_transaction.counterparty_account_id IS NOT NULL THEN
+        PERFORM post_transfer(v_transaction.id);
+    ELSE
+        PERFORM post_bank_movement(v_transaction.id);
+    END IF;
+
+    PERFORM settle_transaction_fees(v_transaction.id, 'completed');
+
+    RETURN to_jsonb(v_transaction);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reject a pending debit: release its hold and mark it failed with a reason,
+-- along with its fees. Nothing was posted, so no ledger entry is needed.
+CREATE OR REPLACE FUNCTION reject_pending_transaction(
+    p_transaction_id UUID,
+    p_reason TEXT,
+    p_reviewed_by TEXT DEFAULT 'admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_transaction transactions%ROWTYPE;
+BEGIN
+    IF p_reason IS NULL OR length(trim(p_reason)) = 0 THEN
+        RAISE EXCEPTION 'REASON_REQUIRED';
+    END IF;
+
+    SELECT * INTO v_transaction FROM transactions WHERE id = p_transaction_id;
+
+    IF v_transaction.id IS NULL THEN
+        RAISE EXCEPTION 'TRANSACTION_NOT_FOUND';
+    END IF;
+
+    PERFORM 1 FROM accounts WHERE id = v_transaction.account_id FOR UPDATE;
+    SELECT * INTO v_transaction FROM transactions WHERE id = p_transaction_id FOR UPDATE;
+
+    IF v_transaction.status <> 'pending' THEN
+        RAISE EXCEPTION 'TRANSACTION_NOT_PENDING';
+    END IF;
+
+    IF v_transaction.fee_for_transaction_id IS NOT NULL THEN
+        RAISE EXCEPTION 'FEE_FOLLOWS_TRANSACTION';
+    END IF;
+
+    UPDATE accounts SET held_balance = held_balance - v_transaction.amount WHERE id = v_transaction.account_id;
+
+    UPDATE transactions
+    SET status = 'failed', failure_reason = p_reason,
+        reviewed_by = p_reviewed_by, reviewed_at = TIMEZONE('utc'::text, NOW())
+    WHERE id = p_transaction_id
+    RETURNING * INTO v_transaction;
+
+    PERFORM settle_transaction_fees(v_transaction.id, 'failed');
+
+    RETURN to_jsonb(v_transaction);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Refund part or all of a completed transaction with offsetting entries.
+-- An internal transfer is offset on both sides: the recipient is debited
+-- and the sender credited, and each new row points at the leg it reverses
+-- through original_transaction_id. refunded_amount on the original rows
+-- keeps the running total so refunds can never exceed the original.
+-- p_amount is in the sender's currency for transfers; NULL refunds whatever
+-- is left. A refund of the full original amount is recorded as a 'reversal'.
+CREATE OR REPLACE FUNCTION refund_transaction(
+    p_transaction_id UUID,
+    p_reason TEXT,
+    p_amount DECIMAL(15,2) DEFAULT NULL,
+    p_reference TEXT DEFAULT NULL,
+    p_created_by TEXT DEFAULT 'admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_original transactions%ROWTYPE;
+    v_debit transactions%ROWTYPE;
+    v_credit transactions%ROWTYPE;
+    v_recipient accounts%ROWTYPE;
+    v_account accounts%ROWTYPE;
+    v_remaining DECIMAL(15,2);
+    v_amount DECIMAL(15,2);
+    v_counter_amount DECIMAL(15,2);
+    v_kind TEXT;
+    v_description TEXT;
+    v_refund transactions%ROWTYPE;
+    v_counter_refund transactions%ROWTYPE;
+BEGIN
+    IF p_reason IS NULL OR length(trim(p_reason)) = 0 THEN
+        RAISE EXCEPTION 'REASON_REQUIRED';
+    END IF;
+
+    IF p_amount IS NOT NULL AND p_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT';
+    END IF;
+
+    SELECT * INTO v_original FROM transactions WHERE id = p_transaction_id;
+
+    IF v_original.id IS NULL THEN
+        RAISE EXCEPTION 'TRANSACTION_NOT_FOUND';
+    END IF;
+
+    -- Refunds, adjustments, interest and opening balances are corrected with
+    -- entries of their own, and fees are reversed with reverse_fee
+    IF v_original.original_transaction_id IS NOT NULL OR v_original.transaction_type IN ('adjustment', 'fee', 'interest', 'opening_balance') THEN
+        RAISE EXCEPTION 'TRANSACTION_NOT_REFUNDABLE';
+    END IF;
+
+    PERFORM 1 FROM profiles
+    WHERE id IN (v_original.user_id, v_original.counterparty_id)
+    ORDER BY id
+    FOR SHARE;
+
+    PERFORM 1 FROM accounts
+    WHERE id IN (v_original.account_id, v_original.counterparty_account_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    -- Re-read under the locks so concurrent refunds see each other
+    SELECT * INTO v_original FROM transactions WHERE id = p_transaction_id FOR UPDATE;
+
+    -- A closed account has been settled to zero and must stay that way
+    IF EXISTS (
+        SELECT 1 FROM profiles
+        WHERE id IN (v_original.user_id, v_original.counterparty_id) AND status = 'closed'
+    ) THEN
+        RAISE EXCEPTION 'ACCOUNT_CLOSED';
+    END IF;
+
+    IF v_original.status <> 'completed' THEN
+        RAISE EXCEPTION 'TRANSACTION_NOT_COMPLETED';
+    END IF;
+
+    IF v_original.counterparty_account_id IS NOT NULL THEN
+        -- Work from the sender's leg whichever leg was given
+        IF v_original.type = 'debit' THEN
+            v_debit := v_original;
+            SELECT * INTO v_credit FROM transactions
+            WHERE reference = v_debit.reference AND type = 'credit'
+                AND account_id = v_debit.counterparty_account_id AND counterparty_account_id = v_debit.account_id
+                AND original_transaction_id IS NULL
+            FOR UPDATE;
+        ELSE
+            v_credit := v_original;
+            SELECT * INTO v_debit FROM transactions
+            WHERE reference = v_credit.reference AND type = 'debit'
+                AND account_id = v_credit.counterparty_account_id AND counterparty_account_id = v_credit.account_id
+                AND original_transaction_id IS NULL
+            FOR UPDATE;
+        END IF;
+
+        IF v_debit.id IS NULL OR v_credit.id IS NULL THEN
+            RAISE EXCEPTION 'TRANSACTION_NOT_REFUNDABLE';
+        END IF;
+    ELSE
+        v_debit := v_original;
+    END IF;
+
+    v_remaining := v_debit.amount - v_debit.refunded_amount;
+
+    IF v_remaining <= 0 THEN
+        RAISE EXCEPTION 'ALREADY_REFUNDED';
+    END IF;
+
+    v_amount := COALESCE(p_amount, v_remaining);
+
+    IF v_amount > v_remaining THEN
+        RAISE EXCEPTION 'REFUND_EXCEEDS_ORIGINAL';
+    END IF;
+
+    v_kind := CASE WHEN v_amount = v_debit.amount THEN 'reversal' ELSE 'refund' END;
+    v_description := CASE v_kind WHEN 'reversal' THEN 'Reversal' ELSE 'Refund' END
+        || ' of ' || COALESCE(v_debit.reference, v_debit.id::TEXT) || ': ' || trim(p_reason);
+
+    IF v_credit.id IS NULL THEN
+        -- Single-account movement: offset it against the bank
+        SELECT * INTO v_account FROM accounts WHERE id = v_debit.account_id;
+
+        IF v_debit.type = 'credit' AND v_account.balance - v_account.held_balance < v_amount THEN
+            RAISE EXCEPTION 'INSUFFICIENT_FUNDS';
+        END IF;
+
+        INSERT INTO transactions (
+            user_id, account_id, type, amount, currency, description, to_account_number, transaction_type, reference,
+            status, original_transaction_id
+        )
+        VALUES (
+            v_debit.user_id, v_debit.account_id, CASE WHEN v_debit.type = 'credit' THEN 'debit' ELSE 'credit' END, v_amount,
+            v_debit.currency, v_description, v_debit.to_account_number, v_kind, p_reference,
+            'completed', v_debit.id
+        )
+        RETURNING * INTO v_refund;
+
+        UPDATE transactions SET refunded_amount = refunded_amount + v_amount WHERE id = v_debit.id;
+
+        PERFORM post_journal(v_kind, v_description, p_reference, jsonb_build_array(
+            jsonb_build_object('ledger_account_id', ledger_account_for_account(v_refund.account_id),
+                'direction', v_refund.type, 'amount', v_amount, 'transaction_id', v_refund.id),
+            jsonb_build_object('ledger_account_id', system_ledger_account('BANK_CASH'),
+                'direction', CASE WHEN v_refund.type = 'credit' THEN 'debit' ELSE 'credit' END,
+                'amount', v_amount, 'currency', v_refund.currency)
+        ), p_created_by);
+    ELSE
+        -- The last refund takes exactly what is left of the credit leg so
+        -- rounding on cross-currency partial refunds never leaves a remainder
+        v_counter_amount := CASE
+            WHEN v_amount = v_remaining THEN v_credit.amount - v_credit.refunded_amount
+            ELSE LEAST(ROUND(v_amount * v_credit.amount / v_debit.amount, 2), v_credit.amount - v_credit.refunded_amount)
+        END;
+
+        SELECT * INTO v_recipient FROM accounts WHERE id = v_credit.account_id;
+
+        IF v_recipient.balance - v_recipient.held_balance < v_counter_amount THEN
+            RAISE EXCEPTION 'COUNTERPARTY_INSUFFICIENT_FUNDS';
+        END IF;
+
+        INSERT INTO transactions (
+            user_id, account_id, type, amount, currency, description, to_account_number, transaction_type, reference,
+            status, counterparty_id, counterparty_account_id, original_transaction_id
+        )
+        VALUES (
+            v_credit.user_id, v_credit.account_id, 'debit', v_counter_amount, v_credit.currency, v_description,
+            v_credit.to_account_number, v_kind, p_reference, 'completed', v_debit.user_id, v_debit.account_id, v_credit.id
+        )
+        RETURNING * INTO v_counter_refund;
+
+        INSERT INTO transactions (
+            user_id, account_id, type, amount, currency, description, to_account_number, transaction_type, reference,
+            status, counterparty_id, counterparty_account_id, original_transaction_id
+        )
+        VALUES (
+            v_debit.user_id, v_debit.account_id, 'credit', v_amount, v_debit.currency, v_description,
+            v_debit.to_account_number, v_kind, p_reference, 'completed', v_credit.user_id, v_credit.account_id, v_debit.id
+        )
+        RETURNING * INTO v_refund;
+
+        UPDATE transactions SET refunded_amount = refunded_amount + v_amount WHERE id = v_debit.id;
+        UPDATE transactions SET refunded_amount = refunded_amount + v_counter_amount WHERE id = v_credit.id;
+
+        IF v_debit.currency = v_credit.currency THEN
+            PERFORM post_journal(v_kind, v_description, p_reference, jsonb_build_array(
+                jsonb_build_object('ledger_account_id', ledger_account_for_account(v_credit.account_id),
+                    'direction', 'debit', 'amount', v_counter_amount, 'transaction_id', v_counter_refund.id),
+                jsonb_build_object('ledger_account_id', ledger_account_for_account(v_debit.account_id),
+                    'direction', 'credit', 'amount', v_amount, 'transaction_id', v_refund.id)
+            ), p_created_by);
+        ELSE
+            PERFORM post_journal(v_kind, v_description, p_reference, jsonb_build_array(
+                jsonb_build_object('ledger_account_id', ledger_account_for_account(v_credit.account_id),
+                    'direction', 'debit', 'amount', v_counter_amount, 'transaction_id', v_counter_refund.id),
+                jsonb_build_object('ledger_account_id', system_ledger_account('FX_POSITION'),
+                    'direction', 'credit', 'amount', v_counter_amount, 'currency', v_credit.currency),
+                jsonb_build_object('ledger_account_id', system_ledger_account('FX_POSITION'),
+                    'direction', 'debit', 'amount', v_amount, 'currency', v_debit.currency),
+                jsonb_build_object('ledger_account_id', ledger_account_for_account(v_debit.account_id),
+                    'direction', 'credit', 'amount', v_amount, 'transaction_id', v_refund.id)
+            ), p_created_by);
+        END IF;
+    END IF;
+
+    SELECT * INTO v_original FROM transactions WHERE id = p_transaction_id;
+
+    RETURN jsonb_build_object(
+        'original', to_jsonb(v_original),
+        'refund', to_jsonb(v_refund),
+        'counterparty_refund', CASE WHEN v_counter_refund.id IS NULL THEN NULL ELSE to_jsonb(v_counter_refund) END,
+        'remaining_refundable', v_remaining - v_amount
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Manual balance change by staff. Posts the difference against a named
+-- bank-side account (ADJUSTMENTS unless given) and records it as an
+-- 'adjustment' transaction so the customer's history explains it.
+-- p_operation: 'set' to a target balance, 'add', or 'subtract' (floored at 0).
+-- Lowering the balance below the funds held for pending debits fails with
+-- INSUFFICIENT_FUNDS.
+DROP FUNCTION IF EXISTS adjust_balance(UUID, TEXT, DECIMAL, TEXT, TEXT, TEXT);
+CREATE OR REPLACE FUNCTION adjust_balance(
+    p_account_id UUID,
+    p_operation TEXT,
+    p_amount DECIMAL(15,2),
+    p_description TEXT DEFAULT NULL,
+    p_created_by TEXT DEFAULT 'admin',
+    p_ledger_account_code TEXT DEFAULT 'ADJUSTMENTS'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_account accounts%ROWTYPE;
+    v_new_balance DECIMAL(15,2);
+    v_delta DECIMAL(15,2);
+    v_type TEXT;
+    v_transaction transactions%ROWTYPE;
+BEGIN
+    IF p_amount IS NULL OR p_amount < 0 THEN
+        RAISE EXCEPTION 'INVALID_AMOUNT';
+    END IF;
+
+    SELECT * INTO v_account FROM accounts WHERE id = p_account_id FOR UPDATE;
+
+    IF v_account.id IS NULL THEN
+        RAISE EXCEPTION 'PROFILE_NOT_FOUND';
+    END IF;
+
+    v_new_balance := CASE p_operation
+        WHEN 'add' THEN v_account.balance + p_amount
+        WHEN 'subtract' THEN GREATEST(0, v_account.balance - p_amount)
+        WHEN 'set' THEN p_amount
+    END;
+
+    IF v_new_balance IS NULL THEN
+        RAISE EXCEPTION 'INVALID_OPERATION';
+    END IF;
+
+    v_delta := v_new_balance - v_account.balance;
+
+    IF v_delta < 0 AND v_new_balance < v_account.held_balance THEN
+        RAISE EXCEPTION 'INSUFFICIENT_FUNDS';
+    END IF;
+
+    IF v_delta <> 0 THEN
+        v_type := CASE WHEN v_delta > 0 THEN 'credit' ELSE 'debit' END;
+
+        INSERT INTO transactions (user_id, account_id, type, amount, currency, description, transaction_type, status)
+        VALUES (v_account.user_id, v_account.id, v_type, ABS(v_delta), v_account.currency,
+            COALESCE(p_description, 'Balance adjustment'), 'adjustment', 'completed')
+        RETURNING * INTO v_transaction;
+
+        PERFORM post_journal('adjustment', v_transaction.description, NULL, jsonb_build_array(
+            jsonb_build_object('ledger_account_id', ledger_account_for_account(v_account.id),
+                'direction', v_type, 'amount', ABS(v_delta), 'transaction_id', v_transaction.id),
+            jsonb_build_object('ledger_account_id', system_ledger_account(p_ledger_account_code),
+                'direction', CASE WHEN v_type = 'credit' THEN 'debit' ELSE 'credit' END,
+                'amount', ABS(v_delta), 'currency', v_account.currency)
+        ), p_created_by);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'previous_balance', v_account.balance,
+        'new_balance', v_new_balance,
+        'transaction', CASE WHEN v_transaction.id IS NULL THEN NULL ELSE to_jsonb(v_transaction) END
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION post_journal(TEXT, TEXT, TEXT, JSONB, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION apply_transaction(UUID, UUID, TEXT, DECIMAL, TEXT, TEXT, TEXT, TEXT, DECIMAL) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION post_bank_movement(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION settle_pending_transaction(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reject_pending_transaction(UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refund_transaction(UUID, TEXT, DECIMAL, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION adjust_balance(UUID, TEXT, DECIMAL, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ledger_balances gained a currency column, which CREATE OR REPLACE VIEW
+-- cannot add in the middle of an existing view, so an older one is dropped
+-- along with the view that reads it
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.views
+        WHERE table_schema = 'public' AND table_name = 'ledger_balances')
+        AND NOT EXISTS (SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'ledger_balances' AND column_name = 'currency') THEN
+        DROP VIEW IF EXISTS ledger_balance_mismatches;
+        DROP VIEW ledger_balances;
+    END IF;
+END;
+$$;
+
+-- Customer balances as the ledger sees them, next to the cached column
+CREATE OR REPLACE VIEW ledger_balances AS
+SELECT
+    la.id AS ledger_account_id,
+    la.code,
+    la.kind,
+    la.account_id,
+    p.currency,
+    COALESCE(SUM(
+        CASE WHEN (la.kind IN ('asset', 'expense')) = (p.direction = 'debit')
+            THEN p.amount ELSE -p.amount END
+    ), 0) AS balance
+FROM ledger_accounts la
+LEFT JOIN postings p ON p.ledger_account_id = la.id
+GROUP BY la.id, p.currency;
+
+CREATE OR REPLACE VIEW ledger_balance_mismatches AS
+SELECT ac.id AS account_id, ac.user_id, ac.account_number, ac.balance AS cached_balance, COALESCE(lb.balance, 0) AS ledger_balance
+FROM accounts ac
+LEFT JOIN ledger_balances lb ON lb.account_id = ac.id AND lb.currency = ac.currency
+WHERE ac.balance <> COALESCE(lb.balance, 0);
+
+-- Open ledger accounts for accounts that predate the ledger, funding their
+-- current balance from OPENING_BALANCES so both start in agreement. Whatever
+-- part of the balance the account's completed transactions do not explain is
+-- recorded as an opening_balance transaction, so reconciliation (which sums
+-- transactions) agrees with it too.
+DO $$
+DECLARE
+    v_account RECORD;
+    v_history DECIMAL(15,2);
+    v_opening DECIMAL(15,2);
+    v_transaction_id UUID;
+    v_postings JSONB;
+BEGIN
+    FOR v_account IN
+        SELECT ac.id, ac.user_id, ac.balance, ac.currency FROM accounts ac
+        WHERE NOT EXISTS (SELECT 1 FROM ledger_accounts la WHERE la.account_id = ac.id)
+        FOR UPDATE
+    LOOP
+        SELECT COALESCE(SUM(CASE WHEN type = 'credit' THEN amount ELSE -amount END), 0)
+        INTO v_history
+        FROM transactions
+        WHERE account_id = v_account.id AND status = 'completed';
+
+        v_opening := v_account.balance - v_history;
+
+        IF v_account.balance = 0 AND v_opening = 0 THEN
+            PERFORM ledger_account_for_account(v_account.id);
+            CONTINUE;
+        END IF;
+
+        v_postings := '[]'::jsonb;
+        v_transaction_id := NULL;
+
+        IF v_account.balance <> 0 THEN
+            v_postings := v_postings || jsonb_build_object('ledger_account_id', system_ledger_account('OPENING_BALANCES'),
+                'direction', CASE WHEN v_account.balance > 0 THEN 'debit' ELSE 'credit' END,
+                'amount', ABS(v_account.balance), 'currency', v_account.currency);
+        END IF;
+
+        IF v_history <> 0 THEN
+            v_postings := v_postings || jsonb_build_object('ledger_account_id', ledger_account_for_account(v_account.id),
+                'direction', CASE WHEN v_history > 0 THEN 'credit' ELSE 'debit' END,
+                'amount', ABS(v_history));
+        END IF;
+
+        IF v_opening <> 0 THEN
+            INSERT INTO transactions (user_id, account_id, type, amount, description, transaction_type, reference, currency, status)
+            VALUES (v_account.user_id, v_account.id,
+                CASE WHEN v_opening > 0 THEN 'credit' ELSE 'debit' END,
+                ABS(v_opening), 'Opening balance', 'opening_balance', 'OPENING-' || v_account.id, v_account.currency, 'completed')
+            RETURNING id INTO v_transaction_id;
+
+            v_postings := v_postings || jsonb_build_object('ledger_account_id', ledger_account_for_account(v_account.id),
+                'direction', CASE WHEN v_opening > 0 THEN 'credit' ELSE 'debit' END,
+                'amount', ABS(v_opening), 'transaction_id', v_transaction_id);
+        END IF;
+
+        PERFORM set_config('app.ledger_posting', 'on', true);
+        UPDATE accounts SET balance = 0 WHERE id = v_account.id;
+
+        PERFORM post_journal('opening_balance', 'Opening balance', NULL, v_postings, 'migration');
+    END LOOP;
+END;
+$$;
+
+-- Balance reconciliation. Each run compares accounts.balance with the sum of
+-- the account's completed transactions and keeps the drift it found.
+CREATE TABLE reconciliation_runs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    triggered_by TEXT NOT NULL,
+    accounts_checked INTEGER NOT NULL,
+    mismatch_count INTEGER NOT NULL,
+    total_drift DECIMAL(15,2) NOT NULL,
+    mismatches JSONB NOT NULL DEFAULT '[]'::jsonb,
+    fixed BOOLEAN DEFAULT false,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE reconciliation_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_reconciliation_runs_created_at ON reconciliation_runs(created_at);
+
+-- Bring one account's balance back in line with its transaction history.
+-- The expected balance is recomputed under the row lock, and the difference
+-- is posted against SUSPENSE with the audit note so it can be investigated.
+DROP FUNCTION IF EXISTS reconcile_balance(UUID, TEXT, TEXT);
+CREATE OR REPLACE FUNCTION reconcile_balance(
+    p_account_id UUID,
+    p_note TEXT,
+    p_created_by TEXT DEFAULT 'system'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_account accounts%ROWTYPE;
+    v_expected DECIMAL(15,2);
+    v_delta DECIMAL(15,2);
+    v_journal_id UUID;
+BEGIN
+    IF p_note IS NULL OR length(trim(p_note)) = 0 THEN
+        RAISE EXCEPTION 'NOTE_REQUIRED';
+    END IF;
+
+    SELECT * INTO v_account FROM accounts WHERE id = p_account_id FOR UPDATE;
+
+    IF v_account.id IS NULL THEN
+        RAISE EXCEPTION 'PROFILE_NOT_FOUND';
+    END IF;
+
+    SELECT COALESCE(SUM(CASE WHEN type = 'credit' THEN amount ELSE -amount END), 0)
+    INTO v_expected
+    FROM transactions
+    WHERE account_id = p_account_id AND status = 'completed';
+
+    v_delta := v_expected - v_account.balance;
+
+    IF v_delta <> 0 THEN
+        v_journal_id := post_journal('reconciliation', p_note, NULL, jsonb_build_array(
+            jsonb_build_object('ledger_account_id', ledger_account_for_account(p_account_id),
+                'direction', CASE WHEN v_delta > 0 THEN 'credit' ELSE 'debit' END,
+                'amount', ABS(v_delta)),
+            jsonb_build_object('ledger_account_id', system_ledger_account('SUSPENSE'),
+                'direction', CASE WHEN v_delta > 0 THEN 'debit' ELSE 'credit' END,
+                'amount', ABS(v_delta), 'currency', v_account.currency)
+        ), p_created_by);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'previous_balance', v_account.balance,
+        'new_balance', v_expected,
+        'difference', v_delta,
+        'journal_entry_id', v_journal_id
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION reconcile_balance(UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Scheduled and recurring transfers set up by customers. The worker in
+-- scripts/scheduled-transfers.mjs runs each due item through transfer_funds
+-- and records the outcome in scheduled_transfer_runs.
+CREATE TABLE scheduled_transfers (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    from_account_id UUID REFERENCES accounts(id) ON DELETE CASCADE NOT NULL,
+    to_account_number TEXT NOT NULL,
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+    description TEXT,
+    frequency TEXT NOT NULL CHECK (frequency IN ('once', 'weekly', 'monthly')),
+    -- Monthly runs fall on this day, or on the last day of shorter months
+    day_of_month INTEGER CHECK (day_of_month BETWEEN 1 AND 31),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    next_run_date DATE,
+    status TEXT DEFAULT 'active' NOT NULL CHECK (status IN ('active', 'paused', 'completed', 'cancelled')),
+    -- Attempts at the current occurrence; insufficient funds is retried at retry_at
+    attempts INTEGER DEFAULT 0 NOT NULL,
+    retry_at TIMESTAMP WITH TIME ZONE,
+    -- Set while a worker is running the item so two workers never both pay it
+    locked_until TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Schedules from before accounts pay from their owner's primary account
+ALTER TABLE scheduled_transfers ADD COLUMN IF NOT EXISTS from_account_id UUID REFERENCES accounts(id) ON DELETE CASCADE;
+
+UPDATE scheduled_transfers st
+SET from_account_id = ac.id
+FROM accounts ac
+WHERE st.from_account_id IS NULL AND ac.user_id = st.user_id AND ac.is_primary;
+
+ALTER TABLE scheduled_transfers ALTER COLUMN from_account_id SET NOT NULL;
+
+CREATE TABLE scheduled_transfer_runs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    scheduled_transfer_id UUID REFERENCES scheduled_transfers(id) ON DELETE CASCADE NOT NULL,
+    run_date DATE NOT NULL,
+    attempt INTEGER NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('completed', 'pending_approval', 'retrying', 'failed', 'skipped')),
+    transaction_id UUID REFERENCES transactions(id),
+    error_code TEXT,
+    error_message TEXT,
+    ran_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE scheduled_transfers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scheduled_transfer_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_scheduled_transfers_user_id ON scheduled_transfers(user_id);
+CREATE INDEX idx_scheduled_transfers_due ON scheduled_transfers(next_run_date) WHERE status = 'active';
+CREATE INDEX idx_scheduled_transfer_runs_scheduled_transfer_id ON scheduled_transfer_runs(scheduled_transfer_id);
+
+CREATE TRIGGER update_scheduled_transfers_updated_at BEFORE UPDATE ON scheduled_transfers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Saved recipients ("payees"). Customers can pay a payee by payee_id instead
+-- of typing the account number each time.
+CREATE TABLE payees (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    payee_profile_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    payee_account_id UUID REFERENCES accounts(id) ON DELETE CASCADE NOT NULL,
+    account_number TEXT NOT NULL,
+    nickname TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    UNIQUE (user_id, payee_account_id)
+);
+
+-- Payees saved before accounts point at the payee's primary account
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'payees' AND column_name = 'payee_account_id') THEN
+        ALTER TABLE payees ADD COLUMN payee_account_id UUID REFERENCES accounts(id) ON DELETE CASCADE;
+
+        UPDATE payees pa
+        SET payee_account_id = ac.id
+        FROM accounts ac
+        WHERE ac.user_id = pa.payee_profile_id AND ac.is_primary;
+
+        ALTER TABLE payees ALTER COLUMN payee_account_id SET NOT NULL;
+        ALTER TABLE payees DROP CONSTRAINT IF EXISTS payees_user_id_payee_profile_id_key;
+        ALTER TABLE payees ADD CONSTRAINT payees_user_id_payee_account_id_key UNIQUE (user_id, payee_account_id);
+    END IF;
+END;
+$$;
+
+ALTER TABLE payees ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_payees_user_id ON payees(user_id);
+
+CREATE TRIGGER update_payees_updated_at BEFORE UPDATE ON payees
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Login sessions. Access tokens carry the session id (sid) and stop working
+-- as soon as the session is revoked by logout or refresh-token reuse.
+CREATE TABLE auth_sessions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    -- Readable device name ("Chrome on Windows") and a hash identifying the
+    -- device, used to spot sign-ins from devices the user has not used before
+    device_label TEXT,
+    device_fingerprint TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    -- When the user last proved who they are in this session (login or
+    -- step-up) and how: 'pwd', 'otp' or 'recovery'
+    authenticated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    auth_methods TEXT[] DEFAULT '{pwd}' NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Sessions from before device tracking: last_used_at became last_seen_at
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'auth_sessions' AND column_name = 'last_used_at') THEN
+        ALTER TABLE auth_sessions RENAME COLUMN last_used_at TO last_seen_at;
+    END IF;
+END;
+$$;
+
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS device_label TEXT;
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS device_fingerprint TEXT;
+
+-- Sessions from before step-up count as authenticated by password when
+-- they were created
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'auth_sessions' AND column_name = 'authenticated_at') THEN
+        ALTER TABLE auth_sessions ADD COLUMN authenticated_at TIMESTAMP WITH TIME ZONE;
+        UPDATE auth_sessions SET authenticated_at = created_at;
+        ALTER TABLE auth_sessions ALTER COLUMN authenticated_at SET DEFAULT TIMEZONE('utc'::text, NOW());
+        ALTER TABLE auth_sessions ALTER COLUMN authenticated_at SET NOT NULL;
+    END IF;
+END;
+$$;
+
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS auth_methods TEXT[] DEFAULT '{pwd}' NOT NULL;
+
+-- Single-use refresh tokens, stored as SHA-256 hashes. Each one a session
+-- spends points at the token issued to replace it.
+CREATE TABLE refresh_tokens (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    session_id UUID REFERENCES auth_sessions(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    replaced_by UUID REFERENCES refresh_tokens(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE auth_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_auth_sessions_user_id ON auth_sessions(user_id);
+CREATE INDEX idx_auth_sessions_device ON auth_sessions(user_id, device_fingerprint);
+CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+
+-- Audit trail of security-relevant and staff actions. Append-only and
+-- hash-chained: each row's hash covers its own contents and the previous
+-- row's hash, so editing, deleting or reordering rows breaks the chain
+-- (see verify_audit_chain).
+CREATE TABLE audit_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    -- Position in the chain, assigned by the insert trigger
+    seq BIGINT UNIQUE NOT NULL,
+    actor_type TEXT NOT NULL CHECK (actor_type IN ('user', 'admin', 'system')),
+    actor_id TEXT,
+    action TEXT NOT NULL,
+    target_type TEXT,
+    target_id TEXT,
+    details JSONB DEFAULT '{}'::jsonb NOT NULL,
+    -- State of the target before and after the action, where it has one
+    before_state JSONB,
+    after_state JSONB,
+    ip_address TEXT,
+    request_id TEXT,
+    prev_hash TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Tip of the chain. Its single row is locked by each insert, so events are
+-- chained one at a time even when written concurrently.
+CREATE TABLE audit_chain_head (
+    id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+    last_seq BIGINT DEFAULT 0 NOT NULL,
+    last_hash TEXT DEFAULT repeat('0', 64) NOT NULL
+);
+
+INSERT INTO audit_chain_head DEFAULT VALUES;
+
+ALTER TABLE audit_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_chain_head ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_audit_events_target ON audit_events(target_type, target_id);
+CREATE INDEX idx_audit_events_actor ON audit_events(actor_type, actor_id);
+CREATE INDEX idx_audit_events_action ON audit_events(action);
+CREATE INDEX idx_audit_events_created_at ON audit_events(created_at);
+
+-- SHA-256 over the previous hash and a canonical JSON rendering of the row.
+-- jsonb prints keys in a fixed order, and created_at is rendered in UTC.
+CREATE OR REPLACE FUNCTION audit_event_hash(p_event audit_events, p_prev_hash TEXT)
+RETURNS TEXT AS $$
+BEGIN
+    RETURN encode(sha256(convert_to(p_prev_hash || jsonb_build_object(
+        'seq', p_event.seq,
+        'actor_type', p_event.actor_type,
+        'actor_id', p_event.actor_id,
+        'action', p_event.action,
+        'target_type', p_event.target_type,
+        'target_id', p_event.target_id,
+        'details', p_event.details,
+        'before_state', p_event.before_state,
+        'after_state', p_event.after_state,
+        'ip_address', p_event.ip_address,
+        'request_id', p_event.request_id,
+        'created_at', to_char(p_event.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')
+    )::text, 'UTF8')), 'hex');
+END;
+$$ LANGUAGE plpgsql;
+
+-- Events recorded before the log was chained are chained now, oldest first,
+-- and the head moved to the last of them
+DO $$
+DECLARE
+    v_event audit_events;
+    v_seq BIGINT := 0;
+    v_hash TEXT := repeat('0', 64);
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'audit_events' AND column_name = 'hash') THEN
+        ALTER TABLE audit_events ADD COLUMN seq BIGINT UNIQUE;
+        ALTER TABLE audit_events ADD COLUMN before_state JSONB;
+        ALTER TABLE audit_events ADD COLUMN after_state JSONB;
+        ALTER TABLE audit_events ADD COLUMN request_id TEXT;
+        ALTER TABLE audit_events ADD COLUMN prev_hash TEXT;
+        ALTER TABLE audit_events ADD COLUMN hash TEXT;
+
+        FOR v_event IN SELECT * FROM audit_events ORDER BY created_at, id LOOP
+            v_event.seq := v_seq + 1;
+            v_event.prev_hash := v_hash;
+            v_event.hash := audit_event_hash(v_event, v_hash);
+
+            UPDATE audit_events
+            SET seq = v_event.seq, prev_hash = v_event.prev_hash, hash = v_event.hash
+            WHERE id = v_event.id;
+
+            v_seq := v_event.seq;
+            v_hash := v_event.hash;
+        END LOOP;
+
+        UPDATE audit_chain_head SET last_seq = v_seq, last_hash = v_hash WHERE id;
+
+        ALTER TABLE audit_events ALTER COLUMN seq SET NOT NULL;
+        ALTER TABLE audit_events ALTER COLUMN prev_hash SET NOT NULL;
+        ALTER TABLE audit_events ALTER COLUMN hash SET NOT NULL;
+    END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION chain_audit_event()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE audit_chain_head
+    SET last_seq = last_seq + 1
+    WHERE id
+    RETURNING last_seq, last_hash INTO NEW.seq, NEW.prev_hash;
+
+    NEW.hash := audit_event_hash(NEW, NEW.prev_hash);
+
+    UPDATE audit_chain_head SET last_hash = NEW.hash WHERE id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION prevent_audit_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'AUDIT_LOG_IMMUTABLE';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_events_chain BEFORE INSERT ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION chain_audit_event();
+
+CREATE TRIGGER audit_events_immutable BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_changes();
+
+CREATE TRIGGER audit_events_no_truncate BEFORE TRUNCATE ON audit_events
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_changes();
+
+-- Walk the chain in order and report every row whose link or hash does not
+-- match, plus a head that does not point at the last row (rows removed from
+-- the end).
+CREATE OR REPLACE FUNCTION verify_audit_chain()
+RETURNS JSONB AS $$
+DECLARE
+    v_event audit_events;
+    v_head audit_chain_head;
+    v_prev_hash TEXT := repeat('0', 64);
+    v_expected_seq BIGINT := 1;
+    v_checked BIGINT := 0;
+    v_breaks JSONB := '[]'::jsonb;
+BEGIN
+    FOR v_event IN SELECT * FROM audit_events ORDER BY seq LOOP
+        v_checked := v_checked + 1;
+
+        IF v_event.seq <> v_expected_seq THEN
+            v_breaks := v_breaks || jsonb_build_object(
+                'seq', v_event.seq, 'id', v_event.id, 'reason', 'missing_events',
+                'expected_seq', v_expected_seq
+            );
+        END IF;
+
+        IF v_event.prev_hash <> v_prev_hash THEN
+            v_breaks := v_breaks || jsonb_build_object(
+                'seq', v_event.seq, 'id', v_event.id, 'reason', 'broken_link'
+            );
+        END IF;
+
+        IF v_event.hash <> audit_event_hash(v_event, v_event.prev_hash) THEN
+            v_breaks := v_breaks || jsonb_build_object(
+                'seq', v_event.seq, 'id', v_event.id, 'reason', 'hash_mismatch'
+            );
+        END IF;
+
+        v_prev_hash := v_event.hash;
+        v_expected_seq := v_event.seq + 1;
+    END LOOP;
+
+    SELECT * INTO v_head FROM audit_chain_head WHERE id;
+
+    IF v_head.last_seq <> v_expected_seq - 1 OR v_head.last_hash <> v_prev_hash THEN
+        v_breaks := v_breaks || jsonb_build_object(
+            'seq', v_head.last_seq, 'id', NULL, 'reason', 'head_mismatch'
+        );
+    END IF;
+
+    RETURN jsonb_build_object(
+        'events_checked', v_checked,
+        'valid', jsonb_array_length(v_breaks) = 0,
+        'breaks', v_breaks,
+        'head_seq', v_head.last_seq,
+        'head_hash', v_head.last_hash
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION verify_audit_chain() FROM PUBLIC, anon, authenticated;
+
+-- TOTP two-factor authentication. The secret is stored encrypted (see
+-- utils/mfa.mjs) and enabled_at stays NULL until the user has proved they
+-- can generate codes. last_used_step stops a code being accepted twice.
+CREATE TABLE mfa_factors (
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE PRIMARY KEY,
+    secret_encrypted TEXT NOT NULL,
+    enabled_at TIMESTAMP WITH TIME ZONE,
+    last_used_step BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- One-time recovery codes, stored as SHA-256 hashes
+CREATE TABLE mfa_recovery_codes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Second step of a login for users with 2FA. The password step opens a
+-- challenge, and a TOTP or recovery code completes it within a few attempts.
+CREATE TABLE mfa_challenges (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    attempts INTEGER DEFAULT 0 NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE mfa_factors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mfa_recovery_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mfa_challenges ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+CREATE INDEX idx_mfa_challenges_user_id ON mfa_challenges(user_id);
+
+CREATE TRIGGER update_mfa_factors_updated_at BEFORE UPDATE ON mfa_factors
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Single-use tokens sent by email: password resets and email verification.
+-- Only the SHA-256 hash is stored. Verification tokens carry the address
+-- they were sent to, so a link for an old address cannot verify a new one.
+CREATE TABLE account_tokens (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash TEXT UNIQUE NOT NULL,
+    email TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE account_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_account_tokens_user_purpose ON account_tokens(user_id, purpose);
+
+-- Failed login counters for brute-force protection, one row per key
+-- ("account:<email>" or "ip:<address>"). Used by the database attempt store
+-- in utils/attemptStore.mjs.
+CREATE TABLE login_attempts (
+    key TEXT PRIMARY KEY,
+    failures INTEGER DEFAULT 0 NOT NULL,
+    window_started_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE login_attempts ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_login_attempts_locked_until ON login_attempts(locked_until);
+
+CREATE TRIGGER update_login_attempts_updated_at BEFORE UPDATE ON login_attempts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Count a failed login against a key in one statement, so concurrent
+-- failures are never lost. The count starts over once the window has passed.
+CREATE OR REPLACE FUNCTION record_login_failure(p_key TEXT, p_window_seconds INTEGER)
+RETURNS login_attempts AS $$
+DECLARE
+    v_attempt login_attempts;
+BEGIN
+    INSERT INTO login_attempts (key, failures, window_started_at)
+    VALUES (p_key, 1, NOW())
+    ON CONFLICT (key) DO UPDATE SET
+        failures = CASE
+            WHEN login_attempts.window_started_at <= NOW() - make_interval(secs => p_window_seconds) THEN 1
+            ELSE login_attempts.failures + 1
+        END,
+        window_started_at = CASE
+            WHEN login_attempts.window_started_at <= NOW() - make_interval(secs => p_window_seconds) THEN NOW()
+            ELSE login_attempts.window_started_at
+        END
+    RETURNING * INTO v_attempt;
+
+    RETURN v_attempt;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION record_login_failure(TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- KYC (know your customer) submissions. A customer has at most one open
+-- submission; a rejected one can be followed by a new one. Status moves
+-- submitted -> under_review -> approved | rejected | needs_more_info, and
+-- needs_more_info goes back to submitted when the customer responds.
+CREATE TABLE kyc_submissions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    status TEXT DEFAULT 'submitted' NOT NULL
+        CHECK (status IN ('submitted', 'under_review', 'approved', 'rejected', 'needs_more_info')),
+    full_name TEXT NOT NULL,
+    date_of_birth DATE NOT NULL,
+    nationality TEXT NOT NULL,
+    id_document_number TEXT NOT NULL,
+    address_line1 TEXT NOT NULL,
+    address_line2 TEXT,
+    city TEXT NOT NULL,
+    postal_code TEXT NOT NULL,
+    country TEXT NOT NULL,
+    reviewed_by UUID REFERENCES admin_users(id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Uploaded identity documents. The file itself lives in the storage
+-- adapter (utils/storage.mjs) under storage_key.
+CREATE TABLE kyc_documents (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    submission_id UUID REFERENCES kyc_submissions(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    document_type TEXT NOT NULL
+        CHECK (document_type IN ('passport', 'national_id', 'drivers_license', 'proof_of_address', 'selfie')),
+    storage_key TEXT UNIQUE NOT NULL,
+    filename TEXT,
+    content_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    sha256 TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Reviewer notes and the status change each one came with. Internal only.
+CREATE TABLE kyc_review_notes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    submission_id UUID REFERENCES kyc_submissions(id) ON DELETE CASCADE NOT NULL,
+    admin_id UUID REFERENCES admin_users(id),
+    note TEXT,
+    status_from TEXT NOT NULL,
+    status_to TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE kyc_submissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE kyc_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE kyc_review_notes ENABLE ROW LEVEL SECURITY;
+
+CREATE UNIQUE INDEX idx_kyc_submissions_open ON kyc_submissions(user_id) WHERE status <> 'rejected';
+CREATE INDEX idx_kyc_submissions_status ON kyc_submissions(status, submitted_at);
+CREATE INDEX idx_kyc_documents_submission_id ON kyc_documents(submission_id);
+CREATE INDEX idx_kyc_review_notes_submission_id ON kyc_review_notes(submission_id);
+
+CREATE TRIGGER update_kyc_submissions_updated_at BEFORE UPDATE ON kyc_submissions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Account lifecycle. What each status allows:
+--   pending        nothing until activated (KYC or staff)
+--   active         everything
+--   frozen         receives transfers, cannot send, withdraw or deposit
+--   debit_blocked  receives transfers and deposits, no money out
+--   dormant        receives transfers; the customer must be reactivated by
+--                  staff before using the account again
+--   closed         nothing; the balance was zero or paid out on closure
+-- p_movement: 'debit' (money out), 'credit' (customer deposit) or
+-- 'incoming' (transfer from another customer). Returns the error code to
+-- raise, or NULL when the movement is allowed.
+CREATE OR REPLACE FUNCTION account_status_block(p_status TEXT, p_movement TEXT)
+RETURNS TEXT AS $$
+BEGIN
+    IF p_status = 'active'
+        OR (p_movement = 'incoming' AND p_status IN ('frozen', 'debit_blocked', 'dormant'))
+        OR (p_movement = 'credit' AND p_status = 'debit_blocked') THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN CASE p_status
+        WHEN 'frozen' THEN 'ACCOUNT_FROZEN'
+        WHEN 'debit_blocked' THEN 'ACCOUNT_DEBIT_BLOCKED'
+        WHEN 'dormant' THEN 'ACCOUNT_DORMANT'
+        WHEN 'closed' THEN 'ACCOUNT_CLOSED'
+        ELSE 'ACCOUNT_INACTIVE'
+    END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Every status change with the reason it was made
+CREATE TABLE account_status_history (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    status_from TEXT NOT NULL,
+    status_to TEXT NOT NULL,
+    reason_code TEXT NOT NULL,
+    note TEXT,
+    -- Closure payouts, one transaction per account that had money left
+    payouts JSONB DEFAULT '[]'::jsonb NOT NULL,
+    changed_by TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Closures recorded a single payout transaction before accounts; it becomes
+-- the only entry in payouts
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'account_status_history' AND column_name = 'payout_transaction_id') THEN
+        ALTER TABLE account_status_history ADD COLUMN IF NOT EXISTS payouts JSONB DEFAULT '[]'::jsonb NOT NULL;
+
+        UPDATE account_status_history h
+        SET payouts = jsonb_build_array(to_jsonb(t))
+        FROM transactions t
+        WHERE t.id = h.payout_transaction_id;
+
+        ALTER TABLE account_status_history DROP COLUMN payout_transaction_id;
+    END IF;
+END;
+$$;
+
+ALTER TABLE account_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_account_status_history_user_id ON account_status_history(user_id, created_at);
+
+-- Move an account to a new status under its row lock. Allowed moves:
+--   pending        -> active, closed
+--   active         -> frozen, debit_blocked, dormant, closed
+--   frozen         -> active, debit_blocked, closed
+--   debit_blocked  -> active, frozen, closed
+--   dormant        -> active, frozen, closed
+-- Closing needs no pending debits and a zero balance on every account,
+-- unless p_payout_to is given: then whatever is left on each account is paid
+-- out to it as a withdrawal first.
+CREATE OR REPLACE FUNCTION change_account_status(
+    p_user_id UUID,
+    p_status TEXT,
+    p_reason_code TEXT,
+    p_note TEXT DEFAULT NULL,
+    p_payout_to TEXT DEFAULT NULL,
+    p_changed_by TEXT DEFAULT 'admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_profile profiles%ROWTYPE;
+    v_account accounts%ROWTYPE;
+    v_payout transactions%ROWTYPE;
+    v_payouts JSONB := '[]'::jsonb;
+    v_history account_status_history%ROWTYPE;
+BEGIN
+    IF p_reason_code IS NULL OR length(trim(p_reason_code)) = 0 THEN
+        RAISE EXCEPTION 'REASON_REQUIRED';
+    END IF;
+
+    SELECT * INTO v_profile FROM profiles WHERE id = p_user_id FOR UPDATE;
+
+    IF v_profile.id IS NULL THEN
+        RAISE EXCEPTION 'PROFILE_NOT_FOUND';
+    END IF;
+
+    IF NOT (
+        (v_profile.status = 'pending' AND p_status IN ('active', 'closed'))
+        OR (v_profile.status = 'active' AND p_status IN ('frozen', 'debit_blocked', 'dormant', 'closed'))
+        OR (v_profile.status = 'frozen' AND p_status IN ('active', 'debit_blocked', 'closed'))
+        OR (v_profile.status = 'debit_blocked' AND p_status IN ('active', 'frozen', 'closed'))
+        OR (v_profile.status = 'dormant' AND p_status IN ('active', 'frozen', 'closed'))
+    ) THEN
+        RAISE EXCEPTION 'INVALID_STATUS_TRANSITION';
+    END IF;
+
+    IF p_status = 'closed' THEN
+        PERFORM 1 FROM accounts WHERE user_id = p_user_id ORDER BY id FOR UPDATE;
+
+        IF EXISTS (SELECT 1 FROM accounts WHERE user_id = p_user_id AND held_balance > 0) THEN
+            RAISE EXCEPTION 'PENDING_TRANSACTIONS';
+        END IF;
+
+        IF p_payout_to IS NULL AND EXISTS (SELECT 1 FROM accounts WHERE user_id = p_user_id AND balance > 0) THEN
+            RAISE EXCEPTION 'BALANCE_NOT_ZERO';
+        END IF;
+
+        FOR v_account IN
+            SELECT * FROM accounts WHERE user_id = p_user_id AND balance > 0 ORDER BY id
+        LOOP
+            INSERT INTO transactions (
+                user_id, account_id, type, amount, currency, description, to_account_number, transaction_type, reference, status
+            )
+            VALUES (
+                p_user_id, v_account.id, 'debit', v_account.balance, v_account.currency,
+                'Closing balance paid out to ' || p_payout_to, p_payout_to, 'withdrawal',
+                'CLS-' || v_account.account_number, 'completed'
+            )
+            RETURNING * INTO v_payout;
+
+            PERFORM post_bank_movement(v_payout.id);
+            v_payouts := v_payouts || to_jsonb(v_payout);
+        END LOOP;
+    END IF;
+
+    UPDATE profiles
+    SET status = p_status, status_reason = p_reason_code, status_changed_at = TIMEZONE('utc'::text, NOW())
+    WHERE id = p_user_id;
+
+    INSERT INTO account_status_history (user_id, status_from, status_to, reason_code, note, payouts, changed_by)
+    VALUES (p_user_id, v_profile.status, p_status, p_reason_code, p_note, v_payouts, p_changed_by)
+    RETURNING * INTO v_history;
+
+    RETURN jsonb_build_object(
+        'history', to_jsonb(v_history),
+        'previous_status', v_profile.status,
+        'status', p_status,
+        'payouts', v_payouts
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION change_account_status(UUID, TEXT, TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Open another account for a customer. Only active customers can open
+-- accounts, and at most p_max_accounts of them; the profile lock keeps two
+-- parallel requests from both getting under the limit.
+CREATE OR REPLACE FUNCTION open_account(
+    p_user_id UUID,
+    p_account_number TEXT,
+    p_account_type TEXT,
+    p_currency TEXT,
+    p_nickname TEXT DEFAULT NULL,
+    p_max_accounts INTEGER DEFAULT NULL
+)
+RETURNS accounts AS $$
+DECLARE
+    v_profile profiles%ROWTYPE;
+    v_account accounts%ROWTYPE;
+BEGIN
+    SELECT * INTO v_profile FROM profiles WHERE id = p_user_id FOR UPDATE;
+
+    IF v_profile.id IS NULL THEN
+        RAISE EXCEPTION 'PROFILE_NOT_FOUND';
+    END IF;
+
+    IF v_profile.status <> 'active' THEN
+        RAISE EXCEPTION '%', COALESCE(account_status_block(v_profile.status, 'debit'), 'ACCOUNT_INACTIVE');
+    END IF;
+
+    IF p_max_accounts IS NOT NULL
+        AND (SELECT COUNT(*) FROM accounts WHERE user_id = p_user_id) >= p_max_accounts THEN
+        RAISE EXCEPTION 'ACCOUNT_LIMIT_REACHED';
+    END IF;
+
+    INSERT INTO accounts (user_id, account_number, account_type, currency, nickname)
+    VALUES (p_user_id, p_account_number, p_account_type, p_currency, p_nickname)
+    RETURNING * INTO v_account;
+
+    PERFORM ledger_account_for_account(v_account.id);
+
+    RETURN v_account;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION open_account(UUID, TEXT, TEXT, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Interest-bearing products. Accounts earn the active product for their
+-- account type and currency; without one they earn nothing. day_count is the
+-- convention used to turn the annual rate into a daily one.
+CREATE TABLE interest_products (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    code TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    account_type TEXT NOT NULL CHECK (account_type IN ('checking', 'savings')),
+    currency TEXT NOT NULL CHECK (currency IN ('USD', 'EUR', 'GBP')),
+    day_count TEXT DEFAULT 'ACT/365' NOT NULL CHECK (day_count IN ('ACT/365', 'ACT/360', 'ACT/ACT', '30/360')),
+    active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Annual rates as fractions (0.025 = 2.5%). A rate applies from its
+-- effective date until the next one; earlier accruals keep the rate they used.
+CREATE TABLE interest_rates (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    product_id UUID REFERENCES interest_products(id) ON DELETE CASCADE NOT NULL,
+    annual_rate DECIMAL(9,6) NOT NULL CHECK (annual_rate >= 0),
+    effective_from DATE NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    UNIQUE (product_id, effective_from)
+);
+
+-- One row per account and day. amount is kept unrounded; the month's total
+-- is rounded to cents when it is posted, and anything under a cent carries
+-- over to the next posting.
+CREATE TABLE interest_accruals (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE NOT NULL,
+    product_id UUID REFERENCES interest_products(id) NOT NULL,
+    accrual_date DATE NOT NULL,
+    -- End-of-day balance the interest was computed on
+    balance DECIMAL(15,2) NOT NULL,
+    annual_rate DECIMAL(9,6) NOT NULL,
+    day_count TEXT NOT NULL,
+    amount DECIMAL(18,8) NOT NULL,
+    -- Set once the accrual has been paid out with a monthly posting
+    transaction_id UUID REFERENCES transactions(id),
+    posted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    UNIQUE (account_id, accrual_date)
+);
+
+ALTER TABLE interest_products ENABLE ROW LEVEL SECURITY;
+ALTER TABLE interest_rates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE interest_accruals ENABLE ROW LEVEL SECURITY;
+
+CREATE UNIQUE INDEX idx_interest_products_one_active ON interest_products(account_type, currency) WHERE active;
+CREATE INDEX idx_interest_accruals_unposted ON interest_accruals(account_id, accrual_date) WHERE posted_at IS NULL;
+
+CREATE TRIGGER update_interest_products_updated_at BEFORE UPDATE ON interest_products
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Fraction of a year that one day counts for under a day-count convention.
+-- 30/360 treats every month as 30 days: the 31st earns nothing and the last
+-- day of February makes up the days February is short.
+CREATE OR REPLACE FUNCTION interest_day_fraction(p_day_count TEXT, p_date DATE)
+RETURNS DECIMAL AS $$
+DECLARE
+    v_month_days INTEGER := extract(day FROM (date_trunc('month', p_date) + INTERVAL '1 month - 1 day'))::INTEGER;
+    v_day INTEGER := extract(day FROM p_date)::INTEGER;
+BEGIN
+    RETURN CASE p_day_count
+        WHEN 'ACT/365' THEN 1::DECIMAL / 365
+        WHEN 'ACT/360' THEN 1::DECIMAL / 360
+        WHEN 'ACT/ACT' THEN 1::DECIMAL / (make_date(extract(year FROM p_date)::INTEGER + 1, 1, 1) - make_date(extract(year FROM p_date)::INTEGER, 1, 1))
+        WHEN '30/360' THEN CASE
+            WHEN v_day = 31 THEN 0
+            WHEN v_day = v_month_days AND v_month_days < 30 THEN (31 - v_month_days)::DECIMAL / 360
+            ELSE 1::DECIMAL / 360
+        END
+    END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Accrue one day's interest on every account with an active product, on its
+-- balance at the end of p_date as the ledger has it. The day must be over.
+-- Accounts already accrued for the day are skipped, so the date can be run
+-- again safely. Closed customers earn nothing.
+CREATE OR REPLACE FUNCTION accrue_interest(p_date DATE)
+RETURNS JSONB AS $$
+DECLARE
+    v_count INTEGER;
+    v_total DECIMAL(18,8);
+BEGIN
+    IF p_date >= CURRENT_DATE THEN
+        RAISE EXCEPTION 'ACCRUAL_DATE_NOT_ENDED';
+    END IF;
+
+    WITH eligible AS (
+        SELECT a.id AS account_id, p.id AS product_id, p.day_count,
+            (SELECT r.annual_rate FROM interest_rates r
+             WHERE r.product_id = p.id AND r.effective_from <= p_date
+             ORDER BY r.effective_from DESC
+             LIMIT 1) AS annual_rate,
+            COALESCE((
+                SELECT SUM(CASE WHEN po.direction = 'credit' THEN po.amount ELSE -po.amount END)
+                FROM ledger_accounts la
+                JOIN postings po ON po.ledger_account_id = la.id
+                WHERE la.account_id = a.id AND po.created_at < (p_date + 1)::TIMESTAMPTZ
+            ), 0) AS balance
+        FROM accounts a
+        JOIN profiles pr ON pr.id = a.user_id
+        JOIN interest_products p
+            ON p.account_type = a.account_type AND p.currency = a.currency AND p.active
+        WHERE pr.status <> 'closed' AND a.created_at < (p_date + 1)::TIMESTAMPTZ
+    ),
+    inserted AS (
+        INSERT INTO interest_accruals (account_id, product_id, accrual_date, balance, annual_rate, day_count, amount)
+        SELECT account_id, product_id, p_date, balance, annual_rate, day_count,
+            balance * annual_rate * interest_day_fraction(day_count, p_date)
+        FROM eligible
+        WHERE annual_rate IS NOT NULL AND balance > 0
+        ON CONFLICT (account_id, accrual_date) DO NOTHING
+        RETURNING amount
+    )
+    SELECT COUNT(*), COALESCE(SUM(amount), 0) INTO v_count, v_total FROM inserted;
+
+    RETURN jsonb_build_object('accrual_date', p_date, 'accounts_accrued', v_count, 'total_accrued', v_total);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Pay out the unposted accruals up to p_period_end, one 'interest' credit per
+-- account through the ledger against INTEREST_EXPENSE. Accruals that round
+-- to less than a cent stay unposted for the next period. Posted accruals are
+-- marked, so running it again for the same period posts nothing new.
+CREATE OR REPLACE FUNCTION post_interest(p_period_end DATE, p_created_by TEXT DEFAULT 'system')
+RETURNS JSONB AS $$
+DECLARE
+    v_account accounts%ROWTYPE;
+    v_amount DECIMAL(15,2);
+    v_transaction transactions%ROWTYPE;
+    v_posted JSONB := '[]'::jsonb;
+BEGIN
+    FOR v_account IN
+        SELECT a.* FROM accounts a
+        JOIN profiles pr ON pr.id = a.user_id
+        WHERE pr.status <> 'closed' AND EXISTS (
+            SELECT 1 FROM interest_accruals ia
+            WHERE ia.account_id = a.id AND ia.posted_at IS NULL AND ia.accrual_date <= p_period_end
+        )
+        ORDER BY a.id
+    LOOP
+        PERFORM 1 FROM profiles WHERE id = v_account.user_id FOR SHARE;
+        SELECT * INTO v_account FROM accounts WHERE id = v_account.id FOR UPDATE;
+
+        PERFORM 1 FROM interest_accruals
+        WHERE account_id = v_account.id AND posted_at IS NULL AND accrual_date <= p_period_end
+        FOR UPDATE;
+
+        SELECT ROUND(COALESCE(SUM(amount), 0), 2) INTO v_amount
+        FROM interest_accruals
+        WHERE account_id = v_account.id AND posted_at IS NULL AND accrual_date <= p_period_end;
+
+        CONTINUE WHEN v_amount <= 0;
+
+        INSERT INTO transactions (
+            user_id, account_id, type, amount, currency, description, transaction_type, reference, status
+        )
+        VALUES (
+            v_account.user_id, v_account.id, 'credit', v_amount, v_account.currency,
+            'Interest to ' || to_char(p_period_end, 'FMDD Mon YYYY'), 'interest',
+            'INTEREST-' || v_account.account_number || '-' || to_char(p_period_end, 'YYYYMMDD'), 'completed'
+        )
+        RETURNING * INTO v_transaction;
+
+        PERFORM post_journal('interest', v_transaction.description, v_transaction.reference, jsonb_build_array(
+            jsonb_build_object('ledger_account_id', ledger_account_for_account(v_account.id),
+                'direction', 'credit', 'amount', v_amount, 'transaction_id', v_transaction.id),
+            jsonb_build_object('ledger_account_id', system_ledger_account('INTEREST_EXPENSE'),
+                'direction', 'debit', 'amount', v_amount, 'currency', v_account.currency)
+        ), p_created_by);
+
+        UPDATE interest_accruals
+        SET transaction_id = v_transaction.id, posted_at = NOW()
+        WHERE account_id = v_account.id AND posted_at IS NULL AND accrual_date <= p_period_end;
+
+        v_posted := v_posted || to_jsonb(v_transaction);
+    END LOOP;
+
+    RETURN jsonb_build_object('period_end', p_period_end, 'transactions', v_posted);
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION accrue_interest(DATE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION post_interest(DATE, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Fee rules. 'transaction' rules charge a withdrawal, transfer or payment
+-- flat_amount plus percentage of its amount (capped at max_amount), only
+-- when the amount is above applies_above if that is set. 'monthly_maintenance'
+-- rules charge flat_amount once a month, waived when the account's balance
+-- at the end of the month is at least waive_min_balance.
+CREATE TABLE fee_rules (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    code TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    event TEXT NOT NULL CHECK (event IN ('transaction', 'monthly_maintenance')),
+    transaction_type TEXT CHECK (transaction_type IN ('withdrawal', 'transfer', 'payment')),
+    -- NULL applies the rule to every account type
+    account_type TEXT CHECK (account_type IN ('checking', 'savings')),
+    currency TEXT NOT NULL CHECK (currency IN ('USD', 'EUR', 'GBP')),
+    flat_amount DECIMAL(15,2) DEFAULT 0.00 NOT NULL CHECK (flat_amount >= 0),
+    percentage DECIMAL(9,6) DEFAULT 0 NOT NULL CHECK (percentage >= 0 AND percentage < 1),
+    applies_above DECIMAL(15,2),
+    max_amount DECIMAL(15,2) CHECK (max_amount > 0),
+    waive_min_balance DECIMAL(15,2),
+    active BOOLEAN DEFAULT true NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    CHECK ((event = 'transaction') = (transaction_type IS NOT NULL)),
+    CHECK (event = 'monthly_maintenance' OR waive_min_balance IS NULL),
+    CHECK (event = 'transaction' OR (percentage = 0 AND applies_above IS NULL))
+);
+
+ALTER TABLE fee_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_transactions_fee_for_transaction_id ON transactions(fee_for_transaction_id);
+
+CREATE TRIGGER update_fee_rules_updated_at BEFORE UPDATE ON fee_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Fees a transaction of p_amount from the account would be charged now:
+-- [{ fee_code, name, amount, currency }]. Used for quotes and, under the
+-- account lock, for the charge itself.
+CREATE OR REPLACE FUNCTION quote_fees(p_account_id UUID, p_transaction_type TEXT, p_amount DECIMAL(15,2))
+RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'fee_code', fee.code, 'name', fee.name, 'amount', fee.amount, 'currency', fee.currency
+    ) ORDER BY fee.code), '[]'::jsonb)
+    FROM (
+        SELECT r.code, r.name, r.currency,
+            CASE WHEN r.max_amount IS NULL
+                THEN r.flat_amount + ROUND(p_amount * r.percentage, 2)
+                ELSE LEAST(r.flat_amount + ROUND(p_amount * r.percentage, 2), r.max_amount)
+            END AS amount
+        FROM fee_rules r
+        JOIN accounts a ON a.id = p_account_id
+        WHERE r.active AND r.event = 'transaction'
+            AND r.transaction_type = p_transaction_type
+            AND r.currency = a.currency
+            AND (r.account_type IS NULL OR r.account_type = a.account_type)
+            AND (r.applies_above IS NULL OR p_amount > r.applies_above)
+    ) fee
+    WHERE fee.amount > 0;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION fee_total(p_fees JSONB)
+RETURNS DECIMAL(15,2) AS $$
+    SELECT COALESCE(SUM((fee->>'amount')::DECIMAL(15,2)), 0) FROM jsonb_array_elements(p_fees) AS fee;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Journal entry for a fee row: the customer pays FEES
+CREATE OR REPLACE FUNCTION post_fee(p_fee_id UUID, p_created_by TEXT DEFAULT 'system')
+RETURNS UUID AS $$
+DECLARE
+    v_fee transactions%ROWTYPE;
+BEGIN
+    SELECT * INTO v_fee FROM transactions WHERE id = p_fee_id;
+
+    RETURN post_journal('fee', v_fee.description, v_fee.reference, jsonb_build_array(
+        jsonb_build_object('ledger_account_id', ledger_account_for_account(v_fee.account_id),
+            'direction', 'debit', 'amount', v_fee.amount, 'transaction_id', v_fee.id),
+        jsonb_build_object('ledger_account_id', system_ledger_account('FEES'),
+            'direction', 'credit', 'amount', v_fee.amount, 'currency', v_fee.currency)
+    ), p_created_by);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Write the fee rows quoted for a transaction, linked to it and in the same
+-- state: posted with it, or held with it while it waits for approval.
+-- Callers hold the account lock and have checked the funds.
+CREATE OR REPLACE FUNCTION charge_transaction_fees(p_transaction transactions, p_fees JSONB)
+RETURNS JSONB AS $$
+DECLARE
+    v_quote JSONB;
+    v_fee transactions%ROWTYPE;
+    v_charged JSONB := '[]'::jsonb;
+BEGIN
+    FOR v_quote IN SELECT * FROM jsonb_array_elements(p_fees)
+    LOOP
+        INSERT INTO transactions (
+            user_id, account_id, type, amount, currency, description, transaction_type, reference, status,
+            fee_code, fee_for_transaction_id
+        )
+        VALUES (
+            p_transaction.user_id, p_transaction.account_id, 'debit', (v_quote->>'amount')::DECIMAL(15,2),
+            p_transaction.currency, v_quote->>'name', 'fee',
+            'FEE-' || (v_quote->>'fee_code') || '-' || COALESCE(p_transaction.reference, p_transaction.id::text), p_transaction.status,
+            v_quote->>'fee_code', p_transaction.id
+        )
+        RETURNING * INTO v_fee;
+
+        IF v_fee.status = 'pending' THEN
+            UPDATE accounts SET held_balance = held_balance + v_fee.amount WHERE id = v_fee.account_id;
+        ELSE
+            PERFORM post_fee(v_fee.id);
+        END IF;
+
+        v_charged := v_charged || to_jsonb(v_fee);
+    END LOOP;
+
+    RETURN v_charged;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Decide the held fees of a pending transaction along with it: release the
+-- hold and either post them ('completed') or drop them ('failed').
+CREATE OR REPLACE FUNCTION settle_transaction_fees(p_transaction_id UUID, p_status TEXT)
+RETURNS VOID AS $$
+DECLARE
+    v_fee transactions%ROWTYPE;
+BEGIN
+    FOR v_fee IN
+        SELECT * FROM transactions
+        WHERE fee_for_transaction_id = p_transaction_id AND status = 'pending'
+        FOR UPDATE
+    LOOP
+        UPDATE accounts SET held_balance = held_balance - v_fee.amount WHERE id = v_fee.account_id;
+        UPDATE transactions SET status = p_status WHERE id = v_fee.id;
+
+        IF p_status = 'completed' THEN
+            PERFORM post_fee(v_fee.id);
+        END IF;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Give a completed fee back in full. The reversal is a 'fee_reversal' credit
+-- pointing at the fee through original_transaction_id.
+CREATE OR REPLACE FUNCTION reverse_fee(
+    p_fee_id UUID,
+    p_reason TEXT,
+    p_created_by TEXT DEFAULT 'admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_fee transactions%ROWTYPE;
+    v_reversal transactions%ROWTYPE;
+BEGIN
+    IF p_reason IS NULL OR length(trim(p_reason)) = 0 THEN
+        RAISE EXCEPTION 'REASON_REQUIRED';
+    END IF;
+
+    SELECT * INTO v_fee FROM transactions WHERE id = p_fee_id;
+
+    IF v_fee.id IS NULL OR v_fee.transaction_type <> 'fee' THEN
+        RAISE EXCEPTION 'FEE_NOT_FOUND';
+    END IF;
+
+    PERFORM 1 FROM profiles WHERE id = v_fee.user_id FOR SHARE;
+    PERFORM 1 FROM accounts WHERE id = v_fee.account_id FOR UPDATE;
+    SELECT * INTO v_fee FROM transactions WHERE id = p_fee_id FOR UPDATE;
+
+    IF (SELECT status FROM profiles WHERE id = v_fee.user_id) = 'closed' THEN
+        RAISE EXCEPTION 'ACCOUNT_CLOSED';
+    END IF;
+
+    IF v_fee.status <> 'completed' THEN
+        RAISE EXCEPTION 'TRANSACTION_NOT_COMPLETED';
+    END IF;
+
+    IF v_fee.refunded_amount > 0 THEN
+        RAISE EXCEPTION 'ALREADY_REFUNDED';
+    END IF;
+
+    INSERT INTO transactions (
+        user_id, account_id, type, amount, currency, description, transaction_type, reference, status,
+        fee_code, original_transaction_id
+    )
+    VALUES (
+        v_fee.user_id, v_fee.account_id, 'credit', v_fee.amount, v_fee.currency,
+        'Reversal of ' || v_fee.description || ': ' || p_reason, 'fee_reversal', 'REV-' || v_fee.reference,
+        'completed', v_fee.fee_code, v_fee.id
+    )
+    RETURNING * INTO v_reversal;
+
+    PERFORM post_journal('fee_reversal', v_reversal.description, v_reversal.reference, jsonb_build_array(
+        jsonb_build_object('ledger_account_id', ledger_account_for_account(v_fee.account_id),
+            'direction', 'credit', 'amount', v_fee.amount, 'transaction_id', v_reversal.id),
+        jsonb_build_object('ledger_account_id', system_ledger_account('FEES'),
+            'direction', 'debit', 'amount', v_fee.amount, 'currency', v_fee.currency)
+    ), p_created_by);
+
+    UPDATE transactions SET refunded_amount = amount WHERE id = v_fee.id RETURNING * INTO v_fee;
+
+    RETURN jsonb_build_object('reversal', to_jsonb(v_reversal), 'fee', to_jsonb(v_fee));
+END;
+$$ LANGUAGE plpgsql;
+
+-- Charge the month ending p_period_end its maintenance fees. Each account is
+-- charged each rule at most once a month (the reference carries the month),
+-- so the period can be run again safely. Accounts that cannot cover the fee
+-- are skipped rather than taken below zero.
+CREATE OR REPLACE FUNCTION charge_maintenance_fees(p_period_end DATE, p_created_by TEXT DEFAULT 'system')
+RETURNS JSONB AS $$
+DECLARE
+    v_rule fee_rules%ROWTYPE;
+    v_account accounts%ROWTYPE;
+    v_reference TEXT;
+    v_month_end_balance DECIMAL(15,2);
+    v_fee transactions%ROWTYPE;
+    v_charged JSONB := '[]'::jsonb;
+    v_skipped JSONB := '[]'::jsonb;
+BEGIN
+    IF p_period_end >= CURRENT_DATE THEN
+        RAISE EXCEPTION 'PERIOD_NOT_ENDED';
+    END IF;
+
+    FOR v_rule IN
+        SELECT * FROM fee_rules WHERE active AND event = 'monthly_maintenance' AND flat_amount > 0 ORDER BY code
+    LOOP
+        FOR v_account IN
+            SELECT a.* FROM accounts a
+            JOIN profiles pr ON pr.id = a.user_id
+            WHERE pr.status NOT IN ('pending', 'closed')
+                AND a.currency = v_rule.currency
+                AND (v_rule.account_type IS NULL OR a.account_type = v_rule.account_type)
+                AND a.created_at < (p_period_end + 1)::TIMESTAMPTZ
+            ORDER BY a.id
+        LOOP
+            v_reference := 'FEE-' || v_rule.code || '-' || v_account.account_number || '-' || to_char(p_period_end, 'YYYYMM');
+
+            PERFORM 1 FROM profiles WHERE id = v_account.user_id FOR SHARE;
+            SELECT * INTO v_account FROM accounts WHERE id = v_account.id FOR UPDATE;
+
+            CONTINUE WHEN EXISTS (
+                SELECT 1 FROM transactions WHERE account_id = v_account.id AND reference = v_reference
+            );
+
+            -- Balance as the ledger had it at the end of the month
+            SELECT COALESCE(SUM(CASE WHEN po.direction = 'credit' THEN po.amount ELSE -po.amount END), 0)
+            INTO v_month_end_balance
+            FROM ledger_accounts la
+            JOIN postings po ON po.ledger_account_id = la.id
+            WHERE la.account_id = v_account.id AND po.created_at < (p_period_end + 1)::TIMESTAMPTZ;
+
+            IF v_rule.waive_min_balance IS NOT NULL AND v_month_end_balance >= v_rule.waive_min_balance THEN
+                v_skipped := v_skipped || jsonb_build_object('account_id', v_account.id, 'fee_code', v_rule.code, 'reason', 'waived');
+                CONTINUE;
+            END IF;
+
+            IF v_account.balance - v_account.held_balance < v_rule.flat_amount THEN
+                v_skipped := v_skipped || jsonb_build_object('account_id', v_account.id, 'fee_code', v_rule.code, 'reason', 'insufficient_funds');
+                CONTINUE;
+            END IF;
+
+            INSERT INTO transactions (
+                user_id, account_id, type, amount, currency, description, transaction_type, reference, status, fee_code
+            )
+            VALUES (
+                v_account.user_id, v_account.id, 'debit', v_rule.flat_amount, v_account.currency,
+                v_rule.name || ' for ' || to_char(p_period_end, 'FMMonth YYYY'), 'fee', v_reference, 'completed', v_rule.code
+            )
+            RETURNING * INTO v_fee;
+
+            PERFORM post_fee(v_fee.id, p_created_by);
+            v_charged := v_charged || to_jsonb(v_fee);
+        END LOOP;
+    END LOOP;
+
+    RETURN jsonb_build_object('period_end', p_period_end, 'charged', v_charged, 'skipped', v_skipped);
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION quote_fees(UUID, TEXT, DECIMAL) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION post_fee(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION charge_transaction_fees(transactions, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION settle_transaction_fees(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reverse_fee(UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION charge_maintenance_fees(DATE, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Staff changes to one account's limits. A NULL column keeps the tier's
+-- limit; the whole override lapses at expires_at when that is set.
+CREATE TABLE account_limit_overrides (
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE PRIMARY KEY,
+    single_transaction_max DECIMAL(15,2) CHECK (single_transaction_max > 0),
+    daily_outgoing_max DECIMAL(15,2) CHECK (daily_outgoing_max > 0),
+    monthly_outgoing_max DECIMAL(15,2) CHECK (monthly_outgoing_max > 0),
+    hourly_count_max INTEGER CHECK (hourly_count_max > 0),
+    reason TEXT NOT NULL,
+    set_by TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE account_limit_overrides ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_transactions_account_id_created_at ON transactions(account_id, created_at);
+
+CREATE TRIGGER update_account_limit_overrides_updated_at BEFORE UPDATE ON account_limit_overrides
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE FUNCTION limit_status(p_limit TEXT, p_max DECIMAL, p_used DECIMAL, p_resets_at TIMESTAMPTZ)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'limit', p_limit,
+        'max', p_max,
+        'used', p_used,
+        'remaining', CASE WHEN p_max IS NULL THEN NULL ELSE GREATEST(p_max - COALESCE(p_used, 0), 0) END,
+        'resets_at', p_resets_at
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- The limits in force on an account and how much of each is used:
+-- { account_id, tier, currency, overridden, limits: [{ limit, max, used,
+-- remaining, resets_at }] }. Outgoing means withdrawals, payments and
+-- transfers to other customers that are pending or completed; moves between
+-- the customer's own accounts, fees and refunds do not count. Daily and
+-- monthly totals run by UTC calendar day and month, and the count over the
+-- last hour, so it frees up as the oldest transaction in it turns an hour old.
+CREATE OR REPLACE FUNCTION account_limits(p_account_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_account accounts%ROWTYPE;
+    v_tier limit_tiers%ROWTYPE;
+    v_override account_limit_overrides%ROWTYPE;
+    v_now TIMESTAMPTZ := NOW();
+    v_day_start TIMESTAMPTZ := date_trunc('day', NOW() AT TIME ZONE 'utc') AT TIME ZONE 'utc';
+    v_month_start TIMESTAMPTZ := date_trunc('month', NOW() AT TIME ZONE 'utc') AT TIME ZONE 'utc';
+    v_daily DECIMAL(15,2);
+    v_monthly DECIMAL(15,2);
+    v_hourly INTEGER;
+    v_hourly_max INTEGER;
+    v_hour_resets_at TIMESTAMPTZ;
+BEGIN
+    SELECT * INTO v_account FROM accounts WHERE id = p_account_id;
+
+    IF v_account.id IS NULL THEN
+        RAISE EXCEPTION 'SOURCE_ACCOUNT_NOT_FOUND';
+    END IF;
+
+    SELECT * INTO v_tier FROM limit_tiers WHERE code = v_account.limit_tier;
+
+    SELECT * INTO v_override FROM account_limit_overrides
+    WHERE account_id = p_account_id AND (expires_at IS NULL OR expires_at > v_now);
+
+    v_hourly_max := COALESCE(v_override.hourly_count_max, v_tier.hourly_count_max);
+
+    SELECT
+        COALESCE(SUM(amount) FILTER (WHERE created_at >= v_day_start), 0),
+        COALESCE(SUM(amount) FILTER (WHERE created_at >= v_month_start), 0),
+        COUNT(*) FILTER (WHERE created_at > v_now - INTERVAL '1 hour')
+    INTO v_daily, v_monthly, v_hourly
+    FROM transactions
+    WHERE account_id = p_account_id
+        AND type = 'debit'
+        AND transaction_type IN ('transfer', 'withdrawal', 'payment')
+        AND status IN ('pending', 'completed')
+        AND created_at >= LEAST(v_month_start, v_now - INTERVAL '1 hour');
+
+    -- The count drops below the limit once enough of the oldest transactions
+    -- in the window have turned an hour old
+    SELECT created_at + INTERVAL '1 hour' INTO v_hour_resets_at
+    FROM transactions
+    WHERE account_id = p_account_id
+        AND type = 'debit'
+        AND transaction_type IN ('transfer', 'withdrawal', 'payment')
+        AND status IN ('pending', 'completed')
+        AND created_at > v_now - INTERVAL '1 hour'
+    ORDER BY created_at
+    OFFSET GREATEST(v_hourly - COALESCE(v_hourly_max, v_hourly), 0)
+    LIMIT 1;
+
+    RETURN jsonb_build_object(
+        'account_id', v_account.id,
+        'tier', v_account.limit_tier,
+        'currency', v_account.currency,
+        'overridden', v_override.account_id IS NOT NULL,
+        'limits', jsonb_build_array(
+            limit_status('single_transaction',
+                COALESCE(v_override.single_transaction_max, v_tier.single_transaction_max), NULL, NULL),
+            limit_status('daily_outgoing',
+                COALESCE(v_override.daily_outgoing_max, v_tier.daily_outgoing_max), v_daily, v_day_start + INTERVAL '1 day'),
+            limit_status('monthly_outgoing',
+                COALESCE(v_override.monthly_outgoing_max, v_tier.monthly_outgoing_max), v_monthly, v_month_start + INTERVAL '1 month'),
+            limit_status('hourly_count', v_hourly_max, v_hourly, v_hour_resets_at)
+        )
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Refuse an outgoing transaction of p_amount that would go over any of the
+-- account's limits. Callers hold the account lock, so concurrent requests
+-- cannot both fit under the same limit. The limit that was hit is raised
+-- as the exception detail.
+CREATE OR REPLACE FUNCTION enforce_transaction_limits(p_account_id UUID, p_amount DECIMAL(15,2))
+RETURNS VOID AS $$
+DECLARE
+    v_limit JSONB;
+BEGIN
+    FOR v_limit IN SELECT * FROM jsonb_array_elements(account_limits(p_account_id)->'limits')
+    LOOP
+        CONTINUE WHEN jsonb_typeof(v_limit->'max') = 'null';
+
+        IF (v_limit->>'limit' = 'hourly_count' AND (v_limit->>'remaining')::INTEGER < 1)
+            OR (v_limit->>'limit' <> 'hourly_count' AND (v_limit->>'remaining')::DECIMAL < p_amount) THEN
+            RAISE EXCEPTION 'LIMIT_EXCEEDED' USING DETAIL = v_limit::TEXT;
+        END IF;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+REVOKE EXECUTE ON FUNCTION account_limits(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION enforce_transaction_limits(UUID, DECIMAL) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,101 @@
+// middleware/adminAuth.mjs
+import jwt from 'jsonwebtoken';
+import supabase from '../config/supabase.mjs';
+import { JWT_SECRET } from '../config/auth.mjs';
+import { hasPermission } from '../config/permissions.mjs';
+import { recordAuditEvent } from '../utils/audit.mjs';
+
+// Marks staff tokens so they are never mistaken for customer tokens
+export const ADMIN_TOKEN_TYPE = 'admin';
+
+// Verify a staff token and load the admin it belongs to. The role is read
+// from admin_users on every request, so a role change or deactivation
+// takes effect without waiting for the token to expire.
+export const authenticateAdmin = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Admin access required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: error.name === 'TokenExpiredError' ? 'Admin token expired' : 'Invalid admin token'
+      });
+    }
+
+    if (decoded.typ !== ADMIN_TOKEN_TYPE) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid admin token'
+      });
+    }
+
+    const { data: admin } = await supabase
+      .from('admin_users')
+      .select('id, email, name, role, is_active')
+      .eq('id', decoded.adminId)
+      .single();
+
+    if (!admin || !admin.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Admin account is not active'
+      });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error('❌ Admin auth error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate admin'
+    });
+  }
+};
+
+// Allow the request only if the admin's role has the permission
+// (see config/permissions.mjs)
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.admin?.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      error: `Your role (${req.admin?.role}) is not allowed to do this`
+    });
+  }
+  next();
+};
+
+// Value for created_by / reviewed_by columns written on an admin's behalf
+export const adminActor = (req) => `admin:${req.admin.email}`;
+
+// Record every admin API call, with the admin who made it, once the
+// response has been sent
+export const auditAdminRequests = (req, res, next) => {
+  res.on('finish', () => {
+    recordAuditEvent({
+      actorType: 'admin',
+      actorId: req.admin.id,
+      action: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+      targetType: req.params?.userId ? 'user' : null,
+      targetId: req.params?.userId || null,
+      details: {
+        role: req.admin.role,
+        params: req.params,
+        status: res.statusCode
+      },
+      req
+    });
+  });
+  next();
+};
@@ -1,6 +1,11 @@
 // middleware/auth.mjs
 import { verifyToken } from '../controllers/authController.mjs';
 import supabase from '../config/supabase.mjs';
+import { AppError } from '../utils/errors.mjs';
+import { findActiveSession, touchSession } from '../utils/sessions.mjs';
+import { isValidAmount, toMinorUnits } from '../utils/money.mjs';
+import { accountStatusBlock, MOVEMENTS } from '../utils/accountStatus.mjs';
+import { STEP_UP_AMOUNT_RULES, STEP_UP_MAX_AGE_SECONDS } from '../config/stepUp.mjs';
 
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -17,10 +22,19 @@ export const authenticateToken = async (req, res, next) => {
     // Verify JWT token
     const decoded = verifyToken(token);
 
+    // Tokens stop working once their session is logged out or revoked
+    const session = decoded.sid && await findActiveSession(decoded.sid, decoded.userId);
+    if (!session) {
+      return res.status(401).json({ 
+        error: 'Session has ended. Please log in again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     // Get user from profiles table
     const { data: user, error } = await supabase
       .from('profiles')
-      .select('id, name, email, account_number, balance, is_active')
+      .select('id, name, email, status, is_active')
       .eq('id', decoded.userId)
       .single();
 
@@ -32,10 +46,16 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user to request
+    // Add user and session to request
     req.user = user;
+    req.sessionId = session.id;
+    req.auth = { authTime: decoded.auth_time || 0, methods: decoded.amr || [] };
+    await touchSession(session);
     next();
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error);
+    }
     console.error('Auth middleware error:', error.message);
     return res.status(403).json({ 
       error: 'Invalid or expired token',
@@ -44,16 +64,59 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
-export const requireActiveAccount = (req, res, next) => {
-  if (!req.user.is_active) {
-    return res.status(403).json({ 
-      error: 'Account is not active. Please wait for activation.',
-      code: 'ACCOUNT_INACTIVE'
-    });
+// Reject requests the account's status does not allow (see
+// utils/accountStatus.mjs). movement is a MOVEMENTS value or a function of
+// the request returning one.
+export const requireAccountMovement = (movement) => (req, res, next) => {
+  const blocked = accountStatusBlock(
+    req.user.status,
+    typeof movement === 'function' ? movement(req) : movement
+  );
+
+  if (blocked) {
+    return res.status(blocked.statusCode).json(blocked);
   }
   next();
 };
 
+// Sending or withdrawing money needs a fully active account
+export const requireActiveAccount = requireAccountMovement(MOVEMENTS.DEBIT);
+
+// Require the user to have re-authenticated recently (POST /api/auth/step-up).
+// `when` picks the requests that need it; by default all of them do.
+// Runs before idempotent so a STEP_UP_REQUIRED reply is not stored as the
+// final answer for the idempotency key.
+export const requireStepUp = (when = () => true) => (req, res, next) => {
+  if (!when(req)) {
+    return next();
+  }
+
+  const age = Date.now() / 1000 - (req.auth?.authTime || 0);
+  if (age <= STEP_UP_MAX_AGE_SECONDS) {
+    return next();
+  }
+
+  return res.status(401).json({ 
+    error: 'Please confirm your identity to continue',
+    code: 'STEP_UP_REQUIRED',
+    max_age: STEP_UP_MAX_AGE_SECONDS
+  });
+};
+
+// Step-up rule for money movements: true when the amount is above the
+// threshold for the request's transaction_type (see config/stepUp.mjs)
+export const overStepUpAmount = (transactionType) => (req) => {
+  const type = typeof transactionType === 'function' ? transactionType(req) : transactionType;
+  const threshold = STEP_UP_AMOUNT_RULES[type];
+  const { amount } = req.body;
+
+  if (!threshold || !isValidAmount(amount)) {
+    return false;
+  }
+
+  return toMinorUnits(amount) > toMinorUnits(threshold);
+};
+
 export const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -61,14 +124,18 @@ export const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyToken(token);
+      const session = decoded.sid && await findActiveSession(decoded.sid, decoded.userId);
+      if (!session) return next();
+
       const { data: user } = await supabase
         .from('profiles')
-        .select('id, name, email, account_number, balance, is_active')
+        .select('id, name, email, status, is_active')
         .eq('id', decoded.userId)
         .single();
 
       if (user) {
         req.user = user;
+        req.sessionId = session.id;
       }
     }
     
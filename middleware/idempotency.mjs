@@ -0,0 +1,160 @@
+// middleware/idempotency.mjs
+import crypto from 'crypto';
+import supabase from '../config/supabase.mjs';
+
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// How long a request holds its key before another request may take it over
+const IDEMPOTENCY_LOCK_SECONDS = Number(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const fingerprint = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+const keyInProgress = (res) => {
+  return res.status(409).json({
+    error: 'A request with this Idempotency-Key is still being processed',
+    code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+  });
+};
+
+// Makes a POST safe to retry. The first request with a given Idempotency-Key
+// runs normally and its response is stored; replays inside the retention
+// window get the stored response back instead of moving money again.
+// Must run after authenticateToken.
+export const idempotent = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`,
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  try {
+    const requestHash = fingerprint(req);
+
+    const { data: existing, error: lookupError } = await supabase
+      .from('idempotency_keys')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .eq('idempotency_key', key)
+      .maybeSingle();
+
+    if (lookupError) throw lookupError;
+
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + IDEMPOTENCY_LOCK_SECONDS * 1000).toISOString();
+    let record = null;
+
+    if (existing && new Date(existing.expires_at) <= now) {
+      await supabase.from('idempotency_keys').delete().eq('id', existing.id);
+    } else if (existing) {
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency-Key was already used with a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (existing.response_status !== null) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+
+      // No response yet. Once the claim has run out, the request that held it
+      // is taken to have died and this one takes the key over.
+      const { data: takenOver, error: takeOverError } = await supabase
+        .from('idempotency_keys')
+        .update({ locked_until: lockedUntil })
+        .eq('id', existing.id)
+        .is('response_status', null)
+        .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+        .select('id');
+
+      if (takeOverError) throw takeOverError;
+      if (takenOver.length === 0) {
+        return keyInProgress(res);
+      }
+
+      record = takenOver[0];
+    }
+
+    if (!record) {
+      const expiresAt = new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000);
+      const { data: inserted, error: insertError } = await supabase
+        .from('idempotency_keys')
+        .insert([
+          {
+            user_id: req.user.id,
+            idempotency_key: key,
+            request_method: req.method,
+            request_path: `${req.baseUrl}${req.path}`,
+            request_hash: requestHash,
+            locked_until: lockedUntil,
+            expires_at: expiresAt.toISOString()
+          }
+        ])
+        .select('id')
+        .single();
+
+      if (insertError) {
+        // Unique violation: a concurrent request claimed the key first
+        if (insertError.code === '23505') {
+          return keyInProgress(res);
+        }
+        throw insertError;
+      }
+
+      record = inserted;
+    }
+
+    // Store the response before it is sent. Server errors release the key so
+    // the client can retry with it.
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const saved = res.statusCode >= 500
+        ? supabase.from('idempotency_keys').delete().eq('id', record.id)
+        : supabase
+          .from('idempotency_keys')
+          .update({ response_status: res.statusCode, response_body: body, locked_until: null })
+          .eq('id', record.id);
+
+      Promise.resolve(saved)
+        .then(({ error }) => {
+          if (error) console.error('Idempotency key save error:', error);
+        })
+        .catch(error => console.error('Idempotency key save error:', error))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      error: 'Failed to process Idempotency-Key',
+      code: 'IDEMPOTENCY_FAILED'
+    });
+  }
+};
@@ -0,0 +1,13 @@
+// middleware/requestId.mjs
+import crypto from 'crypto';
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Give every request an id, echoed in X-Request-Id so a client report can be
+// matched to logs and audit events. A well-formed id from a proxy is kept.
+export const assignRequestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
@@ -1,21 +1,53 @@
 // middleware/validation.mjs
 import { body, param, query, validationResult } from 'express-validator';
+import { isValidAmount, toMinorUnits } from '../utils/money.mjs';
+import {
+  ACCOUNT_TYPES,
+  CURRENCIES,
+  FEE_TRANSACTION_TYPES,
+  KYC_DOCUMENT_TYPES,
+  SCHEDULE_FREQUENCIES,
+  SCHEDULE_STATUS
+} from '../utils/constants.mjs';
+import { PASSWORD_RULES } from '../utils/passwordPolicy.mjs';
+import { KYC_ALLOWED_CONTENT_TYPES } from '../config/storage.mjs';
+
+// Positive amount with at most two decimal places, as a number or string
+const isMoneyAmount = (value) => isValidAmount(value) && toMinorUnits(value) > 0;
+const AMOUNT_MESSAGE = 'Amount must be a positive number with at most two decimal places';
+
+// details is a list of { field, message, value }
+export const sendValidationErrors = (res, details) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details
+  });
+};
 
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: errors.array().map(err => ({
-        field: err.param,
-        message: err.msg,
-        value: err.value
-      }))
-    });
+    return sendValidationErrors(res, errors.array().map(err => ({
+      field: err.param,
+      message: err.msg,
+      value: err.value
+    })));
   }
   next();
 };
 
+// A password being set, under whichever field carries it, checked against
+// each password policy rule separately. userOf gives the { name, email }
+// the password must not contain.
+const newPassword = (field = 'password', userOf = (req) => req.body) => {
+  return PASSWORD_RULES.reduce(
+    (chain, rule) => chain
+      .custom((value, { req }) => rule.test(typeof value === 'string' ? value : '', userOf(req)))
+      .withMessage(rule.message),
+    body(field)
+  );
+};
+
 // Auth validation
 export const validateSignup = [
   body('name')
@@ -28,9 +60,12 @@ export const validateSignup = [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+  newPassword(),
+  
+  body('currency')
+    .optional()
+    .isIn(Object.values(CURRENCIES))
+    .withMessage(`Currency must be one of ${Object.values(CURRENCIES).join(', ')}`),
   
   handleValidationErrors
 ];
@@ -48,11 +83,90 @@ export const validateLogin = [
   handleValidationErrors
 ];
 
+// A 6-digit authenticator code, or a recovery code in its place
+const secondFactorChecks = [
+  body('code')
+    .if(body('recovery_code').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be the 6-digit code from your authenticator app'),
+  body('recovery_code').optional().isString().isLength({ max: 20 })
+];
+
+export const validateTwoFactorLogin = [
+  body('challenge_token')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  ...secondFactorChecks,
+  
+  handleValidationErrors
+];
+
+export const validateTwoFactorCode = [
+  ...secondFactorChecks,
+  
+  handleValidationErrors
+];
+
+export const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  handleValidationErrors
+];
+
+export const validatePasswordReset = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  newPassword(),
+  
+  handleValidationErrors
+];
+
+export const validatePasswordChange = [
+  body('current_password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  newPassword('new_password', (req) => req.user),
+  
+  handleValidationErrors
+];
+
+export const validateEmailVerification = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  
+  handleValidationErrors
+];
+
+export const validateEmailChange = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  handleValidationErrors
+];
+
+export const validateSessionId = [
+  param('id')
+    .isUUID()
+    .withMessage('Session ID must be a valid ID'),
+  
+  handleValidationErrors
+];
+
 // Transaction validation
 export const validateTransaction = [
   body('amount')
-    .isFloat({ min: 0.01 })
-    .withMessage('Amount must be a positive number'),
+    .custom(isMoneyAmount)
+    .withMessage(AMOUNT_MESSAGE),
   
   body('type')
     .isIn(['credit', 'debit'])
@@ -64,10 +178,123 @@ export const validateTransaction = [
     .isLength({ max: 255 })
     .withMessage('Description cannot exceed 255 characters'),
   
+  body('account_id')
+    .optional()
+    .isUUID()
+    .withMessage('Account ID must be a valid ID'),
+  
   handleValidationErrors
 ];
 
+export const validateFeeQuote = [
+  body('amount')
+    .custom(isMoneyAmount)
+    .withMessage(AMOUNT_MESSAGE),
+  
+  body('transaction_type')
+    .isIn(FEE_TRANSACTION_TYPES)
+    .withMessage(`Transaction type must be one of ${FEE_TRANSACTION_TYPES.join(', ')}`),
+  
+  body('account_id')
+    .optional()
+    .isUUID()
+    .withMessage('Account ID must be a valid ID'),
+  
+  handleValidationErrors
+];
 
+// Accounts
+export const validateAccountOpening = [
+  body('account_type')
+    .isIn(Object.values(ACCOUNT_TYPES))
+    .withMessage(`Account type must be one of ${Object.values(ACCOUNT_TYPES).join(', ')}`),
+  
+  body('currency')
+    .optional()
+    .isIn(Object.values(CURRENCIES))
+    .withMessage(`Currency must be one of ${Object.values(CURRENCIES).join(', ')}`),
+  
+  body('nickname')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Nickname cannot exceed 50 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateInternalTransfer = [
+  body('from_account_id')
+    .isUUID()
+    .withMessage('Source account ID must be a valid ID'),
+  
+  body('to_account_id')
+    .isUUID()
+    .withMessage('Destination account ID must be a valid ID'),
+  
+  body('amount')
+    .custom(isMoneyAmount)
+    .withMessage(AMOUNT_MESSAGE),
+  
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 }),
+  
+  handleValidationErrors
+];
+
+
+
+// KYC validation. On update every field is optional; on submit the details
+// other than address_line2 and at least one document are required.
+const MIN_KYC_AGE = 18;
+
+const isAdult = (value) => {
+  const birth = new Date(`${value}T00:00:00Z`);
+  const cutoff = new Date();
+  cutoff.setUTCFullYear(cutoff.getUTCFullYear() - MIN_KYC_AGE);
+  return birth <= cutoff;
+};
+
+const kycChecks = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('full_name').trim().isLength({ min: 2, max: 100 }).withMessage('Full name must be between 2 and 100 characters'),
+    field('date_of_birth')
+      .isISO8601({ strict: true }).withMessage('Date of birth must be a date (YYYY-MM-DD)')
+      .bail()
+      .custom(isAdult).withMessage(`You must be at least ${MIN_KYC_AGE} years old`),
+    field('nationality').isISO31661Alpha2().withMessage('Nationality must be a two-letter country code'),
+    field('id_document_number').trim().isLength({ min: 4, max: 50 }).withMessage('ID document number must be between 4 and 50 characters'),
+    field('address_line1').trim().isLength({ min: 2, max: 200 }).withMessage('Address is required'),
+    body('address_line2').optional({ nullable: true }).trim().isLength({ max: 200 }).withMessage('Address line 2 cannot exceed 200 characters'),
+    field('city').trim().isLength({ min: 1, max: 100 }).withMessage('City is required'),
+    field('postal_code').trim().isLength({ min: 2, max: 20 }).withMessage('Postal code is required'),
+    field('country').isISO31661Alpha2().withMessage('Country must be a two-letter country code'),
+    (required ? body('documents') : body('documents').optional())
+      .isArray({ min: required ? 1 : 0, max: 5 })
+      .withMessage(required ? 'Between 1 and 5 documents are required' : 'At most 5 documents can be added at once'),
+    body('documents.*.document_type').isIn(KYC_DOCUMENT_TYPES).withMessage(`Document type must be one of ${KYC_DOCUMENT_TYPES.join(', ')}`),
+    body('documents.*.content_type').isIn(KYC_ALLOWED_CONTENT_TYPES).withMessage(`Content type must be one of ${KYC_ALLOWED_CONTENT_TYPES.join(', ')}`),
+    body('documents.*.data').isBase64().withMessage('Document data must be base64 encoded'),
+    body('documents.*.filename').optional().isString().isLength({ max: 255 })
+  ];
+};
+
+export const validateKycSubmission = [
+  ...kycChecks(true),
+  
+  handleValidationErrors
+];
+
+export const validateKycUpdate = [
+  ...kycChecks(false),
+  
+  handleValidationErrors
+];
 
 // Chat validation
 export const validateConversation = [
@@ -95,9 +322,10 @@ export const validateMessage = [
 
 
 export const validateWithdrawal = [
-  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  body('amount').custom(isMoneyAmount).withMessage(AMOUNT_MESSAGE),
   body('description').optional().isString().isLength({ max: 500 }),
   body('to_account_number').optional().isString().isLength({ max: 50 }),
+  body('account_id').optional().isUUID().withMessage('Account ID must be a valid ID'),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -112,8 +340,13 @@ export const validateWithdrawal = [
 ];
 
 export const validateTransfer = [
-  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
-  body('to_account_number').notEmpty().withMessage('Recipient account number is required'),
+  body('amount').custom(isMoneyAmount).withMessage(AMOUNT_MESSAGE),
+  body('payee_id').optional().isUUID().withMessage('Payee ID must be a valid ID'),
+  body('to_account_number')
+    .if(body('payee_id').not().exists())
+    .notEmpty()
+    .withMessage('Recipient account number or payee ID is required'),
+  body('from_account_id').optional().isUUID().withMessage('Source account ID must be a valid ID'),
   body('description').optional().isString().isLength({ max: 500 }),
   (req, res, next) => {
     const errors = validationResult(req);
@@ -129,7 +362,8 @@ export const validateTransfer = [
 ];
 
 export const validateDeposit = [
-  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  body('amount').custom(isMoneyAmount).withMessage(AMOUNT_MESSAGE),
+  body('account_id').optional().isUUID().withMessage('Account ID must be a valid ID'),
   body('description').optional().isString().isLength({ max: 500 }),
   (req, res, next) => {
     const errors = validationResult(req);
@@ -142,4 +376,89 @@ export const validateDeposit = [
     }
     next();
   }
+];
+
+// Calendar date as YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const isCalendarDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+export const validateScheduledTransfer = [
+  body('amount').custom(isMoneyAmount).withMessage(AMOUNT_MESSAGE),
+  body('payee_id').optional().isUUID().withMessage('Payee ID must be a valid ID'),
+  body('to_account_number')
+    .if(body('payee_id').not().exists())
+    .notEmpty()
+    .withMessage('Recipient account number or payee ID is required'),
+  body('from_account_id').optional().isUUID().withMessage('Source account ID must be a valid ID'),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('frequency')
+    .isIn(Object.values(SCHEDULE_FREQUENCIES))
+    .withMessage(`Frequency must be one of ${Object.values(SCHEDULE_FREQUENCIES).join(', ')}`),
+  body('start_date').custom(isCalendarDate).withMessage('Start date must be a date in YYYY-MM-DD format'),
+  body('day_of_month').optional({ nullable: true }).isInt({ min: 1, max: 31 }).withMessage('Day of month must be between 1 and 31'),
+  body('end_date').optional({ nullable: true }).custom(isCalendarDate).withMessage('End date must be a date in YYYY-MM-DD format'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  }
+];
+
+export const validateScheduledTransferUpdate = [
+  body('amount').optional().custom(isMoneyAmount).withMessage(AMOUNT_MESSAGE),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('day_of_month').optional().isInt({ min: 1, max: 31 }).withMessage('Day of month must be between 1 and 31'),
+  body('end_date').optional({ nullable: true }).custom(isCalendarDate).withMessage('End date must be a date in YYYY-MM-DD format'),
+  body('status')
+    .optional()
+    .isIn([SCHEDULE_STATUS.ACTIVE, SCHEDULE_STATUS.PAUSED])
+    .withMessage('Status must be active or paused'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  }
+];
+
+export const validatePayee = [
+  body('account_number').trim().notEmpty().withMessage('Account number is required'),
+  body('nickname').optional().isString().trim().isLength({ max: 50 }).withMessage('Nickname cannot exceed 50 characters'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  }
+];
+
+export const validatePayeeRename = [
+  body('nickname').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Nickname must be between 1 and 50 characters'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  }
 ];
\ No newline at end of file
@@ -1,17 +1,37 @@
 // routes/accounts.mjs
 import express from 'express';
 import {
+  getAccounts,
+  getAccountById,
+  openAccount,
   getBalance,
+  getLimits,
   transfer,
-  getAccountInfo
+  internalTransfer,
+  getAccountInfo,
+  getFxRates,
+  getFeeSchedule
 } from '../controllers/accountController.mjs';
 import {
-  validateTransfer
+  getPayees,
+  addPayee,
+  renamePayee,
+  removePayee
+} from '../controllers/payeeController.mjs';
+import {
+  validateAccountOpening,
+  validateInternalTransfer,
+  validateTransfer,
+  validatePayee,
+  validatePayeeRename
 } from '../middleware/validation.mjs';
 import { 
   authenticateToken, 
-  requireActiveAccount 
+  requireActiveAccount,
+  requireStepUp,
+  overStepUpAmount
 } from '../middleware/auth.mjs';
+import { idempotent } from '../middleware/idempotency.mjs';
 
 const router = express.Router();
 
@@ -19,7 +39,23 @@ const router = express.Router();
 router.use(authenticateToken);
 
 router.get('/balance', getBalance);
+router.get('/limits', getLimits);
 router.get('/info', getAccountInfo);
-router.post('/transfer', requireActiveAccount, validateTransfer, transfer);
+router.get('/fx-rates', getFxRates);
+router.get('/fees', getFeeSchedule);
+router.post('/transfer', requireActiveAccount, requireStepUp(overStepUpAmount('transfer')), idempotent, validateTransfer, transfer);
+router.post('/internal-transfer', requireActiveAccount, idempotent, validateInternalTransfer, internalTransfer);
+
+// Saved payees
+router.get('/payees', getPayees);
+router.post('/payees', requireStepUp(), validatePayee, addPayee);
+router.patch('/payees/:id', validatePayeeRename, renamePayee);
+router.delete('/payees/:id', removePayee);
+
+// The customer's accounts. Registered last so /:accountId does not shadow
+// the paths above.
+router.get('/', getAccounts);
+router.post('/', requireActiveAccount, validateAccountOpening, openAccount);
+router.get('/:accountId', getAccountById);
 
 export default router;
\ No newline at end of file
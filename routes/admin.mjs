@@ -1,38 +1,62 @@
 import { Router } from 'express';
-import { createClient } from '@supabase/supabase-js';
+import supabase from '../config/supabase.mjs';
+import { AppError, fromRpcError } from '../utils/errors.mjs';
+import { activateAccount } from '../utils/activation.mjs';
+import { changeAccountStatus } from '../utils/accountStatus.mjs';
+import { listKycDocuments } from '../utils/kyc.mjs';
+import { accountResponse, findAccount, withPrimaryAccount } from '../utils/accounts.mjs';
+import { getFile } from '../utils/storage.mjs';
+import { reconcileBalances } from '../utils/reconciliation.mjs';
+import { lastEndedDate, runInterestJob } from '../utils/interest.mjs';
+import { chargeMaintenanceFees, lastEndedMonth } from '../utils/fees.mjs';
+import { getAccountLimits, LIMIT_FIELDS } from '../utils/limits.mjs';
+import { isValidAmount, toMinorUnits, toDecimalString } from '../utils/money.mjs';
+import {
+  ACCOUNT_STATUS,
+  ACCOUNT_STATUS_REASONS,
+  ACCOUNT_STATUS_TRANSITIONS,
+  ACCOUNT_TYPES,
+  CURRENCIES,
+  FEE_EVENTS,
+  FEE_TRANSACTION_TYPES,
+  INTEREST_DAY_COUNTS,
+  KYC_REVIEW_TRANSITIONS,
+  KYC_STATUS
+} from '../utils/constants.mjs';
+import { formatCurrency, generateReference } from '../utils/helpers.mjs';
+import { notifyUser } from '../utils/notifications.mjs';
+import { removeMfa } from '../utils/mfa.mjs';
+import { recordAuditEvent, verifyAuditChain } from '../utils/audit.mjs';
+import { clearLockout, listLockouts, LOCKOUT_SCOPES } from '../utils/loginProtection.mjs';
+import { hasPermission, PERMISSIONS } from '../config/permissions.mjs';
+import { DEFAULT_DAY_COUNT } from '../config/interest.mjs';
+import { adminActor, auditAdminRequests, authenticateAdmin, requirePermission } from '../middleware/adminAuth.mjs';
+import { adminLogin, getCurrentAdmin } from '../controllers/adminAuthController.mjs';
 
 const router = Router();
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
 // Admin UUID for bot messages
 const BOT_USER_ID = '11111111-1111-1111-1111-111111111111';
 
-// Middleware to check if user is admin
-const requireAdmin = (req, res, next) => {
-  const adminToken = req.headers['admin-token'] || req.headers['authorization'];
-  
-  if (!adminToken || adminToken !== process.env.ADMIN_TOKEN) {
-    return res.status(401).json({
-      success: false,
-      error: 'Admin access required'
-    });
-  }
-  next();
-};
+// Staff sign in here with their admin_users credentials
+router.post('/auth/login', adminLogin);
+
+// Every other route needs a staff token and is recorded against that admin.
+// Each route then checks its permission (see config/permissions.mjs).
+router.use(authenticateAdmin, auditAdminRequests);
 
-// Apply admin middleware to all routes
-router.use(requireAdmin);
+router.get('/auth/me', getCurrentAdmin);
 
-// GET - Get all unique users who have sent messages with their usernames
-router.get('/users', async (req, res) => {
+// GET - Get all unique users who have sent messages with their usernames.
+// Chat staff only need names to pick a conversation; the email, account
+// number and balance are included only for roles that may read customers.
+router.get('/users', requirePermission(PERMISSIONS.CHAT_READ), async (req, res) => {
   try {
     console.log('📋 Fetching all users with messages and usernames...');
 
+    const canReadCustomers = hasPermission(req.admin.role, PERMISSIONS.USERS_READ);
+    const chatListing = ({ email, account_number, balance, ...user }) => user;
+
     // First, get all unique user IDs from messages (excluding bot)
     const { data: messagesData, error: messagesError } = await supabase
       .from('messages')
@@ -50,11 +74,12 @@ router.get('/users', async (req, res) => {
       uniqueUserIds.map(async (userId) => {
         try {
           // Get user profile from profiles table
-          const { data: userData, error: userError } = await supabase
+          const { data: profileData, error: userError } = await supabase
             .from('profiles')
-            .select('*')
+            .select('*, accounts (*)')
             .eq('id', userId)
             .single();
+          const userData = profileData && withPrimaryAccount(profileData);
 
           let username = 'Unknown User';
           let email = 'No email';
@@ -132,275 +157,2138 @@ router.get('/users', async (req, res) => {
       })
     );
 
-    console.log(`✅ Found ${usersWithDetails.length} users with messages`);
+    console.log(`✅ Found ${usersWithDetails.length} users with messages`);
+
+    res.json({
+      success: true,
+      data: canReadCustomers ? usersWithDetails : usersWithDetails.map(chatListing),
+      count: usersWithDetails.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users'
+    });
+  }
+});
+
+// POST - Activate user account
+router.post('/users/:userId/activate', requirePermission(PERMISSIONS.USERS_ACTIVATE), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { initial_balance = 1000, reason_code = 'staff_decision', note } = req.body; // Default initial balance
+
+    console.log(`🔓 Activating account for user: ${userId}`);
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'User ID is required'
+      });
+    }
+
+    if (!isValidAmount(initial_balance) || toMinorUnits(initial_balance) < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Initial balance must be a non-negative amount with at most two decimal places'
+      });
+    }
+
+    if (!ACCOUNT_STATUS_REASONS.includes(reason_code)) {
+      return res.status(400).json({
+        success: false,
+        error: `reason_code must be one of: ${ACCOUNT_STATUS_REASONS.join(', ')}`
+      });
+    }
+
+    const account = await activateAccount(userId, {
+      req,
+      initialBalance: initial_balance,
+      reasonCode: reason_code,
+      note: note || null
+    });
+
+    console.log(`✅ Account activated for user ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Account activated successfully',
+      data: account
+    });
+
+  } catch (error) {
+    console.error('❌ Error activating account:', error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate account'
+    });
+  }
+});
+
+// POST - Deactivate user account. Kept for existing clients: the account is
+// frozen, so it still receives transfers but cannot move money out.
+router.post('/users/:userId/deactivate', requirePermission(PERMISSIONS.USERS_ACTIVATE), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason_code = 'staff_decision', note } = req.body;
+
+    console.log(`🔒 Deactivating account for user: ${userId}`);
+
+    if (!ACCOUNT_STATUS_REASONS.includes(reason_code)) {
+      return res.status(400).json({
+        success: false,
+        error: `reason_code must be one of: ${ACCOUNT_STATUS_REASONS.join(', ')}`
+      });
+    }
+
+    const result = await changeAccountStatus(userId, {
+      status: ACCOUNT_STATUS.FROZEN,
+      reasonCode: reason_code,
+      note: note || null,
+      req
+    });
+
+    console.log(`✅ Account deactivated for user ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Account frozen successfully',
+      data: {
+        user_id: userId,
+        is_active: false,
+        status: result.status,
+        previous_status: result.previous_status
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error deactivating account:', error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate account'
+    });
+  }
+});
+
+// POST - Move an account to another status: freeze, block debits, mark
+// dormant, reactivate or close. Closing a customer with money left on any
+// account needs payout_to, the external account the balances are paid out to.
+router.post('/users/:userId/status', requirePermission(PERMISSIONS.USERS_ACTIVATE), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { status, reason_code, note, payout_to } = req.body;
+
+    console.log(`🔁 Changing account status for user ${userId}:`, { status, reason_code });
+
+    const targets = Object.values(ACCOUNT_STATUS).filter(value => value !== ACCOUNT_STATUS.PENDING);
+    if (!targets.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${targets.join(', ')}`
+      });
+    }
+
+    if (!ACCOUNT_STATUS_REASONS.includes(reason_code)) {
+      return res.status(400).json({
+        success: false,
+        error: `reason_code must be one of: ${ACCOUNT_STATUS_REASONS.join(', ')}`
+      });
+    }
+
+    if (payout_to !== undefined && (status !== ACCOUNT_STATUS.CLOSED || typeof payout_to !== 'string' || !payout_to.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'payout_to is only used when closing, and must name the account to pay out to'
+      });
+    }
+
+    const result = await changeAccountStatus(userId, {
+      status,
+      reasonCode: reason_code,
+      note: note || null,
+      payoutTo: payout_to?.trim() || null,
+      req
+    });
+
+    console.log(`✅ Account ${userId} moved from ${result.previous_status} to ${status}`);
+
+    res.json({
+      success: true,
+      message: `Account is now ${status.replace(/_/g, ' ')}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error changing account status:', error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change account status'
+    });
+  }
+});
+
+// GET - Status history of an account, newest first
+router.get('/users/:userId/status-history', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const { data, error } = await supabase
+      .from('account_status_history')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      count: data?.length || 0
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching status history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch status history'
+    });
+  }
+});
+
+// POST - Reset two-factor authentication for a user who lost their device
+router.post('/users/:userId/2fa/reset', requirePermission(PERMISSIONS.USERS_SECURITY), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    console.log(`🔑 Resetting 2FA for user: ${userId}`);
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required'
+      });
+    }
+
+    const removed = await removeMfa(userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'User does not have two-factor authentication set up'
+      });
+    }
+
+    await recordAuditEvent({
+      actorType: 'admin',
+      actorId: req.admin.id,
+      action: 'mfa.reset',
+      targetType: 'user',
+      targetId: userId,
+      details: { reason },
+      req
+    });
+
+    await notifyUser(userId, {
+      subject: 'Two-factor authentication reset',
+      message: 'Two-factor authentication was removed from your account by our support team. You can now sign in with your password alone. If you did not ask for this, contact us immediately and set up two-factor authentication again.'
+    });
+
+    console.log(`✅ 2FA reset for user ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      data: { user_id: userId }
+    });
+
+  } catch (error) {
+    console.error('❌ Error resetting 2FA:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset two-factor authentication'
+    });
+  }
+});
+
+// GET - Accounts and IPs currently locked out of login
+router.get('/lockouts', requirePermission(PERMISSIONS.USERS_SECURITY), async (req, res) => {
+  try {
+    console.log('🔐 Fetching login lockouts...');
+
+    const lockouts = await listLockouts();
+
+    res.json({
+      success: true,
+      data: lockouts,
+      count: lockouts.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching lockouts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lockouts'
+    });
+  }
+});
+
+// DELETE - Lift a lockout. scope is "account" (value is the email) or "ip".
+router.delete('/lockouts/:scope/:value', requirePermission(PERMISSIONS.USERS_SECURITY), async (req, res) => {
+  try {
+    const { scope, value } = req.params;
+
+    console.log(`🔓 Clearing ${scope} lockout for ${value}`);
+
+    if (!Object.values(LOCKOUT_SCOPES).includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `Scope must be one of ${Object.values(LOCKOUT_SCOPES).join(', ')}`
+      });
+    }
+
+    const cleared = await clearLockout(scope, value);
+
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        error: 'No failed login attempts recorded for this value'
+      });
+    }
+
+    await recordAuditEvent({
+      actorType: 'admin',
+      actorId: req.admin.id,
+      action: 'login.lockout_cleared',
+      targetType: scope,
+      targetId: value,
+      req
+    });
+
+    console.log(`✅ Cleared ${scope} lockout for ${value}`);
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared successfully',
+      data: { scope, value }
+    });
+
+  } catch (error) {
+    console.error('❌ Error clearing lockout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear lockout'
+    });
+  }
+});
+
+// GET - Get user account details
+router.get('/users/:userId/account', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    console.log(`👤 Fetching account details for user: ${userId}`);
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'User ID is required'
+      });
+    }
+
+    const { data: row, error } = await supabase
+      .from('profiles')
+      .select('*, accounts (*)')
+      .eq('id', userId)
+      .single();
+
+    if (error) {
+      console.error('❌ Error fetching account details:', error);
+      return res.status(404).json({
+        success: false,
+        error: 'User account not found'
+      });
+    }
+
+    const profile = withPrimaryAccount(row);
+
+    res.json({
+      success: true,
+      data: {
+        user_id: profile.id,
+        username: profile.username,
+        email: profile.email,
+        full_name: profile.full_name,
+        account_number: profile.account_number,
+        balance: profile.balance,
+        is_active: profile.is_active,
+        status: profile.status,
+        status_reason: profile.status_reason,
+        status_changed_at: profile.status_changed_at,
+        allowed_status_transitions: ACCOUNT_STATUS_TRANSITIONS[profile.status] || [],
+        created_at: profile.created_at,
+        activated_at: profile.activated_at,
+        deactivated_at: profile.deactivated_at,
+        accounts: row.accounts.map(accountResponse)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching account details:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch account details'
+    });
+  }
+});
+
+// POST - Update user balance
+router.post('/users/:userId/balance', requirePermission(PERMISSIONS.BALANCES_ADJUST), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { balance, operation = 'set', description, account_id } = req.body; // operation: 'set', 'add', 'subtract'
+
+    console.log(`💰 Updating balance for user ${userId}:`, { balance, operation, account_id });
+
+    if (!userId || balance === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'User ID and balance are required'
+      });
+    }
+
+    if (!isValidAmount(balance) || toMinorUnits(balance) < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Balance must be a non-negative amount with at most two decimal places'
+      });
+    }
+
+    // Adjusts the primary account unless account_id names another of theirs
+    const account = await findAccount(userId, account_id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    // The change is posted against the ADJUSTMENTS ledger account and shows
+    // up in the customer's history as an 'adjustment' transaction
+    const { data: adjustment, error } = await supabase.rpc('adjust_balance', {
+      p_account_id: account.id,
+      p_operation: operation,
+      p_amount: toDecimalString(toMinorUnits(balance)),
+      p_description: description || null,
+      p_created_by: adminActor(req)
+    });
+
+    if (error) {
+      const adjustmentError = fromRpcError(error, 'Failed to update balance');
+      console.error('❌ Error updating balance:', error);
+      return res.status(adjustmentError.statusCode).json({
+        success: false,
+        error: adjustmentError.message,
+        code: adjustmentError.code
+      });
+    }
+
+    const newBalance = adjustment.new_balance;
+
+    await recordAuditEvent({
+      actorType: 'admin',
+      actorId: req.admin.id,
+      action: 'balance.adjusted',
+      targetType: 'user',
+      targetId: userId,
+      details: {
+        account_id: account.id,
+        operation,
+        amount: toDecimalString(toMinorUnits(balance)),
+        description: description || null,
+        transaction_id: adjustment.transaction?.id || null
+      },
+      before: { balance: adjustment.previous_balance },
+      after: { balance: newBalance },
+      req
+    });
+
+    console.log(`✅ Balance updated for user ${userId}: ${newBalance}`);
+
+    res.json({
+      success: true,
+      message: 'Balance updated successfully',
+      data: {
+        user_id: userId,
+        account_id: account.id,
+        previous_balance: adjustment.previous_balance,
+        new_balance: newBalance,
+        operation: operation,
+        transaction: adjustment.transaction
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating balance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update balance'
+    });
+  }
+});
+
+// GET - KYC submissions, oldest first so the queue is worked in order.
+// Defaults to the ones waiting on a reviewer; ?status=all for everything.
+router.get('/kyc', requirePermission(PERMISSIONS.KYC_REVIEW), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    console.log('🪪 Fetching KYC submissions...');
+
+    let query = supabase
+      .from('kyc_submissions')
+      .select('*, profiles (name, email, is_active)')
+      .order('submitted_at', { ascending: true });
+
+    if (!status) {
+      query = query.in('status', [KYC_STATUS.SUBMITTED, KYC_STATUS.UNDER_REVIEW]);
+    } else if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      count: data?.length || 0
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching KYC submissions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch KYC submissions'
+    });
+  }
+});
+
+// GET - One KYC submission with its documents and review notes
+router.get('/kyc/:submissionId', requirePermission(PERMISSIONS.KYC_REVIEW), async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+
+    const { data: submission, error } = await supabase
+      .from('kyc_submissions')
+      .select('*, profiles (name, email, is_active)')
+      .eq('id', submissionId)
+      .single();
+
+    if (error || !submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'KYC submission not found'
+      });
+    }
+
+    const { data: notes, error: notesError } = await supabase
+      .from('kyc_review_notes')
+      .select('*, admin_users (name, email)')
+      .eq('submission_id', submissionId)
+      .order('created_at', { ascending: true });
+
+    if (notesError) throw notesError;
+
+    res.json({
+      success: true,
+      data: {
+        submission,
+        documents: await listKycDocuments(submissionId, 'id, document_type, filename, content_type, size_bytes, sha256, created_at'),
+        notes: notes || []
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching KYC submission:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch KYC submission'
+    });
+  }
+});
+
+// GET - Download a KYC document
+router.get('/kyc/:submissionId/documents/:documentId', requirePermission(PERMISSIONS.KYC_REVIEW), async (req, res) => {
+  try {
+    const { submissionId, documentId } = req.params;
+
+    const { data: document } = await supabase
+      .from('kyc_documents')
+      .select('*')
+      .eq('id', documentId)
+      .eq('submission_id', submissionId)
+      .single();
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const file = await getFile(document.storage_key);
+
+    res.set({
+      'Content-Type': document.content_type,
+      'Content-Disposition': `inline; filename="${document.document_type}-${document.id}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(file);
+
+  } catch (error) {
+    console.error('❌ Error fetching KYC document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document'
+    });
+  }
+});
+
+const KYC_OUTCOME_MESSAGES = {
+  [KYC_STATUS.APPROVED]: 'Your identity has been verified and your account is now active.',
+  [KYC_STATUS.REJECTED]: 'We were unable to verify your identity, so your account cannot be activated.',
+  [KYC_STATUS.NEEDS_MORE_INFO]: 'We need a little more information to verify your identity. Please update your verification.'
+};
+
+// POST - Move a KYC submission on: start review, approve, reject or ask the
+// customer for more information. note is kept for reviewers; message, if
+// given, is added to what the customer is told. Approval activates the
+// account through the same path as /users/:userId/activate.
+router.post('/kyc/:submissionId/review', requirePermission(PERMISSIONS.KYC_REVIEW), async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const { status, note, message, initial_balance } = req.body;
+
+    console.log(`🪪 Reviewing KYC submission ${submissionId}:`, { status });
+
+    const { data: submission } = await supabase
+      .from('kyc_submissions')
+      .select('*')
+      .eq('id', submissionId)
+      .single();
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'KYC submission not found'
+      });
+    }
+
+    const allowed = KYC_REVIEW_TRANSITIONS[submission.status] || [];
+    if (!allowed.includes(status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot move a ${submission.status} submission to ${status}. Allowed: ${allowed.join(', ') || 'none'}`
+      });
+    }
+
+    if ([KYC_STATUS.REJECTED, KYC_STATUS.NEEDS_MORE_INFO].includes(status) && !note) {
+      return res.status(400).json({
+        success: false,
+        error: 'A note is required when rejecting or asking for more information'
+      });
+    }
+
+    if (initial_balance !== undefined && (!isValidAmount(initial_balance) || toMinorUnits(initial_balance) < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Initial balance must be a non-negative amount with at most two decimal places'
+      });
+    }
+
+    // Only move on from the status that was checked, in case another
+    // reviewer or the customer changed it in the meantime
+    const { data: updated, error } = await supabase
+      .from('kyc_submissions')
+      .update({
+        status,
+        reviewed_by: req.admin.id,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', submissionId)
+      .eq('status', submission.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'Submission changed while you were reviewing it. Reload and try again.'
+      });
+    }
+
+    await supabase
+      .from('kyc_review_notes')
+      .insert([
+        {
+          submission_id: submissionId,
+          admin_id: req.admin.id,
+          note: note || null,
+          status_from: submission.status,
+          status_to: status
+        }
+      ]);
+
+    await recordAuditEvent({
+      actorType: 'admin',
+      actorId: req.admin.id,
+      action: 'kyc.reviewed',
+      targetType: 'user',
+      targetId: submission.user_id,
+      details: { submission_id: submissionId },
+      before: { status: submission.status },
+      after: { status },
+      req
+    });
+
+    let account = null;
+    if (status === KYC_STATUS.APPROVED) {
+      account = await activateAccount(submission.user_id, {
+        req,
+        initialBalance: initial_balance ?? null,
+        reasonCode: 'kyc_approved',
+        details: { kyc_submission_id: submissionId },
+        notify: false
+      });
+    }
+
+    if (KYC_OUTCOME_MESSAGES[status]) {
+      await notifyUser(submission.user_id, {
+        subject: 'Identity verification update',
+        message: [KYC_OUTCOME_MESSAGES[status], message].filter(Boolean).join(' ')
+      });
+    }
+
+    console.log(`✅ KYC submission ${submissionId} is now ${status}`);
+
+    res.json({
+      success: true,
+      message: `Submission ${status.replace(/_/g, ' ')}`,
+      data: {
+        submission: updated,
+        account
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error reviewing KYC submission:', error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review KYC submission'
+    });
+  }
+});
+
+// GET - Exchange rates used for cross-currency transfers
+router.get('/fx-rates', requirePermission(PERMISSIONS.FX_MANAGE), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('fx_rates')
+      .select('*')
+      .order('base_currency')
+      .order('quote_currency');
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      count: data?.length || 0
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching FX rates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch FX rates'
+    });
+  }
+});
+
+// PUT - Create or update the rate for a currency pair
+router.put('/fx-rates/:base/:quote', requirePermission(PERMISSIONS.FX_MANAGE), async (req, res) => {
+  try {
+    const base = req.params.base.toUpperCase();
+    const quote = req.params.quote.toUpperCase();
+    const { rate, spread = 0 } = req.body;
+    const currencies = Object.values(CURRENCIES);
+
+    console.log(`💱 Updating FX rate ${base}/${quote}:`, { rate, spread });
+
+    if (!currencies.includes(base) || !currencies.includes(quote) || base === quote) {
+      return res.status(400).json({
+        success: false,
+        error: `Currencies must be two different values of ${currencies.join(', ')}`
+      });
+    }
+
+    if (!(Number(rate) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rate must be a positive number'
+      });
+    }
+
+    if (!(Number(spread) >= 0 && Number(spread) < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Spread must be a fraction between 0 and 1'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('fx_rates')
+      .upsert({
+        base_currency: base,
+        quote_currency: quote,
+        rate: String(rate),
+        spread: String(spread),
+        updated_by: adminActor(req),
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`✅ FX rate ${base}/${quote} set to ${rate}`);
+
+    res.json({
+      success: true,
+      message: 'FX rate updated successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating FX rate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update FX rate'
+    });
+  }
+});
+
+// GET - Interest products with their rate history, newest rate first
+router.get('/interest/products', requirePermission(PERMISSIONS.INTEREST_MANAGE), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('interest_products')
+      .select('*, interest_rates (*)')
+      .order('account_type')
+      .order('currency')
+      .order('effective_from', { referencedTable: 'interest_rates', ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      count: data?.length || 0
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching interest products:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch interest products'
+    });
+  }
+});
+
+// POST - Create an interest product for an account type and currency. It
+// earns nothing until a rate is added.
+router.post('/interest/products', requirePermission(PERMISSIONS.INTEREST_MANAGE), async (req, res) => {
+  try {
+    const { code, name, account_type, currency, day_count = DEFAULT_DAY_COUNT } = req.body;
+
+    console.log('💹 Creating interest product:', { code, account_type, currency, day_count });
+
+    if (!code || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'code and name are required'
+      });
+    }
+
+    if (!Object.values(ACCOUNT_TYPES).includes(account_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `account_type must be one of: ${Object.values(ACCOUNT_TYPES).join(', ')}`
+      });
+    }
+
+    if (!Object.values(CURRENCIES).includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        error: `currency must be one of: ${Object.values(CURRENCIES).join(', ')}`
+      });
+    }
+
+    if (!INTEREST_DAY_COUNTS.includes(day_count)) {
+      return res.status(400).json({
+        success: false,
+        error: `day_count must be one of: ${INTEREST_DAY_COUNTS.join(', ')}`
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('interest_products')
+      .insert([{ code, name, account_type, currency, day_count }])
+      .select()
+      .single();
+
+    if (error) {
+      // Postgres unique_violation: same code, or an active product already
+      // covers this account type and currency
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'A product with this code, or an active product for this account type and currency, already exists'
+        });
+      }
+      throw error;
+    }
+
+    console.log(`✅ Interest product ${code} created`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Interest product created successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating interest product:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create interest product'
+    });
+  }
+});
+
+// PATCH - Rename a product, change its day-count convention or switch it on
+// or off. Changes apply to days accrued from now on.
+router.patch('/interest/products/:productId', requirePermission(PERMISSIONS.INTEREST_MANAGE), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { name, day_count, active } = req.body;
+    const updates = {};
+
+    if (name !== undefined) updates.name = name;
+
+    if (day_count !== undefined) {
+      if (!INTEREST_DAY_COUNTS.includes(day_count)) {
+        return res.status(400).json({
+          success: false,
+          error: `day_count must be one of: ${INTEREST_DAY_COUNTS.join(', ')}`
+        });
+      }
+      updates.day_count = day_count;
+    }
+
+    if (active !== undefined) {
+      if (typeof active !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'active must be true or false'
+        });
+      }
+      updates.active = active;
+    }
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('interest_products')
+      .update(updates)
+      .eq('id', productId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'Another active product already covers this account type and currency'
+        });
+      }
+      throw error;
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interest product not found'
+      });
+    }
+
+    console.log(`✅ Interest product ${data.code} updated:`, updates);
+
+    res.json({
+      success: true,
+      message: 'Interest product updated successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating interest product:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update interest product'
+    });
+  }
+});
+
+// POST - Set a product's annual rate (0.025 = 2.5%) from effective_from on.
+// Days already accrued keep their rate, so the date cannot be in the past.
+router.post('/interest/products/:productId/rates', requirePermission(PERMISSIONS.INTEREST_MANAGE), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { annual_rate, effective_from } = req.body;
+    const today = new Date().toISOString().slice(0, 10);
+
+    console.log(`💹 Setting interest rate for product ${productId}:`, { annual_rate, effective_from });
+
+    if (!(Number(annual_rate) >= 0 && Number(annual_rate) < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'annual_rate must be a fraction between 0 and 1'
+      });
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effective_from || '') || Number.isNaN(Date.parse(effective_from))) {
+      return res.status(400).json({
+        success: false,
+        error: 'effective_from must be a date in YYYY-MM-DD format'
+      });
+    }
+
+    if (effective_from < today) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rate changes cannot be backdated'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('interest_rates')
+      .upsert({
+        product_id: productId,
+        annual_rate: String(annual_rate),
+        effective_from,
+        created_by: adminActor(req)
+      }, { onConflict: 'product_id,effective_from' })
+      .select()
+      .single();
+
+    if (error) {
+      // Postgres foreign_key_violation
+      if (error.code === '23503') {
+        return res.status(404).json({
+          success: false,
+          error: 'Interest product not found'
+        });
+      }
+      throw error;
+    }
+
+    console.log(`✅ Interest rate ${annual_rate} set from ${effective_from}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Interest rate set successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('❌ Error setting interest rate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set interest rate'
+    });
+  }
+});
+
+// POST - Run the interest job for a day (default: yesterday), or for every
+// day from `from` to `date`. Days already run are not accrued or posted again.
+router.post('/interest/run', requirePermission(PERMISSIONS.INTEREST_MANAGE), async (req, res) => {
+  try {
+    const { from = null, date = lastEndedDate() } = req.body;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    console.log('💹 Running interest job:', { from, date });
+
+    if (!datePattern.test(date) || (from !== null && (!datePattern.test(from) || from > date))) {
+      return res.status(400).json({
+        success: false,
+        error: 'date and from must be dates in YYYY-MM-DD format, with from not after date'
+      });
+    }
+
+    const days = await runInterestJob({ from, to: date, createdBy: adminActor(req) });
+
+    console.log(`✅ Interest job ran for ${days.length} days`);
+
+    res.json({
+      success: true,
+      data: days,
+      count: days.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error running interest job:', error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run interest job'
+    });
+  }
+});
+
+// Amount fields of a fee rule that may be left out (null), each a
+// non-negative amount with at most two decimal places
+const FEE_RULE_AMOUNTS = ['applies_above', 'max_amount', 'waive_min_balance'];
+
+// Check and normalise the fields of a fee rule being created or changed.
+// Returns { updates } or { error }.
+const feeRuleFields = (body) => {
+  const updates = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name must be a non-empty string' };
+    }
+    updates.name = body.name.trim();
+  }
+
+  if (body.flat_amount !== undefined) {
+    if (!isValidAmount(body.flat_amount) || toMinorUnits(body.flat_amount) < 0) {
+      return { error: 'flat_amount must be a non-negative amount with at most two decimal places' };
+    }
+    updates.flat_amount = toDecimalString(toMinorUnits(body.flat_amount));
+  }
+
+  if (body.percentage !== undefined) {
+    if (!(Number(body.percentage) >= 0 && Number(body.percentage) < 1)) {
+      return { error: 'percentage must be a fraction between 0 and 1 (0.01 = 1%)' };
+    }
+    updates.percentage = String(body.percentage);
+  }
+
+  for (const field of FEE_RULE_AMOUNTS) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && !(isValidAmount(body[field]) && toMinorUnits(body[field]) >= 0)) {
+      return { error: `${field} must be a non-negative amount with at most two decimal places, or null` };
+    }
+    updates[field] = body[field] === null ? null : toDecimalString(toMinorUnits(body[field]));
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    updates.active = body.active;
+  }
+
+  return { updates };
+};
+
+// GET - Fee rules, active and inactive
+router.get('/fees/rules', requirePermission(PERMISSIONS.FEES_MANAGE), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('fee_rules')
+      .select('*')
+      .order('event')
+      .order('code');
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      count: data?.length || 0
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching fee rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fee rules'
+    });
+  }
+});
+
+// POST - Create a fee rule. Transaction rules need a transaction_type;
+// account_type may be left out to cover every account type.
+router.post('/fees/rules', requirePermission(PERMISSIONS.FEES_MANAGE), async (req, res) => {
+  try {
+    const { code, event, transaction_type = null, account_type = null, currency } = req.body;
+
+    console.log('💸 Creating fee rule:', { code, event, transaction_type, account_type, currency });
+
+    if (!code || !req.body.name) {
+      return res.status(400).json({
+        success: false,
+        error: 'code and name are required'
+      });
+    }
+
+    if (!Object.values(FEE_EVENTS).includes(event)) {
+      return res.status(400).json({
+        success: false,
+        error: `event must be one of: ${Object.values(FEE_EVENTS).join(', ')}`
+      });
+    }
+
+    if (event === FEE_EVENTS.TRANSACTION ? !FEE_TRANSACTION_TYPES.includes(transaction_type) : transaction_type !== null) {
+      return res.status(400).json({
+        success: false,
+        error: `transaction_type must be one of ${FEE_TRANSACTION_TYPES.join(', ')} for transaction fees, and left out otherwise`
+      });
+    }
+
+    if (account_type !== null && !Object.values(ACCOUNT_TYPES).includes(account_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `account_type must be one of: ${Object.values(ACCOUNT_TYPES).join(', ')}`
+      });
+    }
+
+    if (!Object.values(CURRENCIES).includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        error: `currency must be one of: ${Object.values(CURRENCIES).join(', ')}`
+      });
+    }
+
+    const { updates, error: fieldError } = feeRuleFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('fee_rules')
+      .insert([{ ...updates, code, event, transaction_type, account_type, currency, created_by: adminActor(req) }])
+      .select()
+      .single();
+
+    if (error) {
+      // Postgres unique_violation
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'A fee rule with this code already exists'
+        });
+      }
+      // Postgres check_violation: percentage or applies_above on a monthly
+      // fee, or waive_min_balance on a transaction fee
+      if (error.code === '23514') {
+        return res.status(400).json({
+          success: false,
+          error: 'percentage and applies_above apply to transaction fees only, waive_min_balance to monthly fees only'
+        });
+      }
+      throw error;
+    }
+
+    console.log(`✅ Fee rule ${code} created`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee rule created successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating fee rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create fee rule'
+    });
+  }
+});
+
+// PATCH - Change a fee rule's amounts or switch it on or off. Fees already
+// charged keep the amount they were charged at.
+router.patch('/fees/rules/:ruleId', requirePermission(PERMISSIONS.FEES_MANAGE), async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const { updates, error: fieldError } = feeRuleFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError
+      });
+    }
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('fee_rules')
+      .update(updates)
+      .eq('id', ruleId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23514') {
+        return res.status(400).json({
+          success: false,
+          error: 'percentage and applies_above apply to transaction fees only, waive_min_balance to monthly fees only'
+        });
+      }
+      throw error;
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fee rule not found'
+      });
+    }
+
+    console.log(`✅ Fee rule ${data.code} updated:`, updates);
+
+    res.json({
+      success: true,
+      message: 'Fee rule updated successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating fee rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update fee rule'
+    });
+  }
+});
+
+// POST - Charge a month's maintenance fees (default: the last month that
+// ended). Accounts already charged for the month are not charged again.
+router.post('/fees/maintenance/run', requirePermission(PERMISSIONS.FEES_MANAGE), async (req, res) => {
+  try {
+    const { period_end = lastEndedMonth() } = req.body;
+
+    console.log('💸 Charging maintenance fees:', { period_end });
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(period_end) || Number.isNaN(Date.parse(period_end))) {
+      return res.status(400).json({
+        success: false,
+        error: 'period_end must be a date in YYYY-MM-DD format'
+      });
+    }
+
+    const result = await chargeMaintenanceFees(period_end, adminActor(req));
+
+    console.log(`✅ Maintenance fees charged to ${result.charged.length} accounts, ${result.skipped.length} skipped`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error charging maintenance fees:', error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to charge maintenance fees'
+    });
+  }
+});
+
+// Check and normalise the limit fields of a tier or an override. Amounts
+// must be positive with at most two decimal places and hourly_count_max a
+// positive whole number; null clears a limit. Returns { values } or { error }.
+const limitFields = (body) => {
+  const values = {};
+
+  for (const field of LIMIT_FIELDS) {
+    const value = body[field];
+    if (value === undefined || value === null) {
+      values[field] = null;
+    } else if (field === 'hourly_count_max') {
+      if (!Number.isInteger(value) || value <= 0) {
+        return { error: 'hourly_count_max must be a positive whole number, or null' };
+      }
+      values[field] = value;
+    } else {
+      if (!(isValidAmount(value) && toMinorUnits(value) > 0)) {
+        return { error: `${field} must be a positive amount with at most two decimal places, or null` };
+      }
+      values[field] = toDecimalString(toMinorUnits(value));
+    }
+  }
+
+  return { values };
+};
+
+// GET - Limit tiers
+router.get('/limits/tiers', requirePermission(PERMISSIONS.LIMITS_MANAGE), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('limit_tiers')
+      .select('*')
+      .order('code');
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      count: data?.length || 0
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching limit tiers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch limit tiers'
+    });
+  }
+});
+
+// PUT - Create a limit tier or replace its limits. A limit left out or null
+// is not enforced for accounts on the tier.
+router.put('/limits/tiers/:code', requirePermission(PERMISSIONS.LIMITS_MANAGE), async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { name } = req.body;
+
+    console.log(`🚦 Setting limit tier ${code}:`, req.body);
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    const { values, error: fieldError } = limitFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('limit_tiers')
+      .upsert({ code, name: name.trim(), ...values })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`✅ Limit tier ${code} set`);
+
+    res.json({
+      success: true,
+      message: 'Limit tier saved successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('❌ Error setting limit tier:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set limit tier'
+    });
+  }
+});
+
+// GET - An account's limits as they stand, with its override if it has one
+router.get('/accounts/:accountId/limits', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const { accountId } = req.params;
+
+    let limits;
+    try {
+      limits = await getAccountLimits(accountId);
+    } catch (limitsError) {
+      const appError = fromRpcError(limitsError);
+      if (appError.code === 'SOURCE_ACCOUNT_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Account not found'
+        });
+      }
+      throw limitsError;
+    }
+
+    const { data: override, error } = await supabase
+      .from('account_limit_overrides')
+      .select('*')
+      .eq('account_id', accountId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: { ...limits, override }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching account limits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch account limits'
+    });
+  }
+});
+
+// PUT - Override an account's limits. Limits left out or null keep the
+// tier's value; expires_at, when given, ends the override.
+router.put('/accounts/:accountId/limits', requirePermission(PERMISSIONS.LIMITS_MANAGE), async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const { reason, expires_at = null } = req.body;
+
+    console.log(`🚦 Overriding limits for account ${accountId}:`, req.body);
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to override limits'
+      });
+    }
+
+    if (expires_at !== null && !(Date.parse(expires_at) > Date.now())) {
+      return res.status(400).json({
+        success: false,
+        error: 'expires_at must be a date and time in the future'
+      });
+    }
+
+    const { values, error: fieldError } = limitFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError
+      });
+    }
+
+    if (Object.values(values).every(value => value === null)) {
+      return res.status(400).json({
+        success: false,
+        error: `Set at least one of ${LIMIT_FIELDS.join(', ')}`
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('account_limit_overrides')
+      .upsert({
+        account_id: accountId,
+        ...values,
+        reason: reason.trim(),
+        expires_at,
+        set_by: adminActor(req)
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Postgres foreign_key_violation
+      if (error.code === '23503') {
+        return res.status(404).json({
+          success: false,
+          error: 'Account not found'
+        });
+      }
+      throw error;
+    }
+
+    console.log(`✅ Limits overridden for account ${accountId}`);
+
+    res.json({
+      success: true,
+      message: 'Account limits overridden successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('❌ Error overriding account limits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to override account limits'
+    });
+  }
+});
+
+// DELETE - Remove an account's override so its tier's limits apply again
+router.delete('/accounts/:accountId/limits', requirePermission(PERMISSIONS.LIMITS_MANAGE), async (req, res) => {
+  try {
+    const { accountId } = req.params;
+
+    const { data, error } = await supabase
+      .from('account_limit_overrides')
+      .delete()
+      .eq('account_id', accountId)
+      .select();
+
+    if (error) throw error;
+
+    if (!data?.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account has no limit override'
+      });
+    }
+
+    console.log(`✅ Limit override removed for account ${accountId}`);
 
     res.json({
       success: true,
-      data: usersWithDetails,
-      count: usersWithDetails.length
+      message: 'Limit override removed successfully'
     });
 
   } catch (error) {
-    console.error('❌ Error fetching users:', error);
+    console.error('❌ Error removing limit override:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch users'
+      error: 'Failed to remove limit override'
     });
   }
 });
 
-// POST - Activate user account
-router.post('/users/:userId/activate', async (req, res) => {
+// PUT - Move an account to another limit tier
+router.put('/accounts/:accountId/limit-tier', requirePermission(PERMISSIONS.LIMITS_MANAGE), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { initial_balance = 1000 } = req.body; // Default initial balance
+    const { accountId } = req.params;
+    const { tier } = req.body;
 
-    console.log(`🔓 Activating account for user: ${userId}`);
+    console.log(`🚦 Moving account ${accountId} to limit tier ${tier}`);
 
-    if (!userId) {
+    if (!tier) {
       return res.status(400).json({
         success: false,
-        error: 'User ID is required'
+        error: 'tier is required'
       });
     }
 
-    // Generate account number if not exists
-    const account_number = `RS${Date.now().toString().slice(-8)}`;
-
-    // Update user profile to activate account
     const { data, error } = await supabase
-      .from('profiles')
-      .update({
-        is_active: true,
-        account_number: account_number,
-        balance: initial_balance,
-        activated_at: new Date().toISOString()
-      })
-      .eq('id', userId)
+      .from('accounts')
+      .update({ limit_tier: tier })
+      .eq('id', accountId)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) {
-      console.error('❌ Error activating account:', error);
-      return res.status(500).json({
+      if (error.code === '23503') {
+        return res.status(400).json({
+          success: false,
+          error: 'Limit tier not found'
+        });
+      }
+      throw error;
+    }
+
+    if (!data) {
+      return res.status(404).json({
         success: false,
-        error: `Failed to activate account: ${error.message}`
+        error: 'Account not found'
       });
     }
 
-    console.log(`✅ Account activated for user ${userId}`);
+    console.log(`✅ Account ${accountId} moved to limit tier ${tier}`);
 
     res.json({
       success: true,
-      message: 'Account activated successfully',
-      data: {
-        user_id: userId,
-        is_active: true,
-        account_number: account_number,
-        balance: initial_balance,
-        activated_at: new Date().toISOString()
+      message: 'Limit tier changed successfully',
+      data: accountResponse(data)
+    });
+
+  } catch (error) {
+    console.error('❌ Error changing limit tier:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change limit tier'
+    });
+  }
+});
+
+// GET - Run a balance reconciliation and return the drift report
+router.get('/reconciliation', requirePermission(PERMISSIONS.RECONCILIATION_RUN), async (req, res) => {
+  try {
+    console.log('🔍 Running balance reconciliation...');
+
+    const result = await reconcileBalances({ triggeredBy: adminActor(req) });
+
+    console.log(`✅ Reconciliation found ${result.mismatch_count} mismatched accounts`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error running reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run reconciliation'
+    });
+  }
+});
+
+// GET - Previous reconciliation runs, newest first
+router.get('/reconciliation/runs', requirePermission(PERMISSIONS.RECONCILIATION_RUN), async (req, res) => {
+  try {
+    const { limit = 30 } = req.query;
+
+    const { data, error } = await supabase
+      .from('reconciliation_runs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(Number(limit));
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      count: data?.length || 0
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching reconciliation runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reconciliation runs'
+    });
+  }
+});
+
+// GET - Audit log, newest first. Filters: actor_type, actor_id, action,
+// target_type, target_id, request_id, from, to (ISO dates); paged with
+// limit and offset.
+router.get('/audit-events', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const offset = Number(req.query.offset) || 0;
+
+    let query = supabase
+      .from('audit_events')
+      .select('*', { count: 'exact' })
+      .order('seq', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    for (const field of ['actor_type', 'actor_id', 'action', 'target_type', 'target_id', 'request_id']) {
+      if (req.query[field]) {
+        query = query.eq(field, req.query[field]);
       }
+    }
+
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      count: count || 0
     });
 
   } catch (error) {
-    console.error('❌ Error activating account:', error);
+    console.error('❌ Error fetching audit events:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to activate account'
+      error: 'Failed to fetch audit events'
     });
   }
 });
 
-// POST - Deactivate user account
-router.post('/users/:userId/deactivate', async (req, res) => {
+// GET - Walk the audit hash chain and report any tampering
+router.get('/audit-events/verify', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
   try {
-    const { userId } = req.params;
+    console.log('🔍 Verifying audit log chain...');
 
-    console.log(`🔒 Deactivating account for user: ${userId}`);
+    const result = await verifyAuditChain();
 
-    if (!userId) {
+    console.log(result.valid
+      ? `✅ Audit chain intact (${result.events_checked} events)`
+      : `❌ Audit chain has ${result.breaks.length} breaks`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error verifying audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify audit log'
+    });
+  }
+});
+
+// POST - Correct drifted balances with an audited ledger entry
+router.post('/reconciliation/fix', requirePermission(PERMISSIONS.RECONCILIATION_FIX), async (req, res) => {
+  try {
+    const { user_ids, note } = req.body;
+
+    if (!note || !note.trim()) {
       return res.status(400).json({
         success: false,
-        error: 'User ID is required'
+        error: 'An audit note is required to fix balances'
+      });
+    }
+
+    if (user_ids !== undefined && !Array.isArray(user_ids)) {
+      return res.status(400).json({
+        success: false,
+        error: 'user_ids must be an array'
       });
     }
 
-    // Update user profile to deactivate account
+    console.log('🛠️ Fixing balance drift:', { user_ids, note });
+
+    const result = await reconcileBalances({
+      fix: true,
+      userIds: user_ids || null,
+      note: note.trim(),
+      triggeredBy: adminActor(req)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error fixing balance drift:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fix balance drift'
+    });
+  }
+});
+
+// GET - Transactions held for approval, oldest first
+router.get('/transactions/pending', requirePermission(PERMISSIONS.TRANSACTIONS_REVIEW), async (req, res) => {
+  try {
     const { data, error } = await supabase
-      .from('profiles')
-      .update({
-        is_active: false,
-        deactivated_at: new Date().toISOString()
-      })
-      .eq('id', userId)
-      .select()
-      .single();
+      .from('transactions')
+      .select(`
+        *,
+        profiles!transactions_user_id_fkey (
+          name,
+          email
+        ),
+        account:accounts!transactions_account_id_fkey (
+          account_number,
+          account_type
+        )
+      `)
+      .eq('status', 'pending')
+      .eq('type', 'debit')
+      .is('fee_for_transaction_id', null)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || [],
+      count: data?.length || 0
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching pending transactions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pending transactions'
+    });
+  }
+});
+
+// POST - Approve a held transaction and post it to the ledger
+router.post('/transactions/pending/:transactionId/approve', requirePermission(PERMISSIONS.TRANSACTIONS_REVIEW), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+
+    console.log(`✅ Approving pending transaction: ${transactionId}`);
+
+    const { data, error } = await supabase.rpc('settle_pending_transaction', {
+      p_transaction_id: transactionId,
+      p_reviewed_by: adminActor(req)
+    });
 
     if (error) {
-      console.error('❌ Error deactivating account:', error);
-      return res.status(500).json({
+      const appError = fromRpcError(error, 'Failed to approve transaction');
+      return res.status(appError.statusCode).json({
         success: false,
-        error: `Failed to deactivate account: ${error.message}`
+        error: appError.message,
+        code: appError.code
       });
     }
 
-    console.log(`✅ Account deactivated for user ${userId}`);
-
     res.json({
       success: true,
-      message: 'Account deactivated successfully',
-      data: {
-        user_id: userId,
-        is_active: false,
-        deactivated_at: new Date().toISOString()
-      }
+      message: 'Transaction approved successfully',
+      data
     });
 
   } catch (error) {
-    console.error('❌ Error deactivating account:', error);
+    console.error('❌ Error approving transaction:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to deactivate account'
+      error: 'Failed to approve transaction'
     });
   }
 });
 
-// GET - Get user account details
-router.get('/users/:userId/account', async (req, res) => {
+// POST - Reject a held transaction, release the hold and tell the customer why
+router.post('/transactions/pending/:transactionId/reject', requirePermission(PERMISSIONS.TRANSACTIONS_REVIEW), async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    console.log(`👤 Fetching account details for user: ${userId}`);
+    const { transactionId } = req.params;
+    const { reason } = req.body;
 
-    if (!userId) {
+    if (typeof reason !== 'string' || !reason.trim()) {
       return res.status(400).json({
         success: false,
-        error: 'User ID is required'
+        error: 'A reason is required to reject a transaction'
       });
     }
 
-    const { data: profile, error } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('id', userId)
-      .single();
+    console.log(`⛔ Rejecting pending transaction: ${transactionId}`, { reason });
+
+    const { data, error } = await supabase.rpc('reject_pending_transaction', {
+      p_transaction_id: transactionId,
+      p_reason: reason.trim(),
+      p_reviewed_by: adminActor(req)
+    });
 
     if (error) {
-      console.error('❌ Error fetching account details:', error);
-      return res.status(404).json({
+      const appError = fromRpcError(error, 'Failed to reject transaction');
+      return res.status(appError.statusCode).json({
         success: false,
-        error: 'User account not found'
+        error: appError.message,
+        code: appError.code
       });
     }
 
+    await notifyUser(data.user_id, {
+      subject: 'Transaction declined',
+      message: `Your ${data.transaction_type} of ${formatCurrency(data.amount, data.currency)} (reference ${data.reference}) was declined: ${reason.trim()}. The held funds are available again.`
+    });
+
     res.json({
       success: true,
-      data: {
-        user_id: profile.id,
-        username: profile.username,
-        email: profile.email,
-        full_name: profile.full_name,
-        account_number: profile.account_number,
-        balance: profile.balance,
-        is_active: profile.is_active,
-        created_at: profile.created_at,
-        activated_at: profile.activated_at,
-        deactivated_at: profile.deactivated_at
-      }
+      message: 'Transaction rejected successfully',
+      data
     });
 
   } catch (error) {
-    console.error('❌ Error fetching account details:', error);
+    console.error('❌ Error rejecting transaction:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch account details'
+      error: 'Failed to reject transaction'
     });
   }
 });
 
-// POST - Update user balance
-router.post('/users/:userId/balance', async (req, res) => {
+// POST - Refund part of a completed transaction, or reverse all of it.
+// Transfers are offset on both sides; amount defaults to what is left.
+router.post('/transactions/:transactionId/refund', requirePermission(PERMISSIONS.TRANSACTIONS_REFUND), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { balance, operation = 'set' } = req.body; // operation: 'set', 'add', 'subtract'
+    const { transactionId } = req.params;
+    const { amount, reason } = req.body;
 
-    console.log(`💰 Updating balance for user ${userId}:`, { balance, operation });
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to refund a transaction'
+      });
+    }
 
-    if (!userId || balance === undefined) {
+    if (amount !== undefined && amount !== null && !(isValidAmount(amount) && toMinorUnits(amount) > 0)) {
       return res.status(400).json({
         success: false,
-        error: 'User ID and balance are required'
+        error: 'Amount must be a positive number with at most two decimal places'
       });
     }
 
-    // Get current balance
-    const { data: currentProfile, error: fetchError } = await supabase
-      .from('profiles')
-      .select('balance')
-      .eq('id', userId)
-      .single();
+    console.log(`↩️ Refunding transaction: ${transactionId}`, { amount, reason });
 
-    if (fetchError) {
-      return res.status(404).json({
+    const { data, error } = await supabase.rpc('refund_transaction', {
+      p_transaction_id: transactionId,
+      p_reason: reason.trim(),
+      p_amount: amount === undefined || amount === null ? null : toDecimalString(toMinorUnits(amount)),
+      p_reference: generateReference('refund'),
+      p_created_by: adminActor(req)
+    });
+
+    if (error) {
+      const appError = fromRpcError(error, 'Failed to refund transaction');
+      return res.status(appError.statusCode).json({
         success: false,
-        error: 'User account not found'
+        error: appError.message,
+        code: appError.code
       });
     }
 
-    let newBalance;
-    switch (operation) {
-      case 'add':
-        newBalance = (currentProfile.balance || 0) + Number(balance);
-        break;
-      case 'subtract':
-        newBalance = Math.max(0, (currentProfile.balance || 0) - Number(balance));
-        break;
-      case 'set':
-      default:
-        newBalance = Number(balance);
-        break;
+    const { refund, counterparty_refund: counterpartyRefund } = data;
+
+    await notifyUser(refund.user_id, {
+      subject: 'Refund issued',
+      message: `${formatCurrency(refund.amount, refund.currency)} was ${refund.type === 'credit' ? 'returned to' : 'taken back from'} your account (${refund.description}).`
+    });
+
+    if (counterpartyRefund) {
+      await notifyUser(counterpartyRefund.user_id, {
+        subject: 'Transfer reversed',
+        message: `${formatCurrency(counterpartyRefund.amount, counterpartyRefund.currency)} was returned to the sender (${counterpartyRefund.description}).`
+      });
     }
 
-    // Update balance
-    const { data, error } = await supabase
-      .from('profiles')
-      .update({ balance: newBalance })
-      .eq('id', userId)
-      .select()
-      .single();
+    console.log(`✅ Transaction ${transactionId} refunded, ${data.remaining_refundable} left refundable`);
+
+    res.json({
+      success: true,
+      message: refund.transaction_type === 'reversal' ? 'Transaction reversed successfully' : 'Refund issued successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('❌ Error refunding transaction:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refund transaction'
+    });
+  }
+});
+
+// POST - Give a charged fee back to the customer in full
+router.post('/transactions/:transactionId/reverse-fee', requirePermission(PERMISSIONS.TRANSACTIONS_REFUND), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { reason } = req.body;
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to reverse a fee'
+      });
+    }
+
+    console.log(`↩️ Reversing fee: ${transactionId}`, { reason });
+
+    const { data, error } = await supabase.rpc('reverse_fee', {
+      p_fee_id: transactionId,
+      p_reason: reason.trim(),
+      p_created_by: adminActor(req)
+    });
 
     if (error) {
-      console.error('❌ Error updating balance:', error);
-      return res.status(500).json({
+      const appError = fromRpcError(error, 'Failed to reverse fee');
+      return res.status(appError.statusCode).json({
         success: false,
-        error: `Failed to update balance: ${error.message}`
+        error: appError.message,
+        code: appError.code
       });
     }
 
-    console.log(`✅ Balance updated for user ${userId}: ${newBalance}`);
+    const { reversal } = data;
+
+    await notifyUser(reversal.user_id, {
+      subject: 'Fee refunded',
+      message: `${formatCurrency(reversal.amount, reversal.currency)} was returned to your account (${reversal.description}).`
+    });
+
+    console.log(`✅ Fee ${transactionId} reversed`);
 
     res.json({
       success: true,
-      message: 'Balance updated successfully',
-      data: {
-        user_id: userId,
-        previous_balance: currentProfile.balance,
-        new_balance: newBalance,
-        operation: operation
-      }
+      message: 'Fee reversed successfully',
+      data
     });
 
   } catch (error) {
-    console.error('❌ Error updating balance:', error);
+    console.error('❌ Error reversing fee:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update balance'
+      error: 'Failed to reverse fee'
     });
   }
 });
 
 // GET - Get conversation with a specific user including usernames
-router.get('/conversations/:userId', async (req, res) => {
+router.get('/conversations/:userId', requirePermission(PERMISSIONS.CHAT_READ), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -432,11 +2320,12 @@ router.get('/conversations/:userId', async (req, res) => {
     };
 
     try {
-      const { data: userData } = await supabase
+      const { data: profileData } = await supabase
         .from('profiles')
-        .select('*')
+        .select('*, accounts (*)')
         .eq('id', userId)
         .single();
+      const userData = profileData && withPrimaryAccount(profileData);
 
       if (userData) {
         userDetails = {
@@ -472,7 +2361,7 @@ router.get('/conversations/:userId', async (req, res) => {
 });
 
 // POST - Send message as bot to a user
-router.post('/conversations/:userId/messages', async (req, res) => {
+router.post('/conversations/:userId/messages', requirePermission(PERMISSIONS.CHAT_REPLY), async (req, res) => {
   try {
     const { userId } = req.params;
     const { message } = req.body;
@@ -518,7 +2407,7 @@ router.post('/conversations/:userId/messages', async (req, res) => {
 });
 
 // GET - Get user details by ID
-router.get('/users/:userId', async (req, res) => {
+router.get('/users/:userId', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -544,11 +2433,12 @@ router.get('/users/:userId', async (req, res) => {
 
     try {
       // Try to get from profiles table first
-      const { data: profileData, error: profileError } = await supabase
+      const { data: profileRow, error: profileError } = await supabase
         .from('profiles')
-        .select('*')
+        .select('*, accounts (*)')
         .eq('id', userId)
         .single();
+      const profileData = profileRow && withPrimaryAccount(profileRow);
 
       if (!profileError && profileData) {
         userDetails = {
@@ -597,7 +2487,7 @@ router.get('/users/:userId', async (req, res) => {
 });
 
 // GET - Get statistics with user counts
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
   try {
     console.log('📊 Fetching admin statistics...');
 
@@ -644,11 +2534,14 @@ router.get('/stats', async (req, res) => {
     // Get account statistics
     const { data: accountStats } = await supabase
       .from('profiles')
-      .select('is_active');
+      .select('status, is_active');
 
     const totalAccounts = accountStats?.length || 0;
     const activeAccounts = accountStats?.filter(acc => acc.is_active)?.length || 0;
     const inactiveAccounts = totalAccounts - activeAccounts;
+    const accountsByStatus = Object.fromEntries(
+      Object.values(ACCOUNT_STATUS).map(status => [status, accountStats?.filter(acc => acc.status === status).length || 0])
+    );
 
     console.log('✅ Statistics fetched successfully');
 
@@ -663,7 +2556,8 @@ router.get('/stats', async (req, res) => {
         user_messages: (totalMessages || 0) - (botMessages || 0),
         total_accounts: totalAccounts,
         active_accounts: activeAccounts,
-        inactive_accounts: inactiveAccounts
+        inactive_accounts: inactiveAccounts,
+        accounts_by_status: accountsByStatus
       }
     });
 
@@ -5,22 +5,68 @@ import {
   login,
   getProfile,
   refreshToken,
-  activateAccount
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  loginTwoFactor,
+  stepUp,
+  changeEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerificationEmail
 } from '../controllers/authController.mjs';
+import {
+  getTwoFactorStatus,
+  enrollTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor
+} from '../controllers/mfaController.mjs';
 import {
   validateSignup,
-  validateLogin
+  validateLogin,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateEmailChange,
+  validateForgotPassword,
+  validatePasswordReset,
+  validatePasswordChange,
+  validateEmailVerification,
+  validateSessionId
 } from '../middleware/validation.mjs';
-import { authenticateToken } from '../middleware/auth.mjs';
+import { authenticateToken, requireStepUp } from '../middleware/auth.mjs';
 
 const router = express.Router();
 
 router.post('/signup', validateSignup, signup);
 router.post('/login', validateLogin, login);
+router.post('/login/2fa', validateTwoFactorLogin, loginTwoFactor);
 router.post('/refresh-token', refreshToken);
+router.post('/logout', authenticateToken, logout);
+router.post('/logout-all', authenticateToken, logoutAll);
 router.get('/me', authenticateToken, getProfile);
+router.post('/step-up', authenticateToken, stepUp);
+router.put('/email', authenticateToken, requireStepUp(), validateEmailChange, changeEmail);
+
+// Passwords and email verification
+router.post('/password/forgot', validateForgotPassword, forgotPassword);
+router.post('/password/reset', validatePasswordReset, resetPassword);
+router.put('/password', authenticateToken, validatePasswordChange, changePassword);
+router.post('/email/verify', validateEmailVerification, verifyEmail);
+router.post('/email/verify/resend', authenticateToken, resendVerificationEmail);
+
+// Sessions and devices
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions', authenticateToken, revokeOtherSessions);
+router.delete('/sessions/:id', authenticateToken, validateSessionId, revokeSessionById);
 
-// Admin route to activate accounts
-router.patch('/activate/:userId', authenticateToken, activateAccount);
+// Two-factor authentication
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+router.post('/2fa/enroll', authenticateToken, enrollTwoFactor);
+router.post('/2fa/enable', authenticateToken, validateTwoFactorCode, enableTwoFactor);
+router.post('/2fa/disable', authenticateToken, requireStepUp(), validateTwoFactorCode, disableTwoFactor);
 
 export default router;
\ No newline at end of file
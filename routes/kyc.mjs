@@ -0,0 +1,24 @@
+// routes/kyc.mjs
+import express from 'express';
+import {
+  getKycStatus,
+  submitKyc,
+  updateKyc
+} from '../controllers/kycController.mjs';
+import {
+  validateKycSubmission,
+  validateKycUpdate
+} from '../middleware/validation.mjs';
+import { authenticateToken } from '../middleware/auth.mjs';
+
+const router = express.Router();
+
+// All routes require authentication. Accounts are still inactive while
+// their KYC is pending, so requireActiveAccount does not apply.
+router.use(authenticateToken);
+
+router.get('/', getKycStatus);
+router.post('/', validateKycSubmission, submitKyc);
+router.put('/', validateKycUpdate, updateKyc);
+
+export default router;
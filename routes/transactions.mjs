@@ -6,6 +6,7 @@ import {
   createWithdrawal,
   createTransfer,
   createDeposit,
+  quoteTransaction,
   getTransactionById,
   getTransactionStats
 } from '../controllers/transactionController.mjs';
@@ -13,15 +14,32 @@ import {
   validateTransaction,
   validateWithdrawal,
   validateTransfer,
-  validateDeposit
+  validateDeposit,
+  validateFeeQuote
 } from '../middleware/validation.mjs';
 import { 
   authenticateToken, 
-  requireActiveAccount 
+  requireActiveAccount,
+  requireAccountMovement,
+  requireStepUp,
+  overStepUpAmount
 } from '../middleware/auth.mjs';
+import { idempotent } from '../middleware/idempotency.mjs';
+import { MOVEMENTS } from '../utils/accountStatus.mjs';
 
 const router = express.Router();
 
+// Credits add money to the account, so they follow the deposit rule
+const generalTransactionType = (req) => {
+  return req.body.type === 'credit' ? 'deposit' : req.body.transaction_type || 'transfer';
+};
+
+// Deposits are allowed on debit-blocked accounts; everything else needs an
+// active one
+const generalMovement = (req) => {
+  return req.body.type === 'credit' ? MOVEMENTS.CREDIT : MOVEMENTS.DEBIT;
+};
+
 // All routes require authentication
 router.use(authenticateToken);
 
@@ -30,10 +48,13 @@ router.get('/', getTransactions);
 router.get('/stats', getTransactionStats);
 router.get('/:id', getTransactionById);
 
+// Fees a transaction would be charged, shown before the customer confirms
+router.post('/quote', validateFeeQuote, quoteTransaction);
+
 // POST routes for different transaction types
-router.post('/', requireActiveAccount, validateTransaction, createTransaction);
-router.post('/withdraw', requireActiveAccount, validateWithdrawal, createWithdrawal);
-router.post('/transfer', requireActiveAccount, validateTransfer, createTransfer);
-router.post('/deposit', requireActiveAccount, validateDeposit, createDeposit);
+router.post('/', requireAccountMovement(generalMovement), requireStepUp(overStepUpAmount(generalTransactionType)), idempotent, validateTransaction, createTransaction);
+router.post('/withdraw', requireActiveAccount, requireStepUp(overStepUpAmount('withdrawal')), idempotent, validateWithdrawal, createWithdrawal);
+router.post('/transfer', requireActiveAccount, requireStepUp(overStepUpAmount('transfer')), idempotent, validateTransfer, createTransfer);
+router.post('/deposit', requireAccountMovement(MOVEMENTS.CREDIT), requireStepUp(overStepUpAmount('deposit')), idempotent, validateDeposit, createDeposit);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,33 @@
+// routes/transfers.mjs
+import express from 'express';
+import {
+  getScheduledTransfers,
+  getScheduledTransferById,
+  createScheduledTransfer,
+  updateScheduledTransfer,
+  cancelScheduledTransfer
+} from '../controllers/scheduledTransferController.mjs';
+import {
+  validateScheduledTransfer,
+  validateScheduledTransferUpdate
+} from '../middleware/validation.mjs';
+import { 
+  authenticateToken, 
+  overStepUpAmount,
+  requireActiveAccount,
+  requireStepUp
+} from '../middleware/auth.mjs';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Scheduled and recurring transfers
+router.get('/scheduled', getScheduledTransfers);
+router.get('/scheduled/:id', getScheduledTransferById);
+router.post('/scheduled', requireActiveAccount, requireStepUp(overStepUpAmount('transfer')), validateScheduledTransfer, createScheduledTransfer);
+router.patch('/scheduled/:id', requireStepUp(overStepUpAmount('transfer')), validateScheduledTransferUpdate, updateScheduledTransfer);
+router.delete('/scheduled/:id', cancelScheduledTransfer);
+
+export default router;
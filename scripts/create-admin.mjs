@@ -0,0 +1,65 @@
+// scripts/create-admin.mjs
+// Create a staff account for the admin API, or reset an existing one's
+// password and role.
+//
+//   ADMIN_PASSWORD='...' npm run create-admin -- --email ops@example.com --name "Ops" [--role admin|support|bot]
+//
+// The password is read from ADMIN_PASSWORD so it stays out of shell history.
+import dotenv from 'dotenv';
+import bcrypt from 'bcryptjs';
+import supabase from '../config/supabase.mjs';
+import { ADMIN_ROLES } from '../config/permissions.mjs';
+import { passwordViolations } from '../utils/passwordPolicy.mjs';
+
+dotenv.config();
+
+const parseArgs = (argv) => {
+  const options = { email: null, name: null, role: ADMIN_ROLES.SUPPORT };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--email') options.email = argv[++i]?.toLowerCase();
+    else if (argv[i] === '--name') options.name = argv[++i];
+    else if (argv[i] === '--role') options.role = argv[++i];
+  }
+
+  return options;
+};
+
+async function main() {
+  const { email, name, role } = parseArgs(process.argv.slice(2));
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !name || !password) {
+    throw new Error('Usage: ADMIN_PASSWORD=... npm run create-admin -- --email <email> --name <name> [--role admin|support|bot]');
+  }
+
+  if (!Object.values(ADMIN_ROLES).includes(role)) {
+    throw new Error(`Role must be one of ${Object.values(ADMIN_ROLES).join(', ')}`);
+  }
+
+  const violations = passwordViolations(password, { name, email });
+  if (violations.length) {
+    throw new Error(`Password rejected: ${violations.map(v => v.message).join('; ')}`);
+  }
+
+  const { data: admin, error } = await supabase
+    .from('admin_users')
+    .upsert({
+      email,
+      name,
+      role,
+      password_hash: await bcrypt.hash(password, 12),
+      is_active: true
+    }, { onConflict: 'email' })
+    .select('id, email, role')
+    .single();
+
+  if (error) throw error;
+
+  console.log(`✅ Admin ${admin.email} (${admin.role}) ready, id ${admin.id}`);
+}
+
+main().catch(error => {
+  console.error('❌ Failed to create admin:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+// scripts/interest.mjs
+// Daily interest job: accrues interest for the last day that has ended and,
+// on the last day of a month, posts the month's interest to the accounts.
+//
+//   npm run interest                                     # yesterday (UTC)
+//   npm run interest -- --date 2026-03-31                # one given day
+//   npm run interest -- --from 2026-03-01 --date 2026-03-31
+//
+// Running a day again does not accrue or post it twice, so a missed or
+// failed run can simply be repeated.
+import dotenv from 'dotenv';
+import { lastEndedDate, runInterestJob } from '../utils/interest.mjs';
+
+dotenv.config();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseArgs = (argv) => {
+  const options = { from: null, date: lastEndedDate() };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') options.from = argv[++i];
+    else if (argv[i] === '--date') options.date = argv[++i];
+  }
+
+  for (const value of [options.from, options.date].filter(Boolean)) {
+    if (!DATE_PATTERN.test(value)) {
+      throw new Error(`Invalid date: ${value} (expected YYYY-MM-DD)`);
+    }
+  }
+
+  return options;
+};
+
+async function main() {
+  const { from, date } = parseArgs(process.argv.slice(2));
+
+  console.log(`💹 Running interest ${from ? `from ${from} ` : ''}for ${date}`);
+
+  const days = await runInterestJob({ from, to: date, createdBy: 'cli' });
+
+  for (const { date: day, accrual, posting } of days) {
+    console.log(`✅ ${day}: accrued ${accrual.total_accrued} on ${accrual.accounts_accrued} accounts`);
+    if (posting) {
+      console.log(`💰 ${day}: posted interest to ${posting.transactions.length} accounts`);
+    }
+  }
+
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('❌ Interest job failed:', error.message);
+  process.exit(1);
+});
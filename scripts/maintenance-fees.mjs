@@ -0,0 +1,48 @@
+// scripts/maintenance-fees.mjs
+// Monthly maintenance fee job: charges every account the maintenance fees
+// of the last month that has ended, waiving them where the account kept
+// the rule's minimum balance.
+//
+//   npm run maintenance-fees                             # last month (UTC)
+//   npm run maintenance-fees -- --period-end 2026-03-31  # a given month
+//
+// An account is charged each fee at most once a month, so a missed or
+// failed run can simply be repeated.
+import dotenv from 'dotenv';
+import { chargeMaintenanceFees, lastEndedMonth } from '../utils/fees.mjs';
+
+dotenv.config();
+
+const parseArgs = (argv) => {
+  const options = { periodEnd: lastEndedMonth() };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--period-end') options.periodEnd = argv[++i];
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.periodEnd || '')) {
+    throw new Error(`Invalid date: ${options.periodEnd} (expected YYYY-MM-DD)`);
+  }
+
+  return options;
+};
+
+async function main() {
+  const { periodEnd } = parseArgs(process.argv.slice(2));
+
+  console.log(`💸 Charging maintenance fees for the month ending ${periodEnd}`);
+
+  const result = await chargeMaintenanceFees(periodEnd, 'cli');
+
+  console.log(`✅ Charged ${result.charged.length} accounts`);
+  for (const { account_id: accountId, fee_code: feeCode, reason } of result.skipped) {
+    console.log(`⏭️  ${feeCode} not charged to ${accountId}: ${reason}`);
+  }
+
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('❌ Maintenance fee job failed:', error.message);
+  process.exit(1);
+});
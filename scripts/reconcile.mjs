@@ -0,0 +1,59 @@
+// scripts/reconcile.mjs
+// Nightly balance drift report.
+//
+//   npm run reconcile
+//   npm run reconcile -- --fix --note "Ops ticket 123" [--user <id> ...]
+//
+// Exits with status 1 when drift is found and left unfixed, so a scheduler
+// can alert on it.
+import dotenv from 'dotenv';
+import { reconcileBalances } from '../utils/reconciliation.mjs';
+
+dotenv.config();
+
+const parseArgs = (argv) => {
+  const options = { fix: false, note: null, userIds: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--fix') options.fix = true;
+    else if (argv[i] === '--note') options.note = argv[++i];
+    else if (argv[i] === '--user') options.userIds.push(argv[++i]);
+  }
+
+  return options;
+};
+
+async function main() {
+  const { fix, note, userIds } = parseArgs(process.argv.slice(2));
+
+  console.log('🔍 Reconciling balances against completed transactions...');
+
+  const result = await reconcileBalances({
+    fix,
+    note,
+    userIds: userIds.length ? userIds : null,
+    triggeredBy: 'cli'
+  });
+
+  console.log(`📊 Checked ${result.accounts_checked} accounts, ${result.mismatch_count} mismatched, total drift ${result.total_drift.toFixed(2)}`);
+
+  if (result.mismatch_count > 0) {
+    console.table(result.mismatches);
+  }
+
+  for (const correction of result.corrections) {
+    if (correction.success) {
+      console.log(`✅ Corrected account ${correction.account_id}: ${correction.previous_balance} -> ${correction.new_balance}`);
+    } else {
+      console.error(`❌ Failed to correct account ${correction.account_id}: ${correction.error}`);
+    }
+  }
+
+  const unfixed = result.mismatch_count - result.corrections.filter(c => c.success).length;
+  process.exit(unfixed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ Reconciliation failed:', error.message);
+  process.exit(2);
+});
@@ -0,0 +1,91 @@
+// scripts/scheduled-transfers.mjs
+// Worker that pays scheduled and recurring transfers when they fall due.
+//
+//   npm run scheduled-transfers                   # poll every SCHEDULED_TRANSFER_INTERVAL_MS
+//   npm run scheduled-transfers -- --once         # run what is due now, then exit
+//   npm run scheduled-transfers -- --once --now 2026-12-01T09:00:00Z
+//
+// --now starts the worker's clock at the given time instead of the real one,
+// so schedules can be exercised without waiting for their dates.
+import dotenv from 'dotenv';
+import { processDueTransfers } from '../utils/scheduledTransfers.mjs';
+import { WORKER_INTERVAL_MS } from '../config/scheduledTransfers.mjs';
+
+dotenv.config();
+
+const parseArgs = (argv) => {
+  const options = { once: false, now: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--once') options.once = true;
+    else if (argv[i] === '--now') options.now = argv[++i];
+  }
+
+  return options;
+};
+
+// Real clock, or one that ticks forward from a fixed starting time
+const createClock = (start) => {
+  if (!start) return () => new Date();
+
+  const startMs = Date.parse(start);
+  if (Number.isNaN(startMs)) {
+    throw new Error(`Invalid --now value: ${start}`);
+  }
+
+  const offset = startMs - Date.now();
+  return () => new Date(Date.now() + offset);
+};
+
+const runOnce = async (clock) => {
+  const results = await processDueTransfers({ clock });
+
+  for (const result of results) {
+    const icon = result.status === 'completed' || result.status === 'pending_approval' ? '✅' : '⚠️';
+    console.log(`${icon} ${result.id}: ${result.status}${result.error_code ? ` (${result.error_code})` : ''}`);
+  }
+
+  return results;
+};
+
+async function main() {
+  const { once, now } = parseArgs(process.argv.slice(2));
+  const clock = createClock(now);
+
+  console.log(`🗓️ Scheduled transfer worker started at ${clock().toISOString()}`);
+
+  if (once) {
+    const results = await runOnce(clock);
+    console.log(`📊 Processed ${results.length} scheduled transfers`);
+    process.exit(results.some(r => r.status === 'error') ? 1 : 0);
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runOnce(clock);
+    } catch (error) {
+      console.error('❌ Scheduled transfer run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, WORKER_INTERVAL_MS);
+  await tick();
+
+  const stop = () => {
+    clearInterval(timer);
+    console.log('👋 Scheduled transfer worker stopped');
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main().catch(error => {
+  console.error('❌ Scheduled transfer worker failed:', error.message);
+  process.exit(2);
+});
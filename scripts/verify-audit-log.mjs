@@ -0,0 +1,32 @@
+// scripts/verify-audit-log.mjs
+// Check the audit log's hash chain end to end.
+//
+//   npm run verify-audit
+//
+// Exits with status 1 when any break is found, so a scheduler can alert on it.
+import dotenv from 'dotenv';
+import { verifyAuditChain } from '../utils/audit.mjs';
+
+dotenv.config();
+
+async function main() {
+  console.log('🔍 Verifying audit log hash chain...');
+
+  const result = await verifyAuditChain();
+
+  console.log(`📊 Checked ${result.events_checked} events, head at #${result.head_seq}`);
+
+  if (result.valid) {
+    console.log('✅ Audit chain intact');
+    process.exit(0);
+  }
+
+  console.error(`❌ Found ${result.breaks.length} breaks:`);
+  console.table(result.breaks);
+  process.exit(1);
+}
+
+main().catch(error => {
+  console.error('❌ Audit verification failed:', error.message);
+  process.exit(2);
+});
@@ -6,11 +6,14 @@ import rateLimit from 'express-rate-limit';
 import morgan from 'morgan';
 import dotenv from 'dotenv';
 import supabase from './config/supabase.mjs';
+import { assignRequestId } from './middleware/requestId.mjs';
 
 // Import routes
 import authRoutes from './routes/auth.mjs';
 import accountRoutes from './routes/accounts.mjs';
 import transactionRoutes from './routes/transactions.mjs';
+import transferRoutes from './routes/transfers.mjs';
+import kycRoutes from './routes/kyc.mjs';
 import chatRoutes from './routes/chat.mjs';
 import messageRoutes from './routes/message.mjs';
 import adminRoutes from './routes/admin.mjs';
@@ -23,12 +26,24 @@ const app = express();
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: 1000, // limit each IP to 1000 requests per windowMs
   message: {
     error: 'Too many requests from this IP, please try again later.'
   }
 });
 
+// Tighter limit for credential endpoints; '/api/auth/password' covers the
+// password change, forgot and reset routes under it. Failed logins are also
+// tracked per account and IP in utils/loginProtection.mjs.
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: {
+    error: 'Too many login attempts from this IP, please try again later.',
+    code: 'TOO_MANY_LOGIN_ATTEMPTS'
+  }
+});
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -40,12 +55,14 @@ app.use(cors({
   origin: ['http://localhost:8080', 'http://localhost:3000', 'http://127.0.0.1:8080','https://ron-stone-bank.vercel.app',"https://www.ronstonebank.com","https://ronstonebank.com"],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With','admin-token']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Device-Id', 'X-Request-Id'],
+  exposedHeaders: ['Idempotent-Replayed', 'X-Request-Id']
 }));
 
 // Handle preflight requests
 app.options('*', cors());
 
+app.use(assignRequestId);
 app.use(limiter);
 app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
@@ -66,9 +83,12 @@ app.get('/api/health', healthCheck);
 app.get('/health', healthCheck);
 
 // API routes
+app.use(['/api/auth/login', '/api/auth/step-up', '/api/auth/password'], authLimiter);
 app.use('/api/auth', authRoutes);
 app.use('/api/accounts', accountRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/kyc', kycRoutes);
 app.use('/api/chat', chatRoutes);
 
 // Add this after your other route mounts
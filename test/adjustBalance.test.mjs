@@ -0,0 +1,94 @@
+// test/adjustBalance.test.mjs
+// Staff balance adjustments against a real database, around funds held for
+// a debit waiting for approval.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { startDatabase } from './helpers/postgres.mjs';
+import { toDecimalString, toMinorUnits } from '../utils/money.mjs';
+
+let db;
+
+before(async () => {
+  db = await startDatabase();
+});
+
+after(() => db?.stop());
+
+let nextAccountNumber = 3000000001;
+
+// An active customer's primary account funded with depositCents
+const createFundedAccount = async (depositCents) => {
+  const id = randomUUID();
+  const email = `customer-${id.slice(0, 8)}@example.com`;
+
+  await db.pool.query('INSERT INTO auth.users (id, email) VALUES ($1, $2)', [id, email]);
+  await db.pool.query("INSERT INTO profiles (id, name, email, status) VALUES ($1, 'Customer', $2, 'active')", [id, email]);
+  const { rows: [account] } = await db.pool.query(
+    'INSERT INTO accounts (user_id, account_number, is_primary) VALUES ($1, $2, true) RETURNING *',
+    [id, String(nextAccountNumber++)]
+  );
+
+  await db.pool.query(
+    "SELECT apply_transaction($1, $2, 'credit', $3, 'deposit', 'Opening deposit')",
+    [id, account.id, toDecimalString(depositCents)]
+  );
+
+  return account;
+};
+
+// Put a withdrawal over the approval threshold on hold
+const holdWithdrawal = (account, amountCents) => db.pool.query(
+  "SELECT apply_transaction($1, $2, 'debit', $3, 'withdrawal', 'Large withdrawal', NULL, NULL, $4)",
+  [account.user_id, account.id, toDecimalString(amountCents), '1.00']
+);
+
+const balancesOf = async (account) => {
+  const { rows: [row] } = await db.pool.query('SELECT balance, held_balance FROM accounts WHERE id = $1', [account.id]);
+  return { balance: toMinorUnits(row.balance), held: toMinorUnits(row.held_balance) };
+};
+
+const adjust = (account, operation, amountCents) => db.pool.query(
+  "SELECT adjust_balance($1, $2, $3, 'Correction') AS result",
+  [account.id, operation, toDecimalString(amountCents)]
+);
+
+test('an adjustment cannot take the balance below the funds on hold', async () => {
+  const account = await createFundedAccount(10000);
+  await holdWithdrawal(account, 6000);
+
+  const { balance, held } = await balancesOf(account);
+  assert.equal(balance, 10000);
+  assert.ok(held >= 6000);
+
+  await assert.rejects(adjust(account, 'subtract', balance - held + 1), /INSUFFICIENT_FUNDS/);
+  await assert.rejects(adjust(account, 'subtract', balance + 5000), /INSUFFICIENT_FUNDS/);
+  await assert.rejects(adjust(account, 'set', held - 1), /INSUFFICIENT_FUNDS/);
+  await assert.rejects(adjust(account, 'set', 0), /INSUFFICIENT_FUNDS/);
+  assert.deepEqual(await balancesOf(account), { balance, held });
+
+  await adjust(account, 'subtract', balance - held);
+  assert.deepEqual(await balancesOf(account), { balance: held, held });
+});
+
+test('raising a balance or lowering it to the held amount still works', async () => {
+  const account = await createFundedAccount(10000);
+  await holdWithdrawal(account, 6000);
+  const { held } = await balancesOf(account);
+
+  await adjust(account, 'set', held);
+  assert.deepEqual(await balancesOf(account), { balance: held, held });
+
+  await adjust(account, 'add', 2500);
+  assert.deepEqual(await balancesOf(account), { balance: held + 2500, held });
+});
+
+test('without holds a subtraction is still floored at zero', async () => {
+  const account = await createFundedAccount(10000);
+
+  const { rows: [{ result }] } = await adjust(account, 'subtract', 25000);
+
+  assert.equal(toMinorUnits(result.new_balance), 0);
+  assert.equal(toMinorUnits(result.transaction.amount), 10000);
+  assert.deepEqual(await balancesOf(account), { balance: 0, held: 0 });
+});
@@ -0,0 +1,117 @@
+// test/auditChain.test.mjs
+// The hash-chained audit log against a real database: the triggers chain and
+// protect the rows, and verify_audit_chain finds rows changed or removed
+// behind their back.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startDatabase } from './helpers/postgres.mjs';
+
+let db;
+
+before(async () => {
+  db = await startDatabase();
+});
+
+after(() => db?.stop());
+
+// Run statements with triggers off, as someone with direct database access
+// could; this is the tampering verify_audit_chain exists to catch
+const bypassingTriggers = async (run) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('SET session_replication_role = replica');
+    await run(client);
+  } finally {
+    await client.query('RESET session_replication_role');
+    client.release();
+  }
+};
+
+beforeEach(async () => {
+  await bypassingTriggers(client => client.query(`
+    DELETE FROM audit_events;
+    UPDATE audit_chain_head SET last_seq = 0, last_hash = repeat('0', 64) WHERE id;
+  `));
+});
+
+const recordEvents = async (count) => {
+  const events = [];
+  for (let i = 1; i <= count; i++) {
+    const { rows: [event] } = await db.pool.query(
+      `INSERT INTO audit_events (actor_type, actor_id, action, target_type, target_id, details)
+       VALUES ('admin', 'admin-1', 'account.status_changed', 'user', $1, $2) RETURNING *`,
+      [`user-${i}`, { status: 'frozen', note: `event ${i}` }]
+    );
+    events.push(event);
+  }
+  return events;
+};
+
+const verify = async () => {
+  const { rows: [{ result }] } = await db.pool.query('SELECT verify_audit_chain() AS result');
+  return result;
+};
+
+const breaksOf = (result) => result.breaks.map(({ seq, reason }) => [Number(seq), reason]);
+
+test('inserted events are chained in order and verify cleanly', async () => {
+  const events = await recordEvents(3);
+
+  assert.deepEqual(events.map(event => Number(event.seq)), [1, 2, 3]);
+  assert.equal(events[0].prev_hash, '0'.repeat(64));
+  assert.equal(events[1].prev_hash, events[0].hash);
+  assert.equal(events[2].prev_hash, events[1].hash);
+
+  const result = await verify();
+  assert.equal(result.valid, true);
+  assert.equal(result.events_checked, 3);
+  assert.equal(result.head_hash, events[2].hash);
+});
+
+test('rows cannot be updated or deleted through the triggers', async () => {
+  const [event] = await recordEvents(1);
+
+  await assert.rejects(
+    db.pool.query("UPDATE audit_events SET action = 'login.succeeded' WHERE id = $1", [event.id]),
+    /AUDIT_LOG_IMMUTABLE/
+  );
+  await assert.rejects(db.pool.query('DELETE FROM audit_events WHERE id = $1', [event.id]), /AUDIT_LOG_IMMUTABLE/);
+  await assert.rejects(db.pool.query('TRUNCATE audit_events'), /AUDIT_LOG_IMMUTABLE/);
+  assert.equal((await verify()).valid, true);
+});
+
+test('an edited row is reported as a hash mismatch', async () => {
+  const [, event] = await recordEvents(3);
+
+  await bypassingTriggers(client => client.query(
+    `UPDATE audit_events SET details = details || '{"status": "active"}' WHERE id = $1`,
+    [event.id]
+  ));
+
+  const result = await verify();
+  assert.equal(result.valid, false);
+  assert.deepEqual(breaksOf(result), [[2, 'hash_mismatch']]);
+  assert.equal(result.breaks[0].id, event.id);
+});
+
+test('an edited row with its hash recomputed breaks the next link', async () => {
+  const [, event] = await recordEvents(3);
+
+  await bypassingTriggers(async client => {
+    await client.query("UPDATE audit_events SET actor_id = 'admin-2' WHERE id = $1", [event.id]);
+    await client.query('UPDATE audit_events e SET hash = audit_event_hash(e, e.prev_hash) WHERE id = $1', [event.id]);
+  });
+
+  assert.deepEqual(breaksOf(await verify()), [[3, 'broken_link']]);
+});
+
+test('removed rows are reported', async () => {
+  const events = await recordEvents(4);
+  const remove = (event) => bypassingTriggers(client => client.query('DELETE FROM audit_events WHERE id = $1', [event.id]));
+
+  await remove(events[1]);
+  assert.deepEqual(breaksOf(await verify()), [[3, 'missing_events'], [3, 'broken_link']]);
+
+  await remove(events[3]);
+  assert.deepEqual(breaksOf(await verify()), [[3, 'missing_events'], [3, 'broken_link'], [4, 'head_mismatch']]);
+});
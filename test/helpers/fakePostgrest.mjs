@@ -0,0 +1,221 @@
+// test/helpers/fakePostgrest.mjs
+// A small stand-in for the PostgREST API that supabase-js talks to, backed by
+// in-memory tables, so modules that import config/supabase.mjs can run
+// without a database. It understands the filters, ordering, embedding and
+// Prefer/Accept headers the code under test uses, not the whole API.
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+// Split on commas that are not inside parentheses
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) parts.push(current);
+  return parts;
+};
+
+const compare = (actual, expected) => {
+  if (typeof actual === 'number') return actual - Number(expected);
+  return String(actual) < expected ? -1 : String(actual) > expected ? 1 : 0;
+};
+
+const OPERATORS = {
+  eq: (actual, expected) => actual !== null && actual !== undefined && String(actual) === expected,
+  neq: (actual, expected) => actual !== null && actual !== undefined && String(actual) !== expected,
+  lt: (actual, expected) => actual !== null && actual !== undefined && compare(actual, expected) < 0,
+  lte: (actual, expected) => actual !== null && actual !== undefined && compare(actual, expected) <= 0,
+  gt: (actual, expected) => actual !== null && actual !== undefined && compare(actual, expected) > 0,
+  gte: (actual, expected) => actual !== null && actual !== undefined && compare(actual, expected) >= 0,
+  is: (actual, expected) => ({ null: actual === null || actual === undefined, true: actual === true, false: actual === false })[expected],
+  in: (actual, expected) => expected.replace(/^\(|\)$/g, '').split(',').includes(String(actual))
+};
+
+// 'column.op.value', where the value may itself contain dots
+const parseCondition = (condition) => {
+  const [column, operator, ...rest] = condition.split('.');
+  return { column, operator, value: rest.join('.') };
+};
+
+const matches = (row, { column, operator, value }) => {
+  const test = OPERATORS[operator];
+  if (!test) throw new Error(`Unsupported filter operator "${operator}"`);
+  return test(row[column], value);
+};
+
+const parseFilters = (params) => {
+  const filters = [];
+
+  for (const [key, raw] of params) {
+    if (['select', 'order', 'limit', 'offset', 'columns'].includes(key)) continue;
+
+    if (key === 'or') {
+      const conditions = splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(parseCondition);
+      filters.push(row => conditions.some(condition => matches(row, condition)));
+    } else {
+      const condition = parseCondition(`${key}.${raw}`);
+      filters.push(row => matches(row, condition));
+    }
+  }
+
+  return filters;
+};
+
+const sortRows = (rows, order) => {
+  if (!order) return rows;
+
+  const keys = order.split(',').map(part => {
+    const [column, direction = 'asc'] = part.split('.');
+    return { column, descending: direction === 'desc' };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { column, descending } of keys) {
+      if (a[column] === b[column]) continue;
+      const result = a[column] < b[column] ? -1 : 1;
+      return descending ? -result : result;
+    }
+    return 0;
+  });
+};
+
+// defaults[table] holds the values inserted rows get for columns they leave
+// out, as column defaults and NULLs would in the real table
+export const createFakePostgrest = ({ relations = {}, defaults = {} } = {}) => {
+  const tables = new Map();
+
+  const table = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  // '*', 'a,b' or 'alias:other(columns)' embedding a many-to-one relation
+  // declared in relations[table][other] as { local, foreign }
+  const project = (tableName, row, select = '*') => {
+    const result = {};
+
+    for (const item of splitTopLevel(select)) {
+      const embed = item.match(/^(?:(\w+):)?(\w+)\((.*)\)$/);
+
+      if (embed) {
+        const [, alias, other, columns] = embed;
+        const relation = relations[tableName]?.[other];
+        if (!relation) throw new Error(`No relation from ${tableName} to ${other}`);
+        const target = table(other).find(candidate => candidate[relation.foreign] === row[relation.local]);
+        result[alias || other] = target ? project(other, target, columns) : null;
+      } else if (item === '*') {
+        Object.assign(result, structuredClone(row));
+      } else {
+        result[item] = row[item] ?? null;
+      }
+    }
+
+    return result;
+  };
+
+  const respond = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+
+  const handle = (req, body) => {
+    const url = new URL(req.url, 'http://localhost');
+    const tableName = url.pathname.replace(/^\/rest\/v1\//, '');
+    const params = url.searchParams;
+    const filters = parseFilters(params);
+    const selected = (rows) => rows.filter(row => filters.every(filter => filter(row)));
+    const returnRows = (req.headers.prefer || '').includes('return=representation');
+    let rows;
+    let headers;
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      rows = sortRows(selected(table(tableName)), params.get('order'));
+      // Prefer: count=exact is answered with the total in Content-Range
+      if ((req.headers.prefer || '').includes('count=exact')) {
+        headers = { 'Content-Range': `*/${rows.length}` };
+      }
+      const offset = Number(params.get('offset') || 0);
+      const limit = params.has('limit') ? Number(params.get('limit')) : rows.length;
+      rows = rows.slice(offset, offset + limit);
+    } else if (req.method === 'POST') {
+      const now = new Date().toISOString();
+      rows = [body].flat().map(values => ({ id: randomUUID(), created_at: now, updated_at: now, ...defaults[tableName], ...values }));
+      table(tableName).push(...rows);
+    } else if (req.method === 'PATCH') {
+      rows = selected(table(tableName));
+      for (const row of rows) Object.assign(row, body);
+    } else if (req.method === 'DELETE') {
+      rows = selected(table(tableName));
+      tables.set(tableName, table(tableName).filter(row => !rows.includes(row)));
+    } else {
+      return { status: 405, body: { message: `Unsupported method ${req.method}` } };
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD' && !returnRows) {
+      return { status: req.method === 'POST' ? 201 : 204 };
+    }
+
+    const data = rows.map(row => project(tableName, row, params.get('select') || '*'));
+
+    if ((req.headers.accept || '').includes('application/vnd.pgrst.object+json')) {
+      if (data.length !== 1) {
+        return {
+          status: 406,
+          body: {
+            code: 'PGRST116',
+            message: 'JSON object requested, multiple (or no) rows returned',
+            details: `The result contains ${data.length} rows`,
+            hint: null
+          }
+        };
+      }
+      return { status: 200, body: data[0] };
+    }
+
+    return { status: req.method === 'POST' ? 201 : 200, body: data, headers };
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        const { status, body, headers } = handle(req, raw ? JSON.parse(raw) : null);
+        respond(res, status, body, headers);
+      } catch (error) {
+        respond(res, 400, { code: 'FAKE', message: error.message, details: null, hint: null });
+      }
+    });
+  });
+
+  return {
+    // Listen on a free local port and return the base URL for SUPABASE_URL
+    start: () => new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    }),
+    stop: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+    // Replace every table's contents with the given rows
+    reset: (seed = {}) => {
+      tables.clear();
+      for (const [name, rows] of Object.entries(seed)) {
+        tables.set(name, structuredClone(rows));
+      }
+    },
+    rows: (name) => table(name)
+  };
+};
@@ -0,0 +1,91 @@
+// test/helpers/postgres.mjs
+// A throwaway PostgreSQL cluster loaded with database/schema.sql, for tests
+// that need the real RPCs and row locks. The Supabase pieces the schema
+// refers to (the anon/authenticated roles and auth.users/auth.uid()) are
+// created first as minimal stand-ins.
+import EmbeddedPostgres from 'embedded-postgres';
+import pg from 'pg';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const SCHEMA_PATH = fileURLToPath(new URL('../../database/schema.sql', import.meta.url));
+
+const SUPABASE_PRELUDE = `
+  CREATE ROLE anon NOLOGIN;
+  CREATE ROLE authenticated NOLOGIN;
+  CREATE ROLE service_role NOLOGIN BYPASSRLS;
+  CREATE SCHEMA auth;
+  CREATE TABLE auth.users (
+    id UUID PRIMARY KEY,
+    email TEXT,
+    raw_user_meta_data JSONB DEFAULT '{}'::jsonb
+  );
+  CREATE FUNCTION auth.uid() RETURNS UUID AS $$
+    SELECT NULLIF(current_setting('request.jwt.claim.sub', true), '')::UUID
+  $$ LANGUAGE sql STABLE;
+`;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.unref();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// Start a cluster and load the schema. Resolves to { pool, stop }; pool
+// connections are capped at maxConnections.
+export const startDatabase = async ({ maxConnections = 10 } = {}) => {
+  const port = await freePort();
+  const password = 'test';
+  const databaseDir = await mkdtemp(path.join(os.tmpdir(), 'bank-backend-pg-'));
+  const cluster = new EmbeddedPostgres({
+    databaseDir,
+    user: 'postgres',
+    password,
+    port,
+    persistent: false,
+    // PostgreSQL will not run as root, so a root test run needs its own user
+    createPostgresUser: process.getuid?.() === 0,
+    onLog: () => {},
+    onError: () => {}
+  });
+
+  const stopCluster = async () => {
+    await cluster.stop();
+    await rm(databaseDir, { recursive: true, force: true });
+  };
+
+  await cluster.initialise();
+  await cluster.start();
+
+  const connection = { host: '127.0.0.1', port, user: 'postgres', password, database: 'postgres' };
+  const setup = new pg.Client(connection);
+
+  try {
+    await setup.connect();
+    await setup.query(SUPABASE_PRELUDE);
+    await setup.query(await readFile(SCHEMA_PATH, 'utf8'));
+  } catch (error) {
+    await setup.end().catch(() => {});
+    await stopCluster();
+    throw error;
+  }
+
+  await setup.end();
+
+  const pool = new pg.Pool({ ...connection, max: maxConnections });
+
+  return {
+    pool,
+    stop: async () => {
+      await pool.end();
+      await stopCluster();
+    }
+  };
+};
@@ -0,0 +1,149 @@
+// test/idempotency.test.mjs
+// The Idempotency-Key middleware in front of a stub handler, with the
+// idempotency_keys table held by an in-memory PostgREST.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import express from 'express';
+import { createFakePostgrest } from './helpers/fakePostgrest.mjs';
+
+const USER_ID = randomUUID();
+
+const db = createFakePostgrest({
+  defaults: { idempotency_keys: { response_status: null, response_body: null, locked_until: null } }
+});
+
+let server;
+let baseUrl;
+let handler;
+let handlerCalls;
+
+before(async () => {
+  process.env.SUPABASE_URL = await db.start();
+  process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+  const { idempotent } = await import('../middleware/idempotency.mjs');
+
+  const app = express();
+  app.use(express.json());
+  app.post('/transfer', (req, res, next) => {
+    req.user = { id: USER_ID };
+    next();
+  }, idempotent, (req, res) => {
+    handlerCalls++;
+    return handler(req, res);
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await db.stop();
+});
+
+beforeEach(() => {
+  db.reset();
+  handlerCalls = 0;
+  handler = (req, res) => res.status(201).json({ transfer: handlerCalls, amount: req.body.amount });
+});
+
+const post = async (key, body) => {
+  const response = await fetch(`${baseUrl}/transfer`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const keyRows = () => db.rows('idempotency_keys');
+
+test('a retry with the same key replays the stored response', async () => {
+  const first = await post('key-1', { amount: '25.00', to: '1000000002' });
+  const replay = await post('key-1', { to: '1000000002', amount: '25.00' });
+
+  assert.equal(first.status, 201);
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+  assert.equal(replay.status, 201);
+  assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(replay.body, first.body);
+  assert.equal(handlerCalls, 1);
+
+  const [row] = keyRows();
+  assert.equal(row.response_status, 201);
+  assert.equal(row.locked_until, null);
+});
+
+test('the same key with a different body is rejected with 422', async () => {
+  await post('key-1', { amount: '25.00' });
+  const reused = await post('key-1', { amount: '2500.00' });
+
+  assert.equal(reused.status, 422);
+  assert.equal(reused.body.code, 'IDEMPOTENCY_KEY_REUSED');
+  assert.equal(handlerCalls, 1);
+});
+
+test('a retry while the first request is still running gets 409', async () => {
+  let entered;
+  const handlerEntered = new Promise(resolve => { entered = resolve; });
+  let finish;
+  handler = (req, res) => {
+    entered();
+    return new Promise(resolve => { finish = resolve; })
+      .then(() => res.status(201).json({ done: true }));
+  };
+
+  const first = post('key-1', { amount: '25.00' });
+  await handlerEntered;
+
+  const retry = await post('key-1', { amount: '25.00' });
+  assert.equal(retry.status, 409);
+  assert.equal(retry.body.code, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+
+  finish();
+  assert.equal((await first).status, 201);
+  assert.equal(handlerCalls, 1);
+});
+
+test('a claim whose lock has run out is taken over by the next request', async () => {
+  let entered;
+  const handlerEntered = new Promise(resolve => { entered = resolve; });
+  handler = () => entered();
+
+  // The first request claims the key and never answers
+  post('key-1', { amount: '25.00' }).catch(() => {});
+  await handlerEntered;
+
+  handler = (req, res) => res.status(201).json({ transfer: handlerCalls });
+  assert.equal((await post('key-1', { amount: '25.00' })).status, 409);
+
+  const [row] = keyRows();
+  row.locked_until = new Date(Date.now() - 1000).toISOString();
+  const takenOver = await post('key-1', { amount: '25.00' });
+
+  assert.equal(takenOver.status, 201);
+  assert.deepEqual(takenOver.body, { transfer: 2 });
+  assert.equal(keyRows().length, 1);
+  assert.equal(keyRows()[0].response_status, 201);
+  assert.equal(keyRows()[0].locked_until, null);
+});
+
+test('a server error releases the key so the client can retry', async () => {
+  handler = (req, res) => res.status(500).json({ error: 'Transfer failed', code: 'SERVER_ERROR' });
+
+  const failed = await post('key-1', { amount: '25.00' });
+  assert.equal(failed.status, 500);
+  assert.deepEqual(keyRows(), []);
+
+  handler = (req, res) => res.status(201).json({ transfer: handlerCalls });
+  const retried = await post('key-1', { amount: '25.00' });
+
+  assert.equal(retried.status, 201);
+  assert.equal(retried.headers.get('idempotent-replayed'), null);
+  assert.equal(handlerCalls, 2);
+  assert.equal(keyRows()[0].response_status, 201);
+});
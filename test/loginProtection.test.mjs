@@ -0,0 +1,143 @@
+// test/loginProtection.test.mjs
+// Failed-login delays and lockouts over the in-memory attempt store, with
+// Date mocked so lock expiry can be stepped through.
+import { test, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ACCOUNT_LOCKOUT, IP_LOCKOUT, LOGIN_DELAY } from '../config/loginProtection.mjs';
+
+const MINUTE_MS = 60 * 1000;
+const EMAIL = 'Customer@Example.com';
+const IP = '203.0.113.7';
+
+let protection;
+let createMemoryAttemptStore;
+
+before(async () => {
+  // config/supabase.mjs requires these to load; the memory store never
+  // calls Supabase
+  process.env.SUPABASE_URL ||= 'http://127.0.0.1:1';
+  process.env.SUPABASE_SERVICE_KEY ||= 'test-service-key';
+  protection = await import('../utils/loginProtection.mjs');
+  ({ createMemoryAttemptStore } = await import('../utils/attemptStore.mjs'));
+});
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2027-01-01T09:00:00Z') });
+  protection.setAttemptStore(createMemoryAttemptStore());
+});
+
+afterEach(() => mock.timers.reset());
+
+const failLogins = async (count, { email = EMAIL, ip = IP } = {}) => {
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    results.push(await protection.recordLoginFailure({ email, ip }));
+  }
+  return results;
+};
+
+test('the delay starts after the free attempts and doubles up to the cap', () => {
+  const delays = Array.from({ length: 10 }, (_, failures) => protection.loginDelayMs(failures));
+  const free = LOGIN_DELAY.freeAttempts;
+
+  assert.deepEqual(delays.slice(0, free + 1), Array(free + 1).fill(0));
+  assert.equal(delays[free + 1], LOGIN_DELAY.baseMs);
+  assert.equal(delays[free + 2], LOGIN_DELAY.baseMs * 2);
+  assert.equal(delays[free + 3], LOGIN_DELAY.baseMs * 4);
+  assert.equal(protection.loginDelayMs(100), LOGIN_DELAY.maxMs);
+});
+
+test('each failure makes the next attempt wait longer', async () => {
+  const delays = [];
+  for (let failures = 0; failures < ACCOUNT_LOCKOUT.maxFailures; failures++) {
+    delays.push((await protection.checkLoginAllowed({ email: EMAIL, ip: IP })).delayMs);
+    await failLogins(1);
+  }
+
+  assert.deepEqual(delays, delays.map((_, failures) => protection.loginDelayMs(failures)));
+  assert.ok(delays.at(-1) > 0);
+});
+
+test('the account locks with ACCOUNT_LOCKED once the threshold is reached', async () => {
+  const results = await failLogins(ACCOUNT_LOCKOUT.maxFailures);
+
+  assert.deepEqual(results.map(result => result.accountLocked), [
+    ...Array(ACCOUNT_LOCKOUT.maxFailures - 1).fill(false),
+    true
+  ]);
+
+  // The lock applies to the email whatever its case, and from any IP
+  const { blocked } = await protection.checkLoginAllowed({ email: EMAIL.toLowerCase(), ip: '198.51.100.1' });
+  assert.deepEqual(blocked, {
+    status: 423,
+    error: 'Account temporarily locked after too many failed login attempts. Try again later or reset your password.',
+    code: 'ACCOUNT_LOCKED',
+    retry_after: ACCOUNT_LOCKOUT.lockMinutes * 60
+  });
+
+  // Failing again while locked does not extend the lock
+  assert.equal((await failLogins(1))[0].accountLocked, false);
+  const [lockout] = await protection.listLockouts();
+  assert.equal(lockout.scope, 'account');
+  assert.equal(lockout.value, EMAIL.toLowerCase());
+  assert.equal(lockout.retry_after, ACCOUNT_LOCKOUT.lockMinutes * 60);
+});
+
+test('a locked account opens again when the lock expires', async () => {
+  await failLogins(ACCOUNT_LOCKOUT.maxFailures);
+
+  mock.timers.tick(ACCOUNT_LOCKOUT.lockMinutes * MINUTE_MS - 1000);
+  assert.equal((await protection.checkLoginAllowed({ email: EMAIL, ip: IP })).blocked.retry_after, 1);
+
+  mock.timers.tick(1000);
+  const allowed = await protection.checkLoginAllowed({ email: EMAIL, ip: IP });
+  assert.equal(allowed.blocked, undefined);
+  assert.deepEqual(await protection.listLockouts(), []);
+});
+
+test('an admin clear unlocks the account straight away', async () => {
+  await failLogins(ACCOUNT_LOCKOUT.maxFailures);
+
+  assert.equal(await protection.clearLockout('account', EMAIL), true);
+  assert.deepEqual(await protection.checkLoginAllowed({ email: EMAIL, ip: IP }), {
+    delayMs: protection.loginDelayMs(ACCOUNT_LOCKOUT.maxFailures)
+  });
+  assert.equal(await protection.clearLockout('account', EMAIL), false);
+});
+
+test('failures spread over many emails block the IP', async () => {
+  for (let i = 0; i < IP_LOCKOUT.maxFailures; i++) {
+    await protection.recordLoginFailure({ email: `user${i}@example.com`, ip: IP });
+  }
+
+  const { blocked } = await protection.checkLoginAllowed({ email: 'someone-else@example.com', ip: IP });
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.code, 'TOO_MANY_LOGIN_ATTEMPTS');
+
+  assert.equal(await protection.clearLockout('ip', IP), true);
+  assert.equal((await protection.checkLoginAllowed({ email: 'someone-else@example.com', ip: IP })).blocked, undefined);
+});
+
+test('a successful login clears the account count but not the IP count', async () => {
+  await failLogins(ACCOUNT_LOCKOUT.maxFailures - 1);
+  await protection.recordLoginSuccess({ email: EMAIL });
+
+  assert.equal((await protection.checkLoginAllowed({ email: EMAIL, ip: '198.51.100.1' })).delayMs, 0);
+  assert.equal(
+    (await protection.checkLoginAllowed({ email: 'other@example.com', ip: IP })).delayMs,
+    protection.loginDelayMs(ACCOUNT_LOCKOUT.maxFailures - 1)
+  );
+});
+
+test('the memory store starts a new count once the window has passed', async () => {
+  const store = createMemoryAttemptStore();
+  const windowMs = 15 * MINUTE_MS;
+
+  await store.recordFailure('account:a@example.com', { windowMs });
+  assert.equal((await store.recordFailure('account:a@example.com', { windowMs })).failures, 2);
+
+  mock.timers.tick(windowMs);
+  const entry = await store.recordFailure('account:a@example.com', { windowMs });
+  assert.equal(entry.failures, 1);
+  assert.equal(entry.windowStartedAt.toISOString(), new Date().toISOString());
+});
@@ -0,0 +1,92 @@
+// test/mfa.test.mjs
+// TOTP enrollment and recovery codes, with the MFA tables held by an
+// in-memory PostgREST.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { createFakePostgrest } from './helpers/fakePostgrest.mjs';
+import { generateTotp } from '../utils/totp.mjs';
+import { MFA_RECOVERY_CODE_COUNT } from '../config/auth.mjs';
+
+const USER = { id: randomUUID(), email: 'ana@example.com' };
+
+const db = createFakePostgrest({
+  defaults: { mfa_recovery_codes: { used_at: null } }
+});
+
+let mfa;
+
+before(async () => {
+  process.env.SUPABASE_URL = await db.start();
+  process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+  mfa = await import('../utils/mfa.mjs');
+});
+
+after(() => db.stop());
+
+beforeEach(() => db.reset());
+
+const invalidCode = { name: 'AppError', code: 'INVALID_MFA_CODE', statusCode: 401 };
+
+// Enroll and confirm with a code from the secret, as an authenticator app
+// would; returns the recovery codes
+const enableWithApp = async () => {
+  const { secret } = await mfa.startEnrollment(USER);
+  return mfa.enableMfa(USER.id, generateTotp(secret));
+};
+
+test('enabling 2FA returns recovery codes that are only stored hashed', async () => {
+  const codes = await enableWithApp();
+
+  assert.equal(codes.length, MFA_RECOVERY_CODE_COUNT);
+  assert.equal(new Set(codes).size, codes.length);
+  for (const code of codes) assert.match(code, /^[0-9A-F]{5}-[0-9A-F]{5}$/);
+
+  const stored = db.rows('mfa_recovery_codes');
+  assert.equal(stored.length, codes.length);
+  assert.equal(stored.some(row => codes.some(code => JSON.stringify(row).includes(code.replace('-', '')))), false);
+  assert.equal(await mfa.isMfaEnabled(USER.id), true);
+});
+
+test('a recovery code works once', async () => {
+  const [code] = await enableWithApp();
+
+  await mfa.verifySecondFactor(USER.id, { recoveryCode: code });
+  await assert.rejects(mfa.verifySecondFactor(USER.id, { recoveryCode: code }), invalidCode);
+
+  assert.equal(db.rows('mfa_recovery_codes').filter(row => row.used_at).length, 1);
+});
+
+test('recovery codes are matched without dashes, spaces or case', async () => {
+  const [, code] = await enableWithApp();
+  const typed = ` ${code.toLowerCase().replace('-', ' ')} `;
+
+  await mfa.verifySecondFactor(USER.id, { recoveryCode: typed });
+  await assert.rejects(mfa.verifySecondFactor(USER.id, { recoveryCode: code }), invalidCode);
+});
+
+test('unknown recovery codes and codes of other users are rejected', async () => {
+  const [code] = await enableWithApp();
+
+  await assert.rejects(mfa.verifySecondFactor(USER.id, { recoveryCode: 'AAAAA-BBBBB' }), invalidCode);
+  await assert.rejects(mfa.verifySecondFactor(USER.id, {}), invalidCode);
+  await assert.rejects(mfa.verifySecondFactor(randomUUID(), { recoveryCode: code }), { code: 'MFA_NOT_ENABLED' });
+
+  assert.equal(db.rows('mfa_recovery_codes').some(row => row.used_at), false);
+});
+
+test('the TOTP code that confirmed enrollment cannot be used again', async () => {
+  const { secret } = await mfa.startEnrollment(USER);
+  const code = generateTotp(secret);
+
+  await mfa.enableMfa(USER.id, code);
+  await assert.rejects(mfa.verifySecondFactor(USER.id, { code }), invalidCode);
+});
+
+test('removing 2FA removes the recovery codes with it', async () => {
+  const [code] = await enableWithApp();
+
+  assert.equal(await mfa.removeMfa(USER.id), true);
+  assert.deepEqual(db.rows('mfa_recovery_codes'), []);
+  await assert.rejects(mfa.verifySecondFactor(USER.id, { recoveryCode: code }), { code: 'MFA_NOT_ENABLED' });
+});
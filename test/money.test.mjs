@@ -0,0 +1,103 @@
+// test/money.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_MINOR_UNITS,
+  toMinorUnits,
+  toPositiveMinorUnits,
+  toDecimalString,
+  sumMinorUnits
+} from '../utils/money.mjs';
+
+const invalidAmount = (message) => ({ name: 'AppError', code: 'INVALID_AMOUNT', statusCode: 400, ...(message && { message }) });
+
+test('toMinorUnits parses numbers and numeric strings alike', () => {
+  assert.equal(toMinorUnits(12.34), 1234);
+  assert.equal(toMinorUnits('12.34'), 1234);
+  assert.equal(toMinorUnits(12), 1200);
+  assert.equal(toMinorUnits('12'), 1200);
+  assert.equal(toMinorUnits('12.3'), 1230);
+  assert.equal(toMinorUnits(' 12.30 '), 1230);
+  assert.equal(toMinorUnits(-5.5), -550);
+  assert.equal(toMinorUnits('-5.50'), -550);
+  assert.equal(toMinorUnits(0), 0);
+});
+
+test('toMinorUnits rejects float sums instead of rounding them', () => {
+  assert.throws(() => toMinorUnits(0.1 + 0.2), invalidAmount());
+  assert.equal(toMinorUnits(0.1) + toMinorUnits(0.2), 30);
+});
+
+test('toMinorUnits rejects more than two decimal places', () => {
+  assert.throws(() => toMinorUnits('1.005'), invalidAmount());
+  assert.throws(() => toMinorUnits(1.005), invalidAmount());
+  assert.throws(() => toMinorUnits('10.000'), invalidAmount());
+  assert.throws(() => toMinorUnits(1e-7), invalidAmount());
+});
+
+test('toMinorUnits treats negative zero as zero', () => {
+  assert.ok(Object.is(toMinorUnits('-0'), 0));
+  assert.ok(Object.is(toMinorUnits('-0.00'), 0));
+  assert.ok(Object.is(toMinorUnits(-0), 0));
+});
+
+test('toMinorUnits accepts exponent numbers only when they print as plain amounts', () => {
+  assert.equal(toMinorUnits(1e3), 100000);
+  assert.throws(() => toMinorUnits('1e3'), invalidAmount());
+  assert.throws(() => toMinorUnits(1e21), invalidAmount());
+});
+
+test('toMinorUnits rejects anything that is not a finite number or numeric string', () => {
+  for (const value of [null, undefined, true, {}, [], [1], NaN, Infinity, -Infinity, '', ' ', 'abc', '1,000.00', '+1', '.5', '1.', '0x10']) {
+    assert.throws(() => toMinorUnits(value), invalidAmount(), `accepted ${String(value)}`);
+  }
+});
+
+test('toMinorUnits accepts up to what DECIMAL(15,2) can hold', () => {
+  assert.equal(toMinorUnits('9999999999999.99'), MAX_MINOR_UNITS);
+  assert.equal(toMinorUnits(9999999999999.99), MAX_MINOR_UNITS);
+  assert.equal(toMinorUnits('-9999999999999.99'), -MAX_MINOR_UNITS);
+  assert.throws(() => toMinorUnits('10000000000000'), invalidAmount('Amount is too large'));
+  assert.throws(() => toMinorUnits('-10000000000000.00'), invalidAmount('Amount is too large'));
+  assert.throws(() => toMinorUnits('99999999999999999999'), invalidAmount('Amount is too large'));
+});
+
+test('toPositiveMinorUnits rejects zero and negative amounts', () => {
+  assert.equal(toPositiveMinorUnits('0.01'), 1);
+  assert.equal(toPositiveMinorUnits(250), 25000);
+  assert.throws(() => toPositiveMinorUnits(0), invalidAmount('Amount must be positive'));
+  assert.throws(() => toPositiveMinorUnits('-0'), invalidAmount('Amount must be positive'));
+  assert.throws(() => toPositiveMinorUnits('-1.00'), invalidAmount('Amount must be positive'));
+  assert.throws(() => toPositiveMinorUnits('1.001'), invalidAmount());
+  assert.throws(() => toPositiveMinorUnits('10000000000000'), invalidAmount('Amount is too large'));
+});
+
+test('toDecimalString formats cents as an exact two-decimal string', () => {
+  assert.equal(toDecimalString(0), '0.00');
+  assert.equal(toDecimalString(-0), '0.00');
+  assert.equal(toDecimalString(5), '0.05');
+  assert.equal(toDecimalString(1234), '12.34');
+  assert.equal(toDecimalString(100000), '1000.00');
+  assert.equal(toDecimalString(-550), '-5.50');
+  assert.equal(toDecimalString(-1), '-0.01');
+  assert.equal(toDecimalString(MAX_MINOR_UNITS), '9999999999999.99');
+});
+
+test('toDecimalString round-trips through toMinorUnits', () => {
+  for (const cents of [0, 1, 99, 100, 101, -1, -12345, MAX_MINOR_UNITS, -MAX_MINOR_UNITS]) {
+    assert.equal(toMinorUnits(toDecimalString(cents)), cents);
+  }
+});
+
+test('sumMinorUnits adds mixed numbers and database strings without float error', () => {
+  assert.equal(sumMinorUnits([]), 0);
+  assert.equal(sumMinorUnits([0.1, 0.2]), 30);
+  assert.equal(sumMinorUnits(['0.10', '0.20']), 30);
+  assert.equal(sumMinorUnits(['100.00', 25.5, '-0.50', 0]), 12500);
+  assert.equal(toDecimalString(sumMinorUnits(Array(10).fill('0.10'))), '1.00');
+});
+
+test('sumMinorUnits rejects the whole sum when any amount is invalid', () => {
+  assert.throws(() => sumMinorUnits(['1.00', '1.005']), invalidAmount());
+  assert.throws(() => sumMinorUnits(['1.00', null]), invalidAmount());
+});
@@ -0,0 +1,310 @@
+// test/scheduledTransfers.test.mjs
+// The scheduled-transfer worker run against a fake clock, with the database
+// behind supabase-js replaced by an in-memory PostgREST and the transfer
+// itself stubbed.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { createFakePostgrest } from './helpers/fakePostgrest.mjs';
+import { AppError } from '../utils/errors.mjs';
+import { toDecimalString } from '../utils/money.mjs';
+import { RETRY_POLICY } from '../config/scheduledTransfers.mjs';
+
+const SENDER_ID = randomUUID();
+const RECIPIENT_ID = randomUUID();
+const FROM_ACCOUNT_ID = randomUUID();
+const TO_ACCOUNT_NUMBER = '1000000002';
+const MINUTE_MS = 60 * 1000;
+
+const db = createFakePostgrest({
+  relations: { accounts: { profiles: { local: 'user_id', foreign: 'id' } } }
+});
+
+let worker;
+
+before(async () => {
+  process.env.SUPABASE_URL = await db.start();
+  process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+  worker = await import('../utils/scheduledTransfers.mjs');
+});
+
+after(() => db.stop());
+
+beforeEach(() => {
+  db.reset({
+    profiles: [
+      { id: SENDER_ID, status: 'active' },
+      { id: RECIPIENT_ID, status: 'active' }
+    ],
+    accounts: [
+      { id: FROM_ACCOUNT_ID, user_id: SENDER_ID, account_number: '1000000001' },
+      { id: randomUUID(), user_id: RECIPIENT_ID, account_number: TO_ACCOUNT_NUMBER }
+    ]
+  });
+});
+
+const addSchedule = (fields = {}) => {
+  const schedule = {
+    id: randomUUID(),
+    user_id: SENDER_ID,
+    from_account_id: FROM_ACCOUNT_ID,
+    to_account_number: TO_ACCOUNT_NUMBER,
+    amount: '50.00',
+    description: 'Rent',
+    frequency: 'monthly',
+    day_of_month: null,
+    start_date: fields.next_run_date,
+    end_date: null,
+    status: 'active',
+    attempts: 0,
+    retry_at: null,
+    locked_until: null,
+    last_run_at: null,
+    ...fields
+  };
+  db.rows('scheduled_transfers').push(schedule);
+  return schedule;
+};
+
+const scheduleRow = (id) => db.rows('scheduled_transfers').find(row => row.id === id);
+const runsOf = (id) => db.rows('scheduled_transfer_runs').filter(run => run.scheduled_transfer_id === id);
+
+// Clock the test moves by hand
+const fakeClock = (start) => {
+  let now = new Date(start);
+  const clock = () => new Date(now);
+  clock.set = (time) => { now = new Date(time); };
+  clock.advance = (ms) => { now = new Date(now.getTime() + ms); };
+  return clock;
+};
+
+// Stands in for executeTransfer: pays from a balance in cents and records the
+// debit under the run's reference, as transfer_funds does
+const fakeBank = (balanceCents) => {
+  const bank = { balanceCents, calls: [] };
+
+  bank.execute = async ({ senderId, amountCents, reference }) => {
+    bank.calls.push({ senderId, amountCents, reference });
+
+    if (amountCents > bank.balanceCents) {
+      throw new AppError('Insufficient funds', 'INSUFFICIENT_FUNDS', 400);
+    }
+
+    bank.balanceCents -= amountCents;
+    const transaction = {
+      id: randomUUID(),
+      user_id: senderId,
+      type: 'debit',
+      amount: toDecimalString(amountCents),
+      reference,
+      status: 'completed'
+    };
+    db.rows('transactions').push(transaction);
+    return { transaction };
+  };
+
+  return bank;
+};
+
+test('a day-31 monthly schedule runs on the last day of February', async () => {
+  const clock = fakeClock('2027-01-31T09:00:00Z');
+  const bank = fakeBank(100000);
+  const schedule = addSchedule({ day_of_month: 31, next_run_date: '2027-01-31' });
+
+  assert.deepEqual((await worker.processDueTransfers({ clock, execute: bank.execute })).map(r => r.status), ['completed']);
+  assert.equal(scheduleRow(schedule.id).next_run_date, '2027-02-28');
+
+  clock.set('2027-02-27T23:59:59Z');
+  assert.deepEqual(await worker.processDueTransfers({ clock, execute: bank.execute }), []);
+
+  clock.set('2027-02-28T00:00:00Z');
+  assert.deepEqual((await worker.processDueTransfers({ clock, execute: bank.execute })).map(r => r.status), ['completed']);
+  assert.equal(scheduleRow(schedule.id).next_run_date, '2027-03-31');
+
+  assert.deepEqual(bank.calls.map(call => call.reference), [
+    `SCH-${schedule.id.slice(0, 8)}-20270131`.toUpperCase(),
+    `SCH-${schedule.id.slice(0, 8)}-20270228`.toUpperCase()
+  ]);
+  assert.deepEqual(runsOf(schedule.id).map(run => run.run_date), ['2027-01-31', '2027-02-28']);
+});
+
+test('monthly dates clamp to the end of short months and leap-year February', () => {
+  const schedule = { frequency: 'monthly', day_of_month: 31, end_date: null };
+
+  assert.equal(worker.firstRunDate({ startDate: '2027-02-10', frequency: 'monthly', dayOfMonth: 31 }), '2027-02-28');
+  assert.equal(worker.firstRunDate({ startDate: '2028-02-10', frequency: 'monthly', dayOfMonth: 31 }), '2028-02-29');
+  assert.equal(worker.nextRunDate(schedule, '2028-01-31'), '2028-02-29');
+  assert.equal(worker.nextRunDate(schedule, '2028-02-29'), '2028-03-31');
+  assert.equal(worker.nextRunDate(schedule, '2027-03-31'), '2027-04-30');
+  assert.equal(worker.nextRunDate(schedule, '2027-12-31'), '2028-01-31');
+  assert.equal(worker.nextRunDate({ ...schedule, day_of_month: 30 }, '2027-01-30'), '2027-02-28');
+});
+
+test('insufficient funds is retried after the backoff, then recorded as failed', async () => {
+  const clock = fakeClock('2027-03-01T08:00:00Z');
+  const bank = fakeBank(0);
+  const schedule = addSchedule({ day_of_month: 1, next_run_date: '2027-03-01' });
+  const backoffMs = RETRY_POLICY.retryDelayMinutes * MINUTE_MS;
+
+  for (let attempt = 1; attempt <= RETRY_POLICY.maxRetries; attempt++) {
+    const results = await worker.processDueTransfers({ clock, execute: bank.execute });
+    assert.deepEqual(results.map(r => [r.status, r.error_code]), [['retrying', 'INSUFFICIENT_FUNDS']]);
+
+    const row = scheduleRow(schedule.id);
+    assert.equal(row.attempts, attempt);
+    assert.equal(row.retry_at, new Date(clock().getTime() + backoffMs).toISOString());
+    assert.equal(row.next_run_date, '2027-03-01');
+
+    // Not picked up again before the backoff has passed
+    clock.advance(backoffMs - 1);
+    assert.deepEqual(await worker.processDueTransfers({ clock, execute: bank.execute }), []);
+    clock.advance(1);
+  }
+
+  const results = await worker.processDueTransfers({ clock, execute: bank.execute });
+  assert.deepEqual(results.map(r => [r.status, r.error_code]), [['failed', 'INSUFFICIENT_FUNDS']]);
+  assert.equal(bank.calls.length, RETRY_POLICY.maxRetries + 1);
+
+  const row = scheduleRow(schedule.id);
+  assert.equal(row.next_run_date, '2027-04-01');
+  assert.equal(row.status, 'active');
+  assert.equal(row.attempts, 0);
+  assert.equal(row.retry_at, null);
+
+  assert.deepEqual(runsOf(schedule.id).map(run => [run.attempt, run.status]), [
+    ...Array.from({ length: RETRY_POLICY.maxRetries }, (_, i) => [i + 1, 'retrying']),
+    [RETRY_POLICY.maxRetries + 1, 'failed']
+  ]);
+  assert.equal(db.rows('chat_conversations').filter(c => c.user_id === SENDER_ID).length, 1);
+});
+
+test('a retry that finds the money pays the occurrence once and moves on', async () => {
+  const clock = fakeClock('2027-03-01T08:00:00Z');
+  const bank = fakeBank(0);
+  const schedule = addSchedule({ day_of_month: 1, next_run_date: '2027-03-01' });
+
+  assert.equal((await worker.processDueTransfers({ clock, execute: bank.execute }))[0].status, 'retrying');
+
+  bank.balanceCents = 5000;
+  clock.advance(RETRY_POLICY.retryDelayMinutes * MINUTE_MS);
+  assert.equal((await worker.processDueTransfers({ clock, execute: bank.execute }))[0].status, 'completed');
+
+  const row = scheduleRow(schedule.id);
+  assert.equal(row.next_run_date, '2027-04-01');
+  assert.equal(row.attempts, 0);
+  assert.equal(row.retry_at, null);
+  assert.equal(bank.balanceCents, 0);
+  assert.deepEqual(runsOf(schedule.id).map(run => [run.attempt, run.status]), [[1, 'retrying'], [2, 'completed']]);
+});
+
+test('a schedule stops after the last occurrence on or before end_date', async () => {
+  const clock = fakeClock('2027-01-31T09:00:00Z');
+  const bank = fakeBank(100000);
+  const schedule = addSchedule({ day_of_month: 31, next_run_date: '2027-01-31', end_date: '2027-03-30' });
+
+  await worker.processDueTransfers({ clock, execute: bank.execute });
+  clock.set('2027-02-28T09:00:00Z');
+  await worker.processDueTransfers({ clock, execute: bank.execute });
+
+  const row = scheduleRow(schedule.id);
+  assert.equal(row.status, 'completed');
+  assert.equal(row.next_run_date, null);
+
+  clock.set('2027-06-30T09:00:00Z');
+  assert.deepEqual(await worker.processDueTransfers({ clock, execute: bank.execute }), []);
+  assert.equal(bank.calls.length, 2);
+});
+
+test('a one-off transfer runs once and completes', async () => {
+  const clock = fakeClock('2027-05-10T12:00:00Z');
+  const bank = fakeBank(100000);
+  const schedule = addSchedule({ frequency: 'once', next_run_date: '2027-05-10' });
+
+  await worker.processDueTransfers({ clock, execute: bank.execute });
+  clock.advance(7 * 24 * 60 * MINUTE_MS);
+  await worker.processDueTransfers({ clock, execute: bank.execute });
+
+  assert.equal(scheduleRow(schedule.id).status, 'completed');
+  assert.equal(bank.calls.length, 1);
+});
+
+test('running the worker again at the same time does not pay again', async () => {
+  const clock = fakeClock('2027-01-31T09:00:00Z');
+  const bank = fakeBank(100000);
+  addSchedule({ day_of_month: 31, next_run_date: '2027-01-31' });
+
+  await worker.processDueTransfers({ clock, execute: bank.execute });
+  assert.deepEqual(await worker.processDueTransfers({ clock, execute: bank.execute }), []);
+  assert.equal(bank.calls.length, 1);
+});
+
+test('two workers running at once pay an occurrence only once', async () => {
+  const clock = fakeClock('2027-01-31T09:00:00Z');
+  const bank = fakeBank(100000);
+  const schedule = addSchedule({ day_of_month: 31, next_run_date: '2027-01-31' });
+
+  const results = (await Promise.all([
+    worker.processDueTransfers({ clock, execute: bank.execute }),
+    worker.processDueTransfers({ clock, execute: bank.execute })
+  ])).flat();
+
+  assert.deepEqual(results.map(r => r.status), ['completed']);
+  assert.equal(bank.calls.length, 1);
+  assert.equal(runsOf(schedule.id).length, 1);
+});
+
+test('an item locked by another worker is left alone until the lock expires', async () => {
+  const clock = fakeClock('2027-01-31T09:00:00Z');
+  const bank = fakeBank(100000);
+  addSchedule({
+    day_of_month: 31,
+    next_run_date: '2027-01-31',
+    locked_until: '2027-01-31T09:05:00.000Z'
+  });
+
+  assert.deepEqual(await worker.processDueTransfers({ clock, execute: bank.execute }), []);
+
+  clock.set('2027-01-31T09:05:00.001Z');
+  assert.deepEqual((await worker.processDueTransfers({ clock, execute: bank.execute })).map(r => r.status), ['completed']);
+  assert.equal(bank.calls.length, 1);
+});
+
+test('a run that paid but crashed before recording itself is not paid again', async () => {
+  const clock = fakeClock('2027-01-31T09:00:00Z');
+  const bank = fakeBank(100000);
+  const schedule = addSchedule({ day_of_month: 31, next_run_date: '2027-01-31' });
+
+  const crashAfterPaying = async (params) => {
+    await bank.execute(params);
+    throw new Error('connection reset');
+  };
+
+  const [crashed] = await worker.processDueTransfers({ clock, execute: crashAfterPaying });
+  assert.equal(crashed.status, 'error');
+  assert.equal(scheduleRow(schedule.id).locked_until, null);
+  assert.equal(scheduleRow(schedule.id).next_run_date, '2027-01-31');
+
+  clock.advance(MINUTE_MS);
+  const [recovered] = await worker.processDueTransfers({ clock, execute: bank.execute });
+  const [transaction] = db.rows('transactions');
+
+  assert.equal(recovered.status, 'completed');
+  assert.equal(recovered.transaction_id, transaction.id);
+  assert.equal(bank.calls.length, 1);
+  assert.equal(bank.balanceCents, 95000);
+  assert.equal(scheduleRow(schedule.id).next_run_date, '2027-02-28');
+  assert.deepEqual(runsOf(schedule.id).map(run => [run.status, run.transaction_id]), [['completed', transaction.id]]);
+});
+
+test('a frozen sender skips the occurrence without calling the transfer', async () => {
+  const clock = fakeClock('2027-01-31T09:00:00Z');
+  const bank = fakeBank(100000);
+  const schedule = addSchedule({ day_of_month: 31, next_run_date: '2027-01-31' });
+  db.rows('profiles').find(profile => profile.id === SENDER_ID).status = 'frozen';
+
+  const results = await worker.processDueTransfers({ clock, execute: bank.execute });
+
+  assert.deepEqual(results.map(r => [r.status, r.error_code]), [['skipped', 'ACCOUNT_FROZEN']]);
+  assert.equal(bank.calls.length, 0);
+  assert.equal(scheduleRow(schedule.id).next_run_date, '2027-02-28');
+});
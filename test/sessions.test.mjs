@@ -0,0 +1,119 @@
+// test/sessions.test.mjs
+// Refresh-token rotation and reuse detection, with the session tables held by
+// an in-memory PostgREST.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { createFakePostgrest } from './helpers/fakePostgrest.mjs';
+
+const USER_ID = randomUUID();
+
+const db = createFakePostgrest({
+  relations: { refresh_tokens: { auth_sessions: { local: 'session_id', foreign: 'id' } } },
+  defaults: {
+    auth_sessions: { revoked_at: null, revoked_reason: null, last_seen_at: new Date().toISOString() },
+    refresh_tokens: { used_at: null, replaced_by: null }
+  }
+});
+
+let sessions;
+
+before(async () => {
+  process.env.SUPABASE_URL = await db.start();
+  process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+  sessions = await import('../utils/sessions.mjs');
+});
+
+after(() => db.stop());
+
+beforeEach(() => db.reset());
+
+const loginRequest = (userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0 Safari/537.36') => ({
+  headers: { 'user-agent': userAgent },
+  ip: '203.0.113.7'
+});
+
+const sessionRow = (id) => db.rows('auth_sessions').find(row => row.id === id);
+
+const rejectsWith = (promise, code) => assert.rejects(promise, { name: 'AppError', code, statusCode: 401 });
+
+test('a login opens a session and flags devices the user has not used before', async () => {
+  const first = await sessions.createSession(USER_ID, loginRequest());
+  const again = await sessions.createSession(USER_ID, loginRequest());
+  const phone = await sessions.createSession(USER_ID, loginRequest('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0) Safari/604.1'));
+
+  assert.equal(first.newDevice, true);
+  assert.equal(again.newDevice, false);
+  assert.equal(phone.newDevice, true);
+  assert.equal(first.session.device_label, 'Chrome on Windows');
+  assert.equal(phone.session.device_label, 'Safari on iOS');
+
+  // Only a hash of the token is stored
+  assert.equal(db.rows('refresh_tokens').some(row => Object.values(row).includes(first.refreshToken)), false);
+});
+
+test('refreshing spends the token and issues the next one in the session', async () => {
+  const { session, refreshToken } = await sessions.createSession(USER_ID, loginRequest());
+
+  const rotated = await sessions.rotateRefreshToken(refreshToken);
+  assert.equal(rotated.session.id, session.id);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+
+  const [spent, next] = db.rows('refresh_tokens');
+  assert.ok(spent.used_at);
+  assert.equal(spent.replaced_by, next.id);
+  assert.equal(next.used_at, null);
+  assert.equal(next.session_id, session.id);
+
+  const again = await sessions.rotateRefreshToken(rotated.refreshToken);
+  assert.equal(again.session.id, session.id);
+  assert.equal(sessionRow(session.id).revoked_at, null);
+});
+
+test('presenting a spent token revokes the whole session', async () => {
+  const { session, refreshToken: stolen } = await sessions.createSession(USER_ID, loginRequest());
+  const { refreshToken: current } = await sessions.rotateRefreshToken(stolen);
+
+  await rejectsWith(sessions.rotateRefreshToken(stolen), 'REFRESH_TOKEN_REUSED');
+
+  assert.ok(sessionRow(session.id).revoked_at);
+  assert.equal(sessionRow(session.id).revoked_reason, 'refresh_token_reuse');
+
+  // The legitimate holder's newer token dies with the session
+  await rejectsWith(sessions.rotateRefreshToken(current), 'SESSION_REVOKED');
+  assert.equal(await sessions.findActiveSession(session.id, USER_ID), null);
+});
+
+test('reuse revokes only the session the token belongs to', async () => {
+  const laptop = await sessions.createSession(USER_ID, loginRequest());
+  const phone = await sessions.createSession(USER_ID, loginRequest('Mozilla/5.0 (Linux; Android 14) Chrome/120.0'));
+
+  await sessions.rotateRefreshToken(laptop.refreshToken);
+  await rejectsWith(sessions.rotateRefreshToken(laptop.refreshToken), 'REFRESH_TOKEN_REUSED');
+
+  assert.ok(sessionRow(laptop.session.id).revoked_at);
+  assert.equal(sessionRow(phone.session.id).revoked_at, null);
+  assert.ok(await sessions.rotateRefreshToken(phone.refreshToken));
+});
+
+test('unknown, malformed and expired tokens are rejected without revoking anything', async () => {
+  const { session, refreshToken } = await sessions.createSession(USER_ID, loginRequest());
+
+  await rejectsWith(sessions.rotateRefreshToken('not-a-real-token'), 'INVALID_REFRESH_TOKEN');
+  await rejectsWith(sessions.rotateRefreshToken(undefined), 'INVALID_REFRESH_TOKEN');
+  await rejectsWith(sessions.rotateRefreshToken({ token: refreshToken }), 'INVALID_REFRESH_TOKEN');
+
+  db.rows('refresh_tokens')[0].expires_at = new Date(Date.now() - 1000).toISOString();
+  await rejectsWith(sessions.rotateRefreshToken(refreshToken), 'INVALID_REFRESH_TOKEN');
+
+  assert.equal(sessionRow(session.id).revoked_at, null);
+  assert.equal(db.rows('refresh_tokens')[0].used_at, null);
+});
+
+test('a revoked session cannot be refreshed', async () => {
+  const { session, refreshToken } = await sessions.createSession(USER_ID, loginRequest());
+
+  assert.equal(await sessions.revokeSession(session.id, 'logout', { userId: USER_ID }), true);
+  await rejectsWith(sessions.rotateRefreshToken(refreshToken), 'SESSION_REVOKED');
+  assert.equal(await sessions.revokeSession(session.id, 'logout', { userId: USER_ID }), false);
+});
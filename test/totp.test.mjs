@@ -0,0 +1,79 @@
+// test/totp.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32Decode,
+  base32Encode,
+  generateSecret,
+  generateTotp,
+  provisioningUri,
+  timeStep,
+  verifyTotp
+} from '../utils/totp.mjs';
+
+// The SHA-1 seed and vectors from RFC 6238 appendix B. The RFC lists
+// 8-digit codes; a 6-digit code is the same value's last six digits.
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code.slice(-6), `T = ${seconds}`);
+    assert.equal(verifyTotp(RFC_SECRET, code.slice(-6), { window: 0, nowMs: seconds * 1000 }), timeStep(seconds * 1000));
+  }
+});
+
+test('a code is accepted one step either side of now and no further', () => {
+  const nowMs = 1111111111 * 1000;
+  const step = timeStep(nowMs);
+  const codeAt = (offset) => generateTotp(RFC_SECRET, nowMs + offset * 30 * 1000);
+
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(-1), { nowMs }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(1), { nowMs }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(-2), { nowMs }), null);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(2), { nowMs }), null);
+});
+
+test('malformed codes are rejected before any comparison', () => {
+  const nowMs = 59 * 1000;
+
+  assert.equal(verifyTotp(RFC_SECRET, '287 082', { nowMs }), timeStep(nowMs));
+  for (const code of [undefined, null, '', '28708', '2870820', '28708a', 287082.5]) {
+    assert.equal(verifyTotp(RFC_SECRET, code, { nowMs }), null, `code ${code}`);
+  }
+});
+
+test('base32 round-trips and generated secrets are 160 bits', () => {
+  const bytes = Buffer.from('f0a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3', 'hex');
+  assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+  assert.deepEqual(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq'), Buffer.from('12345678901234567890'));
+  assert.throws(() => base32Decode('GEZDGNB1'), /Invalid base32 character/);
+
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(base32Decode(secret).length, 20);
+});
+
+test('the provisioning URI carries the secret and parameters apps expect', () => {
+  const uri = new URL(provisioningUri({ secret: RFC_SECRET, accountName: 'ana@example.com', issuer: 'Ron Stone Bank' }));
+
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Ron Stone Bank:ana@example.com');
+  assert.deepEqual(Object.fromEntries(uri.searchParams), {
+    secret: RFC_SECRET,
+    issuer: 'Ron Stone Bank',
+    algorithm: 'SHA1',
+    digits: '6',
+    period: '30'
+  });
+});
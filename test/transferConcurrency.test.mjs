@@ -0,0 +1,112 @@
+// test/transferConcurrency.test.mjs
+// Parallel transfers from one account against a real database: the row lock
+// in transfer_funds must let exactly as many through as the balance covers.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { startDatabase } from './helpers/postgres.mjs';
+import { toDecimalString, toMinorUnits } from '../utils/money.mjs';
+
+const PARALLEL_TRANSFERS = 20;
+
+let db;
+
+before(async () => {
+  db = await startDatabase({ maxConnections: PARALLEL_TRANSFERS + 1 });
+});
+
+after(() => db?.stop());
+
+// An active customer with a primary account; returns the account row
+const createCustomer = async (name, accountNumber) => {
+  const id = randomUUID();
+  const email = `${name.toLowerCase()}-${id.slice(0, 8)}@example.com`;
+
+  await db.pool.query('INSERT INTO auth.users (id, email) VALUES ($1, $2)', [id, email]);
+  await db.pool.query(
+    "INSERT INTO profiles (id, name, email, status) VALUES ($1, $2, $3, 'active')",
+    [id, name, email]
+  );
+  const { rows: [account] } = await db.pool.query(
+    'INSERT INTO accounts (user_id, account_number, is_primary) VALUES ($1, $2, true) RETURNING *',
+    [id, accountNumber]
+  );
+
+  return account;
+};
+
+const deposit = (account, amountCents) => db.pool.query(
+  "SELECT apply_transaction($1, $2, 'credit', $3, 'deposit', 'Opening deposit')",
+  [account.user_id, account.id, toDecimalString(amountCents)]
+);
+
+const balanceOf = async (accountId) => {
+  const { rows: [row] } = await db.pool.query('SELECT balance, held_balance FROM accounts WHERE id = $1', [accountId]);
+  return { balance: toMinorUnits(row.balance), held: toMinorUnits(row.held_balance) };
+};
+
+// Net of the postings on the account's ledger account, in cents
+const ledgerBalanceOf = async (accountId) => {
+  const { rows: [row] } = await db.pool.query(
+    `SELECT COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END), 0)::TEXT AS net
+     FROM postings WHERE ledger_account_id = ledger_account_for_account($1)`,
+    [accountId]
+  );
+  return toMinorUnits(row.net);
+};
+
+test('parallel transfers never overdraw the account', async () => {
+  const fundedCents = 10000;
+  const amountCents = 700;
+  const expectedSuccesses = Math.floor(fundedCents / amountCents);
+
+  const sender = await createCustomer('Sender', '2000000001');
+  const recipient = await createCustomer('Recipient', '2000000002');
+  await deposit(sender, fundedCents);
+
+  // Watch the balance from another connection while the transfers run
+  let running = true;
+  let lowestCents = fundedCents;
+  const watcher = (async () => {
+    while (running) {
+      const { balance, held } = await balanceOf(sender.id);
+      lowestCents = Math.min(lowestCents, balance - held);
+    }
+  })();
+
+  const outcomes = await Promise.allSettled(Array.from({ length: PARALLEL_TRANSFERS }, (_, i) => db.pool.query(
+    'SELECT transfer_funds($1, $2, $3, $4, $5, $6) AS result',
+    [sender.user_id, sender.id, recipient.account_number, toDecimalString(amountCents), 'Parallel transfer', `PAR-${i}`]
+  )));
+
+  running = false;
+  await watcher;
+
+  const succeeded = outcomes.filter(outcome => outcome.status === 'fulfilled');
+  const failed = outcomes.filter(outcome => outcome.status === 'rejected');
+
+  assert.equal(succeeded.length, expectedSuccesses);
+  assert.deepEqual([...new Set(failed.map(outcome => outcome.reason.message))], ['INSUFFICIENT_FUNDS']);
+  for (const outcome of succeeded) {
+    assert.equal(outcome.value.rows[0].result.transaction.status, 'completed');
+  }
+
+  const senderAfter = await balanceOf(sender.id);
+  const recipientAfter = await balanceOf(recipient.id);
+
+  assert.ok(lowestCents >= 0, `balance went down to ${toDecimalString(lowestCents)}`);
+  assert.ok(senderAfter.balance >= 0);
+  assert.equal(senderAfter.balance, fundedCents - expectedSuccesses * amountCents);
+  assert.equal(senderAfter.held, 0);
+  assert.equal(recipientAfter.balance, expectedSuccesses * amountCents);
+
+  // The ledger agrees with the cached balances
+  assert.equal(await ledgerBalanceOf(sender.id), senderAfter.balance);
+  assert.equal(await ledgerBalanceOf(recipient.id), recipientAfter.balance);
+
+  const { rows: debits } = await db.pool.query(
+    "SELECT reference FROM transactions WHERE account_id = $1 AND type = 'debit' AND status = 'completed'",
+    [sender.id]
+  );
+  assert.equal(debits.length, expectedSuccesses);
+});
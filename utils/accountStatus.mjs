@@ -0,0 +1,117 @@
+// utils/accountStatus.mjs
+// Account lifecycle: what each status lets a customer do, and the one path
+// for moving an account between statuses.
+import supabase from '../config/supabase.mjs';
+import { AppError, fromRpcError } from './errors.mjs';
+import { ACCOUNT_STATUS, SCHEDULE_STATUS } from './constants.mjs';
+import { recordAuditEvent } from './audit.mjs';
+import { notifyUser } from './notifications.mjs';
+import { adminActor } from '../middleware/adminAuth.mjs';
+
+// Kinds of movement checked against the status
+export const MOVEMENTS = {
+  DEBIT: 'debit', // money out: transfers, withdrawals, payments
+  CREDIT: 'credit', // deposits made by the customer
+  INCOMING: 'incoming' // transfers from another customer
+};
+
+const BLOCK_CODES = {
+  [ACCOUNT_STATUS.FROZEN]: 'ACCOUNT_FROZEN',
+  [ACCOUNT_STATUS.DEBIT_BLOCKED]: 'ACCOUNT_DEBIT_BLOCKED',
+  [ACCOUNT_STATUS.DORMANT]: 'ACCOUNT_DORMANT',
+  [ACCOUNT_STATUS.CLOSED]: 'ACCOUNT_CLOSED'
+};
+
+// Same rules as account_status_block in schema.sql, which has the final say
+// under the row lock. Returns the AppError to reply with, or null.
+export const accountStatusBlock = (status, movement) => {
+  const allowed = status === ACCOUNT_STATUS.ACTIVE
+    || (movement === MOVEMENTS.INCOMING
+      && [ACCOUNT_STATUS.FROZEN, ACCOUNT_STATUS.DEBIT_BLOCKED, ACCOUNT_STATUS.DORMANT].includes(status))
+    || (movement === MOVEMENTS.CREDIT && status === ACCOUNT_STATUS.DEBIT_BLOCKED);
+
+  if (allowed) return null;
+
+  return fromRpcError({ message: BLOCK_CODES[status] || 'ACCOUNT_INACTIVE' });
+};
+
+const STATUS_NOTICES = {
+  [ACCOUNT_STATUS.ACTIVE]: 'Your account is active.',
+  [ACCOUNT_STATUS.FROZEN]: 'Your account has been frozen. You can still receive transfers, but cannot send money until it is unfrozen.',
+  [ACCOUNT_STATUS.DEBIT_BLOCKED]: 'Payments out of your account have been blocked. You can still receive money and make deposits.',
+  [ACCOUNT_STATUS.DORMANT]: 'Your account has been marked dormant. Contact us to start using it again.',
+  [ACCOUNT_STATUS.CLOSED]: 'Your account has been closed.'
+};
+
+// Move the customer to status on behalf of req.admin. Closing with money left
+// on any account needs payoutTo, the external account the balances are paid to.
+// Scheduled transfers stop when the account is closed. The customer is told
+// through chat unless notify is false (callers that send their own notice).
+export const changeAccountStatus = async (userId, {
+  status,
+  reasonCode,
+  note = null,
+  payoutTo = null,
+  req,
+  details = {},
+  notify = true
+}) => {
+  const { data: result, error } = await supabase.rpc('change_account_status', {
+    p_user_id: userId,
+    p_status: status,
+    p_reason_code: reasonCode,
+    p_note: note,
+    p_payout_to: payoutTo,
+    p_changed_by: adminActor(req)
+  });
+
+  if (error) {
+    const statusError = fromRpcError(error, 'Failed to change account status');
+    if (statusError.code === 'TRANSACTION_FAILED') {
+      console.error('change_account_status RPC error:', error);
+      throw new AppError('Failed to change account status', 'STATUS_CHANGE_FAILED', 500);
+    }
+    throw statusError;
+  }
+
+  if (status === ACCOUNT_STATUS.CLOSED) {
+    const { error: cancelError } = await supabase
+      .from('scheduled_transfers')
+      .update({ status: SCHEDULE_STATUS.CANCELLED, retry_at: null })
+      .eq('user_id', userId)
+      .in('status', [SCHEDULE_STATUS.ACTIVE, SCHEDULE_STATUS.PAUSED]);
+
+    if (cancelError) {
+      console.error(`Failed to cancel scheduled transfers of closed account ${userId}:`, cancelError);
+    }
+  }
+
+  await recordAuditEvent({
+    actorType: 'admin',
+    actorId: req.admin.id,
+    action: 'account.status_changed',
+    targetType: 'user',
+    targetId: userId,
+    details: {
+      reason_code: reasonCode,
+      note,
+      payout_transaction_ids: result.payouts.map(payout => payout.id),
+      ...details
+    },
+    before: { status: result.previous_status },
+    after: { status },
+    req
+  });
+
+  if (notify) {
+    const payoutNotice = result.payouts.length
+      ? ` Your remaining balance of ${result.payouts.map(payout => `${payout.amount} ${payout.currency}`).join(' and ')} has been paid out to ${payoutTo}.`
+      : '';
+    await notifyUser(userId, {
+      subject: 'Account status update',
+      message: `${STATUS_NOTICES[status]}${payoutNotice}`
+    });
+  }
+
+  return result;
+};
@@ -0,0 +1,90 @@
+// utils/accountTokens.mjs
+// Single-use, expiring tokens that are emailed to the user: password reset
+// and email verification links. Only their hashes are stored.
+import crypto from 'crypto';
+import supabase from '../config/supabase.mjs';
+import { AppError } from './errors.mjs';
+
+export const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a token for the user, cancelling any unused ones for the same
+// purpose so only the latest link works. Returns the raw token.
+export const issueAccountToken = async (userId, purpose, { ttlMs, email = null }) => {
+  const now = new Date();
+
+  const { error: cancelError } = await supabase
+    .from('account_tokens')
+    .update({ used_at: now.toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  if (cancelError) throw cancelError;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { error } = await supabase
+    .from('account_tokens')
+    .insert([
+      {
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        email,
+        expires_at: new Date(now.getTime() + ttlMs).toISOString()
+      }
+    ]);
+
+  if (error) throw error;
+
+  return token;
+};
+
+// The token's row if it is still usable, without spending it
+export const findAccountToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const { data } = await supabase
+    .from('account_tokens')
+    .select('*')
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  return data || null;
+};
+
+// Spend a token. Resolves to its row; throws an AppError when the token is
+// unknown, expired or already used.
+export const consumeAccountToken = async (token, purpose) => {
+  const invalid = new AppError('This link is invalid or has expired', 'INVALID_OR_EXPIRED_TOKEN', 400);
+
+  if (!token || typeof token !== 'string') {
+    throw invalid;
+  }
+
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('account_tokens')
+    .update({ used_at: now })
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', now)
+    .select();
+
+  if (error) throw error;
+  if (!data.length) throw invalid;
+
+  return data[0];
+};
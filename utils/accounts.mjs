@@ -0,0 +1,62 @@
+// utils/accounts.mjs
+// A customer's accounts. Every customer has one primary account, opened at
+// signup, and can open more (checking or savings) once active.
+import supabase from '../config/supabase.mjs';
+import { toMinorUnits, fromMinorUnits } from './money.mjs';
+
+// Shape returned to customers for one account
+export const accountResponse = (account) => ({
+  id: account.id,
+  account_number: account.account_number,
+  account_type: account.account_type,
+  nickname: account.nickname,
+  is_primary: account.is_primary,
+  balance: account.balance,
+  held_balance: account.held_balance,
+  available_balance: fromMinorUnits(toMinorUnits(account.balance) - toMinorUnits(account.held_balance)),
+  currency: account.currency,
+  limit_tier: account.limit_tier,
+  created_at: account.created_at
+});
+
+export const listAccounts = async (userId) => {
+  const { data, error } = await supabase
+    .from('accounts')
+    .select('*')
+    .eq('user_id', userId)
+    .order('is_primary', { ascending: false })
+    .order('created_at');
+
+  if (error) throw error;
+  return data || [];
+};
+
+// The user's account with accountId, or their primary account when no id is
+// given. Null when it does not exist or belongs to someone else.
+export const findAccount = async (userId, accountId = null) => {
+  let query = supabase
+    .from('accounts')
+    .select('*')
+    .eq('user_id', userId);
+
+  query = accountId ? query.eq('id', accountId) : query.eq('is_primary', true);
+
+  const { data } = await query.maybeSingle();
+  return data || null;
+};
+
+// Profile fetched with its accounts embedded, flattened to the single-account
+// fields (account_number, balance, currency) responses carried before
+// customers could hold several accounts. They describe the primary account.
+export const withPrimaryAccount = (profile) => {
+  const { accounts = [], ...rest } = profile;
+  const primary = accounts.find(account => account.is_primary) || accounts[0];
+
+  return {
+    ...rest,
+    account_number: primary?.account_number ?? null,
+    balance: primary?.balance ?? 0,
+    held_balance: primary?.held_balance ?? 0,
+    currency: primary?.currency ?? null
+  };
+};
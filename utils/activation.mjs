@@ -0,0 +1,116 @@
+// utils/activation.mjs
+// Switching a customer's account on. Used by the admin activate route and
+// by KYC approval, so both leave the same record behind.
+import supabase from '../config/supabase.mjs';
+import { AppError, fromRpcError } from './errors.mjs';
+import { ACCOUNT_STATUS, ACCOUNT_TYPES, DEFAULT_CURRENCY, ERROR_CODES } from './constants.mjs';
+import { toDecimalString, toMinorUnits } from './money.mjs';
+import { recordAuditEvent } from './audit.mjs';
+import { changeAccountStatus } from './accountStatus.mjs';
+import { findAccount } from './accounts.mjs';
+import { adminActor } from '../middleware/adminAuth.mjs';
+
+// Activate the account on behalf of req.admin. An account that is already
+// active keeps its status. When initialBalance is given the primary account's
+// balance is set to it through the ledger; otherwise it is left alone. details is stored with
+// the audit events (e.g. the KYC submission).
+export const activateAccount = async (userId, {
+  req,
+  initialBalance = null,
+  reasonCode = 'staff_decision',
+  note = null,
+  details = {},
+  notify = true
+}) => {
+  const { data: profile, error: fetchError } = await supabase
+    .from('profiles')
+    .select('status')
+    .eq('id', userId)
+    .single();
+
+  if (fetchError || !profile) {
+    throw new AppError('User account not found', ERROR_CODES.ACCOUNT_NOT_FOUND, 404);
+  }
+
+  // Keep the account opened at signup; only customers without one get one here
+  let account = await findAccount(userId);
+  const activatedAt = new Date().toISOString();
+
+  if (!account) {
+    const { data, error } = await supabase
+      .from('accounts')
+      .insert([
+        {
+          user_id: userId,
+          account_number: `RS${Date.now().toString().slice(-8)}`,
+          account_type: ACCOUNT_TYPES.CHECKING,
+          currency: DEFAULT_CURRENCY,
+          is_primary: true
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      throw new AppError(`Failed to activate account: ${error.message}`, 'ACTIVATION_FAILED', 500);
+    }
+
+    account = data;
+  }
+
+  const before = {
+    status: profile.status,
+    account_number: account.account_number,
+    balance: account.balance
+  };
+
+  if (before.status !== ACCOUNT_STATUS.ACTIVE) {
+    await changeAccountStatus(userId, {
+      status: ACCOUNT_STATUS.ACTIVE,
+      reasonCode,
+      note,
+      req,
+      details,
+      notify
+    });
+  }
+
+  let balance = account.balance;
+
+  if (initialBalance !== null) {
+    // Initial balance is posted through the ledger as an adjustment
+    const { data: adjustment, error: adjustmentError } = await supabase.rpc('adjust_balance', {
+      p_account_id: account.id,
+      p_operation: 'set',
+      p_amount: toDecimalString(toMinorUnits(initialBalance)),
+      p_description: 'Initial balance on activation',
+      p_created_by: adminActor(req)
+    });
+
+    if (adjustmentError) {
+      throw new AppError(
+        `Account activated but initial balance failed: ${fromRpcError(adjustmentError).message}`,
+        'INITIAL_BALANCE_FAILED',
+        500
+      );
+    }
+
+    balance = adjustment.new_balance;
+  }
+
+  const after = { status: ACCOUNT_STATUS.ACTIVE, account_number: account.account_number, balance };
+
+  await recordAuditEvent({
+    actorType: 'admin',
+    actorId: req.admin.id,
+    action: 'account.activated',
+    targetType: 'user',
+    targetId: userId,
+    details,
+    before,
+    after,
+    req
+  });
+
+  return { user_id: userId, ...after, activated_at: activatedAt };
+};
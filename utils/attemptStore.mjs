@@ -0,0 +1,110 @@
+// utils/attemptStore.mjs
+// Storage for failed-login counters. A store keeps one entry per key,
+// shaped { key, failures, windowStartedAt, lockedUntil } with Date fields,
+// and implements:
+//   get(key)                         entry or null
+//   recordFailure(key, { windowMs }) count a failure, returning the entry
+//   lock(key, until)                 lock the key until a Date
+//   clear(key)                       forget the key; true if it existed
+//   listLocked(now)                  entries locked past now
+import supabase from '../config/supabase.mjs';
+
+// Single-process store, for tests and local development
+export const createMemoryAttemptStore = () => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+
+    async recordFailure(key, { windowMs }) {
+      const now = new Date();
+      const entry = entries.get(key);
+
+      if (!entry || now - entry.windowStartedAt >= windowMs) {
+        const fresh = { key, failures: 1, windowStartedAt: now, lockedUntil: entry?.lockedUntil || null };
+        entries.set(key, fresh);
+        return fresh;
+      }
+
+      entry.failures += 1;
+      return entry;
+    },
+
+    async lock(key, until) {
+      const entry = entries.get(key) || { key, failures: 0, windowStartedAt: new Date() };
+      entries.set(key, { ...entry, lockedUntil: until });
+    },
+
+    async clear(key) {
+      return entries.delete(key);
+    },
+
+    async listLocked(now) {
+      return [...entries.values()].filter(entry => entry.lockedUntil && entry.lockedUntil > now);
+    }
+  };
+};
+
+const fromRow = (row) => row && {
+  key: row.key,
+  failures: row.failures,
+  windowStartedAt: new Date(row.window_started_at),
+  lockedUntil: row.locked_until ? new Date(row.locked_until) : null
+};
+
+// Store backed by the login_attempts table, shared across server instances
+export const createDatabaseAttemptStore = () => ({
+  async get(key) {
+    const { data, error } = await supabase
+      .from('login_attempts')
+      .select('*')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) throw error;
+    return fromRow(data);
+  },
+
+  async recordFailure(key, { windowMs }) {
+    const { data, error } = await supabase.rpc('record_login_failure', {
+      p_key: key,
+      p_window_seconds: Math.round(windowMs / 1000)
+    });
+
+    if (error) throw error;
+    return fromRow(data);
+  },
+
+  async lock(key, until) {
+    const { error } = await supabase
+      .from('login_attempts')
+      .update({ locked_until: until.toISOString() })
+      .eq('key', key);
+
+    if (error) throw error;
+  },
+
+  async clear(key) {
+    const { data, error } = await supabase
+      .from('login_attempts')
+      .delete()
+      .eq('key', key)
+      .select('key');
+
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  async listLocked(now) {
+    const { data, error } = await supabase
+      .from('login_attempts')
+      .select('*')
+      .gt('locked_until', now.toISOString())
+      .order('locked_until', { ascending: false });
+
+    if (error) throw error;
+    return data.map(fromRow);
+  }
+});
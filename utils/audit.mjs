@@ -0,0 +1,48 @@
+// utils/audit.mjs
+import supabase from '../config/supabase.mjs';
+
+// Append an entry to the audit trail. actorType is 'user', 'admin' or
+// 'system'; details holds whatever context the action needs, and before and
+// after the target's state around the change. The database chains each entry
+// to the previous one (see verify_audit_chain in schema.sql). A failed write
+// is logged rather than thrown, since the audited action has already happened.
+export const recordAuditEvent = async ({
+  actorType,
+  actorId = null,
+  action,
+  targetType = null,
+  targetId = null,
+  details = {},
+  before = null,
+  after = null,
+  req = null
+}) => {
+  const { error } = await supabase
+    .from('audit_events')
+    .insert([
+      {
+        actor_type: actorType,
+        actor_id: actorId,
+        action,
+        target_type: targetType,
+        target_id: targetId,
+        details,
+        before_state: before,
+        after_state: after,
+        ip_address: req?.ip || null,
+        request_id: req?.id || null
+      }
+    ]);
+
+  if (error) {
+    console.error(`Failed to record audit event ${action}:`, error);
+  }
+};
+
+// Recompute the hash chain in the database and report any breaks
+export const verifyAuditChain = async () => {
+  const { data, error } = await supabase.rpc('verify_audit_chain');
+
+  if (error) throw error;
+  return data;
+};
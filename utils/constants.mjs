@@ -27,11 +27,105 @@ export const MESSAGE_TYPES = {
   ACTION: 'action'
 };
 
+export const CURRENCIES = {
+  USD: 'USD',
+  EUR: 'EUR',
+  GBP: 'GBP'
+};
+
+export const DEFAULT_CURRENCY = CURRENCIES.USD;
+
+export const SCHEDULE_FREQUENCIES = {
+  ONCE: 'once',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+export const SCHEDULE_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+export const SCHEDULED_RUN_STATUS = {
+  COMPLETED: 'completed',
+  PENDING_APPROVAL: 'pending_approval',
+  RETRYING: 'retrying',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+export const KYC_STATUS = {
+  SUBMITTED: 'submitted',
+  UNDER_REVIEW: 'under_review',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  NEEDS_MORE_INFO: 'needs_more_info'
+};
+
+// Reviewer decisions allowed from each status. The customer moves
+// needs_more_info back to submitted by responding.
+export const KYC_REVIEW_TRANSITIONS = {
+  [KYC_STATUS.SUBMITTED]: [KYC_STATUS.UNDER_REVIEW, KYC_STATUS.APPROVED, KYC_STATUS.REJECTED, KYC_STATUS.NEEDS_MORE_INFO],
+  [KYC_STATUS.UNDER_REVIEW]: [KYC_STATUS.APPROVED, KYC_STATUS.REJECTED, KYC_STATUS.NEEDS_MORE_INFO],
+  [KYC_STATUS.NEEDS_MORE_INFO]: [KYC_STATUS.REJECTED],
+  [KYC_STATUS.APPROVED]: [],
+  [KYC_STATUS.REJECTED]: []
+};
+
+export const KYC_DOCUMENT_TYPES = ['passport', 'national_id', 'drivers_license', 'proof_of_address', 'selfie'];
+
+// Account lifecycle. What each status allows is enforced by
+// account_status_block in schema.sql and mirrored in utils/accountStatus.mjs.
 export const ACCOUNT_STATUS = {
-  ACTIVE: true,
-  INACTIVE: false
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  FROZEN: 'frozen',
+  DEBIT_BLOCKED: 'debit_blocked',
+  DORMANT: 'dormant',
+  CLOSED: 'closed'
 };
 
+// Moves allowed from each status; change_account_status enforces the same
+export const ACCOUNT_STATUS_TRANSITIONS = {
+  [ACCOUNT_STATUS.PENDING]: [ACCOUNT_STATUS.ACTIVE, ACCOUNT_STATUS.CLOSED],
+  [ACCOUNT_STATUS.ACTIVE]: [ACCOUNT_STATUS.FROZEN, ACCOUNT_STATUS.DEBIT_BLOCKED, ACCOUNT_STATUS.DORMANT, ACCOUNT_STATUS.CLOSED],
+  [ACCOUNT_STATUS.FROZEN]: [ACCOUNT_STATUS.ACTIVE, ACCOUNT_STATUS.DEBIT_BLOCKED, ACCOUNT_STATUS.CLOSED],
+  [ACCOUNT_STATUS.DEBIT_BLOCKED]: [ACCOUNT_STATUS.ACTIVE, ACCOUNT_STATUS.FROZEN, ACCOUNT_STATUS.CLOSED],
+  [ACCOUNT_STATUS.DORMANT]: [ACCOUNT_STATUS.ACTIVE, ACCOUNT_STATUS.FROZEN, ACCOUNT_STATUS.CLOSED],
+  [ACCOUNT_STATUS.CLOSED]: []
+};
+
+export const ACCOUNT_STATUS_REASONS = [
+  'kyc_approved',
+  'customer_request',
+  'suspected_fraud',
+  'compliance_review',
+  'legal_order',
+  'inactivity',
+  'customer_returned',
+  'staff_decision',
+  'other'
+];
+
+export const ACCOUNT_TYPES = {
+  CHECKING: 'checking',
+  SAVINGS: 'savings'
+};
+
+// How interest_day_fraction in schema.sql turns an annual rate into a daily one
+export const INTEREST_DAY_COUNTS = ['ACT/365', 'ACT/360', 'ACT/ACT', '30/360'];
+
+// When a fee rule charges: on a transaction of one of FEE_TRANSACTION_TYPES,
+// or once a month on every account it covers
+export const FEE_EVENTS = {
+  TRANSACTION: 'transaction',
+  MONTHLY_MAINTENANCE: 'monthly_maintenance'
+};
+
+export const FEE_TRANSACTION_TYPES = ['withdrawal', 'transfer', 'payment'];
+
 export const ERROR_CODES = {
   INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
   ACCOUNT_NOT_FOUND: 'ACCOUNT_NOT_FOUND',
@@ -44,6 +138,8 @@ export const SUCCESS_MESSAGES = {
   SIGNUP_SUCCESS: 'Account created successfully. Please wait for activation.',
   LOGIN_SUCCESS: 'Login successful',
   TRANSFER_SUCCESS: 'Transfer completed successfully',
+  TRANSFER_PENDING: 'Transfer is pending approval. The funds are on hold until it is reviewed.',
   TRANSACTION_SUCCESS: 'Transaction completed successfully',
+  TRANSACTION_PENDING: 'Transaction is pending approval. The funds are on hold until it is reviewed.',
   MESSAGE_SENT: 'Message sent successfully'
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+// utils/errors.mjs
+import { ERROR_CODES } from './constants.mjs';
+
+// Error carrying the API error code and HTTP status. statusCode is what the
+// global error handler in server.mjs reads; details are extra fields sent
+// with the error.
+export class AppError extends Error {
+  constructor(message, code, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+// Database functions in database/schema.sql raise their error code as the
+// exception message. Map each one to the response the API returns for it.
+const RPC_ERRORS = {
+  INVALID_AMOUNT: { status: 400, code: 'INVALID_AMOUNT', message: 'Amount must be positive' },
+  RECIPIENT_NOT_FOUND: { status: 400, code: ERROR_CODES.ACCOUNT_NOT_FOUND, message: 'Recipient account not found' },
+  SENDER_NOT_FOUND: { status: 400, code: ERROR_CODES.ACCOUNT_NOT_FOUND, message: 'Failed to fetch sender account' },
+  SELF_TRANSFER: { status: 400, code: 'SELF_TRANSFER', message: 'That account is yours; use an internal transfer to move money between your accounts' },
+  SOURCE_ACCOUNT_NOT_FOUND: { status: 404, code: 'SOURCE_ACCOUNT_NOT_FOUND', message: 'Source account not found' },
+  DESTINATION_ACCOUNT_NOT_FOUND: { status: 404, code: 'DESTINATION_ACCOUNT_NOT_FOUND', message: 'Destination account not found' },
+  SAME_ACCOUNT: { status: 400, code: 'SAME_ACCOUNT', message: 'Source and destination accounts must be different' },
+  ACCOUNT_LIMIT_REACHED: { status: 409, code: 'ACCOUNT_LIMIT_REACHED', message: 'You have reached the maximum number of accounts' },
+  ACCOUNT_INACTIVE: { status: 403, code: 'ACCOUNT_INACTIVE', message: 'Account is not active. Please wait for activation.' },
+  ACCOUNT_FROZEN: { status: 403, code: 'ACCOUNT_FROZEN', message: 'Account is frozen. Incoming transfers are still accepted; please contact support.' },
+  ACCOUNT_DEBIT_BLOCKED: { status: 403, code: 'ACCOUNT_DEBIT_BLOCKED', message: 'Payments out of this account are blocked. Please contact support.' },
+  ACCOUNT_DORMANT: { status: 403, code: 'ACCOUNT_DORMANT', message: 'Account is dormant. Please contact support to reactivate it.' },
+  ACCOUNT_CLOSED: { status: 403, code: 'ACCOUNT_CLOSED', message: 'Account is closed' },
+  INVALID_STATUS_TRANSITION: { status: 409, code: 'INVALID_STATUS_TRANSITION', message: 'The account cannot move to that status from its current one' },
+  PENDING_TRANSACTIONS: { status: 409, code: 'PENDING_TRANSACTIONS', message: 'Account has transactions pending approval; decide them before closing' },
+  BALANCE_NOT_ZERO: { status: 409, code: 'BALANCE_NOT_ZERO', message: 'Account balance must be zero or paid out before closing' },
+  RECIPIENT_INACTIVE: { status: 400, code: 'RECIPIENT_INACTIVE', message: 'Recipient account is not active' },
+  INSUFFICIENT_FUNDS: { status: 400, code: ERROR_CODES.INSUFFICIENT_FUNDS, message: 'Insufficient funds' },
+  PROFILE_NOT_FOUND: { status: 404, code: ERROR_CODES.ACCOUNT_NOT_FOUND, message: 'Account not found' },
+  INVALID_TRANSACTION_TYPE: { status: 400, code: 'INVALID_TRANSACTION_TYPE', message: 'Invalid transaction type' },
+  INVALID_OPERATION: { status: 400, code: 'INVALID_OPERATION', message: 'Operation must be one of set, add or subtract' },
+  FX_RATE_UNAVAILABLE: { status: 400, code: 'FX_RATE_UNAVAILABLE', message: 'No exchange rate is available between these currencies' },
+  TRANSACTION_NOT_FOUND: { status: 404, code: 'TRANSACTION_NOT_FOUND', message: 'Transaction not found' },
+  TRANSACTION_NOT_PENDING: { status: 409, code: 'TRANSACTION_NOT_PENDING', message: 'Transaction is not pending approval' },
+  REASON_REQUIRED: { status: 400, code: 'REASON_REQUIRED', message: 'A reason is required' },
+  TRANSACTION_NOT_COMPLETED: { status: 409, code: 'TRANSACTION_NOT_COMPLETED', message: 'Only completed transactions can be refunded' },
+  TRANSACTION_NOT_REFUNDABLE: { status: 400, code: 'TRANSACTION_NOT_REFUNDABLE', message: 'This transaction cannot be refunded' },
+  ALREADY_REFUNDED: { status: 409, code: 'ALREADY_REFUNDED', message: 'Transaction has already been fully refunded' },
+  REFUND_EXCEEDS_ORIGINAL: { status: 400, code: 'REFUND_EXCEEDS_ORIGINAL', message: 'Refund exceeds the amount left to refund' },
+  FEE_NOT_FOUND: { status: 404, code: 'FEE_NOT_FOUND', message: 'Fee not found' },
+  FEE_FOLLOWS_TRANSACTION: { status: 409, code: 'FEE_FOLLOWS_TRANSACTION', message: 'This fee is approved or rejected with the transaction it was charged on' },
+  PERIOD_NOT_ENDED: { status: 400, code: 'PERIOD_NOT_ENDED', message: 'Maintenance fees can only be charged for months that have ended' },
+  ACCRUAL_DATE_NOT_ENDED: { status: 400, code: 'ACCRUAL_DATE_NOT_ENDED', message: 'Interest can only be accrued for days that have ended' },
+  LIMIT_EXCEEDED: { status: 403, code: 'LIMIT_EXCEEDED', message: 'Transaction limit exceeded' },
+  COUNTERPARTY_INSUFFICIENT_FUNDS: { status: 400, code: 'COUNTERPARTY_INSUFFICIENT_FUNDS', message: 'Recipient does not have enough available funds to reverse this transfer' }
+};
+
+// enforce_transaction_limits raises LIMIT_EXCEEDED with the limit that was
+// hit as the exception detail: { limit, max, used, remaining, resets_at }
+const LIMIT_NAMES = {
+  single_transaction: 'Single transaction limit',
+  daily_outgoing: 'Daily outgoing limit',
+  monthly_outgoing: 'Monthly outgoing limit',
+  hourly_count: 'Hourly transaction count limit'
+};
+
+const limitExceeded = (error, known) => {
+  let hit;
+  try {
+    hit = JSON.parse(error.details);
+  } catch (parseError) {
+    return new AppError(known.message, known.code, known.status);
+  }
+
+  const name = LIMIT_NAMES[hit.limit] || known.message;
+  const message = hit.resets_at
+    ? `${name} of ${hit.max} reached; it resets at ${new Date(hit.resets_at).toISOString()}`
+    : `Amount is over the ${name.toLowerCase()} of ${hit.max}`;
+
+  return new AppError(message, known.code, known.status, {
+    limit: hit.limit,
+    max: hit.max,
+    remaining: hit.remaining,
+    resets_at: hit.resets_at ? new Date(hit.resets_at).toISOString() : null
+  });
+};
+
+export const fromRpcError = (error, fallbackMessage = 'Transaction failed') => {
+  const known = RPC_ERRORS[error?.message];
+
+  if (!known) {
+    return new AppError(fallbackMessage, ERROR_CODES.TRANSACTION_FAILED, 400);
+  }
+
+  if (known.code === 'LIMIT_EXCEEDED') {
+    return limitExceeded(error, known);
+  }
+
+  return new AppError(known.message, known.code, known.status);
+};
@@ -0,0 +1,61 @@
+// utils/fees.mjs
+// Fees charged by the rules in fee_rules. Transaction fees are charged by
+// apply_transaction and transfer_funds as linked 'fee' rows; this module
+// quotes them beforehand and runs the monthly maintenance charge.
+import supabase from '../config/supabase.mjs';
+import { AppError, fromRpcError } from './errors.mjs';
+import { ERROR_CODES } from './constants.mjs';
+import { fromMinorUnits, sumMinorUnits, toDecimalString } from './money.mjs';
+import { addDays, toDateString } from './scheduledTransfers.mjs';
+
+// The fees a transaction of amountCents from the account would be charged
+// right now, with the total the account would be debited. The charge itself
+// is worked out again under the account lock, so a rule changed in between
+// applies to the transaction.
+export const quoteFees = async (account, transactionType, amountCents) => {
+  const { data: fees, error } = await supabase.rpc('quote_fees', {
+    p_account_id: account.id,
+    p_transaction_type: transactionType,
+    p_amount: toDecimalString(amountCents)
+  });
+
+  if (error) throw error;
+
+  const feeCents = sumMinorUnits(fees.map(fee => fee.amount));
+
+  return {
+    account_id: account.id,
+    transaction_type: transactionType,
+    amount: fromMinorUnits(amountCents),
+    currency: account.currency,
+    fees,
+    total_fees: fromMinorUnits(feeCents),
+    total_debit: fromMinorUnits(amountCents + feeCents)
+  };
+};
+
+// Last day of the most recent month that has ended
+export const lastEndedMonth = (now = new Date()) => addDays(`${toDateString(now).slice(0, 7)}-01`, -1);
+
+// Charge the month ending periodEnd its maintenance fees. Safe to repeat:
+// accounts already charged for the month are skipped.
+export const chargeMaintenanceFees = async (periodEnd, createdBy = 'system') => {
+  const { data, error } = await supabase.rpc('charge_maintenance_fees', {
+    p_period_end: periodEnd,
+    p_created_by: createdBy
+  });
+
+  if (error) {
+    const rpcError = fromRpcError(error, 'Failed to charge maintenance fees');
+    if (rpcError.code === ERROR_CODES.TRANSACTION_FAILED) {
+      console.error('Maintenance fee RPC error:', error);
+      throw new AppError('Failed to charge maintenance fees', 'FEE_JOB_FAILED', 500);
+    }
+    throw rpcError;
+  }
+
+  return data;
+};
+
+// Total of the fee rows an RPC returned alongside a transaction
+export const feeTotal = (fees = []) => fromMinorUnits(sumMinorUnits(fees.map(fee => fee.amount)));
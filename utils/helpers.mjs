@@ -1,3 +1,6 @@
+import { toMinorUnits, fromMinorUnits } from './money.mjs';
+import { DEFAULT_CURRENCY } from './constants.mjs';
+
 // Generate random account number
 export const generateAccountNumber = () => {
   const prefix = 'RS';
@@ -6,10 +9,10 @@ export const generateAccountNumber = () => {
 };
 
 // Format currency
-export const formatCurrency = (amount) => {
+export const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
-    currency: 'USD',
+    currency,
     minimumFractionDigits: 2
   }).format(amount);
 };
@@ -27,8 +30,8 @@ export const generateBotResponse = (userMessage) => {
     debit: "For debit card inquiries, including lost or stolen cards, please contact our card services department at 1-800-RON-STONE.",
     loan: "We offer various loan options. You can apply for a loan through our online portal or visit your nearest branch for personalized assistance.",
     credit: "We offer various loan options. You can apply for a loan through our online portal or visit your nearest branch for personalized assistance.",
-    fee: "You can view all account fees and charges in the Fees Schedule section of our website or mobile app.",
-    charge: "You can view all account fees and charges in the Fees Schedule section of our website or mobile app.",
+    fee: "You can view all account fees and charges in the Fees Schedule section of our website or mobile app. Any fee on a withdrawal, transfer or payment is shown before you confirm it.",
+    charge: "You can view all account fees and charges in the Fees Schedule section of our website or mobile app. Any fee on a withdrawal, transfer or payment is shown before you confirm it.",
     active: "Account activation typically takes 24-48 hours after verification. Our team will notify you once your account is active.",
     activate: "Account activation typically takes 24-48 hours after verification. Our team will notify you once your account is active.",
     default: "Thank you for your message. Our support team will get back to you shortly. For immediate assistance, you can call our customer service at 1-800-RON-STONE."
@@ -49,6 +52,17 @@ export const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
+// Mask a name so only initials show ("Jane Doe" -> "J*** D**"), enough for a
+// customer to confirm who an account belongs to without revealing it
+export const maskName = (name = '') => {
+  return name
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(part => part[0] + '*'.repeat(Math.max(part.length - 1, 1)))
+    .join(' ');
+};
+
 // Generate random ID
 export const generateId = (length = 8) => {
   return Math.random().toString(36).substr(2, length);
@@ -67,12 +81,13 @@ export const formatDate = (dateString) => {
 };
 // utils/helpers.mjs
 export const calculateNewBalance = (currentBalance, amount, type) => {
+  const balance = toMinorUnits(currentBalance);
   if (type === 'credit') {
-    return currentBalance + amount;
+    return fromMinorUnits(balance + toMinorUnits(amount));
   } else if (type === 'debit') {
-    return currentBalance - amount;
+    return fromMinorUnits(balance - toMinorUnits(amount));
   }
-  return currentBalance;
+  return fromMinorUnits(balance);
 };
 
 export const generateReference = (type) => {
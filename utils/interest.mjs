@@ -0,0 +1,56 @@
+// utils/interest.mjs
+// Daily interest accrual and the monthly posting. The arithmetic runs in the
+// database (accrue_interest and post_interest in schema.sql); this is the
+// job that decides which dates to run.
+import supabase from '../config/supabase.mjs';
+import { AppError, fromRpcError } from './errors.mjs';
+import { ERROR_CODES } from './constants.mjs';
+import { addDays, toDateString } from './scheduledTransfers.mjs';
+
+const rpcFailure = (error, what) => {
+  const rpcError = fromRpcError(error, `Failed to ${what}`);
+  if (rpcError.code === ERROR_CODES.TRANSACTION_FAILED) {
+    console.error(`Interest RPC error (${what}):`, error);
+    return new AppError(`Failed to ${what}`, 'INTEREST_JOB_FAILED', 500);
+  }
+  return rpcError;
+};
+
+// Last calendar day of its month
+export const isMonthEnd = (date) => addDays(date, 1).slice(8, 10) === '01';
+
+// The last day that has fully ended, which the job runs for by default
+export const lastEndedDate = (now = new Date()) => addDays(toDateString(now), -1);
+
+// Accrue one day's interest on end-of-day balances. Safe to repeat: accounts
+// already accrued for the date are left as they are.
+export const accrueInterest = async (date) => {
+  const { data, error } = await supabase.rpc('accrue_interest', { p_date: date });
+  if (error) throw rpcFailure(error, 'accrue interest');
+  return data;
+};
+
+// Credit the interest accrued up to periodEnd that has not been paid yet
+export const postInterest = async (periodEnd, createdBy = 'system') => {
+  const { data, error } = await supabase.rpc('post_interest', {
+    p_period_end: periodEnd,
+    p_created_by: createdBy
+  });
+  if (error) throw rpcFailure(error, 'post interest');
+  return data;
+};
+
+// Accrue every day from `from` to `to` (both 'YYYY-MM-DD', from defaulting to
+// to) and post at each month end on the way. Re-running a range accrues and
+// posts only what is missing.
+export const runInterestJob = async ({ from = null, to = lastEndedDate(), createdBy = 'system' } = {}) => {
+  const days = [];
+
+  for (let date = from || to; date <= to; date = addDays(date, 1)) {
+    const accrual = await accrueInterest(date);
+    const posting = isMonthEnd(date) ? await postInterest(date, createdBy) : null;
+    days.push({ date, accrual, posting });
+  }
+
+  return days;
+};
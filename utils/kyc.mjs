@@ -0,0 +1,116 @@
+// utils/kyc.mjs
+// KYC submissions and their documents. Document bytes go to the storage
+// adapter; the database keeps metadata and a SHA-256 of each file.
+import crypto from 'crypto';
+import supabase from '../config/supabase.mjs';
+import { AppError } from './errors.mjs';
+import { KYC_STATUS } from './constants.mjs';
+import { putFile, removeFile } from './storage.mjs';
+import { KYC_ALLOWED_CONTENT_TYPES, KYC_MAX_DOCUMENT_BYTES } from '../config/storage.mjs';
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf'
+};
+
+// Statuses in which the customer can still change their submission
+export const KYC_EDITABLE_STATUSES = [KYC_STATUS.SUBMITTED, KYC_STATUS.NEEDS_MORE_INFO];
+
+// Identity fields a customer submits, as stored on kyc_submissions
+export const KYC_DETAIL_FIELDS = [
+  'full_name',
+  'date_of_birth',
+  'nationality',
+  'id_document_number',
+  'address_line1',
+  'address_line2',
+  'city',
+  'postal_code',
+  'country'
+];
+
+// Document metadata safe to show; the storage key stays internal
+export const KYC_DOCUMENT_COLUMNS = 'id, document_type, filename, content_type, size_bytes, created_at';
+
+// Latest submission for the user, or null
+export const findLatestSubmission = async (userId) => {
+  const { data, error } = await supabase
+    .from('kyc_submissions')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+};
+
+// Decode and check an upload given as { document_type, filename,
+// content_type, data } with data in base64
+const decodeDocument = (document) => {
+  if (!KYC_ALLOWED_CONTENT_TYPES.includes(document.content_type)) {
+    throw new AppError(`Documents must be one of ${KYC_ALLOWED_CONTENT_TYPES.join(', ')}`, 'INVALID_DOCUMENT', 400);
+  }
+
+  const buffer = Buffer.from(String(document.data || ''), 'base64');
+
+  if (!buffer.length || buffer.length > KYC_MAX_DOCUMENT_BYTES) {
+    throw new AppError(
+      `Each document must be between 1 byte and ${Math.floor(KYC_MAX_DOCUMENT_BYTES / (1024 * 1024))} MB`,
+      'INVALID_DOCUMENT',
+      400
+    );
+  }
+
+  return buffer;
+};
+
+// Store documents for a submission and record them. Every document is
+// checked before any is written; files already stored are removed again if
+// a later step fails.
+export const addKycDocuments = async (submission, documents) => {
+  const decoded = documents.map(document => ({ document, buffer: decodeDocument(document) }));
+  const stored = [];
+
+  try {
+    for (const { document, buffer } of decoded) {
+      const key = `kyc/${submission.user_id}/${submission.id}/${crypto.randomUUID()}${EXTENSIONS[document.content_type]}`;
+      await putFile(key, buffer, { contentType: document.content_type });
+
+      stored.push({
+        submission_id: submission.id,
+        user_id: submission.user_id,
+        document_type: document.document_type,
+        storage_key: key,
+        filename: document.filename || null,
+        content_type: document.content_type,
+        size_bytes: buffer.length,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('kyc_documents')
+      .insert(stored)
+      .select(KYC_DOCUMENT_COLUMNS);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    await Promise.all(stored.map(row => removeFile(row.storage_key).catch(() => {})));
+    throw error;
+  }
+};
+
+export const listKycDocuments = async (submissionId, columns = KYC_DOCUMENT_COLUMNS) => {
+  const { data, error } = await supabase
+    .from('kyc_documents')
+    .select(columns)
+    .eq('submission_id', submissionId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
@@ -0,0 +1,17 @@
+// utils/limits.mjs
+// Outgoing limits: each account's tier (limit_tiers) and any staff override
+// (account_limit_overrides). apply_transaction and transfer_funds enforce
+// them under the account lock; this reads what is left of them.
+import supabase from '../config/supabase.mjs';
+
+// The fields a tier or an override sets, all optional
+export const LIMIT_FIELDS = ['single_transaction_max', 'daily_outgoing_max', 'monthly_outgoing_max', 'hourly_count_max'];
+
+// { account_id, tier, currency, overridden, limits: [{ limit, max, used,
+// remaining, resets_at }] } for the account, as of now. A null max is not
+// enforced.
+export const getAccountLimits = async (accountId) => {
+  const { data, error } = await supabase.rpc('account_limits', { p_account_id: accountId });
+  if (error) throw error;
+  return data;
+};
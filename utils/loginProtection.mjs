@@ -0,0 +1,116 @@
+// utils/loginProtection.mjs
+// Brute-force protection for login. Failed attempts are counted per account
+// (by email, whether or not it exists) and per IP. Repeated failures slow
+// each further attempt down, then lock the account or block the IP for a
+// while. Counters live in a pluggable store (utils/attemptStore.mjs).
+import { createDatabaseAttemptStore, createMemoryAttemptStore } from './attemptStore.mjs';
+import { ACCOUNT_LOCKOUT, IP_LOCKOUT, LOGIN_ATTEMPT_STORE, LOGIN_DELAY } from '../config/loginProtection.mjs';
+
+const MINUTE_MS = 60 * 1000;
+
+let store = LOGIN_ATTEMPT_STORE === 'memory' ? createMemoryAttemptStore() : createDatabaseAttemptStore();
+
+export const setAttemptStore = (next) => {
+  store = next;
+};
+
+export const LOCKOUT_SCOPES = {
+  ACCOUNT: 'account',
+  IP: 'ip'
+};
+
+const accountKey = (email) => `${LOCKOUT_SCOPES.ACCOUNT}:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `${LOCKOUT_SCOPES.IP}:${ip || 'unknown'}`;
+
+const isLocked = (entry, now) => Boolean(entry?.lockedUntil && entry.lockedUntil > now);
+
+const retryAfterSeconds = (entry, now) => Math.ceil((entry.lockedUntil - now) / 1000);
+
+// Wait before checking a password, growing with the failures so far
+export const loginDelayMs = (failures) => {
+  if (failures <= LOGIN_DELAY.freeAttempts) {
+    return 0;
+  }
+  return Math.min(LOGIN_DELAY.baseMs * 2 ** (failures - LOGIN_DELAY.freeAttempts - 1), LOGIN_DELAY.maxMs);
+};
+
+// Whether a login may go ahead. Returns { blocked } with the response to
+// send when the account or IP is locked, otherwise { delayMs }.
+export const checkLoginAllowed = async ({ email, ip }) => {
+  const now = new Date();
+  const [account, address] = await Promise.all([store.get(accountKey(email)), store.get(ipKey(ip))]);
+
+  if (isLocked(account, now)) {
+    return {
+      blocked: {
+        status: 423,
+        error: 'Account temporarily locked after too many failed login attempts. Try again later or reset your password.',
+        code: 'ACCOUNT_LOCKED',
+        retry_after: retryAfterSeconds(account, now)
+      }
+    };
+  }
+
+  if (isLocked(address, now)) {
+    return {
+      blocked: {
+        status: 429,
+        error: 'Too many failed login attempts. Please try again later.',
+        code: 'TOO_MANY_LOGIN_ATTEMPTS',
+        retry_after: retryAfterSeconds(address, now)
+      }
+    };
+  }
+
+  return { delayMs: loginDelayMs(Math.max(account?.failures || 0, address?.failures || 0)) };
+};
+
+const countFailure = async (key, policy, now) => {
+  const entry = await store.recordFailure(key, { windowMs: policy.windowMinutes * MINUTE_MS });
+
+  if (entry.failures >= policy.maxFailures && !isLocked(entry, now)) {
+    await store.lock(key, new Date(now.getTime() + policy.lockMinutes * MINUTE_MS));
+    return true;
+  }
+
+  return false;
+};
+
+// Count a failed login. Returns which of the account and IP it just locked.
+export const recordLoginFailure = async ({ email, ip }) => {
+  const now = new Date();
+
+  const [accountLocked, ipLocked] = await Promise.all([
+    countFailure(accountKey(email), ACCOUNT_LOCKOUT, now),
+    countFailure(ipKey(ip), IP_LOCKOUT, now)
+  ]);
+
+  return { accountLocked, ipLocked };
+};
+
+// A successful login clears the account's counter. The IP counter is left
+// alone so a stuffing run cannot reset it with one valid credential.
+export const recordLoginSuccess = async ({ email }) => {
+  await store.clear(accountKey(email));
+};
+
+export const listLockouts = async () => {
+  const now = new Date();
+  const entries = await store.listLocked(now);
+
+  return entries.map(entry => {
+    const [scope, ...rest] = entry.key.split(':');
+    return {
+      scope,
+      value: rest.join(':'),
+      failures: entry.failures,
+      locked_until: entry.lockedUntil.toISOString(),
+      retry_after: retryAfterSeconds(entry, now)
+    };
+  });
+};
+
+// Lift a lockout; scope is "account" (value is the email) or "ip"
+export const clearLockout = async (scope, value) => {
+  return store.clear(scope === LOCKOUT_SCOPES.IP ? ipKey(value) : accountKey(value));
+};
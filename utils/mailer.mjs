@@ -0,0 +1,41 @@
+// utils/mailer.mjs
+// Outgoing email. A transport is any async function that takes
+// { from, to, subject, text } and delivers it; the built-in ones print the
+// message or write it to disk so flows can be exercised offline. A real
+// provider plugs in through setMailTransport.
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { MAIL_DIR, MAIL_FROM, MAIL_TRANSPORT } from '../config/mail.mjs';
+
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  file: async (message) => {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(path.join(MAIL_DIR, name), JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2));
+  }
+};
+
+let transport = transports[MAIL_TRANSPORT];
+
+if (!transport) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}"`);
+}
+
+export const setMailTransport = (next) => {
+  transport = next;
+};
+
+// Send a message. Delivery failures are logged rather than thrown, so a
+// mail outage never fails the request that triggered the email.
+export const sendMail = async ({ to, subject, text }) => {
+  try {
+    await transport({ from: MAIL_FROM, to, subject, text });
+  } catch (error) {
+    console.error(`Failed to send "${subject}" to ${to}:`, error);
+  }
+};
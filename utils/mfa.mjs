@@ -0,0 +1,285 @@
+// utils/mfa.mjs
+// TOTP enrollment, recovery codes and the second step of a 2FA login
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import supabase from '../config/supabase.mjs';
+import { AppError } from './errors.mjs';
+import { generateSecret, provisioningUri, verifyTotp } from './totp.mjs';
+import {
+  JWT_SECRET,
+  MFA_CHALLENGE_TTL_SECONDS,
+  MFA_ENCRYPTION_KEY,
+  MFA_ISSUER,
+  MFA_MAX_ATTEMPTS,
+  MFA_RECOVERY_CODE_COUNT
+} from '../config/auth.mjs';
+
+const CHALLENGE_PURPOSE = 'mfa_challenge';
+const encryptionKey = crypto.createHash('sha256').update(`mfa:${MFA_ENCRYPTION_KEY}`).digest();
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const invalidCode = () => new AppError('Invalid authentication code', 'INVALID_MFA_CODE', 401);
+
+// AES-256-GCM, stored as iv.tag.ciphertext in base64
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+const getFactor = async (userId) => {
+  const { data } = await supabase
+    .from('mfa_factors')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return data || null;
+};
+
+export const isMfaEnabled = async (userId) => {
+  const factor = await getFactor(userId);
+  return Boolean(factor?.enabled_at);
+};
+
+// Accept a TOTP code once: the step must be newer than the last one used
+const consumeTotp = async (factor, code) => {
+  const step = verifyTotp(decryptSecret(factor.secret_encrypted), code);
+  if (step === null || (factor.last_used_step !== null && step <= Number(factor.last_used_step))) {
+    return false;
+  }
+
+  const { data, error } = await supabase
+    .from('mfa_factors')
+    .update({ last_used_step: step })
+    .eq('user_id', factor.user_id)
+    .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+    .select('user_id');
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+  const { data, error } = await supabase
+    .from('mfa_recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('code_hash', hashCode(normalizeRecoveryCode(code)))
+    .is('used_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+// Check a TOTP code or, failing that, a recovery code for an enabled factor
+export const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const factor = await getFactor(userId);
+  if (!factor?.enabled_at) {
+    throw new AppError('Two-factor authentication is not enabled', 'MFA_NOT_ENABLED', 400);
+  }
+
+  const valid = code
+    ? await consumeTotp(factor, code)
+    : Boolean(recoveryCode) && await consumeRecoveryCode(userId, recoveryCode);
+
+  if (!valid) throw invalidCode();
+};
+
+// Replace the user's recovery codes and return the new ones in plain text.
+// This is the only time they are ever shown.
+const replaceRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: MFA_RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const { error: deleteError } = await supabase
+    .from('mfa_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) throw deleteError;
+
+  const { error } = await supabase
+    .from('mfa_recovery_codes')
+    .insert(codes.map(code => ({ user_id: userId, code_hash: hashCode(normalizeRecoveryCode(code)) })));
+
+  if (error) throw error;
+
+  return codes;
+};
+
+// Start (or restart) enrollment with a fresh secret. The factor stays off
+// until enableMfa confirms a code generated from it.
+export const startEnrollment = async (user) => {
+  const existing = await getFactor(user.id);
+  if (existing?.enabled_at) {
+    throw new AppError('Two-factor authentication is already enabled', 'MFA_ALREADY_ENABLED', 409);
+  }
+
+  const secret = generateSecret();
+
+  const { error } = await supabase
+    .from('mfa_factors')
+    .upsert({
+      user_id: user.id,
+      secret_encrypted: encryptSecret(secret),
+      enabled_at: null,
+      last_used_step: null
+    });
+
+  if (error) throw error;
+
+  return {
+    secret,
+    otpauth_url: provisioningUri({ secret, accountName: user.email, issuer: MFA_ISSUER })
+  };
+};
+
+// Turn 2FA on once the user proves their app generates valid codes.
+// Returns the recovery codes.
+export const enableMfa = async (userId, code) => {
+  const factor = await getFactor(userId);
+  if (!factor) {
+    throw new AppError('Start two-factor enrollment first', 'MFA_NOT_ENROLLED', 400);
+  }
+
+  if (factor.enabled_at) {
+    throw new AppError('Two-factor authentication is already enabled', 'MFA_ALREADY_ENABLED', 409);
+  }
+
+  if (!(await consumeTotp(factor, code))) throw invalidCode();
+
+  const { error } = await supabase
+    .from('mfa_factors')
+    .update({ enabled_at: new Date().toISOString() })
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  return replaceRecoveryCodes(userId);
+};
+
+// Remove the factor and recovery codes. Returns whether there was a factor.
+export const removeMfa = async (userId) => {
+  const { data, error } = await supabase
+    .from('mfa_factors')
+    .delete()
+    .eq('user_id', userId)
+    .select('user_id');
+
+  if (error) throw error;
+
+  const { error: codesError } = await supabase
+    .from('mfa_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  if (codesError) throw codesError;
+
+  return data.length > 0;
+};
+
+// Open a login challenge after a correct password. The token only identifies
+// the challenge; it is not accepted anywhere an access token is.
+export const createChallenge = async (userId) => {
+  const { data: challenge, error } = await supabase
+    .from('mfa_challenges')
+    .insert([
+      {
+        user_id: userId,
+        expires_at: new Date(Date.now() + MFA_CHALLENGE_TTL_SECONDS * 1000).toISOString()
+      }
+    ])
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  return {
+    challenge_token: jwt.sign(
+      { userId, cid: challenge.id, purpose: CHALLENGE_PURPOSE },
+      JWT_SECRET,
+      { expiresIn: MFA_CHALLENGE_TTL_SECONDS }
+    ),
+    expires_in: MFA_CHALLENGE_TTL_SECONDS
+  };
+};
+
+const invalidChallengeError = () => new AppError('Login challenge is invalid or has expired', 'INVALID_CHALLENGE', 401);
+
+// Verify a challenge token's signature and purpose and return its payload
+// ({ userId, cid }). Says nothing about whether the challenge is still open.
+export const readChallengeToken = (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, JWT_SECRET);
+  } catch (error) {
+    throw invalidChallengeError();
+  }
+
+  if (decoded.purpose !== CHALLENGE_PURPOSE) throw invalidChallengeError();
+
+  return decoded;
+};
+
+// Complete a login challenge with a TOTP or recovery code. Resolves to the
+// user id; throws an AppError when the challenge or code is not accepted.
+export const completeChallenge = async (challengeToken, { code, recoveryCode }) => {
+  const invalidChallenge = invalidChallengeError();
+  const decoded = readChallengeToken(challengeToken);
+
+  const { data: challenge } = await supabase
+    .from('mfa_challenges')
+    .select('*')
+    .eq('id', decoded.cid)
+    .eq('user_id', decoded.userId)
+    .single();
+
+  if (!challenge || challenge.completed_at || new Date(challenge.expires_at) <= new Date()) {
+    throw invalidChallenge;
+  }
+
+  if (challenge.attempts >= MFA_MAX_ATTEMPTS) {
+    throw new AppError('Too many attempts. Please log in again.', 'TOO_MANY_ATTEMPTS', 429);
+  }
+
+  // Count the attempt before checking the code, so parallel guesses each use one
+  const { data: counted, error: countError } = await supabase
+    .from('mfa_challenges')
+    .update({ attempts: challenge.attempts + 1 })
+    .eq('id', challenge.id)
+    .eq('attempts', challenge.attempts)
+    .select('id');
+
+  if (countError) throw countError;
+  if (!counted.length) throw invalidChallenge;
+
+  await verifySecondFactor(challenge.user_id, { code, recoveryCode });
+
+  const { data: completed, error } = await supabase
+    .from('mfa_challenges')
+    .update({ completed_at: new Date().toISOString() })
+    .eq('id', challenge.id)
+    .is('completed_at', null)
+    .select('id');
+
+  if (error) throw error;
+  if (!completed.length) throw invalidChallenge;
+
+  return challenge.user_id;
+};
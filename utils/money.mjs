@@ -0,0 +1,76 @@
+// utils/money.mjs
+// Money is handled as integer minor units (cents) so sums never pick up
+// float error, and DECIMAL(15,2) values that Supabase returns as strings
+// are never concatenated by `+`.
+import { AppError } from './errors.mjs';
+
+// Largest value a DECIMAL(15,2) column can hold, in cents
+export const MAX_MINOR_UNITS = 999999999999999;
+
+const AMOUNT_PATTERN = /^(-)?(\d+)(?:\.(\d{1,2}))?$/;
+
+const invalidAmount = (message = 'Amount must be a number with at most two decimal places') => {
+  return new AppError(message, 'INVALID_AMOUNT', 400);
+};
+
+// Parse a JSON number or numeric string into cents. Throws an AppError with
+// code INVALID_AMOUNT for anything that is not an exact amount with at most
+// two decimal places (so 0.1 + 0.2 or 1e-7 are rejected, not rounded).
+export const toMinorUnits = (value) => {
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    throw invalidAmount();
+  }
+
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw invalidAmount();
+  }
+
+  const match = String(value).trim().match(AMOUNT_PATTERN);
+  if (!match) {
+    throw invalidAmount();
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const cents = Number(whole) * 100 + Number(fraction.padEnd(2, '0'));
+
+  if (cents > MAX_MINOR_UNITS) {
+    throw invalidAmount('Amount is too large');
+  }
+
+  return sign && cents !== 0 ? -cents : cents;
+};
+
+// Parse an amount that must be greater than zero
+export const toPositiveMinorUnits = (value) => {
+  const cents = toMinorUnits(value);
+  if (cents <= 0) {
+    throw invalidAmount('Amount must be positive');
+  }
+  return cents;
+};
+
+export const isValidAmount = (value) => {
+  try {
+    toMinorUnits(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Cents to a JSON number for API responses (1234 -> 12.34)
+export const fromMinorUnits = (cents) => {
+  return Number(toDecimalString(cents));
+};
+
+// Cents to an exact decimal string for database parameters (1234 -> "12.34")
+export const toDecimalString = (cents) => {
+  const sign = cents < 0 ? '-' : '';
+  const abs = Math.abs(cents);
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+};
+
+// Sum amounts given in any accepted form, returning cents
+export const sumMinorUnits = (values) => {
+  return values.reduce((sum, value) => sum + toMinorUnits(value), 0);
+};
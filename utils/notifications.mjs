@@ -0,0 +1,43 @@
+// utils/notifications.mjs
+import supabase from '../config/supabase.mjs';
+import { CONVERSATION_STATUS, MESSAGE_TYPES, SENDER_TYPES } from './constants.mjs';
+
+// Tell a customer about something the bank did on their account. The notice
+// is posted as a system message from the bot in a new chat conversation, so
+// it shows up with the rest of their support threads. Failures are logged
+// and swallowed: a missed notice must not undo the action it reports.
+export const notifyUser = async (userId, { subject, message }) => {
+  try {
+    const { data: conversation, error: convError } = await supabase
+      .from('chat_conversations')
+      .insert([
+        {
+          user_id: userId,
+          subject,
+          status: CONVERSATION_STATUS.OPEN
+        }
+      ])
+      .select()
+      .single();
+
+    if (convError) throw convError;
+
+    const { error: msgError } = await supabase
+      .from('chat_messages')
+      .insert([
+        {
+          conversation_id: conversation.id,
+          sender_type: SENDER_TYPES.BOT,
+          message,
+          message_type: MESSAGE_TYPES.SYSTEM
+        }
+      ]);
+
+    if (msgError) throw msgError;
+
+    return conversation;
+  } catch (error) {
+    console.error(`Failed to notify user ${userId}:`, error);
+    return null;
+  }
+};
@@ -0,0 +1,91 @@
+// utils/passwordPolicy.mjs
+// Password rules from config/passwordPolicy.mjs. Each rule is checked on
+// its own so a rejected password gets one message per rule it breaks.
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, isAbsolute, join } from 'path';
+import { PASSWORD_POLICY } from '../config/passwordPolicy.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Lower-cased breached/common passwords; blank lines and # comments skipped
+const loadBreachedList = (listPath) => {
+  const fullPath = isAbsolute(listPath) ? listPath : join(__dirname, '..', listPath);
+
+  return new Set(
+    readFileSync(fullPath, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#'))
+  );
+};
+
+const breachedPasswords = PASSWORD_POLICY.checkBreached
+  ? loadBreachedList(PASSWORD_POLICY.breachedListPath)
+  : new Set();
+
+// Pieces of the user's identity worth guessing: name words and the email's
+// local part, ignoring anything too short to matter
+const personalTerms = ({ name, email } = {}) => {
+  const terms = String(name || '').toLowerCase().split(/[^a-z0-9]+/);
+  terms.push(String(email || '').toLowerCase().split('@')[0]);
+  return terms.filter(term => term.length >= 3);
+};
+
+const RULES = [
+  {
+    rule: 'length',
+    enabled: true,
+    message: `Password must be between ${PASSWORD_POLICY.minLength} and ${PASSWORD_POLICY.maxLength} characters long`,
+    test: (password) => password.length >= PASSWORD_POLICY.minLength && password.length <= PASSWORD_POLICY.maxLength
+  },
+  {
+    rule: 'uppercase',
+    enabled: PASSWORD_POLICY.requireUppercase,
+    message: 'Password must contain an uppercase letter',
+    test: (password) => /[A-Z]/.test(password)
+  },
+  {
+    rule: 'lowercase',
+    enabled: PASSWORD_POLICY.requireLowercase,
+    message: 'Password must contain a lowercase letter',
+    test: (password) => /[a-z]/.test(password)
+  },
+  {
+    rule: 'digit',
+    enabled: PASSWORD_POLICY.requireDigit,
+    message: 'Password must contain a number',
+    test: (password) => /[0-9]/.test(password)
+  },
+  {
+    rule: 'symbol',
+    enabled: PASSWORD_POLICY.requireSymbol,
+    message: 'Password must contain a symbol',
+    test: (password) => /[^A-Za-z0-9]/.test(password)
+  },
+  {
+    rule: 'personal_info',
+    enabled: PASSWORD_POLICY.forbidPersonalInfo,
+    message: 'Password must not contain your name or email',
+    test: (password, user) => {
+      const lowered = password.toLowerCase();
+      return !personalTerms(user).some(term => lowered.includes(term));
+    }
+  },
+  {
+    rule: 'breached',
+    enabled: PASSWORD_POLICY.checkBreached,
+    message: 'This password is too common or has appeared in a data breach',
+    test: (password) => !breachedPasswords.has(password.toLowerCase())
+  }
+];
+
+export const PASSWORD_RULES = RULES.filter(rule => rule.enabled);
+
+// Messages for every rule the password breaks; user is { name, email }
+export const passwordViolations = (password, user = {}) => {
+  const value = typeof password === 'string' ? password : '';
+  return PASSWORD_RULES
+    .filter(rule => !rule.test(value, user))
+    .map(({ rule, message }) => ({ rule, message }));
+};
@@ -0,0 +1,25 @@
+// utils/payees.mjs
+import supabase from '../config/supabase.mjs';
+import { AppError } from './errors.mjs';
+
+// Account number a transfer request is paying: the saved payee's when
+// payee_id is given, otherwise to_account_number as sent. Throws an AppError
+// when the payee does not belong to the user.
+export const resolveRecipient = async (userId, { payee_id, to_account_number }) => {
+  if (!payee_id) {
+    return { toAccountNumber: to_account_number, payee: null };
+  }
+
+  const { data: payee } = await supabase
+    .from('payees')
+    .select('*')
+    .eq('id', payee_id)
+    .eq('user_id', userId)
+    .single();
+
+  if (!payee) {
+    throw new AppError('Payee not found', 'PAYEE_NOT_FOUND', 404);
+  }
+
+  return { toAccountNumber: payee.account_number, payee };
+};
@@ -0,0 +1,117 @@
+// utils/reconciliation.mjs
+import supabase from '../config/supabase.mjs';
+import { toMinorUnits, fromMinorUnits } from './money.mjs';
+
+const PAGE_SIZE = 1000;
+
+// Supabase caps each select, so read large tables page by page
+const fetchAll = async (buildQuery) => {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+};
+
+// Compare every account's balance with the sum of its completed
+// transactions and return the accounts that disagree.
+export const findBalanceDrift = async () => {
+  const accounts = await fetchAll(() => supabase
+    .from('accounts')
+    .select('id, user_id, account_number, balance')
+    .order('id'));
+
+  const transactions = await fetchAll(() => supabase
+    .from('transactions')
+    .select('account_id, type, amount')
+    .eq('status', 'completed')
+    .order('id'));
+
+  const expectedCents = new Map();
+  for (const t of transactions) {
+    const signed = t.type === 'credit' ? toMinorUnits(t.amount) : -toMinorUnits(t.amount);
+    expectedCents.set(t.account_id, (expectedCents.get(t.account_id) || 0) + signed);
+  }
+
+  const mismatches = accounts
+    .map(account => {
+      const recorded = toMinorUnits(account.balance ?? 0);
+      const expected = expectedCents.get(account.id) || 0;
+      return {
+        account_id: account.id,
+        user_id: account.user_id,
+        account_number: account.account_number,
+        recorded_balance: fromMinorUnits(recorded),
+        expected_balance: fromMinorUnits(expected),
+        difference: fromMinorUnits(expected - recorded)
+      };
+    })
+    .filter(m => m.difference !== 0);
+
+  return {
+    accounts_checked: accounts.length,
+    mismatch_count: mismatches.length,
+    total_drift: fromMinorUnits(mismatches.reduce((sum, m) => sum + Math.abs(toMinorUnits(m.difference)), 0)),
+    mismatches
+  };
+};
+
+// Run a reconciliation and store it in reconciliation_runs. With fix set,
+// each mismatched account (or only the accounts of userIds) gets a correcting
+// ledger entry carrying the audit note.
+export const reconcileBalances = async ({ fix = false, userIds = null, note = null, triggeredBy = 'system' } = {}) => {
+  if (fix && !note) {
+    throw new Error('An audit note is required to fix balances');
+  }
+
+  const report = await findBalanceDrift();
+  const corrections = [];
+
+  if (fix) {
+    const targets = userIds
+      ? report.mismatches.filter(m => userIds.includes(m.user_id))
+      : report.mismatches;
+
+    for (const mismatch of targets) {
+      const { data, error } = await supabase.rpc('reconcile_balance', {
+        p_account_id: mismatch.account_id,
+        p_note: note,
+        p_created_by: triggeredBy
+      });
+
+      const target = { account_id: mismatch.account_id, user_id: mismatch.user_id };
+      corrections.push(error
+        ? { ...target, success: false, error: error.message }
+        : { ...target, success: true, ...data });
+    }
+  }
+
+  const { data: run, error } = await supabase
+    .from('reconciliation_runs')
+    .insert([
+      {
+        triggered_by: triggeredBy,
+        accounts_checked: report.accounts_checked,
+        mismatch_count: report.mismatch_count,
+        total_drift: report.total_drift,
+        mismatches: report.mismatches,
+        fixed: corrections.some(c => c.success),
+        note
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Failed to save reconciliation run:', error);
+  }
+
+  return {
+    run_id: run?.id || null,
+    ...report,
+    corrections
+  };
+};
@@ -0,0 +1,306 @@
+// utils/scheduledTransfers.mjs
+// Date rules for scheduled transfers and the worker step that pays the ones
+// that are due. Dates are calendar days in UTC, as 'YYYY-MM-DD' strings.
+import supabase from '../config/supabase.mjs';
+import { AppError } from './errors.mjs';
+import { toMinorUnits } from './money.mjs';
+import { executeTransfer } from './transfers.mjs';
+import { notifyUser } from './notifications.mjs';
+import { accountStatusBlock, MOVEMENTS } from './accountStatus.mjs';
+import {
+  ERROR_CODES,
+  SCHEDULE_FREQUENCIES,
+  SCHEDULE_STATUS,
+  SCHEDULED_RUN_STATUS,
+  TRANSACTION_STATUS
+} from './constants.mjs';
+import { RETRY_POLICY, RUN_LOCK_MS } from '../config/scheduledTransfers.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const parseDate = (dateString) => new Date(`${dateString}T00:00:00Z`);
+
+export const addDays = (dateString, days) => toDateString(new Date(parseDate(dateString).getTime() + days * DAY_MS));
+
+// The given month's dayOfMonth, or its last day when the month is shorter.
+// monthIndex may run past 11; Date.UTC rolls it into the next year.
+const monthlyDate = (year, monthIndex, dayOfMonth) => {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return toDateString(new Date(Date.UTC(year, monthIndex, Math.min(dayOfMonth, lastDay))));
+};
+
+// First date on or after startDate that the schedule runs on
+export const firstRunDate = ({ startDate, frequency, dayOfMonth }) => {
+  if (frequency !== SCHEDULE_FREQUENCIES.MONTHLY) {
+    return startDate;
+  }
+
+  const start = parseDate(startDate);
+  const candidate = monthlyDate(start.getUTCFullYear(), start.getUTCMonth(), dayOfMonth);
+
+  return candidate >= startDate
+    ? candidate
+    : monthlyDate(start.getUTCFullYear(), start.getUTCMonth() + 1, dayOfMonth);
+};
+
+// Occurrence after runDate, or null when the schedule has no more runs
+export const nextRunDate = (schedule, runDate = schedule.next_run_date) => {
+  let next = null;
+
+  if (schedule.frequency === SCHEDULE_FREQUENCIES.WEEKLY) {
+    next = addDays(runDate, 7);
+  } else if (schedule.frequency === SCHEDULE_FREQUENCIES.MONTHLY) {
+    const current = parseDate(runDate);
+    next = monthlyDate(current.getUTCFullYear(), current.getUTCMonth() + 1, schedule.day_of_month);
+  }
+
+  if (next && schedule.end_date && next > schedule.end_date) {
+    return null;
+  }
+
+  return next;
+};
+
+// First occurrence on or after fromDate, used when a paused schedule resumes
+// so the runs it missed while paused are not all paid at once
+export const rollForward = (schedule, fromDate) => {
+  let runDate = schedule.next_run_date;
+
+  while (runDate && runDate < fromDate) {
+    runDate = schedule.frequency === SCHEDULE_FREQUENCIES.ONCE ? fromDate : nextRunDate(schedule, runDate);
+  }
+
+  return runDate;
+};
+
+// Transfer reference for one occurrence. It is the same on every attempt, so
+// a run that paid but crashed before recording itself is not paid twice.
+const runReference = (schedule) => {
+  return `SCH-${schedule.id.slice(0, 8)}-${schedule.next_run_date.replace(/-/g, '')}`.toUpperCase();
+};
+
+// Take the item for this worker. The update only matches if nobody else holds
+// it and it has not moved on since it was read.
+const claim = async (schedule, now) => {
+  const { data, error } = await supabase
+    .from('scheduled_transfers')
+    .update({ locked_until: new Date(now.getTime() + RUN_LOCK_MS).toISOString() })
+    .eq('id', schedule.id)
+    .eq('status', SCHEDULE_STATUS.ACTIVE)
+    .eq('next_run_date', schedule.next_run_date)
+    .eq('attempts', schedule.attempts)
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+const recordRun = async (schedule, now, { status, transactionId = null, error = null }) => {
+  const { error: insertError } = await supabase
+    .from('scheduled_transfer_runs')
+    .insert([
+      {
+        scheduled_transfer_id: schedule.id,
+        run_date: schedule.next_run_date,
+        attempt: schedule.attempts + 1,
+        status,
+        transaction_id: transactionId,
+        error_code: error?.code || null,
+        error_message: error?.message || null,
+        ran_at: now.toISOString()
+      }
+    ]);
+
+  if (insertError) throw insertError;
+};
+
+// Move the schedule on to its next occurrence, or close it after the last one
+const advance = async (schedule, now) => {
+  const next = nextRunDate(schedule);
+
+  const { error } = await supabase
+    .from('scheduled_transfers')
+    .update({
+      next_run_date: next,
+      status: next ? SCHEDULE_STATUS.ACTIVE : SCHEDULE_STATUS.COMPLETED,
+      attempts: 0,
+      retry_at: null,
+      locked_until: null,
+      last_run_at: now.toISOString()
+    })
+    .eq('id', schedule.id);
+
+  if (error) throw error;
+};
+
+const scheduleRetry = async (schedule, now) => {
+  const { error } = await supabase
+    .from('scheduled_transfers')
+    .update({
+      attempts: schedule.attempts + 1,
+      retry_at: new Date(now.getTime() + RETRY_POLICY.retryDelayMinutes * 60 * 1000).toISOString(),
+      locked_until: null,
+      last_run_at: now.toISOString()
+    })
+    .eq('id', schedule.id);
+
+  if (error) throw error;
+};
+
+const release = async (schedule) => {
+  await supabase
+    .from('scheduled_transfers')
+    .update({ locked_until: null })
+    .eq('id', schedule.id);
+};
+
+const notifyMissedRun = (schedule, status, error) => {
+  return notifyUser(schedule.user_id, {
+    subject: 'Scheduled transfer not sent',
+    message: `Your scheduled transfer of ${schedule.amount} to ${schedule.to_account_number} due ${schedule.next_run_date} was ${status === SCHEDULED_RUN_STATUS.SKIPPED ? 'skipped' : 'not sent'}: ${error.message}`
+  });
+};
+
+// Why a run should be skipped rather than attempted, if either side of the
+// transfer is missing or its status does not allow the transfer
+const checkAccounts = async (schedule) => {
+  const { data: sender } = await supabase
+    .from('profiles')
+    .select('status')
+    .eq('id', schedule.user_id)
+    .single();
+
+  const senderBlocked = accountStatusBlock(sender?.status, MOVEMENTS.DEBIT);
+  if (senderBlocked) {
+    return senderBlocked;
+  }
+
+  const { data: recipient } = await supabase
+    .from('accounts')
+    .select('holder:profiles (status)')
+    .eq('account_number', schedule.to_account_number)
+    .single();
+
+  if (!recipient) {
+    return new AppError('Recipient account not found', ERROR_CODES.ACCOUNT_NOT_FOUND, 404);
+  }
+
+  if (accountStatusBlock(recipient.holder?.status, MOVEMENTS.INCOMING)) {
+    return new AppError('Recipient account is not active', 'RECIPIENT_INACTIVE', 400);
+  }
+
+  return null;
+};
+
+const SKIP_CODES = [
+  'ACCOUNT_INACTIVE',
+  'ACCOUNT_FROZEN',
+  'ACCOUNT_DEBIT_BLOCKED',
+  'ACCOUNT_DORMANT',
+  'ACCOUNT_CLOSED',
+  'RECIPIENT_INACTIVE'
+];
+
+// Run one due occurrence of a schedule and record the outcome
+export const runScheduledTransfer = async (schedule, { now, execute = executeTransfer }) => {
+  const reference = runReference(schedule);
+
+  const { data: existing } = await supabase
+    .from('transactions')
+    .select('id, status')
+    .eq('user_id', schedule.user_id)
+    .eq('reference', reference)
+    .eq('type', 'debit')
+    .maybeSingle();
+
+  if (existing) {
+    const status = {
+      [TRANSACTION_STATUS.PENDING]: SCHEDULED_RUN_STATUS.PENDING_APPROVAL,
+      [TRANSACTION_STATUS.FAILED]: SCHEDULED_RUN_STATUS.FAILED
+    }[existing.status] || SCHEDULED_RUN_STATUS.COMPLETED;
+    await recordRun(schedule, now, { status, transactionId: existing.id });
+    await advance(schedule, now);
+    return { id: schedule.id, status, transaction_id: existing.id };
+  }
+
+  const accountError = await checkAccounts(schedule);
+  if (accountError) {
+    const status = accountError.code === ERROR_CODES.ACCOUNT_NOT_FOUND
+      ? SCHEDULED_RUN_STATUS.FAILED
+      : SCHEDULED_RUN_STATUS.SKIPPED;
+    await recordRun(schedule, now, { status, error: accountError });
+    await advance(schedule, now);
+    await notifyMissedRun(schedule, status, accountError);
+    return { id: schedule.id, status, error_code: accountError.code };
+  }
+
+  try {
+    const result = await execute({
+      senderId: schedule.user_id,
+      fromAccountId: schedule.from_account_id,
+      toAccountNumber: schedule.to_account_number,
+      amountCents: toMinorUnits(schedule.amount),
+      description: schedule.description,
+      reference
+    });
+
+    const status = result.transaction.status === TRANSACTION_STATUS.PENDING
+      ? SCHEDULED_RUN_STATUS.PENDING_APPROVAL
+      : SCHEDULED_RUN_STATUS.COMPLETED;
+
+    await recordRun(schedule, now, { status, transactionId: result.transaction.id });
+    await advance(schedule, now);
+    return { id: schedule.id, status, transaction_id: result.transaction.id };
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      await release(schedule);
+      throw error;
+    }
+
+    if (error.code === ERROR_CODES.INSUFFICIENT_FUNDS && schedule.attempts < RETRY_POLICY.maxRetries) {
+      await recordRun(schedule, now, { status: SCHEDULED_RUN_STATUS.RETRYING, error });
+      await scheduleRetry(schedule, now);
+      return { id: schedule.id, status: SCHEDULED_RUN_STATUS.RETRYING, error_code: error.code };
+    }
+
+    const status = SKIP_CODES.includes(error.code) ? SCHEDULED_RUN_STATUS.SKIPPED : SCHEDULED_RUN_STATUS.FAILED;
+    await recordRun(schedule, now, { status, error });
+    await advance(schedule, now);
+    await notifyMissedRun(schedule, status, error);
+    return { id: schedule.id, status, error_code: error.code };
+  }
+};
+
+// Pay every active schedule that is due at clock(). clock and execute can be
+// swapped out to run the worker against a fake date or a stubbed transfer.
+export const processDueTransfers = async ({ clock = () => new Date(), execute = executeTransfer, limit = 100 } = {}) => {
+  const now = clock();
+
+  const { data: due, error } = await supabase
+    .from('scheduled_transfers')
+    .select('*')
+    .eq('status', SCHEDULE_STATUS.ACTIVE)
+    .lte('next_run_date', toDateString(now))
+    .or(`retry_at.is.null,retry_at.lte.${now.toISOString()}`)
+    .order('next_run_date', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const results = [];
+
+  for (const schedule of due) {
+    try {
+      if (!(await claim(schedule, now))) continue;
+      results.push(await runScheduledTransfer(schedule, { now, execute }));
+    } catch (runError) {
+      console.error(`Scheduled transfer ${schedule.id} failed to run:`, runError);
+      results.push({ id: schedule.id, status: 'error', error_message: runError.message });
+    }
+  }
+
+  return results;
+};
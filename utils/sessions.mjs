@@ -0,0 +1,277 @@
+// utils/sessions.mjs
+// Login sessions and their refresh tokens. Each login opens a session with a
+// chain ("family") of single-use refresh tokens. Refreshing spends the
+// presented token and issues the next one in the chain; presenting a spent
+// token again means it was copied, so the whole session is revoked.
+import crypto from 'crypto';
+import supabase from '../config/supabase.mjs';
+import { AppError } from './errors.mjs';
+import { REFRESH_TOKEN_TTL_DAYS } from '../config/auth.mjs';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// last_seen_at is written at most this often per session
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+// "Chrome on Windows" style label for a user agent
+export const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+// Apps send a stable X-Device-Id; browsers fall back to their user agent
+const deviceFingerprint = (req) => {
+  const source = req.headers['x-device-id'] || req.headers['user-agent'] || 'unknown';
+  return hashToken(`device:${source}`);
+};
+
+const invalidRefreshToken = () => {
+  return new AppError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN', 401);
+};
+
+// Store a new refresh token for the session and return the raw value, which
+// is only ever seen by the client
+const issueRefreshToken = async (session) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { data, error } = await supabase
+    .from('refresh_tokens')
+    .insert([
+      {
+        session_id: session.id,
+        user_id: session.user_id,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      }
+    ])
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  return { id: data.id, token };
+};
+
+// Open a session for a login. newDevice is true when the user has never
+// had a session on this device before. methods records how the user signed in.
+export const createSession = async (userId, req, { methods = ['pwd'] } = {}) => {
+  const fingerprint = deviceFingerprint(req);
+
+  const { count, error: countError } = await supabase
+    .from('auth_sessions')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('device_fingerprint', fingerprint);
+
+  if (countError) throw countError;
+
+  const { data: session, error } = await supabase
+    .from('auth_sessions')
+    .insert([
+      {
+        user_id: userId,
+        device_label: describeDevice(req.headers['user-agent']),
+        device_fingerprint: fingerprint,
+        user_agent: req.headers['user-agent'] || null,
+        ip_address: req.ip || null,
+        auth_methods: methods
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { token } = await issueRefreshToken(session);
+
+  return { session, refreshToken: token, newDevice: count === 0 };
+};
+
+// Record activity on a session, skipping the write if it was seen recently
+export const touchSession = async (session) => {
+  if (Date.now() - Date.parse(session.last_seen_at) < LAST_SEEN_RESOLUTION_MS) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('auth_sessions')
+    .update({ last_seen_at: new Date().toISOString() })
+    .eq('id', session.id);
+
+  if (error) {
+    console.error(`Failed to update last seen for session ${session.id}:`, error);
+  }
+};
+
+export const listActiveSessions = async (userId) => {
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .select('id, device_label, ip_address, user_agent, created_at, last_seen_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .order('last_seen_at', { ascending: false });
+
+  if (error) throw error;
+
+  return data;
+};
+
+// Revoke one session. Pass userId to only touch that user's session.
+// Returns whether an open session was revoked.
+export const revokeSession = async (sessionId, reason, { userId = null } = {}) => {
+  let query = supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) throw error;
+
+  return data.length > 0;
+};
+
+// Revoke every open session of a user, optionally keeping one (the caller's).
+// Returns how many were revoked.
+export const revokeAllSessions = async (userId, reason, { exceptSessionId = null } = {}) => {
+  let query = supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) throw error;
+
+  return data.length;
+};
+
+// Record a fresh re-authentication on a session and return the updated row
+export const markReauthenticated = async (sessionId, methods) => {
+  const { data: session, error } = await supabase
+    .from('auth_sessions')
+    .update({
+      authenticated_at: new Date().toISOString(),
+      auth_methods: methods
+    })
+    .eq('id', sessionId)
+    .is('revoked_at', null)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return session;
+};
+
+// Open session for an access token's sid, or null if it was revoked
+export const findActiveSession = async (sessionId, userId) => {
+  const { data: session } = await supabase
+    .from('auth_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .single();
+
+  return session || null;
+};
+
+// A spent token came back: whoever holds the chain now, it is compromised
+const reuseDetected = async (stored) => {
+  console.warn(`Refresh token reuse detected, revoking session ${stored.session_id}`);
+  await revokeSession(stored.session_id, 'refresh_token_reuse');
+  return new AppError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED', 401);
+};
+
+// Spend a refresh token and issue its replacement in the same session.
+// Throws an AppError when the token is unknown, expired, already spent or
+// belongs to a revoked session.
+export const rotateRefreshToken = async (token) => {
+  if (!token || typeof token !== 'string') {
+    throw invalidRefreshToken();
+  }
+
+  const { data: stored } = await supabase
+    .from('refresh_tokens')
+    .select('*, session:auth_sessions (*)')
+    .eq('token_hash', hashToken(token))
+    .single();
+
+  if (!stored) {
+    throw invalidRefreshToken();
+  }
+
+  if (stored.session.revoked_at) {
+    throw new AppError('Session has been revoked', 'SESSION_REVOKED', 401);
+  }
+
+  const now = new Date();
+
+  if (stored.used_at) {
+    throw await reuseDetected(stored);
+  }
+
+  if (new Date(stored.expires_at) <= now) {
+    throw invalidRefreshToken();
+  }
+
+  // Only one caller can spend a token; losing this race counts as reuse
+  const { data: spent, error: spendError } = await supabase
+    .from('refresh_tokens')
+    .update({ used_at: now.toISOString() })
+    .eq('id', stored.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (spendError) throw spendError;
+
+  if (!spent.length) {
+    throw await reuseDetected(stored);
+  }
+
+  const next = await issueRefreshToken(stored.session);
+
+  await supabase
+    .from('refresh_tokens')
+    .update({ replaced_by: next.id })
+    .eq('id', stored.id);
+
+  await supabase
+    .from('auth_sessions')
+    .update({ last_seen_at: now.toISOString() })
+    .eq('id', stored.session_id);
+
+  return {
+    session: stored.session,
+    refreshToken: next.token
+  };
+};
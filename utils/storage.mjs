@@ -0,0 +1,52 @@
+// utils/storage.mjs
+// File storage behind a small driver interface, so uploads can move to an
+// object store without touching callers. A driver implements:
+//   put(key, buffer, { contentType })   store the bytes under key
+//   get(key)                            the stored Buffer
+//   remove(key)                         delete; missing keys are ignored
+import fs from 'fs/promises';
+import path from 'path';
+import { STORAGE_DIR, STORAGE_DRIVER } from '../config/storage.mjs';
+
+// Keys are generated by the app, but never let one climb out of the root
+const localPath = (root, key) => {
+  const fullPath = path.resolve(root, key);
+  if (!fullPath.startsWith(path.resolve(root) + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return fullPath;
+};
+
+export const createLocalDriver = (root = STORAGE_DIR) => ({
+  async put(key, buffer) {
+    const fullPath = localPath(root, key);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, buffer, { flag: 'wx' });
+  },
+
+  async get(key) {
+    return fs.readFile(localPath(root, key));
+  },
+
+  async remove(key) {
+    await fs.rm(localPath(root, key), { force: true });
+  }
+});
+
+const drivers = {
+  local: createLocalDriver
+};
+
+if (!drivers[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"`);
+}
+
+let driver = drivers[STORAGE_DRIVER]();
+
+export const setStorageDriver = (next) => {
+  driver = next;
+};
+
+export const putFile = (key, buffer, options = {}) => driver.put(key, buffer, options);
+export const getFile = (key) => driver.get(key);
+export const removeFile = (key) => driver.remove(key);
@@ -0,0 +1,43 @@
+// utils/transfers.mjs
+import supabase from '../config/supabase.mjs';
+import { generateReference } from './helpers.mjs';
+import { fromRpcError } from './errors.mjs';
+import { toDecimalString } from './money.mjs';
+import { ERROR_CODES } from './constants.mjs';
+import { APPROVAL_THRESHOLD, REVIEW_NEW_PAYEES } from '../config/approvals.mjs';
+
+// Move money from one of a customer's accounts to another customer's account. Recipient lookup, limit
+// and funds checks, both legs and both balance updates run as one locked database
+// transaction (transfer_funds in schema.sql), under the same approval rules
+// for the transfer endpoint and the scheduled-transfer worker.
+// Resolves to { transaction, fees, new_balance, available_balance }; throws an
+// AppError when the transfer is refused.
+export const executeTransfer = async ({
+  senderId,
+  fromAccountId,
+  toAccountNumber,
+  amountCents,
+  description = null,
+  reference = generateReference('transfer')
+}) => {
+  const { data, error } = await supabase.rpc('transfer_funds', {
+    p_sender_id: senderId,
+    p_from_account_id: fromAccountId,
+    p_to_account_number: toAccountNumber,
+    p_amount: toDecimalString(amountCents),
+    p_description: description || null,
+    p_reference: reference,
+    p_approval_threshold: APPROVAL_THRESHOLD,
+    p_review_new_payees: REVIEW_NEW_PAYEES
+  });
+
+  if (error) {
+    const transferError = fromRpcError(error, 'Transfer failed');
+    if (transferError.code === ERROR_CODES.TRANSACTION_FAILED) {
+      console.error('Transfer RPC error:', error);
+    }
+    throw transferError;
+  }
+
+  return data;
+};